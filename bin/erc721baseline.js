@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const { UsageError } = require("../lib/cli");
+
+/**
+ * Available commands, see lib/commands.
+ */
+const commands = {
+  airdrop: () => require("../lib/commands/airdrop"),
+  allowlist: () => require("../lib/commands/allowlist"),
+  deploy: () => require("../lib/commands/deploy"),
+  index: () => require("../lib/commands/index"),
+  init: () => require("../lib/commands/init"),
+  metadata: () => require("../lib/commands/metadata"),
+  multicall: () => require("../lib/commands/multicall"),
+  policy: () => require("../lib/commands/policy"),
+  provenance: () => require("../lib/commands/provenance"),
+  revenue: () => require("../lib/commands/revenue"),
+  storage: () => require("../lib/commands/storage"),
+  upgrade: () => require("../lib/commands/upgrade"),
+  vouchers: () => require("../lib/commands/vouchers"),
+};
+
+const usage = `
+Usage: erc721baseline <command> [options]
+
+Commands:
+${Object.keys(commands)
+  .map((name) => `  ${name}`)
+  .join("\n")}
+
+Run \`erc721baseline <command> --help\` for the command options.
+`;
+
+async function main([name, ...argv]) {
+  if (!name || name === "--help" || name === "-h") {
+    console.log(usage);
+    return;
+  }
+
+  if (!(name in commands)) {
+    console.error(`Unknown command: ${name}\n${usage}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const command = commands[name]();
+
+  if (argv.includes("--help") || argv.includes("-h")) {
+    console.log(command.usage);
+    return;
+  }
+
+  try {
+    await command.run(argv);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n${command.usage}`);
+    } else {
+      console.error(error.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
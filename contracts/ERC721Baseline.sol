@@ -3,7 +3,7 @@
 pragma solidity 0.8.21;
 
 import {Proxy} from "@openzeppelin/contracts/proxy/Proxy.sol";
-import {IERC721Baseline} from "./IERC721Baseline.sol";
+import {IERC721Baseline, IERC721BaselineAccessControl, IERC721BaselineAllowlist, IERC721BaselineExtension, IERC721BaselineModule, IERC721BaselineProvenance, IERC721BaselineRevenue} from "./IERC721Baseline.sol";
 
 /**
  * @title ERC721Baseline
@@ -15,6 +15,9 @@ import {IERC721Baseline} from "./IERC721Baseline.sol";
  * See https://eips.ethereum.org/EIPS/eip-7201.
  *
  * Proxies are encouraged, but not required, to use a similar pattern for storage.
+ *
+ * The implementation is set at construction time and can only be changed
+ * when the proxy opts in to upgrades, see `IERC721Baseline.__setUpgradesEnabled`.
  */
 contract ERC721Baseline is Proxy {
 
@@ -63,10 +66,68 @@ contract ERC721Baseline is Proxy {
     return _implementation();
   }
 
+  /**
+   * @notice Enables all the methods of a module, see `IERC721Baseline.__setModule`.
+   * @dev Meant for the constructor: the proxy has no code yet, therefore the implementation is called directly.
+   * Later on proxies can call `baseline().__setModule`.
+   */
+  function _enableModule(address module) internal {
+    (bool success, bytes memory reason) = _implementation().delegatecall(
+      abi.encodeCall(IERC721Baseline.__setModule, (module, IERC721BaselineModule(module).selectors()))
+    );
+
+    if (success == false) {
+      if (reason.length == 0) revert("Module Failed.");
+      assembly {
+        revert(add(32, reason), mload(reason))
+      }
+    }
+  }
+
   /**
    * @notice Returns a reference to the ERC721BaselineImplementation contract.
    */
   function baseline() internal view returns (IERC721Baseline) {
     return IERC721Baseline(address(this));
   }
+
+  /**
+   * @notice Returns a reference to the ERC721BaselineExtension module.
+   * @dev ERC721BaselineImplementation delegates the module methods once enabled, see `IERC721Baseline.__setModule`.
+   */
+  function baselineExtension() internal view returns (IERC721BaselineExtension) {
+    return IERC721BaselineExtension(address(this));
+  }
+
+  /**
+   * @notice Returns a reference to the ERC721BaselineAccessControl module.
+   * @dev ERC721BaselineImplementation delegates the module methods once enabled, see `IERC721Baseline.__setModule`.
+   */
+  function baselineAccessControl() internal view returns (IERC721BaselineAccessControl) {
+    return IERC721BaselineAccessControl(address(this));
+  }
+
+  /**
+   * @notice Returns a reference to the ERC721BaselineAllowlist module.
+   * @dev ERC721BaselineImplementation delegates the module methods once enabled, see `IERC721Baseline.__setModule`.
+   */
+  function baselineAllowlist() internal view returns (IERC721BaselineAllowlist) {
+    return IERC721BaselineAllowlist(address(this));
+  }
+
+  /**
+   * @notice Returns a reference to the ERC721BaselineProvenance module.
+   * @dev ERC721BaselineImplementation delegates the module methods once enabled, see `IERC721Baseline.__setModule`.
+   */
+  function baselineProvenance() internal view returns (IERC721BaselineProvenance) {
+    return IERC721BaselineProvenance(address(this));
+  }
+
+  /**
+   * @notice Returns a reference to the ERC721BaselineRevenue module.
+   * @dev ERC721BaselineImplementation delegates the module methods once enabled, see `IERC721Baseline.__setModule`.
+   */
+  function baselineRevenue() internal view returns (IERC721BaselineRevenue) {
+    return IERC721BaselineRevenue(address(this));
+  }
 }
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {ERC721BaselineModule} from "./ERC721BaselineModule.sol";
+import {IERC721Baseline, IERC721BaselineAccessControl, IERC721BaselineModule} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineAccessControl
+ * @custom:version v0.1.0
+ * @notice The roles management and two-step ownership transfers for proxies built on ERC721BaselineImplementation,
+ * see IERC721BaselineAccessControl.
+ *
+ * @dev The access control is a module, see ERC721BaselineModule.
+ * The implementation checks the roles and the admins, the module only changes them.
+ */
+contract ERC721BaselineAccessControl is ERC721BaselineModule, IERC721BaselineAccessControl {
+
+  /**
+   * @inheritdoc IERC721BaselineModule
+   */
+  function selectors() external pure returns (bytes4[] memory selectors) {
+    selectors = new bytes4[](9);
+    selectors[0] = IERC721BaselineAccessControl.admins.selector;
+    selectors[1] = IERC721BaselineAccessControl.rolesOf.selector;
+    selectors[2] = IERC721BaselineAccessControl.roleHolders.selector;
+    selectors[3] = IERC721BaselineAccessControl.setRoles.selector;
+    selectors[4] = IERC721BaselineAccessControl.__setRoles.selector;
+    selectors[5] = IERC721BaselineAccessControl.pendingOwner.selector;
+    selectors[6] = IERC721BaselineAccessControl.startOwnershipTransfer.selector;
+    selectors[7] = IERC721BaselineAccessControl.__startOwnershipTransfer.selector;
+    selectors[8] = IERC721BaselineAccessControl.acceptOwnership.selector;
+  }
+
+
+  /************************************************
+   * Access control
+   ************************************************/
+
+  /**
+   * Access control > multi-admin system
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function admins() external view returns (address[] memory) {
+    return EnumerableSet.values(_getStorage()._adminsSet);
+  }
+
+  /**
+   * Access control > roles
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function rolesOf(address account) external view returns (uint256) {
+    return _getStorage()._roles[account];
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function roleHolders() external view returns (address[] memory accounts, uint256[] memory roles) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    accounts = EnumerableSet.values($._roleHolders);
+    roles = new uint256[](accounts.length);
+    for (uint256 i = 0; i < accounts.length; i++) {
+      roles[i] = $._roles[accounts[i]];
+    }
+  }
+
+  /**
+   * @dev Internal method: sets the roles of an account.
+   *
+   * @param account the account
+   * @param roles the account roles
+   */
+  function _setRoles(address account, uint256 roles) internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if (roles == 0) {
+      delete $._roles[account];
+      EnumerableSet.remove($._roleHolders, account);
+    } else {
+      $._roles[account] = roles;
+      EnumerableSet.add($._roleHolders, account);
+    }
+    emit RolesUpdated(account, roles);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function setRoles(address account, uint256 roles) external {
+    _requireAdmin(msg.sender);
+    _setRoles(account, roles);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function __setRoles(address account, uint256 roles) external onlyProxy {
+    _setRoles(account, roles);
+  }
+
+  /**
+   * Access control > two-step ownership transfers
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function pendingOwner() external view returns (address) {
+    return _getStorage()._pendingOwner;
+  }
+
+  /**
+   * @dev Internal method: starts an ownership transfer, the zero address cancels it.
+   *
+   * @param newOwner pending owner address
+   */
+  function _startOwnershipTransfer(address newOwner) internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+    $._pendingOwner = newOwner;
+    emit OwnershipTransferStarted($._owner, newOwner);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function startOwnershipTransfer(address newOwner) external {
+    _requireAdmin(msg.sender);
+    _startOwnershipTransfer(newOwner);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function __startOwnershipTransfer(address newOwner) external onlyProxy {
+    _startOwnershipTransfer(newOwner);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAccessControl
+   */
+  function acceptOwnership() external {
+    if (msg.sender != _getStorage()._pendingOwner) {
+      revert IERC721Baseline.Unauthorized();
+    }
+    // Clears the pending owner too.
+    baseline().__transferOwnership(msg.sender);
+  }
+}
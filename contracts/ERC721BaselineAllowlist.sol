@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {ERC721BaselineExtensionState} from "./ERC721BaselineExtension.sol";
+import {ERC721BaselineModule} from "./ERC721BaselineModule.sol";
+import {IERC721BaselineAllowlist, IERC721BaselineModule, ROLE_MINTER} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineAllowlist
+ * @custom:version v0.1.0
+ * @notice The Merkle allowlist claims for proxies built on ERC721BaselineImplementation, see IERC721BaselineAllowlist.
+ *
+ * @dev The allowlist is a module, see ERC721BaselineModule.
+ * Its state is part of the extension namespace, see ERC721BaselineExtensionState.
+ */
+contract ERC721BaselineAllowlist is ERC721BaselineModule, ERC721BaselineExtensionState, IERC721BaselineAllowlist {
+
+  /**
+   * @inheritdoc IERC721BaselineModule
+   */
+  function selectors() external pure returns (bytes4[] memory selectors) {
+    selectors = new bytes4[](5);
+    selectors[0] = IERC721BaselineAllowlist.allowlistRoot.selector;
+    selectors[1] = IERC721BaselineAllowlist.allowlistClaimed.selector;
+    selectors[2] = IERC721BaselineAllowlist.setAllowlistRoot.selector;
+    selectors[3] = IERC721BaselineAllowlist.__setAllowlistRoot.selector;
+    selectors[4] = IERC721BaselineAllowlist.__claimAllowlist.selector;
+  }
+
+  /************************************************
+   * Allowlist
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721BaselineAllowlist
+   */
+  function allowlistRoot() external view returns (bytes32) {
+    return _getExtensionStorage()._allowlistRoot;
+  }
+
+  /**
+   * @dev Internal method: returns the hash of an allowlist leaf, see `__claimAllowlist`.
+   */
+  function _allowlistLeaf(address account, uint256 quota) internal pure returns (bytes32) {
+    return keccak256(bytes.concat(keccak256(abi.encode(account, quota))));
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAllowlist
+   */
+  function allowlistClaimed(address account, uint256 quota) external view returns (uint256) {
+    return _getExtensionStorage()._allowlistClaimed[_allowlistLeaf(account, quota)];
+  }
+
+  /**
+   * @dev Internal method: sets the allowlist root and emits `AllowlistRootUpdated`.
+   */
+  function _setAllowlistRoot(bytes32 root) internal {
+    _getExtensionStorage()._allowlistRoot = root;
+    emit AllowlistRootUpdated(root);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAllowlist
+   */
+  function setAllowlistRoot(bytes32 root) external {
+    _requireRole(msg.sender, ROLE_MINTER);
+    _setAllowlistRoot(root);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAllowlist
+   */
+  function __setAllowlistRoot(bytes32 root) external onlyProxy {
+    _setAllowlistRoot(root);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineAllowlist
+   */
+  function __claimAllowlist(address account, uint256 quantity, uint256 quota, bytes32[] calldata proof) external onlyProxy {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+
+    bytes32 leaf = _allowlistLeaf(account, quota);
+
+    if ($._allowlistRoot == 0 || !MerkleProof.verifyCalldata(proof, $._allowlistRoot, leaf)) {
+      revert InvalidAllowlistProof();
+    }
+
+    uint256 claimed = $._allowlistClaimed[leaf];
+
+    if (claimed + quantity > quota) {
+      revert AllowlistQuotaExceeded(quota, claimed);
+    }
+
+    $._allowlistClaimed[leaf] = claimed + quantity;
+  }
+}
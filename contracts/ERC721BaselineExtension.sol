@@ -0,0 +1,568 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {IERC1271} from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import {IERC721Metadata} from "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
+import {ERC721BaselineModule} from "./ERC721BaselineModule.sol";
+import {ERC721BaselineRenderer} from "./ERC721BaselineRenderer.sol";
+import {IERC721Baseline, IERC721BaselineExtension, IERC721BaselineHooks, IERC721BaselineModule, ROLE_METADATA_MANAGER, ROLE_ROYALTIES_MANAGER, ROLE_TRANSFER_POLICIES_MANAGER} from "./IERC721Baseline.sol";
+import {Utils} from "./Utils.sol";
+
+/**
+ * @title ERC721BaselineExtensionState
+ * @notice The state of ERC721BaselineExtension and of the allowlist, provenance and revenue modules.
+ *
+ * @dev ERC721BaselineImplementation inherits this contract too: the modules run in the proxy context
+ * therefore its namespace is part of the implementation state, eg. for the upgrade checks,
+ * and the implementation reads the state of the features it enforces, like the transfer policies.
+ */
+abstract contract ERC721BaselineExtensionState {
+
+  /**
+   * @dev A royalties configuration, see ERC721BaselineImplementation's `_royalties`.
+   */
+  struct RoyaltiesConfig {
+    address payable receiver;
+    uint16 bps;
+  }
+
+  /**
+   * @dev A royalties configuration for the token IDs between fromTokenId and toTokenId (inclusive).
+   */
+  struct RoyaltiesRange {
+    uint256 fromTokenId;
+    uint256 toTokenId;
+    RoyaltiesConfig royalties;
+  }
+
+  /**
+   * @dev A payees configuration, see `IERC721BaselineRevenue.setPayees`.
+   * The released amounts are keyed by token, the zero address for ETH.
+   */
+  struct PaymentSplit {
+    address[] payees;
+    mapping(address => uint256) shares;
+    uint256 totalShares;
+    mapping(address => uint256) totalReleased;
+    mapping(address => mapping(address => uint256)) released;
+  }
+
+  /**
+   * @dev Like ERC721BaselineImplementation, new fields MUST be appended
+   * and existing fields MUST NOT be removed or reordered.
+   *
+   * @custom:storage-location erc7201:erc721baseline.extension.storage
+   */
+  struct ERC721BaselineExtensionStorage {
+    /**
+     * Allowlist
+     */
+    bytes32 _allowlistRoot;
+    mapping(bytes32 => uint256) _allowlistClaimed;
+
+    /**
+     * Provenance
+     */
+    bytes32 _provenanceHash;
+    uint256 _startingIndex;
+    bool _revealed;
+
+    /**
+     * Revenue
+     */
+    uint256 _paymentSplitId;
+    mapping(uint256 => PaymentSplit) _paymentSplits;
+
+    /**
+     * Metadata > Contract URI
+     */
+    string _contractURI;
+
+    /**
+     * Metadata > On-chain rendering
+     */
+    string _svgTemplate;
+    bytes _sharedAttributes;
+    mapping(uint256 => bytes) _tokenAttributes;
+
+    /**
+     * Royalties overrides
+     */
+    mapping(uint256 => RoyaltiesConfig) _tokenRoyalties;
+    RoyaltiesRange[] _royaltiesRanges;
+
+    /**
+     * Transfer policies
+     */
+    bool _nonTransferable;
+    mapping(address => bool) _deniedOperators;
+    mapping(uint256 => uint256) _transferLocks;
+  }
+
+  /**
+   * @dev The ERC7-201 storage slot. See https://eips.ethereum.org/EIPS/eip-7201.
+   * The namespace is:
+   * erc721baseline.extension.storage
+   * keccak256(abi.encode(uint256(keccak256("erc721baseline.extension.storage")) - 1)) & ~bytes32(uint256(0xff))
+   */
+  bytes32 private constant ERC721BaselineExtensionStorageLocation = 0x298510691ae28f42e0617ecf04d098e98c8e1a93957ba7096511e95ca18d8900;
+
+  /**
+   * @dev Convenience method to access the storage at ERC721BaselineExtensionStorageLocation location.
+   */
+  function _getExtensionStorage() internal pure returns (ERC721BaselineExtensionStorage storage $) {
+    assembly {
+      $.slot := ERC721BaselineExtensionStorageLocation
+    }
+  }
+
+  /**
+   * @dev Internal method: reverts when approving an operator violates the transfer policies.
+   * Used by ERC721BaselineImplementation's `approve` and `setApprovalForAll` and by the extension's `permit`.
+   */
+  function _checkApprovalPolicies(address operator) internal view {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+
+    if ($._nonTransferable) {
+      revert IERC721Baseline.NonTransferable();
+    }
+
+    if ($._deniedOperators[operator]) {
+      revert IERC721Baseline.OperatorDenied(operator);
+    }
+  }
+}
+
+/**
+ * @title ERC721BaselineExtension
+ * @custom:version v0.1.0
+ * @notice Optional features for proxies built on ERC721BaselineImplementation, see IERC721BaselineExtension.
+ *
+ * @dev The extension is a module, see ERC721BaselineModule.
+ */
+contract ERC721BaselineExtension is ERC721BaselineModule, ERC721BaselineExtensionState, ERC721BaselineRenderer, IERC721BaselineExtension {
+
+  /**
+   * @inheritdoc IERC721BaselineModule
+   */
+  function selectors() external pure returns (bytes4[] memory selectors) {
+    selectors = new bytes4[](26);
+    selectors[0] = IERC721BaselineExtension.__setTokenURIs.selector;
+    selectors[1] = IERC721BaselineExtension.__mintBatch.selector;
+    selectors[2] = IERC721BaselineExtension.__svgTemplate.selector;
+    selectors[3] = IERC721BaselineExtension.__setSVGTemplate.selector;
+    selectors[4] = IERC721BaselineExtension.__setSharedAttributes.selector;
+    selectors[5] = IERC721BaselineExtension.__setTokenAttributes.selector;
+    selectors[6] = IERC721BaselineExtension.renderTokenURI.selector;
+    selectors[7] = IERC721BaselineExtension.contractURI.selector;
+    selectors[8] = IERC721BaselineExtension.setContractURI.selector;
+    selectors[9] = IERC721BaselineExtension.__setContractURI.selector;
+    selectors[10] = IERC721BaselineExtension.configureTokenRoyalties.selector;
+    selectors[11] = IERC721BaselineExtension.__configureTokenRoyalties.selector;
+    selectors[12] = IERC721BaselineExtension.configureRoyaltiesRange.selector;
+    selectors[13] = IERC721BaselineExtension.__configureRoyaltiesRange.selector;
+    selectors[14] = IERC721BaselineExtension.nonTransferable.selector;
+    selectors[15] = IERC721BaselineExtension.setNonTransferable.selector;
+    selectors[16] = IERC721BaselineExtension.__setNonTransferable.selector;
+    selectors[17] = IERC721BaselineExtension.isOperatorDenied.selector;
+    selectors[18] = IERC721BaselineExtension.setOperatorDenied.selector;
+    selectors[19] = IERC721BaselineExtension.__setOperatorDenied.selector;
+    selectors[20] = IERC721BaselineExtension.transferLockedUntil.selector;
+    selectors[21] = IERC721BaselineExtension.setTransferLock.selector;
+    selectors[22] = IERC721BaselineExtension.__setTransferLock.selector;
+    selectors[23] = IERC721BaselineExtension.nonces.selector;
+    selectors[24] = IERC721BaselineExtension.permit.selector;
+    selectors[25] = IERC721BaselineExtension.multicall.selector;
+  }
+
+  /**
+   * @dev Internal method: reverts when two arrays that are processed together have different lengths.
+   */
+  function _requireSameLength(uint256 length, uint256 otherLength) internal pure {
+    if (length != otherLength) {
+      revert IERC721Baseline.InvalidArrayLength(length, otherLength);
+    }
+  }
+
+  /************************************************
+   * Metadata
+   ************************************************/
+
+  /**
+   * Metadata > Token URIs
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setTokenURIs(uint256[] calldata tokenIds, string[] calldata tokenURIs) external onlyProxy {
+    _requireSameLength(tokenIds.length, tokenURIs.length);
+
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    bool contiguous = tokenIds.length > 1;
+
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      $.__tokenURI[tokenIds[i]] = tokenURIs[i];
+
+      if (contiguous && i > 0 && (tokenIds[i] <= tokenIds[i - 1] || tokenIds[i] - tokenIds[i - 1] != 1)) {
+        contiguous = false;
+      }
+    }
+
+    if (contiguous) {
+      emit BatchMetadataUpdate(tokenIds[0], tokenIds[tokenIds.length - 1]);
+    } else {
+      for (uint256 i = 0; i < tokenIds.length; i++) {
+        emit MetadataUpdate(tokenIds[i]);
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __mintBatch(address[] calldata to, uint256[] calldata tokenIds, string[] calldata tokenURIs) external onlyProxy {
+    _requireSameLength(tokenIds.length, tokenURIs.length);
+
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      $.__tokenURI[tokenIds[i]] = tokenURIs[i];
+    }
+    baseline().__mintBatch(to, tokenIds);
+  }
+
+  /**
+   * Metadata > On-chain rendering
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __svgTemplate() external view returns (string memory) {
+    return _getExtensionStorage()._svgTemplate;
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setSVGTemplate(string calldata svgTemplate) external onlyProxy {
+    _getExtensionStorage()._svgTemplate = svgTemplate;
+    _emitMintedMetadataUpdate();
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setSharedAttributes(string[] calldata traitTypes, string[] calldata values) external onlyProxy {
+    _requireSameLength(traitTypes.length, values.length);
+    _getExtensionStorage()._sharedAttributes = abi.encode(traitTypes, values);
+    _emitMintedMetadataUpdate();
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setTokenAttributes(uint256 tokenId, string[] calldata traitTypes, string[] calldata values) external onlyProxy {
+    _requireSameLength(traitTypes.length, values.length);
+
+    if (traitTypes.length > 0) {
+      _getExtensionStorage()._tokenAttributes[tokenId] = abi.encode(traitTypes, values);
+    } else {
+      delete _getExtensionStorage()._tokenAttributes[tokenId];
+    }
+    emit MetadataUpdate(tokenId);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function renderTokenURI(uint256 tokenId) external view returns (string memory) {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+    bytes memory attributes = $._tokenAttributes[tokenId];
+
+    return _renderTokenURI(
+      IERC721Metadata(address(this)).name(),
+      tokenId,
+      $._svgTemplate,
+      attributes.length > 0 ? attributes : $._sharedAttributes
+    );
+  }
+
+  /**
+   * @dev Internal method: emits EIP-4906's `BatchMetadataUpdate` event for the tokens minted in sequential mode,
+   * like ERC721BaselineImplementation.
+   */
+  function _emitMintedMetadataUpdate() internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._nextTokenId > $._startTokenId) {
+      emit BatchMetadataUpdate($._startTokenId, $._nextTokenId - 1);
+    }
+  }
+
+  /**
+   * Metadata > Contract URI
+   */
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function contractURI() external view returns (string memory) {
+    return _getExtensionStorage()._contractURI;
+  }
+
+  /**
+   * @dev Internal method: sets the contract URI.
+   */
+  function _setContractURI(string calldata uri) internal {
+    _getExtensionStorage()._contractURI = uri;
+    emit ContractURIUpdated();
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function setContractURI(string calldata uri) external {
+    _requireRole(msg.sender, ROLE_METADATA_MANAGER);
+    _setContractURI(uri);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setContractURI(string calldata uri) external onlyProxy {
+    _setContractURI(uri);
+  }
+
+  /************************************************
+   * Royalties
+   ************************************************/
+
+  /**
+   * @dev Internal method: reverts when the royalties rate is greater than 100%.
+   */
+  function _validateRoyaltiesBps(uint16 bps) internal pure {
+    if (bps > 10000) {
+      revert IERC721Baseline.InvalidRoyaltiesBps(bps);
+    }
+  }
+
+  function _configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) internal {
+    _validateRoyaltiesBps(bps);
+
+    _getExtensionStorage()._tokenRoyalties[tokenId] = RoyaltiesConfig(receiver, bps);
+
+    emit TokenRoyaltiesUpdated(tokenId, tokenId, receiver, bps);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) external {
+    _requireRole(msg.sender, ROLE_ROYALTIES_MANAGER);
+    _configureTokenRoyalties(tokenId, receiver, bps);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) external onlyProxy {
+    _configureTokenRoyalties(tokenId, receiver, bps);
+  }
+
+  function _configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) internal {
+    if (fromTokenId > toTokenId) {
+      revert InvalidTokenRange(fromTokenId, toTokenId);
+    }
+
+    _validateRoyaltiesBps(bps);
+
+    _getExtensionStorage()._royaltiesRanges.push(
+      RoyaltiesRange(fromTokenId, toTokenId, RoyaltiesConfig(receiver, bps))
+    );
+
+    emit TokenRoyaltiesUpdated(fromTokenId, toTokenId, receiver, bps);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) external {
+    _requireRole(msg.sender, ROLE_ROYALTIES_MANAGER);
+    _configureRoyaltiesRange(fromTokenId, toTokenId, receiver, bps);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) external onlyProxy {
+    _configureRoyaltiesRange(fromTokenId, toTokenId, receiver, bps);
+  }
+
+  /************************************************
+   * Transfer policies
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function nonTransferable() external view returns (bool) {
+    return _getExtensionStorage()._nonTransferable;
+  }
+
+  function _setNonTransferable(bool enabled) internal {
+    _getExtensionStorage()._nonTransferable = enabled;
+    emit NonTransferableUpdated(enabled);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function setNonTransferable(bool enabled) external {
+    _requireRole(msg.sender, ROLE_TRANSFER_POLICIES_MANAGER);
+    _setNonTransferable(enabled);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setNonTransferable(bool enabled) external onlyProxy {
+    _setNonTransferable(enabled);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function isOperatorDenied(address operator) external view returns (bool) {
+    return _getExtensionStorage()._deniedOperators[operator];
+  }
+
+  function _setOperatorDenied(address operator, bool denied) internal {
+    if (denied) {
+      _getExtensionStorage()._deniedOperators[operator] = true;
+    } else {
+      delete _getExtensionStorage()._deniedOperators[operator];
+    }
+    emit OperatorDenylistUpdated(operator, denied);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function setOperatorDenied(address operator, bool denied) external {
+    _requireRole(msg.sender, ROLE_TRANSFER_POLICIES_MANAGER);
+    _setOperatorDenied(operator, denied);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setOperatorDenied(address operator, bool denied) external onlyProxy {
+    _setOperatorDenied(operator, denied);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function transferLockedUntil(uint256 tokenId) external view returns (uint256) {
+    return _getExtensionStorage()._transferLocks[tokenId];
+  }
+
+  function _setTransferLock(uint256 tokenId, uint256 until) internal {
+    if (until == 0) {
+      delete _getExtensionStorage()._transferLocks[tokenId];
+    } else {
+      _getExtensionStorage()._transferLocks[tokenId] = until;
+    }
+    emit TransferLockUpdated(tokenId, until);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function setTransferLock(uint256 tokenId, uint256 until) external {
+    _requireRole(msg.sender, ROLE_TRANSFER_POLICIES_MANAGER);
+    _setTransferLock(tokenId, until);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function __setTransferLock(uint256 tokenId, uint256 until) external onlyProxy {
+    _setTransferLock(tokenId, until);
+  }
+
+  /************************************************
+   * Permit (ERC-4494)
+   ************************************************/
+
+  /**
+   * @dev EIP-712 permit type hash.
+   * keccak256("Permit(address spender,uint256 tokenId,uint256 nonce,uint256 deadline)")
+   */
+  bytes32 private constant _PERMIT_TYPEHASH = 0x49ecf333e5b8c95c40fdafc95c1ad136e8914a8fb55e9dc8bb01eaa83a2df9ad;
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function nonces(uint256 tokenId) external view returns (uint256) {
+    return _getStorage()._permitNonces[tokenId];
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function permit(address spender, uint256 tokenId, uint256 deadline, bytes calldata signature) external {
+    if (block.timestamp > deadline) {
+      revert PermitExpired(deadline);
+    }
+
+    address owner = baseline().ownerOf(tokenId);
+    bytes32 digest = Utils.toTypedDataHash(
+      baseline().DOMAIN_SEPARATOR(),
+      keccak256(abi.encode(_PERMIT_TYPEHASH, spender, tokenId, _getStorage()._permitNonces[tokenId]++, deadline))
+    );
+
+    if (owner.code.length > 0) {
+      if (IERC1271(owner).isValidSignature(digest, signature) != IERC1271.isValidSignature.selector) {
+        revert IERC721Baseline.InvalidSignature();
+      }
+    } else if (Utils.recoverCalldata(digest, signature) != owner) {
+      revert IERC721Baseline.InvalidSignature();
+    }
+
+    // Like ERC721BaselineImplementation's `approve`.
+    if (spender != address(0)) {
+      _checkApprovalPolicies(spender);
+    }
+
+    if (_hookEnabled(IERC721Baseline.Hook.BeforeApprove)) {
+      _callHook(
+        IERC721Baseline.Hook.BeforeApprove,
+        abi.encodeCall(IERC721BaselineHooks._beforeApprove, (msg.sender, owner, spender, tokenId))
+      );
+    }
+
+    baseline().__approve(spender, tokenId, address(0), true);
+  }
+
+  /************************************************
+   * Multicall
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721BaselineExtension
+   */
+  function multicall(bytes[] calldata data) external returns (bytes[] memory results) {
+    results = new bytes[](data.length);
+
+    for (uint256 i = 0; i < data.length; i++) {
+      // The delegate call goes through the proxy fallback like any other call to the proxy.
+      results[i] = Address.functionDelegateCall(address(this), data[i]);
+    }
+  }
+}
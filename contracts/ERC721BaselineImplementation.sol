@@ -3,8 +3,13 @@
 pragma solidity 0.8.21;
 
 import {ERC721Upgradeable} from "./ERC721Upgradeable.sol";
+import {ERC721BaselineExtensionState} from "./ERC721BaselineExtension.sol";
+import {ERC721BaselineState} from "./ERC721BaselineState.sol";
 import {IERC165} from "@openzeppelin/contracts/interfaces/IERC165.sol";
-import {IERC721Baseline} from "./IERC721Baseline.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {BitMaps} from "@openzeppelin/contracts/utils/structs/BitMaps.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {IERC721Baseline, IERC721BaselineExtension, IERC721BaselineHooks, IERC721BaselineModule, ROLE_ROYALTIES_MANAGER} from "./IERC721Baseline.sol";
 import {IERC721Receiver} from "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
 import {Utils} from "./Utils.sol";
 
@@ -13,85 +18,33 @@ import {Utils} from "./Utils.sol";
  * @custom:version v0.1.0
  * @notice A baseline ERC721 contract implementation that exposes internal methods to a proxy instance.
  */
-contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
+contract ERC721BaselineImplementation is ERC721Upgradeable, ERC721BaselineExtensionState, ERC721BaselineState, IERC721Baseline {
 
-  /**
-   * @dev ERC721Baseline uses ERC-7201 (Namespaced Storage Layout)
-   * to prevent collisions with the proxies storage.
-   * See https://eips.ethereum.org/EIPS/eip-7201.
-   *
-   * Proxies are encouraged, but not required, to use a similar pattern for storage.
-   *
-   * @custom:storage-location erc7201:erc721baseline.implementation.storage
-   */
-  struct ERC721BaselineStorage {
-    string VERSION;
-
-    /**
-     * Metadata
-     */
-    uint256 totalSupply;
-
-    mapping(uint256 => string) __tokenURI;
-    string __sharedURI;
-    string __baseURI;
-
-    /**
-     * Royalties
-     */
-    address payable _royaltiesReceiver;
-    uint16 _royaltiesBps;
-
-    /**
-     * @dev Tracks whether the proxy's `_beforeTokenTransfer` hook is enabled or not.
-     * When enabled, this contract will call the hook when ERC721 calls `_update`.
-     */
-    bool _beforeTokenTransferHookEnabled;
-
-    /**
-     * Access Control
-     */
-
-    /**
-     * @dev Tracks the contract admins.
-     */
-    mapping(address => bool) _admins;
-    /**
-     * @dev Tracks the contract owner.
-     */
-    address _owner;
+  constructor() {
+    _getStorage().VERSION = "0.1.0";
+    _disableInitializers();
   }
 
   /**
-   * @dev The ERC7-201 storage slot. See https://eips.ethereum.org/EIPS/eip-7201.
-   * The namespace is:
-   * erc721baseline.implementation.storage
-   * keccak256(abi.encode(uint256(keccak256("erc721baseline.implementation.storage")) - 1)) & ~bytes32(uint256(0xff))
+   * @dev Delegates the calls to methods that are not implemented here to the module the proxy enabled for them,
+   * in the proxy context and with the same msg.sender. Reverts with `ModuleNotFound` when there is none.
    */
-  bytes32 private constant ERC721BaselineStorageLocation = 0xd70e9a647412bf72add39fd1ab5a6a89bfb0d778061be5e3d13cfa60d9d90b00;
+  fallback() external {
+    address module = _getStorage()._modules[msg.sig];
 
-  /**
-   * @dev Convenience method to access the storage at ERC721BaselineStorageLocation location.
-   *
-   * Usage:
-   *
-   *  ERC721BaselineStorage storage $ = _getStorage();
-   *
-   *  if ($._royaltiesReceiver != address(0)) {
-   *    $._royaltiesReceiver = address(0);
-   *  }
-   *
-   * @return $ a reference to the storage at ERC721BaselineStorageLocation location for reading and writing
-   */
-  function _getStorage() private pure returns (ERC721BaselineStorage storage $) {
-    assembly {
-      $.slot := ERC721BaselineStorageLocation
+    if (module == address(0)) {
+      revert ModuleNotFound(msg.sig);
     }
-  }
 
-  constructor() {
-    _getStorage().VERSION = "0.1.0";
-    _disableInitializers();
+    assembly {
+      calldatacopy(0, 0, calldatasize())
+      let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+      returndatacopy(0, 0, returndatasize())
+      if success {
+        return(0, returndatasize())
+      }
+      revert(0, returndatasize())
+    }
   }
 
   /**
@@ -106,10 +59,18 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @dev Throws if called by any account other than the proxy contract itself.
    */
   modifier onlyProxy {
-    if (_msgSender() != address(this)) {
+    _checkProxy();
+    _;
+  }
+
+  /**
+   * @dev Throws if called by any account other than the proxy contract itself.
+   * The proxy has no code yet when it delegatecalls from its constructor, eg. to enable enumeration.
+   */
+  function _checkProxy() internal view {
+    if (_msgSender() != address(this) && address(this).code.length > 0) {
       revert NotProxy();
     }
-    _;
   }
 
 
@@ -124,6 +85,8 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     return (
       interfaceId == /* NFT Royalty Standard */ bytes4(0x2a55205a) ||
       interfaceId == /* Metadata Update Extension */ bytes4(0x49064906) ||
+      (interfaceId == /* ERC-4494 Permit */ bytes4(0x5604e225) && _getStorage()._modules[IERC721BaselineExtension.permit.selector] != address(0)) ||
+      (interfaceId == /* ERC721Enumerable */ bytes4(0x780e9d63) && _getStorage()._enumerable) ||
       interfaceId == type(IERC721Baseline).interfaceId ||
       super.supportsInterface(interfaceId)
     );
@@ -186,6 +149,7 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    */
   function __setSharedURI(string calldata sharedURI) external onlyProxy {
     _getStorage().__sharedURI = sharedURI;
+    _emitMintedMetadataUpdate();
   }
 
   /**
@@ -200,6 +164,19 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    */
   function __setBaseURI(string calldata baseURI) external onlyProxy {
     _getStorage().__baseURI = baseURI;
+    _emitMintedMetadataUpdate();
+  }
+
+  /**
+   * @dev Internal method: emits EIP-4906's `BatchMetadataUpdate` event for the tokens minted in sequential mode.
+   * Without sequential mode the minted token IDs are unknown and the proxy has to emit the event.
+   */
+  function _emitMintedMetadataUpdate() internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._nextTokenId > $._startTokenId) {
+      emit BatchMetadataUpdate($._startTokenId, $._nextTokenId - 1);
+    }
   }
 
   /**
@@ -208,9 +185,13 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @dev The tokenURI implementation allows to define uris in the following order:
    *
    * 1. Token-specific URI by ID.
-   * 2. Shared URI.
-   * 3. Shared base URI + token ID.
-   * 4. Empty string if none of the above was found.
+   * 2. On-chain rendering, when an SVG template is set.
+   * 3. Shared URI.
+   * 4. Shared base URI + token ID, offset by the starting index once revealed (see `IERC721BaselineProvenance.reveal`).
+   * 5. Empty string if none of the above was found.
+   *
+   * When the `TokenURI` hook is enabled the proxy's `_tokenURI` method
+   * receives the resolved URI and returns the token URI.
    *
    * @param tokenId token ID
    * @return string the token URI
@@ -218,6 +199,23 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
   function tokenURI(uint256 tokenId) public view override returns (string memory) {
     _requireOwned(tokenId);
 
+    string memory uri = _resolveTokenURI(tokenId);
+
+    if (_hookEnabled(Hook.TokenURI)) {
+      (bool success, bytes memory result) = address(this).staticcall(
+        abi.encodeCall(IERC721BaselineHooks._tokenURI, (tokenId, uri))
+      );
+      _requireHookSuccess(Hook.TokenURI, success, result);
+      uri = abi.decode(result, (string));
+    }
+
+    return uri;
+  }
+
+  /**
+   * @dev Internal method: resolves the token URI from the token-specific URI, on-chain rendering, shared URI and base URI.
+   */
+  function _resolveTokenURI(uint256 tokenId) internal view returns (string memory) {
     ERC721BaselineStorage storage $ = _getStorage();
 
     string memory uri = $.__tokenURI[tokenId];
@@ -226,11 +224,23 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
       return uri;
     }
 
+    ERC721BaselineExtensionStorage storage extension = _getExtensionStorage();
+
+    if (bytes(extension._svgTemplate).length > 0) {
+      // The template can only be set with the extension, see `IERC721BaselineExtension.__setSVGTemplate`.
+      return IERC721BaselineExtension(address(this)).renderTokenURI(tokenId);
+    }
+
     if (bytes($.__sharedURI).length > 0) {
       return $.__sharedURI;
     }
 
     if (bytes($.__baseURI).length > 0) {
+      // Revealed collections offset the metadata IDs of the sequential range, see `IERC721BaselineProvenance.reveal`.
+      uint256 startingIndex = extension._startingIndex;
+      if (startingIndex > 0 && tokenId >= $._startTokenId && tokenId - $._startTokenId < $._maxSupply) {
+        tokenId = $._startTokenId + (tokenId - $._startTokenId + startingIndex) % $._maxSupply;
+      }
       return string.concat($.__baseURI, Utils.toString(tokenId));
     }
 
@@ -255,23 +265,81 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     return _getStorage()._royaltiesBps;
   }
 
+  /**
+   * @dev Internal method: returns the royalties configuration for a token ID in the following order:
+   *
+   * 1. Token-specific configuration.
+   * 2. The most recently configured range that includes the token ID.
+   * 3. Contract-wide configuration.
+   *
+   * A range configured with the zero address as receiver falls back to the contract-wide configuration.
+   *
+   * @param tokenId token ID
+   * @return receiver the royalties receiver
+   * @return bps the royalties rate
+   */
+  function _royalties(uint256 tokenId) internal view returns (address payable receiver, uint16 bps) {
+    ERC721BaselineStorage storage $ = _getStorage();
+    // The token and range configurations are set with the extension, see `IERC721BaselineExtension.configureTokenRoyalties`.
+    ERC721BaselineExtensionStorage storage extension = _getExtensionStorage();
+
+    RoyaltiesConfig storage royalties = extension._tokenRoyalties[tokenId];
+
+    if (royalties.receiver != address(0)) {
+      return (royalties.receiver, royalties.bps);
+    }
+
+    for (uint256 i = extension._royaltiesRanges.length; i > 0; i--) {
+      RoyaltiesRange storage range = extension._royaltiesRanges[i - 1];
+
+      if (tokenId >= range.fromTokenId && tokenId <= range.toTokenId) {
+        if (range.royalties.receiver != address(0)) {
+          return (range.royalties.receiver, range.royalties.bps);
+        }
+        break;
+      }
+    }
+
+    return ($._royaltiesReceiver, $._royaltiesBps);
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function royaltiesOf(uint256 tokenId) external view returns (address receiver, uint256 bps) {
+    return _royalties(tokenId);
+  }
+
   /**
    * @dev See {IERC2981-royaltyInfo}.
    */
   function royaltyInfo(
-    uint256,
+    uint256 tokenId,
     uint256 salePrice
   ) external view returns (address, uint256) {
-    ERC721BaselineStorage storage $ = _getStorage();
+    (address payable receiver, uint16 bps) = _royalties(tokenId);
 
-    if ($._royaltiesBps > 0 && $._royaltiesReceiver != address(0)) {
-      return ($._royaltiesReceiver, salePrice * $._royaltiesBps / 10000);
+    if (bps > 0 && receiver != address(0)) {
+      return (receiver, salePrice * bps / 10000);
     }
 
     return (address(0), 0);
   }
 
+  /**
+   * @dev Internal method: reverts when the royalties rate is greater than 100%.
+   *
+   * @param bps (basis points) royalties rate
+   */
+  function _validateRoyaltiesBps(uint16 bps) internal pure {
+    if (bps > 10000) {
+      revert InvalidRoyaltiesBps(bps);
+    }
+  }
+
   function _configureRoyalties(address payable receiver, uint16 bps) internal {
+    _validateRoyaltiesBps(bps);
+
     ERC721BaselineStorage storage $ = _getStorage();
 
     if (receiver != $._royaltiesReceiver) {
@@ -281,13 +349,15 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     if (bps != $._royaltiesBps) {
       $._royaltiesBps = bps;
     }
+
+    emit RoyaltiesUpdated(receiver, bps);
   }
 
   /**
    * @inheritdoc IERC721Baseline
    */
   function configureRoyalties(address payable receiver, uint16 bps) external {
-    this.requireAdmin(_msgSender());
+    _requireRole(_msgSender(), ROLE_ROYALTIES_MANAGER);
     _configureRoyalties(receiver, bps);
   }
 
@@ -313,25 +383,30 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @inheritdoc IERC721Baseline
    */
   function __update(address to, uint256 tokenId, address auth) external onlyProxy returns (address) {
-    return super._update(to, tokenId, auth);
+    return _update(to, tokenId, auth);
   }
 
   /**
    * @inheritdoc IERC721Baseline
    */
   function __mint(address to, uint256 tokenId) external onlyProxy {
-    _getStorage().totalSupply += 1;
-    _mint(to, tokenId);
+    _mintToken(to, tokenId);
   }
 
   /**
    * @inheritdoc IERC721Baseline
    */
   function __mint(address to, uint256 tokenId, string calldata tokenURI) external onlyProxy {
-    ERC721BaselineStorage storage $ = _getStorage();
+    _getStorage().__tokenURI[tokenId] = tokenURI;
+    _mintToken(to, tokenId);
+  }
 
-    $.totalSupply += 1;
-    $.__tokenURI[tokenId] = tokenURI;
+  /**
+   * @dev Internal method: mints a token outside of sequential mode and increments the total supply.
+   */
+  function _mintToken(address to, uint256 tokenId) internal {
+    _requireNotSequential();
+    _getStorage().totalSupply += 1;
     _mint(to, tokenId);
   }
 
@@ -339,15 +414,202 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @inheritdoc IERC721Baseline
    */
   function __burn(uint256 tokenId) external onlyProxy {
+    _getStorage().totalSupply -= 1;
+    _burnWithMetadata(tokenId);
+  }
+
+  /**
+   * @dev Internal method: burns a token and deletes its token URI and attributes.
+   */
+  function _burnWithMetadata(uint256 tokenId) internal {
     ERC721BaselineStorage storage $ = _getStorage();
 
-    $.totalSupply -= 1;
     if (bytes($.__tokenURI[tokenId]).length > 0) {
       delete $.__tokenURI[tokenId];
     }
+    if (_getExtensionStorage()._tokenAttributes[tokenId].length > 0) {
+      delete _getExtensionStorage()._tokenAttributes[tokenId];
+    }
     _burn(tokenId);
   }
 
+  /**
+   * Internal ERC721 methods exposed to the proxy > Batch operations
+   */
+
+  /**
+   * @dev Internal method: reverts when two arrays that are processed together have different lengths.
+   */
+  function _requireSameLength(uint256 length, uint256 otherLength) internal pure {
+    if (length != otherLength) {
+      revert InvalidArrayLength(length, otherLength);
+    }
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __mintBatch(address[] calldata to, uint256[] calldata tokenIds) external onlyProxy {
+    _requireNotSequential();
+    _requireSameLength(to.length, tokenIds.length);
+
+    _getStorage().totalSupply += tokenIds.length;
+
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      _mint(to[i], tokenIds[i]);
+    }
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __burnBatch(uint256[] calldata tokenIds) external onlyProxy {
+    _getStorage().totalSupply -= tokenIds.length;
+
+    for (uint256 i = 0; i < tokenIds.length; i++) {
+      _burnWithMetadata(tokenIds[i]);
+    }
+  }
+
+  /**
+   * Internal ERC721 methods exposed to the proxy > Sequential mint
+   */
+
+  /**
+   * @dev Internal method: reverts when sequential mode is enabled
+   * since minting arbitrary token IDs could collide with the sequential ones.
+   */
+  function _requireNotSequential() internal view {
+    if (_getStorage()._maxSupply > 0) {
+      revert SequentialMintEnabled();
+    }
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function sequentialMint() external view returns (uint256 startTokenId, uint256 nextTokenId, uint256 maxSupply) {
+    ERC721BaselineStorage storage $ = _getStorage();
+    return ($._startTokenId, $._nextTokenId, $._maxSupply);
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __enableSequentialMint(uint256 startTokenId, uint256 maxSupply) external onlyProxy {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._maxSupply > 0) {
+      revert SequentialMintEnabled();
+    }
+    if (maxSupply == 0) {
+      revert InvalidMaxSupply(maxSupply);
+    }
+
+    $._startTokenId = startTokenId;
+    $._nextTokenId = startTokenId;
+    $._maxSupply = maxSupply;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __mintNext(address to, uint256 quantity) external onlyProxy returns (uint256 firstTokenId) {
+    firstTokenId = _reserveNext(quantity);
+
+    for (uint256 tokenId = firstTokenId; tokenId < firstTokenId + quantity; tokenId++) {
+      _mint(to, tokenId);
+    }
+  }
+
+  /**
+   * @dev Internal method: allocates the next `quantity` sequential token IDs, increments the total supply
+   * and returns the first token ID.
+   */
+  function _reserveNext(uint256 quantity) internal returns (uint256 firstTokenId) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._maxSupply == 0) {
+      revert SequentialMintDisabled();
+    }
+
+    firstTokenId = $._nextTokenId;
+    uint256 nextTokenId = firstTokenId + quantity;
+
+    if (nextTokenId - $._startTokenId > $._maxSupply) {
+      revert MaxSupplyExceeded($._maxSupply);
+    }
+
+    $._nextTokenId = nextTokenId;
+    $.totalSupply += quantity;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __mintConsecutive(address to, uint256 quantity) external onlyProxy returns (uint256 firstTokenId) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if (to == address(0)) {
+      revert ERC721InvalidReceiver(address(0));
+    }
+
+    // Outside of the proxy constructor the ERC-2309 event would not be picked up by indexers,
+    // and enumeration would need a write per token.
+    if (quantity == 0 || address(this).code.length > 0 || $._enumerable) {
+      revert InvalidConsecutiveMint();
+    }
+
+    firstTokenId = _reserveNext(quantity);
+    uint256 lastTokenId = firstTokenId + quantity - 1;
+
+    if (lastTokenId > type(uint96).max) {
+      revert InvalidConsecutiveMint();
+    }
+
+    _increaseBalance(to, uint128(quantity));
+    $._consecutiveRanges.push(lastTokenId << 160 | uint160(to));
+    emit ConsecutiveTransfer(firstTokenId, lastTokenId, address(0), to);
+  }
+
+  /**
+   * @dev Internal method: returns the recipient of the consecutive range that includes `tokenId`,
+   * the zero address when there is none or the token was burned.
+   * Transferred tokens have an owner in the ERC721 storage, see `_ownerOf`.
+   */
+  function _consecutiveOwnerOf(uint256 tokenId) internal view returns (address) {
+    ERC721BaselineStorage storage $ = _getStorage();
+    uint256[] storage ranges = $._consecutiveRanges;
+
+    uint256 high = ranges.length;
+
+    if (high == 0 || tokenId < $._startTokenId || tokenId > ranges[high - 1] >> 160 || BitMaps.get($._consecutiveBurns, tokenId)) {
+      return address(0);
+    }
+
+    // Finds the first range that ends at or after tokenId.
+    uint256 low = 0;
+    while (low < high) {
+      uint256 mid = (low + high) / 2;
+      if (ranges[mid] >> 160 < tokenId) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return address(uint160(ranges[low]));
+  }
+
+  /**
+   * @dev See {ERC721-_ownerOf}.
+   * @dev Resolves the tokens minted by `__mintConsecutive` that were never transferred.
+   */
+  function _ownerOf(uint256 tokenId) internal view override returns (address) {
+    address owner = super._ownerOf(tokenId);
+    return owner == address(0) ? _consecutiveOwnerOf(tokenId) : owner;
+  }
+
   /**
    * @inheritdoc IERC721Baseline
    */
@@ -364,9 +626,11 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
 
   /**
    * @dev See {ERC721-_update}.
-   * @dev Allows to define a `_beforeTokenTransfer` hook method in the proxy contract that is called when `_beforeTokenTransferHookEnabled` is `true`.
+   * @dev Shared by mints, transfers, burns and `__update`.
+   * Checks the transfer policies and calls the proxy's `_beforeTokenTransfer` and `_afterTokenTransfer` hooks when enabled.
+   * Increments the permit nonce of transferred and burned tokens.
    *
-   * The proxy's `_beforeTokenTransfer` method is called with the following params:
+   * The proxy's hook methods are called with the following params:
    *
    * - address the transaction's _msgSender()
    * - address from
@@ -378,26 +642,71 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     uint256 tokenId,
     address auth
   ) internal override returns (address) {
-    if (_getStorage()._beforeTokenTransferHookEnabled == true) {
-      (bool success, bytes memory reason) = address(this).delegatecall(
-        abi.encodeWithSignature(
-          "_beforeTokenTransfer(address,address,address,uint256)",
-          _msgSender(),
-          _ownerOf(tokenId),
-          to,
-          tokenId
-        )
+    address owner = _ownerOf(tokenId);
+
+    _checkTransferPolicies(owner, to, tokenId);
+    _callTransferHook(Hook.BeforeTokenTransfer, owner, to, tokenId);
+
+    address from = super._update(to, tokenId, auth);
+    _updateEnumeration(from, to, tokenId);
+
+    // Invalidates the permits signed by the previous owner.
+    if (from != address(0)) {
+      _getStorage()._permitNonces[tokenId]++;
+    }
+
+    // Burned tokens of a consecutive range must not resolve to the range recipient.
+    if (to == address(0) && _consecutiveOwnerOf(tokenId) != address(0)) {
+      BitMaps.set(_getStorage()._consecutiveBurns, tokenId);
+    }
+
+    _callTransferHook(Hook.AfterTokenTransfer, from, to, tokenId);
+
+    return from;
+  }
+
+  /**
+   * @dev See {ERC721-approve}.
+   * @dev Checks the transfer policies and calls the proxy's `_beforeApprove` hook when enabled.
+   */
+  function approve(address to, uint256 tokenId) public override(IERC721, ERC721Upgradeable) {
+    _beforeApprove(to, tokenId);
+    super.approve(to, tokenId);
+  }
+
+  /**
+   * @dev Internal method: checks the transfer policies and calls the proxy's `_beforeApprove` hook when enabled.
+   */
+  function _beforeApprove(address to, uint256 tokenId) internal {
+    if (to != address(0)) {
+      _checkApprovalPolicies(to);
+    }
+
+    if (_hookEnabled(Hook.BeforeApprove)) {
+      _callHook(
+        Hook.BeforeApprove,
+        abi.encodeCall(IERC721BaselineHooks._beforeApprove, (_msgSender(), _ownerOf(tokenId), to, tokenId))
       );
+    }
+  }
 
-      if (success == false) {
-        if (reason.length == 0) revert("_beforeTokenTransfer");
-        assembly {
-          revert(add(32, reason), mload(reason))
-        }
-      }
+  /**
+   * @dev See {ERC721-setApprovalForAll}.
+   * @dev Checks the transfer policies and calls the proxy's `_beforeSetApprovalForAll` hook when enabled.
+   */
+  function setApprovalForAll(address operator, bool approved) public override(IERC721, ERC721Upgradeable) {
+    if (approved) {
+      _checkApprovalPolicies(operator);
     }
 
-    return super._update(to, tokenId, auth);
+    if (_hookEnabled(Hook.BeforeSetApprovalForAll)) {
+      _callHook(
+        Hook.BeforeSetApprovalForAll,
+        abi.encodeCall(IERC721BaselineHooks._beforeSetApprovalForAll, (_msgSender(), operator, approved))
+      );
+    }
+
+    super.setApprovalForAll(operator, approved);
   }
 
   /**
@@ -436,28 +745,320 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
 
 
   /************************************************
-   * Access control
+   * Hooks
    ************************************************/
 
   /**
-   * Implements a multi-admin system and a minimal Ownable-compatible API.
+   * @inheritdoc IERC721Baseline
    */
+  function hookEnabled(Hook hook) external view returns (bool) {
+    return _hookEnabled(hook);
+  }
 
   /**
-   * Access control > multi-admin system
+   * @inheritdoc IERC721Baseline
+   */
+  function __setHookEnabled(Hook hook, bool enabled) external onlyProxy {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if (hook == Hook.BeforeTokenTransfer) {
+      $._beforeTokenTransferHookEnabled = enabled;
+    } else if (enabled) {
+      $._hooks |= uint256(1) << uint8(hook);
+    } else {
+      $._hooks &= ~(uint256(1) << uint8(hook));
+    }
+  }
+
+  /**
+   * @dev Internal method: calls the proxy's `_beforeTokenTransfer` or `_afterTokenTransfer` hook when enabled.
+   */
+  function _callTransferHook(Hook hook, address from, address to, uint256 tokenId) internal {
+    if (_hookEnabled(hook)) {
+      bytes4 selector = hook == Hook.BeforeTokenTransfer
+        ? IERC721BaselineHooks._beforeTokenTransfer.selector
+        : IERC721BaselineHooks._afterTokenTransfer.selector;
+
+      _callHook(hook, abi.encodeWithSelector(selector, _msgSender(), from, to, tokenId));
+    }
+  }
+
+
+  /************************************************
+   * Transfer policies
+   ************************************************/
+
+  /**
+   * @dev Internal method: reverts when a transfer violates the transfer policies.
+   * Mints and burns are always allowed, burns remove the token lock.
+   *
+   * The policies are configured with the extension, see IERC721BaselineExtension.
+   */
+  function _checkTransferPolicies(address from, address to, uint256 tokenId) internal {
+    if (from == address(0)) {
+      return;
+    }
+
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+
+    if (to == address(0)) {
+      if ($._transferLocks[tokenId] != 0) {
+        delete $._transferLocks[tokenId];
+      }
+      return;
+    }
+
+    if ($._nonTransferable) {
+      revert NonTransferable();
+    }
+
+    address sender = _msgSender();
+    if (sender != from && $._deniedOperators[sender]) {
+      revert OperatorDenied(sender);
+    }
+
+    uint256 until = $._transferLocks[tokenId];
+    if (until > block.timestamp) {
+      revert TransferLocked(tokenId, until);
+    }
+  }
+
+
+  /************************************************
+   * Enumeration (ERC721Enumerable)
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function enumerable() external view returns (bool) {
+    return _getStorage()._enumerable;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __enableEnumeration() external onlyProxy {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($.totalSupply > 0) {
+      revert EnumerationRequiresEmptySupply($.totalSupply);
+    }
+
+    $._enumerable = true;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function tokenByIndex(uint256 index) external view returns (uint256) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._enumerable == false) {
+      revert EnumerationDisabled();
+    }
+    if (index >= $._allTokens.length) {
+      revert ERC721OutOfBoundsIndex(address(0), index);
+    }
+
+    return $._allTokens[index];
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._enumerable == false) {
+      revert EnumerationDisabled();
+    }
+    if (index >= balanceOf(owner)) {
+      revert ERC721OutOfBoundsIndex(owner, index);
+    }
+
+    return $._ownedTokens[owner][index];
+  }
+
+  /**
+   * @dev Internal method: updates the token lists after `tokenId` moved from `from` to `to`.
+   * Removals swap the token with the last one of the list, as in {ERC721Enumerable}.
+   */
+  function _updateEnumeration(address from, address to, uint256 tokenId) internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if ($._enumerable == false || from == to) {
+      return;
+    }
+
+    if (from == address(0)) {
+      $._allTokensIndex[tokenId] = $._allTokens.length;
+      $._allTokens.push(tokenId);
+    } else {
+      // `from` balance is already decreased.
+      uint256 lastIndex = balanceOf(from);
+      uint256 index = $._ownedTokensIndex[tokenId];
+
+      if (index != lastIndex) {
+        uint256 lastTokenId = $._ownedTokens[from][lastIndex];
+        $._ownedTokens[from][index] = lastTokenId;
+        $._ownedTokensIndex[lastTokenId] = index;
+      }
+      delete $._ownedTokensIndex[tokenId];
+      delete $._ownedTokens[from][lastIndex];
+    }
+
+    if (to == address(0)) {
+      uint256 lastIndex = $._allTokens.length - 1;
+      uint256 index = $._allTokensIndex[tokenId];
+      uint256 lastTokenId = $._allTokens[lastIndex];
+
+      $._allTokens[index] = lastTokenId;
+      $._allTokensIndex[lastTokenId] = index;
+      delete $._allTokensIndex[tokenId];
+      $._allTokens.pop();
+    } else {
+      // `to` balance is already increased.
+      uint256 index = balanceOf(to) - 1;
+      $._ownedTokens[to][index] = tokenId;
+      $._ownedTokensIndex[tokenId] = index;
+    }
+  }
+
+
+  /************************************************
+   * Upgrades
+   ************************************************/
+
+  struct ImplementationSlot {
+    address value;
+  }
+
+  /**
+   * @dev Storage slot with the address of the current implementation.
+   * This is the keccak-256 hash of "eip1967.proxy.implementation" subtracted by 1.
+   * See ERC721Baseline.
+   */
+  bytes32 private constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+  /**
+   * @dev The implementation address, used to tell apart direct calls from delegated ones.
    */
+  address private immutable _self = address(this);
 
   /**
-   * @dev Internal method: checks if an address is the contract owner or an admin.
+   * @inheritdoc IERC721Baseline
+   */
+  function proxiableUUID() external view returns (bytes32) {
+    // Proxies delegate this call to their implementation and would pass as valid implementations.
+    if (address(this) != _self) {
+      revert Unauthorized();
+    }
+    return _IMPLEMENTATION_SLOT;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function upgradesEnabled() external view returns (bool) {
+    return _getStorage()._upgradesEnabled;
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __setUpgradesEnabled(bool enabled) external onlyProxy {
+    _getStorage()._upgradesEnabled = enabled;
+  }
+
+  /**
+   * @dev Internal method: sets a new implementation in the EIP-1967 implementation slot.
    *
-   * @param addr address to check
-   * @return bool whether the address is an admin or not
+   * @param newImplementation the new implementation address
+   */
+  function _upgradeTo(address newImplementation) internal {
+    if (_getStorage()._upgradesEnabled == false) {
+      revert UpgradesDisabled();
+    }
+
+    if (newImplementation.code.length == 0) {
+      revert InvalidImplementation(newImplementation);
+    }
+
+    try IERC721Baseline(newImplementation).proxiableUUID() returns (bytes32 slot) {
+      if (slot != _IMPLEMENTATION_SLOT) {
+        revert InvalidImplementation(newImplementation);
+      }
+    } catch {
+      revert InvalidImplementation(newImplementation);
+    }
+
+    ImplementationSlot storage implementation;
+    assembly {
+      implementation.slot := _IMPLEMENTATION_SLOT
+    }
+    implementation.value = newImplementation;
+
+    emit Upgraded(newImplementation);
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function upgradeTo(address newImplementation) external {
+    _requireAdmin(_msgSender());
+    _upgradeTo(newImplementation);
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
    */
-  function _isAdmin(address addr) internal view returns (bool) {
+  function __upgradeTo(address newImplementation) external onlyProxy {
+    _upgradeTo(newImplementation);
+  }
+
+
+  /************************************************
+   * Modules
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function moduleOf(bytes4 selector) external view returns (address) {
+    return _getStorage()._modules[selector];
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function __setModule(address module, bytes4[] calldata selectors) external onlyProxy {
+    if (module != address(0) && module.code.length == 0) {
+      revert InvalidModule(module);
+    }
+
     ERC721BaselineStorage storage $ = _getStorage();
-    return $._owner == addr || $._admins[addr] == true;
+
+    for (uint256 i = 0; i < selectors.length; i++) {
+      $._modules[selectors[i]] = module;
+    }
+
+    emit ModuleUpdated(module, selectors);
   }
 
+
+  /************************************************
+   * Access control
+   ************************************************/
+
+  /**
+   * Implements a multi-admin system and a minimal Ownable-compatible API.
+   */
+
+  /**
+   * Access control > multi-admin system
+   */
+
   /**
    * @inheritdoc IERC721Baseline
    */
@@ -472,10 +1073,14 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @param add boolean indicating whether the address should be granted or revoked rights
    */
   function _setAdmin(address addr, bool add) internal {
+    ERC721BaselineStorage storage $ = _getStorage();
+
     if (add) {
-      _getStorage()._admins[addr] = true;
+      $._admins[addr] = true;
+      EnumerableSet.add($._adminsSet, addr);
     } else {
-      delete _getStorage()._admins[addr];
+      delete $._admins[addr];
+      EnumerableSet.remove($._adminsSet, addr);
     }
     emit AdminSet(addr, add);
   }
@@ -484,7 +1089,7 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @inheritdoc IERC721Baseline
    */
   function setAdmin(address addr, bool add) external {
-    this.requireAdmin(_msgSender());
+    _requireAdmin(_msgSender());
     _setAdmin(addr, add);
   }
 
@@ -499,9 +1104,25 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @inheritdoc IERC721Baseline
    */
   function requireAdmin(address addr) external view {
-    if (_isAdmin(addr) == false) {
-      revert Unauthorized();
-    }
+    _requireAdmin(addr);
+  }
+
+  /**
+   * Access control > roles
+   */
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function hasRole(address addr, uint256 roles) external view returns (bool) {
+    return _hasRole(addr, roles);
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function requireRole(address addr, uint256 roles) external view {
+    _requireRole(addr, roles);
   }
 
   /**
@@ -524,6 +1145,9 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     ERC721BaselineStorage storage $ = _getStorage();
     address oldOwner = $._owner;
     $._owner = newOwner;
+    if ($._pendingOwner != address(0)) {
+      delete $._pendingOwner;
+    }
     emit OwnershipTransferred(oldOwner, newOwner);
   }
 
@@ -531,7 +1155,7 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
    * @inheritdoc IERC721Baseline
    */
   function transferOwnership(address newOwner) external {
-    this.requireAdmin(_msgSender());
+    _requireAdmin(_msgSender());
     _transferOwnership(newOwner);
   }
 
@@ -561,6 +1185,48 @@ contract ERC721BaselineImplementation is ERC721Upgradeable, IERC721Baseline {
     return Utils.recoverCalldata(Utils.toEthSignedMessageHash(hash), signature);
   }
 
+  /**
+   * @dev EIP-712 domain type hash.
+   * keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)")
+   */
+  bytes32 private constant _DOMAIN_TYPEHASH = 0x8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f;
+
+  /**
+   * @dev EIP-712 domain version hash.
+   * keccak256("1")
+   */
+  bytes32 private constant _DOMAIN_VERSION_HASH = 0xc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc6;
+
+  /**
+   * @dev Internal method: returns the EIP-712 domain separator of the proxy.
+   * It is computed on every call so that it is correct after a chain fork.
+   */
+  function _domainSeparator() internal view returns (bytes32) {
+    return keccak256(
+      abi.encode(
+        _DOMAIN_TYPEHASH,
+        keccak256(bytes(name())),
+        _DOMAIN_VERSION_HASH,
+        block.chainid,
+        address(this)
+      )
+    );
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function DOMAIN_SEPARATOR() external view returns (bytes32) {
+    return _domainSeparator();
+  }
+
+  /**
+   * @inheritdoc IERC721Baseline
+   */
+  function recoverTypedData(bytes32 structHash, bytes calldata signature) external view returns (address) {
+    return Utils.recoverCalldata(Utils.toTypedDataHash(_domainSeparator(), structHash), signature);
+  }
+
   /**
    * @inheritdoc IERC721Baseline
    */
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721BaselineState} from "./ERC721BaselineState.sol";
+import {IERC721Baseline, IERC721BaselineModule} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineModule
+ * @notice The base contract of the modules of ERC721BaselineImplementation.
+ *
+ * @dev Modules are deployed once and shared like the implementation. Proxies enable them with
+ * `IERC721Baseline.__setModule` and the implementation delegates to them the calls it doesn't implement,
+ * therefore modules run in the proxy context and can use the implementation state.
+ *
+ * Since the calls are delegated msg.sender is the proxy caller, or the proxy itself
+ * for calls made with `baseline()`, like in ERC721BaselineImplementation.
+ */
+abstract contract ERC721BaselineModule is ERC721BaselineState, IERC721BaselineModule {
+
+  /**
+   * @dev See ERC721BaselineImplementation's `onlyProxy`.
+   */
+  modifier onlyProxy {
+    if (msg.sender != address(this) && address(this).code.length > 0) {
+      revert IERC721Baseline.NotProxy();
+    }
+    _;
+  }
+
+  /**
+   * @dev Internal method: returns a reference to the implementation in the proxy context,
+   * like ERC721Baseline's `baseline()`. The calls to `__` methods pass `onlyProxy`.
+   */
+  function baseline() internal view returns (IERC721Baseline) {
+    return IERC721Baseline(address(this));
+  }
+}
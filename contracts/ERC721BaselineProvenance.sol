@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721BaselineExtensionState} from "./ERC721BaselineExtension.sol";
+import {ERC721BaselineModule} from "./ERC721BaselineModule.sol";
+import {IERC721Baseline, IERC721BaselineModule, IERC721BaselineProvenance, ROLE_METADATA_MANAGER} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineProvenance
+ * @custom:version v0.1.0
+ * @notice The provenance commitment and the reveal for proxies built on ERC721BaselineImplementation,
+ * see IERC721BaselineProvenance.
+ *
+ * @dev The provenance is a module, see ERC721BaselineModule.
+ * Its state is part of the extension namespace, see ERC721BaselineExtensionState.
+ */
+contract ERC721BaselineProvenance is ERC721BaselineModule, ERC721BaselineExtensionState, IERC721BaselineProvenance {
+
+  /**
+   * @inheritdoc IERC721BaselineModule
+   */
+  function selectors() external pure returns (bytes4[] memory selectors) {
+    selectors = new bytes4[](5);
+    selectors[0] = IERC721BaselineProvenance.provenance.selector;
+    selectors[1] = IERC721BaselineProvenance.setProvenanceHash.selector;
+    selectors[2] = IERC721BaselineProvenance.__setProvenanceHash.selector;
+    selectors[3] = IERC721BaselineProvenance.reveal.selector;
+    selectors[4] = IERC721BaselineProvenance.__reveal.selector;
+  }
+
+  /************************************************
+   * Provenance
+   ************************************************/
+
+  /**
+   * @inheritdoc IERC721BaselineProvenance
+   */
+  function provenance() external view returns (bytes32 provenanceHash, uint256 startingIndex, bool revealed) {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+    return ($._provenanceHash, $._startingIndex, $._revealed);
+  }
+
+  /**
+   * @dev Internal method: commits the provenance hash before the mint.
+   */
+  function _setProvenanceHash(bytes32 provenanceHash) internal {
+    (uint256 startTokenId, uint256 nextTokenId, uint256 maxSupply) = baseline().sequentialMint();
+
+    if (maxSupply == 0) {
+      revert IERC721Baseline.SequentialMintDisabled();
+    }
+    // totalSupply also counts the tokens minted before sequential mode was enabled.
+    if (nextTokenId != startTokenId || baseline().totalSupply() > 0 || _getExtensionStorage()._revealed) {
+      revert ProvenanceFrozen();
+    }
+
+    _getExtensionStorage()._provenanceHash = provenanceHash;
+    emit ProvenanceHashUpdated(provenanceHash);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineProvenance
+   */
+  function setProvenanceHash(bytes32 provenanceHash) external {
+    _requireRole(msg.sender, ROLE_METADATA_MANAGER);
+    _setProvenanceHash(provenanceHash);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineProvenance
+   */
+  function __setProvenanceHash(bytes32 provenanceHash) external onlyProxy {
+    _setProvenanceHash(provenanceHash);
+  }
+
+  /**
+   * @dev Internal method: draws the starting index and clears the shared URI.
+   * ERC721BaselineImplementation applies the starting index when it resolves the base URI.
+   *
+   * The previous block hash only matters on chains where `block.prevrandao` is constant,
+   * it is known in advance like `block.prevrandao` and doesn't make the draw less predictable.
+   */
+  function _reveal() internal {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+
+    if ($._provenanceHash == 0) {
+      revert ProvenanceNotCommitted();
+    }
+    if ($._revealed) {
+      revert AlreadyRevealed();
+    }
+
+    (, , uint256 maxSupply) = baseline().sequentialMint();
+
+    $._revealed = true;
+    $._startingIndex = uint256(
+      keccak256(abi.encode(block.prevrandao, blockhash(block.number - 1), $._provenanceHash))
+    ) % maxSupply;
+
+    emit Revealed($._startingIndex);
+    // Emits BatchMetadataUpdate for the minted tokens.
+    baseline().__setSharedURI("");
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineProvenance
+   */
+  function reveal() external {
+    _requireRole(msg.sender, ROLE_METADATA_MANAGER);
+    _reveal();
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineProvenance
+   */
+  function __reveal() external onlyProxy {
+    _reveal();
+  }
+}
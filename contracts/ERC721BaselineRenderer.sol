@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {Utils} from "./Utils.sol";
+
+/**
+ * @title ERC721BaselineRenderer
+ * @custom:version v0.1.0
+ * @notice Renders token metadata on-chain as base64 data URIs.
+ *
+ * @dev ERC721BaselineExtension inherits this contract and exposes it as `renderTokenURI`,
+ * which ERC721BaselineImplementation calls to keep the rendering code out of its own bytecode,
+ * see `IERC721BaselineExtension.__setSVGTemplate`.
+ * The renderer is stateless: the extension passes the template and the attributes.
+ */
+abstract contract ERC721BaselineRenderer {
+
+  /**
+   * @dev Internal method: renders the token metadata.
+   * Returns a `data:application/json;base64,` URI with the following JSON:
+   *
+   *  {
+   *    "name": "<name> #<tokenId>",
+   *    "image": "data:image/svg+xml;base64,<the rendered svgTemplate>",
+   *    "attributes": [{ "trait_type": "<trait type>", "value": "<value>" }, ...]
+   *  }
+   *
+   * In `svgTemplate` the `{id}` placeholder is replaced with the token ID and `{<trait type>}`
+   * placeholders are replaced with the attribute values, unknown placeholders are left as they are.
+   *
+   * @param name the collection name
+   * @param tokenId token ID
+   * @param svgTemplate the SVG template
+   * @param attributes the ABI-encoded trait types and values (`string[]`, `string[]`), can be empty
+   * @return string the token URI
+   */
+  function _renderTokenURI(
+    string memory name,
+    uint256 tokenId,
+    string memory svgTemplate,
+    bytes memory attributes
+  ) internal pure returns (string memory) {
+    string memory id = Utils.toString(tokenId);
+
+    string[] memory traitTypes;
+    string[] memory values;
+    if (attributes.length > 0) {
+      (traitTypes, values) = abi.decode(attributes, (string[], string[]));
+    }
+
+    string memory traits;
+    for (uint256 i = 0; i < traitTypes.length; i++) {
+      traits = string.concat(
+        traits,
+        i > 0 ? "," : "",
+        '{"trait_type":"',
+        Utils.escapeJSON(traitTypes[i]),
+        '","value":"',
+        Utils.escapeJSON(values[i]),
+        '"}'
+      );
+    }
+
+    string memory json = string.concat(
+      '{"name":"',
+      Utils.escapeJSON(string.concat(name, " #", id)),
+      '","image":"data:image/svg+xml;base64,',
+      Utils.encodeBase64(bytes(_fill(svgTemplate, id, traitTypes, values))),
+      '","attributes":[',
+      traits,
+      "]}"
+    );
+
+    return string.concat("data:application/json;base64,", Utils.encodeBase64(bytes(json)));
+  }
+
+  /**
+   * @dev Internal method: replaces the `{id}` and `{<trait type>}` placeholders in `svgTemplate`.
+   */
+  function _fill(
+    string memory svgTemplate,
+    string memory id,
+    string[] memory traitTypes,
+    string[] memory values
+  ) internal pure returns (string memory result) {
+    bytes memory template = bytes(svgTemplate);
+    uint256 start = 0;
+
+    for (uint256 i = 0; i < template.length; i++) {
+      if (template[i] != "{") continue;
+
+      uint256 end = i + 1;
+      while (end < template.length && template[end] != "}") end++;
+      if (end == template.length) break;
+
+      bytes32 key = _hash(template, i + 1, end);
+      string memory value;
+      bool found = key == keccak256("id");
+
+      if (found) {
+        value = id;
+      } else {
+        for (uint256 j = 0; j < traitTypes.length; j++) {
+          if (key == keccak256(bytes(traitTypes[j]))) {
+            (value, found) = (values[j], true);
+            break;
+          }
+        }
+      }
+
+      if (found) {
+        result = string.concat(result, _slice(template, start, i), value);
+        start = end + 1;
+        i = end;
+      }
+    }
+
+    return string.concat(result, _slice(template, start, template.length));
+  }
+
+  /**
+   * @dev Internal method: returns the keccak256 hash of `data[start:end]`.
+   */
+  function _hash(bytes memory data, uint256 start, uint256 end) internal pure returns (bytes32 hash) {
+    assembly {
+      hash := keccak256(add(add(data, 0x20), start), sub(end, start))
+    }
+  }
+
+  /**
+   * @dev Internal method: returns a copy of `data[start:end]`.
+   */
+  function _slice(bytes memory data, uint256 start, uint256 end) internal pure returns (string memory) {
+    bytes memory result = new bytes(end - start);
+    for (uint256 i = 0; i < result.length; i++) {
+      result[i] = data[start + i];
+    }
+    return string(result);
+  }
+}
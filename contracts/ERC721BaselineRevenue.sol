@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {ERC721BaselineExtensionState} from "./ERC721BaselineExtension.sol";
+import {ERC721BaselineModule} from "./ERC721BaselineModule.sol";
+import {IERC721BaselineModule, IERC721BaselineRevenue} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineRevenue
+ * @custom:version v0.1.0
+ * @notice The payees and the releases of the proxy balances for proxies built on ERC721BaselineImplementation,
+ * see IERC721BaselineRevenue.
+ *
+ * @dev The revenue is a module, see ERC721BaselineModule.
+ * Its state is part of the extension namespace, see ERC721BaselineExtensionState.
+ */
+contract ERC721BaselineRevenue is ERC721BaselineModule, ERC721BaselineExtensionState, IERC721BaselineRevenue {
+
+  /**
+   * @inheritdoc IERC721BaselineModule
+   */
+  function selectors() external pure returns (bytes4[] memory selectors) {
+    selectors = new bytes4[](9);
+    selectors[0] = IERC721BaselineRevenue.payees.selector;
+    selectors[1] = IERC721BaselineRevenue.released.selector;
+    selectors[2] = IERC721BaselineRevenue.releasedERC20.selector;
+    selectors[3] = IERC721BaselineRevenue.releasable.selector;
+    selectors[4] = IERC721BaselineRevenue.releasableERC20.selector;
+    selectors[5] = IERC721BaselineRevenue.setPayees.selector;
+    selectors[6] = IERC721BaselineRevenue.__setPayees.selector;
+    selectors[7] = IERC721BaselineRevenue.release.selector;
+    selectors[8] = IERC721BaselineRevenue.releaseERC20.selector;
+  }
+
+  /************************************************
+   * Revenue
+   ************************************************/
+
+  /**
+   * @dev Internal method: returns the current payees configuration.
+   */
+  function _paymentSplit() internal view returns (PaymentSplit storage) {
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+    return $._paymentSplits[$._paymentSplitId];
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function payees() external view returns (address[] memory accounts, uint256[] memory shares) {
+    PaymentSplit storage split = _paymentSplit();
+
+    accounts = split.payees;
+    shares = new uint256[](accounts.length);
+
+    for (uint256 i = 0; i < accounts.length; i++) {
+      shares[i] = split.shares[accounts[i]];
+    }
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function released(address payee) external view returns (uint256) {
+    return _paymentSplit().released[address(0)][payee];
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function releasedERC20(address token, address payee) external view returns (uint256) {
+    return _paymentSplit().released[token][payee];
+  }
+
+  /**
+   * @dev Internal method: returns the amount of `token` owed to a payee, the zero address for ETH.
+   */
+  function _releasable(address token, address payee) internal view returns (uint256) {
+    PaymentSplit storage split = _paymentSplit();
+
+    if (split.shares[payee] == 0) {
+      return 0;
+    }
+
+    uint256 balance = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+    uint256 totalReceived = balance + split.totalReleased[token];
+
+    return totalReceived * split.shares[payee] / split.totalShares - split.released[token][payee];
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function releasable(address payee) external view returns (uint256) {
+    return _releasable(address(0), payee);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function releasableERC20(address token, address payee) external view returns (uint256) {
+    return _releasable(token, payee);
+  }
+
+  /**
+   * @dev Internal method: starts a new payees configuration.
+   * Releases the ETH owed to the current payees first, the new payees split the rest.
+   */
+  function _setPayees(address[] calldata accounts, uint256[] calldata shares) internal {
+    if (accounts.length != shares.length) {
+      revert InvalidPayees();
+    }
+
+    address[] storage currentPayees = _paymentSplit().payees;
+    for (uint256 i = 0; i < currentPayees.length; i++) {
+      if (_releasable(address(0), currentPayees[i]) > 0) {
+        _releaseETH(payable(currentPayees[i]));
+      }
+    }
+
+    ERC721BaselineExtensionStorage storage $ = _getExtensionStorage();
+    PaymentSplit storage split = $._paymentSplits[++$._paymentSplitId];
+
+    for (uint256 i = 0; i < accounts.length; i++) {
+      if (accounts[i] == address(0) || shares[i] == 0 || split.shares[accounts[i]] > 0) {
+        revert InvalidPayees();
+      }
+
+      split.payees.push(accounts[i]);
+      split.shares[accounts[i]] = shares[i];
+      split.totalShares += shares[i];
+    }
+
+    emit PayeesUpdated(accounts, shares);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function setPayees(address[] calldata accounts, uint256[] calldata shares) external {
+    _requireAdmin(msg.sender);
+    _setPayees(accounts, shares);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function __setPayees(address[] calldata accounts, uint256[] calldata shares) external onlyProxy {
+    _setPayees(accounts, shares);
+  }
+
+  /**
+   * @dev Internal method: records the release of `token` to a payee and returns the amount.
+   * The accounting is updated before the transfer.
+   */
+  function _release(address token, address payee) internal returns (uint256 amount) {
+    amount = _releasable(token, payee);
+
+    if (amount == 0) {
+      revert NoPaymentDue(payee);
+    }
+
+    PaymentSplit storage split = _paymentSplit();
+    split.totalReleased[token] += amount;
+    split.released[token][payee] += amount;
+  }
+
+  /**
+   * @dev Internal method: sends a payee the ETH it is owed.
+   */
+  function _releaseETH(address payable payee) internal {
+    uint256 amount = _release(address(0), payee);
+    emit PaymentReleased(payee, amount);
+    Address.sendValue(payee, amount);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function release(address payable payee) external {
+    _releaseETH(payee);
+  }
+
+  /**
+   * @inheritdoc IERC721BaselineRevenue
+   */
+  function releaseERC20(address token, address payee) external {
+    uint256 amount = _release(token, payee);
+    emit ERC20PaymentReleased(token, payee, amount);
+    SafeERC20.safeTransfer(IERC20(token), payee, amount);
+  }
+}
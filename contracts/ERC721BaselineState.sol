@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {BitMaps} from "@openzeppelin/contracts/utils/structs/BitMaps.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {IERC721Baseline} from "./IERC721Baseline.sol";
+
+/**
+ * @title ERC721BaselineState
+ * @notice The state of ERC721BaselineImplementation and the internal methods that only need it.
+ *
+ * @dev The modules inherit this contract too, see ERC721BaselineModule: they run in the proxy context
+ * and implement the optional features on top of the implementation state, eg. the roles management.
+ */
+abstract contract ERC721BaselineState {
+
+  /**
+   * @dev ERC721Baseline uses ERC-7201 (Namespaced Storage Layout)
+   * to prevent collisions with the proxies storage.
+   * See https://eips.ethereum.org/EIPS/eip-7201.
+   *
+   * Proxies are encouraged, but not required, to use a similar pattern for storage.
+   *
+   * Since the implementation can be upgraded, new fields MUST be appended
+   * and existing fields MUST NOT be removed or reordered.
+   *
+   * @custom:storage-location erc7201:erc721baseline.implementation.storage
+   */
+  struct ERC721BaselineStorage {
+    string VERSION;
+
+    /**
+     * Metadata
+     */
+    uint256 totalSupply;
+
+    mapping(uint256 => string) __tokenURI;
+    string __sharedURI;
+    string __baseURI;
+
+    /**
+     * Royalties
+     */
+    address payable _royaltiesReceiver;
+    uint16 _royaltiesBps;
+
+    /**
+     * @dev Tracks whether the proxy's `_beforeTokenTransfer` hook is enabled or not.
+     * When enabled, this contract will call the hook when ERC721 calls `_update`.
+     */
+    bool _beforeTokenTransferHookEnabled;
+
+    /**
+     * Access Control
+     */
+
+    /**
+     * @dev Tracks the contract admins.
+     */
+    mapping(address => bool) _admins;
+    /**
+     * @dev Tracks the contract owner.
+     */
+    address _owner;
+
+    /**
+     * Upgrades
+     */
+
+    /**
+     * @dev Tracks whether the proxy allows admins to upgrade the implementation.
+     */
+    bool _upgradesEnabled;
+
+    /**
+     * Sequential mint
+     */
+
+    /**
+     * @dev Tracks the sequential token IDs: `_maxSupply` tokens starting at `_startTokenId`.
+     * The mode is enabled when `_maxSupply` is greater than zero.
+     */
+    uint256 _startTokenId;
+    uint256 _nextTokenId;
+    uint256 _maxSupply;
+
+    /**
+     * Hooks
+     */
+
+    /**
+     * @dev Bitmap of the enabled hooks by `Hook` value.
+     * `Hook.BeforeTokenTransfer` is tracked by `_beforeTokenTransferHookEnabled`.
+     */
+    uint256 _hooks;
+
+    /**
+     * Access control > roles
+     */
+
+    /**
+     * @dev Enumerates `_admins` and the accounts with roles.
+     */
+    EnumerableSet.AddressSet _adminsSet;
+    EnumerableSet.AddressSet _roleHolders;
+    mapping(address => uint256) _roles;
+
+    /**
+     * Access control > two-step ownership transfers
+     */
+    address _pendingOwner;
+
+    /**
+     * Permit
+     */
+    mapping(uint256 => uint256) _permitNonces;
+
+    /**
+     * Enumeration
+     */
+    bool _enumerable;
+    uint256[] _allTokens;
+    mapping(uint256 => uint256) _allTokensIndex;
+    mapping(address => mapping(uint256 => uint256)) _ownedTokens;
+    mapping(uint256 => uint256) _ownedTokensIndex;
+
+    /**
+     * Sequential mint > Consecutive mint
+     */
+
+    /**
+     * @dev The ranges minted by `__mintConsecutive` in token ID order:
+     * the last token ID of the range in the upper 96 bits and the recipient in the lower 160 bits.
+     */
+    uint256[] _consecutiveRanges;
+    /**
+     * @dev The burned tokens that `_consecutiveOwnerOf` would otherwise resolve to a range recipient.
+     */
+    BitMaps.BitMap _consecutiveBurns;
+
+    /**
+     * Modules
+     */
+
+    /**
+     * @dev The module that implements each selector the proxy opted in to, see `fallback`.
+     */
+    mapping(bytes4 => address) _modules;
+  }
+
+  /**
+   * @dev The ERC7-201 storage slot. See https://eips.ethereum.org/EIPS/eip-7201.
+   * The namespace is:
+   * erc721baseline.implementation.storage
+   * keccak256(abi.encode(uint256(keccak256("erc721baseline.implementation.storage")) - 1)) & ~bytes32(uint256(0xff))
+   */
+  bytes32 private constant ERC721BaselineStorageLocation = 0xd70e9a647412bf72add39fd1ab5a6a89bfb0d778061be5e3d13cfa60d9d90b00;
+
+  /**
+   * @dev Convenience method to access the storage at ERC721BaselineStorageLocation location.
+   *
+   * Usage:
+   *
+   *  ERC721BaselineStorage storage $ = _getStorage();
+   *
+   *  if ($._royaltiesReceiver != address(0)) {
+   *    $._royaltiesReceiver = address(0);
+   *  }
+   *
+   * @return $ a reference to the storage at ERC721BaselineStorageLocation location for reading and writing
+   */
+  function _getStorage() internal pure returns (ERC721BaselineStorage storage $) {
+    assembly {
+      $.slot := ERC721BaselineStorageLocation
+    }
+  }
+
+  /************************************************
+   * Access control
+   ************************************************/
+
+  /**
+   * @dev Internal method: checks if an address is the contract owner or an admin.
+   *
+   * @param addr address to check
+   * @return bool whether the address is an admin or not
+   */
+  function _isAdmin(address addr) internal view returns (bool) {
+    ERC721BaselineStorage storage $ = _getStorage();
+    return $._owner == addr || $._admins[addr] == true;
+  }
+
+  /**
+   * @dev Internal method: reverts with `Unauthorized` when an address is not an admin.
+   */
+  function _requireAdmin(address addr) internal view {
+    if (_isAdmin(addr) == false) {
+      revert IERC721Baseline.Unauthorized();
+    }
+  }
+
+  /**
+   * @dev Internal method: checks if an address is an admin or has any of the roles in `roles`.
+   */
+  function _hasRole(address addr, uint256 roles) internal view returns (bool) {
+    return _getStorage()._roles[addr] & roles != 0 || _isAdmin(addr);
+  }
+
+  /**
+   * @dev Internal method: reverts with `Unauthorized` when an address is not an admin and has none of the roles in `roles`.
+   */
+  function _requireRole(address addr, uint256 roles) internal view {
+    if (_hasRole(addr, roles) == false) {
+      revert IERC721Baseline.Unauthorized();
+    }
+  }
+
+
+  /************************************************
+   * Hooks
+   ************************************************/
+
+  /**
+   * @dev Internal method: returns whether a hook is enabled.
+   */
+  function _hookEnabled(IERC721Baseline.Hook hook) internal view returns (bool) {
+    ERC721BaselineStorage storage $ = _getStorage();
+
+    if (hook == IERC721Baseline.Hook.BeforeTokenTransfer) {
+      return $._beforeTokenTransferHookEnabled;
+    }
+
+    return $._hooks & (uint256(1) << uint8(hook)) != 0;
+  }
+
+  /**
+   * @dev Internal method: delegatecalls a hook method of the proxy.
+   * The hook runs in the proxy context with the same msg.sender.
+   */
+  function _callHook(IERC721Baseline.Hook hook, bytes memory data) internal {
+    (bool success, bytes memory reason) = address(this).delegatecall(data);
+    _requireHookSuccess(hook, success, reason);
+  }
+
+  /**
+   * @dev Internal method: bubbles up the hook revert reason, reverts with `HookFailed` when there is none.
+   * `_beforeTokenTransfer` keeps reverting with "_beforeTokenTransfer" like before the other hooks were added.
+   */
+  function _requireHookSuccess(IERC721Baseline.Hook hook, bool success, bytes memory reason) internal pure {
+    if (success == false) {
+      if (reason.length == 0) {
+        if (hook == IERC721Baseline.Hook.BeforeTokenTransfer) revert("_beforeTokenTransfer");
+        revert IERC721Baseline.HookFailed(hook);
+      }
+      assembly {
+        revert(add(32, reason), mload(reason))
+      }
+    }
+  }
+}
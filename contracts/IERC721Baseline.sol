@@ -5,10 +5,23 @@ pragma solidity 0.8.21;
 import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import {IERC2981} from "@openzeppelin/contracts/interfaces/IERC2981.sol";
 
+/**
+ * @dev Roles that can be granted with IERC721BaselineAccessControl's `setRoles`, see IERC721Baseline's "Access control > roles".
+ * Proxies can define their own roles using the other bits.
+ */
+uint256 constant ROLE_METADATA_MANAGER = 1 << 0;
+uint256 constant ROLE_ROYALTIES_MANAGER = 1 << 1;
+uint256 constant ROLE_MINTER = 1 << 2;
+uint256 constant ROLE_TRANSFER_POLICIES_MANAGER = 1 << 3;
+
 /**
  * @title IERC721Baseline
  * @custom:version v0.1.0
  * @notice A baseline ERC721 contract implementation that exposes internal methods to a proxy instance.
+ *
+ * @dev Optional features are implemented by modules, separate contracts that proxies opt in to
+ * with `__setModule`: ERC721BaselineExtension (see IERC721BaselineExtension)
+ * and ERC721BaselineAccessControl (see IERC721BaselineAccessControl).
  */
 interface IERC721Baseline is IERC721, IERC2981 {
 
@@ -83,9 +96,10 @@ interface IERC721Baseline is IERC721, IERC2981 {
    * The ERC721Baseline tokenURI implementation allows to define uris in the following order:
    *
    * 1. Token-specific URI by ID.
-   * 2. Shared URI.
-   * 3. Shared base URI + token ID.
-   * 4. Empty string if none of the above was found.
+   * 2. On-chain rendering, when an SVG template is set with the extension.
+   * 3. Shared URI.
+   * 4. Shared base URI + token ID.
+   * 5. Empty string if none of the above was found.
    */
 
   /**
@@ -116,9 +130,10 @@ interface IERC721Baseline is IERC721, IERC2981 {
 
   /**
    * @notice Sets a shared URI for the tokens.
-   * @dev This method doesn't emit the EIP-4906's `BatchMetadataUpdate` event
-   * because ERC721Baseline allows to mint any token ID, starting at any index.
-   * The proxy should emit `BatchMetadataUpdate`.
+   * @dev When sequential mode is enabled this method emits EIP-4906's `BatchMetadataUpdate` event
+   * for the minted token IDs, see `__enableSequentialMint`.
+   * Otherwise it doesn't emit the event because ERC721Baseline allows to mint any token ID,
+   * starting at any index, and the proxy should emit `BatchMetadataUpdate`.
    *
    * This method is internal and only the proxy contract can call it.
    *
@@ -136,9 +151,10 @@ interface IERC721Baseline is IERC721, IERC2981 {
 
   /**
    * @notice Sets a contract-wide base URI.
-   * @dev This method doesn't emit the EIP-4906 `BatchMetadataUpdate` event
-   * because ERC721Baseline allows to mint any token ID, starting at any index.
-   * The proxy should emit `BatchMetadataUpdate`.
+   * @dev When sequential mode is enabled this method emits EIP-4906's `BatchMetadataUpdate` event
+   * for the minted token IDs, see `__enableSequentialMint`.
+   * Otherwise it doesn't emit the event because ERC721Baseline allows to mint any token ID,
+   * starting at any index, and the proxy should emit `BatchMetadataUpdate`.
    *
    * This method is internal and only the proxy contract can call it.
    *
@@ -151,6 +167,28 @@ interface IERC721Baseline is IERC721, IERC2981 {
    * Royalties
    ************************************************/
 
+  /**
+   * Royalties can be configured for all the tokens and, with the extension, for a range of token IDs
+   * and for a single token, see `IERC721BaselineExtension.configureTokenRoyalties`.
+   * `royaltyInfo` uses the token configuration first, then the most recently configured range
+   * that includes the token ID and finally the contract-wide configuration.
+   *
+   * Note that `royaltyInfo` checks every range therefore ranges are meant for a handful of token groups.
+   */
+
+  /**
+   * @dev Emitted when the contract-wide royalties are configured.
+   *
+   * @param receiver the royalties receiver
+   * @param bps the royalties rate
+   */
+  event RoyaltiesUpdated(address indexed receiver, uint256 bps);
+
+  /**
+   * @dev Indicates a royalties rate greater than 10000 bps (100%).
+   */
+  error InvalidRoyaltiesBps(uint256 bps);
+
   /**
    * @notice The address of the royalties receiver.
    *
@@ -168,7 +206,9 @@ interface IERC721Baseline is IERC721, IERC2981 {
   /**
    * @notice Configures royalties receiver and bps for all the tokens.
    * @dev Bps stants for basis points where 100 bps = 1%.
-   * The sender must be an admin.
+   * Emits a `RoyaltiesUpdated` event.
+   *
+   * The sender must be an admin or have the `ROLE_ROYALTIES_MANAGER` role.
    *
    * @param receiver address for the royalties receiver
    * @param bps (basis points) royalties rate
@@ -178,6 +218,8 @@ interface IERC721Baseline is IERC721, IERC2981 {
   /**
    * @notice Configures royalties receiver and bps for all the tokens.
    * @dev Bps stants for basis points where 100 bps = 1%.
+   * Emits a `RoyaltiesUpdated` event.
+   *
    * This method is internal and only the proxy contract can call it.
    *
    * @param receiver address for the royalties receiver
@@ -185,6 +227,15 @@ interface IERC721Baseline is IERC721, IERC2981 {
    */
   function __configureRoyalties(address payable receiver, uint16 bps) external;
 
+  /**
+   * @notice Returns the royalties configuration that applies to a token ID.
+   *
+   * @param tokenId token ID
+   * @return receiver the royalties receiver
+   * @return bps the royalties rate
+   */
+  function royaltiesOf(uint256 tokenId) external view returns (address receiver, uint256 bps);
+
 
   /************************************************
    * Internal ERC721 methods exposed to the proxy
@@ -202,6 +253,7 @@ interface IERC721Baseline is IERC721, IERC2981 {
 
   /**
    * @dev See {ERC721-_update}.
+   * Checks the transfer policies and calls the transfer hooks like mints, transfers and burns.
    * This method is internal and only the proxy contract can call it.
    */
   function __update(address to, uint256 tokenId, address auth) external returns (address);
@@ -224,6 +276,133 @@ interface IERC721Baseline is IERC721, IERC2981 {
    */
   function __burn(uint256 tokenId) external;
 
+  /**
+   * Batch operations.
+   *
+   * These methods save the proxy a delegatecall per token.
+   */
+
+  /**
+   * @dev Indicates that two arrays that are processed together have different lengths.
+   */
+  error InvalidArrayLength(uint256 length, uint256 otherLength);
+
+  /**
+   * @dev Mints `tokenIds[i]` to `to[i]`, see {ERC721-_mint}.
+   * This method is internal and only the proxy contract can call it.
+   */
+  function __mintBatch(address[] calldata to, uint256[] calldata tokenIds) external;
+
+  /**
+   * @dev Burns `tokenIds`, see {ERC721-_burn}.
+   * This method is internal and only the proxy contract can call it.
+   */
+  function __burnBatch(uint256[] calldata tokenIds) external;
+
+  /**
+   * Sequential mint.
+   *
+   * Optional mode where the implementation allocates the token IDs: `maxSupply` tokens
+   * starting at `startTokenId`. It allows `__setSharedURI` and `__setBaseURI` to emit
+   * `BatchMetadataUpdate` for the minted tokens.
+   *
+   * When enabled `__mint` and `__mintBatch` revert with `SequentialMintEnabled`
+   * since arbitrary token IDs could collide with the sequential ones.
+   */
+
+  /**
+   * @dev Indicates an attempt to mint a token ID or to enable sequential mode when sequential mode is enabled.
+   */
+  error SequentialMintEnabled();
+
+  /**
+   * @dev Indicates an attempt to mint the next token IDs when sequential mode is disabled.
+   */
+  error SequentialMintDisabled();
+
+  /**
+   * @dev Indicates an invalid max supply.
+   */
+  error InvalidMaxSupply(uint256 maxSupply);
+
+  /**
+   * @dev Indicates an attempt to mint more than the max supply.
+   */
+  error MaxSupplyExceeded(uint256 maxSupply);
+
+  /**
+   * @notice Returns the sequential mode configuration.
+   * @dev `maxSupply` is zero when sequential mode is disabled.
+   *
+   * @return startTokenId the first token ID
+   * @return nextTokenId the token ID minted next
+   * @return maxSupply the maximum number of tokens that can be minted
+   */
+  function sequentialMint() external view returns (uint256 startTokenId, uint256 nextTokenId, uint256 maxSupply);
+
+  /**
+   * @notice Enables sequential mode.
+   * @dev Sequential mode cannot be disabled or reconfigured.
+   * Tokens minted before enabling it should not use IDs in the sequential range
+   * otherwise `__mintNext` reverts when it reaches them.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param startTokenId the first token ID
+   * @param maxSupply the maximum number of tokens that can be minted, must be greater than zero
+   */
+  function __enableSequentialMint(uint256 startTokenId, uint256 maxSupply) external;
+
+  /**
+   * @notice Mints the next `quantity` token IDs to `to`, see {ERC721-_mint}.
+   * @dev Reverts with `MaxSupplyExceeded` when more than `maxSupply` tokens would be minted.
+   * Burned tokens are not minted again.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param to the recipient
+   * @param quantity the number of tokens to mint
+   * @return firstTokenId the first minted token ID
+   */
+  function __mintNext(address to, uint256 quantity) external returns (uint256 firstTokenId);
+
+  /**
+   * Sequential mint > Consecutive mint.
+   *
+   * `__mintConsecutive` mints the next token IDs like `__mintNext` but lazily: it records the range
+   * and emits a single ERC-2309 `ConsecutiveTransfer` event instead of a `Transfer` event per token.
+   * The tokens belong to the range recipient until their first transfer, which records their owner
+   * and emits `Transfer` as usual. See https://eips.ethereum.org/EIPS/eip-2309.
+   *
+   * Like ERC-2309 requires, consecutive mints are only allowed while the proxy is being constructed.
+   */
+
+  /**
+   * @dev Emitted when the tokens from `fromTokenId` to `toTokenId` (inclusive) are minted, see ERC-2309.
+   */
+  event ConsecutiveTransfer(uint256 indexed fromTokenId, uint256 toTokenId, address indexed fromAddress, address indexed toAddress);
+
+  /**
+   * @dev Indicates a consecutive mint of zero tokens, of token IDs above 2^96 - 1,
+   * outside of the proxy constructor or with the enumeration extension enabled.
+   */
+  error InvalidConsecutiveMint();
+
+  /**
+   * @notice Mints the next `quantity` token IDs to `to` lazily.
+   * @dev Emits a `ConsecutiveTransfer` event. Reverts like `__mintNext` and with `InvalidConsecutiveMint`.
+   *
+   * The proxy's `_beforeTokenTransfer` and `_afterTokenTransfer` hooks are not called.
+   *
+   * This method is internal and only the proxy constructor can call it, with a delegatecall
+   * like ERC721Baseline does to initialize the implementation.
+   *
+   * @param to the recipient
+   * @param quantity the number of tokens to mint
+   * @return firstTokenId the first minted token ID
+   */
+  function __mintConsecutive(address to, uint256 quantity) external returns (uint256 firstTokenId);
+
   /**
    * @dev See {ERC721-_transfer}.
    * This method is internal and only the proxy contract can call it.
@@ -232,7 +411,7 @@ interface IERC721Baseline is IERC721, IERC2981 {
 
   /**
    * @notice Allows to enable or disable a `_beforeTokenTransfer` hook method defined in the proxy contract.
-   * @dev This method is internal and only the proxy contract can call it.
+   * @dev Same as `__setHookEnabled(Hook.BeforeTokenTransfer, enabled)`.
    *
    * When enabled, the proxy's `_beforeTokenTransfer` hook method is invoked prior to a transfer.
    *
@@ -247,6 +426,53 @@ interface IERC721Baseline is IERC721, IERC2981 {
    */
   function __setBeforeTokenTransferHookEnabled(bool enabled) external;
 
+  /**
+   * Hooks.
+   *
+   * Proxies can implement the `IERC721BaselineHooks` methods and enable them individually
+   * to customize the ERC721 behavior without reimplementing its entry points.
+   *
+   * - `BeforeTokenTransfer` and `AfterTokenTransfer` are called by mints, transfers, burns and `__update`
+   *   except for `__mintConsecutive`.
+   * - `BeforeApprove` and `BeforeSetApprovalForAll` are called by `approve` and `setApprovalForAll`
+   *   but not by `__approve` and `__setApprovalForAll`.
+   * - `TokenURI` is called by `tokenURI` with the resolved URI and returns the URI to use.
+   *
+   * The transfer and approval hooks are delegatecalls, they run in the proxy context and can revert
+   * to prevent the operation. The `TokenURI` hook is a staticcall to the proxy.
+   */
+
+  enum Hook {
+    BeforeTokenTransfer,
+    AfterTokenTransfer,
+    BeforeApprove,
+    BeforeSetApprovalForAll,
+    TokenURI
+  }
+
+  /**
+   * @dev Indicates that an enabled hook reverted without a reason.
+   * `_beforeTokenTransfer` reverts with the "_beforeTokenTransfer" reason string instead.
+   */
+  error HookFailed(Hook hook);
+
+  /**
+   * @notice Returns whether a hook is enabled.
+   *
+   * @param hook the hook
+   * @return bool whether the hook is enabled
+   */
+  function hookEnabled(Hook hook) external view returns (bool);
+
+  /**
+   * @notice Enables or disables a hook defined in the proxy contract, see `IERC721BaselineHooks`.
+   * @dev This method is internal and only the proxy contract can call it.
+   *
+   * @param hook the hook
+   * @param enabled whether the hook should be called
+   */
+  function __setHookEnabled(Hook hook, bool enabled) external;
+
   /**
    * @dev See {ERC721-_checkOnERC721Received}.
    *
@@ -272,12 +498,246 @@ interface IERC721Baseline is IERC721, IERC2981 {
   function __setApprovalForAll(address owner, address operator, bool approved) external;
 
 
+  /************************************************
+   * Transfer policies
+   ************************************************/
+
+  /**
+   * Transfer policies are restrictions enforced by the implementation and configured by admins or the proxy
+   * with the extension, see `IERC721BaselineExtension.setNonTransferable`:
+   *
+   * - Non-transferable tokens can be minted and burned but not transferred or approved (soulbound tokens).
+   * - Denied operators can't be approved and can't transfer tokens on behalf of their owners.
+   * - Locked tokens can't be transferred until a given timestamp.
+   *
+   * Policies are checked by mints, transfers, burns, `__update`, `approve` and `setApprovalForAll` before the hooks
+   * and, like the hooks, are skipped by `__approve` and `__setApprovalForAll`.
+   */
+
+  /**
+   * @dev Indicates a transfer or an approval of non-transferable tokens.
+   */
+  error NonTransferable();
+
+  /**
+   * @dev Indicates a transfer or an approval by or for a denied operator.
+   */
+  error OperatorDenied(address operator);
+
+  /**
+   * @dev Indicates a transfer of a token that is locked until the `until` timestamp.
+   */
+  error TransferLocked(uint256 tokenId, uint256 until);
+
+
+  /************************************************
+   * Enumeration (ERC721Enumerable)
+   ************************************************/
+
+  /**
+   * Opt-in extension that keeps the token IDs in on-chain lists so that they can be enumerated
+   * with the ERC721Enumerable methods `tokenByIndex` and `tokenOfOwnerByIndex`.
+   * `supportsInterface` reports ERC721Enumerable only when the extension is enabled.
+   *
+   * The lists make mints, transfers and burns more expensive, see `npm run test:gas`.
+   * The extension can't be disabled and must be enabled before any token is minted,
+   * typically in the proxy constructor:
+   *
+   *  ERC721BaselineImplementation.delegatecall(abi.encodeCall(IERC721Baseline.__enableEnumeration, ()));
+   */
+
+  /**
+   * @dev Indicates a call to an enumeration method when the extension is disabled.
+   */
+  error EnumerationDisabled();
+
+  /**
+   * @dev Indicates an attempt to enable the enumeration when tokens exist.
+   */
+  error EnumerationRequiresEmptySupply(uint256 totalSupply);
+
+  /**
+   * @dev Indicates an index out of bounds, `owner` is the zero address for `tokenByIndex`.
+   */
+  error ERC721OutOfBoundsIndex(address owner, uint256 index);
+
+  /**
+   * @notice Returns whether the enumeration extension is enabled.
+   *
+   * @return bool whether the enumeration is enabled
+   */
+  function enumerable() external view returns (bool);
+
+  /**
+   * @notice Enables the enumeration extension.
+   * @dev Reverts with `EnumerationRequiresEmptySupply` when tokens exist.
+   *
+   * This method is internal and only the proxy contract can call it,
+   * or delegatecall it from its constructor.
+   */
+  function __enableEnumeration() external;
+
+  /**
+   * @notice Returns a token ID at a given `index` of all the tokens.
+   * @dev See {IERC721Enumerable-tokenByIndex}.
+   *
+   * @param index the index, lower than `totalSupply`
+   * @return uint256 the token ID
+   */
+  function tokenByIndex(uint256 index) external view returns (uint256);
+
+  /**
+   * @notice Returns a token ID owned by `owner` at a given `index` of its token list.
+   * @dev See {IERC721Enumerable-tokenOfOwnerByIndex}.
+   *
+   * @param owner the tokens owner
+   * @param index the index, lower than `balanceOf(owner)`
+   * @return uint256 the token ID
+   */
+  function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256);
+
+
+  /************************************************
+   * Upgrades
+   ************************************************/
+
+  /**
+   * Upgrades are opt-in: the proxy must enable them with `__setUpgradesEnabled`.
+   * Once enabled, admins (or the proxy) can point the proxy to a new implementation.
+   *
+   * The new implementation MUST keep the storage layout of the current one,
+   * see `erc721baseline upgrade` which checks the layouts before upgrading.
+   */
+
+  /**
+   * @dev Emitted when the implementation is upgraded. See EIP-1967.
+   *
+   * @param implementation the new implementation address
+   */
+  event Upgraded(address indexed implementation);
+
+  /**
+   * @dev Indicates an attempt to upgrade when upgrades are disabled.
+   */
+  error UpgradesDisabled();
+
+  /**
+   * @dev Indicates that the new implementation is not a contract or is not compatible.
+   */
+  error InvalidImplementation(address implementation);
+
+  /**
+   * @notice Returns the storage slot that the implementation uses for its address. See EIP-1822.
+   * @dev Used to validate new implementations before upgrading.
+   * Reverts when called through a proxy.
+   *
+   * @return bytes32 the EIP-1967 implementation slot
+   */
+  function proxiableUUID() external view returns (bytes32);
+
+  /**
+   * @notice Returns whether the proxy allows upgrades.
+   *
+   * @return bool whether upgrades are enabled
+   */
+  function upgradesEnabled() external view returns (bool);
+
+  /**
+   * @notice Allows to enable or disable upgrades.
+   * @dev This method is internal and only the proxy contract can call it.
+   *
+   * @param enabled whether upgrades are enabled
+   */
+  function __setUpgradesEnabled(bool enabled) external;
+
+  /**
+   * @notice Upgrades the proxy to a new implementation.
+   * @dev Emits an `Upgraded` event.
+   * The sender must be an admin and upgrades must be enabled.
+   *
+   * @param newImplementation the new implementation address
+   */
+  function upgradeTo(address newImplementation) external;
+
+  /**
+   * @notice Upgrades the proxy to a new implementation.
+   * @dev Emits an `Upgraded` event.
+   * Upgrades must be enabled.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param newImplementation the new implementation address
+   */
+  function __upgradeTo(address newImplementation) external;
+
+
+  /************************************************
+   * Modules
+   ************************************************/
+
+  /**
+   * The implementation delegates the calls to the methods it doesn't implement to modules,
+   * separate contracts that implement optional features like on-chain rendering or the roles management.
+   * Modules are deployed once and shared like the implementation, see IERC721BaselineModule.
+   *
+   * Modules are opt-in: the proxy enables the methods of a module with `__setModule` and until then
+   * they revert with `ModuleNotFound`. Proxies usually enable all the methods of a module in the constructor
+   * with ERC721Baseline's `_enableModule`, which is equivalent to:
+   *
+   *  ERC721BaselineImplementation.delegatecall(
+   *    abi.encodeCall(IERC721Baseline.__setModule, (module, IERC721BaselineModule(module).selectors()))
+   *  );
+   *
+   * Like an implementation, a module runs in the proxy context and can change any state,
+   * therefore only the proxy can enable it.
+   */
+
+  /**
+   * @dev Emitted when the proxy sets the module of some methods, the zero address when they are removed.
+   */
+  event ModuleUpdated(address indexed module, bytes4[] selectors);
+
+  /**
+   * @dev Indicates that the module is not a contract.
+   */
+  error InvalidModule(address module);
+
+  /**
+   * @dev Indicates a call to a method that neither the implementation nor the enabled modules implement.
+   */
+  error ModuleNotFound(bytes4 selector);
+
+  /**
+   * @notice Returns the module that the implementation delegates a method to.
+   *
+   * @param selector the method selector
+   * @return address the module address, the zero address when no module is set for the method
+   */
+  function moduleOf(bytes4 selector) external view returns (address);
+
+  /**
+   * @notice Sets the module that the implementation delegates some methods to, the zero address removes them.
+   * @dev Emits a `ModuleUpdated` event.
+   * The selectors are usually all the methods of the module, see `IERC721BaselineModule.selectors`,
+   * and replace the modules previously set for the same methods.
+   *
+   * This method is internal and only the proxy contract can call it,
+   * or delegatecall it from its constructor.
+   *
+   * @param module the module address
+   * @param selectors the selectors of the methods
+   */
+  function __setModule(address module, bytes4[] calldata selectors) external;
+
+
   /************************************************
    * Access control
    ************************************************/
 
   /**
    * Implements a multi-admin system and a minimal Ownable-compatible API.
+   * The access control module adds the roles management and two-step ownership transfers,
+   * see IERC721BaselineAccessControl.
    */
 
   /**
@@ -326,6 +786,37 @@ interface IERC721Baseline is IERC721, IERC2981 {
    */
   function __setAdmin(address addr, bool add) external;
 
+  /**
+   * Access control > roles
+   *
+   * Roles grant a subset of the admin rights, each role is a bit and `roles` values can combine several roles.
+   * Admins implicitly have every role. The roles are granted with the access control module,
+   * see IERC721BaselineAccessControl.
+   *
+   * - `ROLE_METADATA_MANAGER` and `ROLE_MINTER` are meant for the proxies' metadata and mint methods.
+   * - `ROLE_ROYALTIES_MANAGER` can configure the royalties.
+   * - `ROLE_TRANSFER_POLICIES_MANAGER` can configure the transfer policies.
+   */
+
+  /**
+   * @notice Checks if an address is an admin or has any of the roles in `roles`.
+   *
+   * @param addr address to check
+   * @param roles the roles
+   * @return bool whether the address is an admin or has one of the roles
+   */
+  function hasRole(address addr, uint256 roles) external view returns (bool);
+
+  /**
+   * @notice Checks whether an address is an admin or has any of the roles in `roles`
+   * and reverts with an `Unauthorized` error if not.
+   * @dev Call `requireRole` in proxies to implement public methods restricted to a role.
+   *
+   * @param addr the address to check
+   * @param roles the roles
+   */
+  function requireRole(address addr, uint256 roles) external view;
+
   /**
    * Access control > Ownable-compatible API.
    */
@@ -390,6 +881,32 @@ interface IERC721Baseline is IERC721, IERC2981 {
    */
   function recoverCalldata(bytes32 hash, bytes calldata signature) external view returns (address result);
 
+  /**
+   * @notice Returns the EIP-712 domain separator of the proxy.
+   * @dev The domain is `EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)`
+   * where name is the token name, version is "1", chainId is the current chain ID
+   * and verifyingContract is the proxy address.
+   *
+   * Binding the domain to the proxy and the chain prevents signatures from being
+   * replayed on other proxies or chains.
+   *
+   * @return bytes32 the domain separator
+   */
+  function DOMAIN_SEPARATOR() external view returns (bytes32);
+
+  /**
+   * @notice Recovers the signer's address from an EIP-712 `structHash`, and the `signature`.
+   * @dev The signed digest is computed with the proxy's domain separator (see `DOMAIN_SEPARATOR`),
+   * therefore proxies only need to hash their typed data struct eg.
+   *
+   *  keccak256(abi.encode(MINT_TYPEHASH, msg.sender, tokenId, keccak256(bytes(uri))))
+   *
+   * @param structHash the EIP-712 hash of the struct that was signed
+   * @param signature the signature for the typed data
+   * @return result address the recovered address
+   */
+  function recoverTypedData(bytes32 structHash, bytes calldata signature) external view returns (address result);
+
   /**
    * @notice Converts a uint256 to string
    *
@@ -399,3 +916,995 @@ interface IERC721Baseline is IERC721, IERC2981 {
   function toString(uint256 value) external pure returns (string memory);
 
 }
+
+/**
+ * @title IERC721BaselineExtension
+ * @custom:version v0.1.0
+ * @notice The methods implemented by ERC721BaselineExtension.
+ *
+ * @dev ERC721BaselineExtension is a module, see `IERC721Baseline.__setModule`. It runs in the proxy context
+ * like the implementation and keeps its state in its own ERC-7201 namespace.
+ * Proxies call these methods with `baselineExtension()`, see ERC721Baseline.
+ *
+ * Errors shared with the implementation, like `NotProxy` and `Unauthorized`, are declared in IERC721Baseline.
+ */
+interface IERC721BaselineExtension {
+
+  /************************************************
+   * Metadata
+   ************************************************/
+
+  /**
+   * @dev EIP-4906's event, see IERC721Baseline.
+   */
+  event MetadataUpdate(uint256 _tokenId);
+
+  /**
+   * @dev EIP-4906's event, see IERC721Baseline.
+   */
+  event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+
+  /**
+   * Token URIs.
+   */
+
+  /**
+   * @notice Sets the token URIs for a list of token IDs.
+   * @dev Emits EIP-4906's `BatchMetadataUpdate` event when `tokenIds` are contiguous and sorted
+   * (eg. 4, 5, 6), a `MetadataUpdate` event for each token otherwise.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param tokenIds token IDs
+   * @param tokenURIs URIs pointing to the metadata, one per token ID
+   */
+  function __setTokenURIs(uint256[] calldata tokenIds, string[] calldata tokenURIs) external;
+
+  /**
+   * @dev Mints `tokenIds[i]` to `to[i]` and sets `tokenURIs[i]` as its dedicated tokenURI,
+   * see `IERC721Baseline.__mintBatch`.
+   * This method is internal and only the proxy contract can call it.
+   */
+  function __mintBatch(address[] calldata to, uint256[] calldata tokenIds, string[] calldata tokenURIs) external;
+
+  /**
+   * On-chain rendering.
+   *
+   * When an SVG template is set `tokenURI` returns a `data:application/json;base64,` URI
+   * with the token name, the rendered SVG as image and the token attributes, see `renderTokenURI`.
+   *
+   * Attributes are trait type and value pairs. Token attributes replace the shared attributes.
+   * In the template `{id}` is replaced with the token ID and `{<trait type>}` with the attribute value.
+   */
+
+  /**
+   * @notice Returns the SVG template used for on-chain rendering.
+   *
+   * @return string the SVG template, empty when on-chain rendering is disabled
+   */
+  function __svgTemplate() external view returns (string memory);
+
+  /**
+   * @notice Sets the SVG template and enables on-chain rendering, an empty template disables it.
+   * @dev Emits EIP-4906's `BatchMetadataUpdate` event like `IERC721Baseline.__setSharedURI`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param svgTemplate the SVG template
+   */
+  function __setSVGTemplate(string calldata svgTemplate) external;
+
+  /**
+   * @notice Sets the attributes of the tokens without token attributes.
+   * @dev Emits EIP-4906's `BatchMetadataUpdate` event like `IERC721Baseline.__setSharedURI`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param traitTypes the trait types
+   * @param values the values, one per trait type
+   */
+  function __setSharedAttributes(string[] calldata traitTypes, string[] calldata values) external;
+
+  /**
+   * @notice Sets the attributes of a token, empty lists remove them.
+   * @dev Emits EIP-4906's `MetadataUpdate` event with the `tokenId`.
+   * Token attributes are removed when the token is burned with `IERC721Baseline.__burn` or `__burnBatch`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param tokenId token ID
+   * @param traitTypes the trait types
+   * @param values the values, one per trait type
+   */
+  function __setTokenAttributes(uint256 tokenId, string[] calldata traitTypes, string[] calldata values) external;
+
+  /**
+   * @notice Renders the token metadata with the SVG template and the token attributes,
+   * or the shared attributes when the token has none. ERC721BaselineImplementation calls it from `tokenURI`.
+   * @dev Returns a `data:application/json;base64,` URI with the following JSON:
+   *
+   *  {
+   *    "name": "<name> #<tokenId>",
+   *    "image": "data:image/svg+xml;base64,<the rendered svgTemplate>",
+   *    "attributes": [{ "trait_type": "<trait type>", "value": "<value>" }, ...]
+   *  }
+   *
+   * In `svgTemplate` the `{id}` placeholder is replaced with the token ID and `{<trait type>}`
+   * placeholders are replaced with the attribute values, unknown placeholders are left as they are.
+   *
+   * @param tokenId token ID
+   * @return string the token URI
+   */
+  function renderTokenURI(uint256 tokenId) external view returns (string memory);
+
+  /**
+   * Contract URI (ERC-7572).
+   *
+   * Points to the collection-level metadata that marketplaces read: name, description, image, etc.
+   * See https://eips.ethereum.org/EIPS/eip-7572.
+   */
+
+  /**
+   * @dev ERC-7572's event, emitted when the contract URI is updated.
+   */
+  event ContractURIUpdated();
+
+  /**
+   * @notice Returns the URI pointing to the collection-level metadata.
+   *
+   * @return string the contract URI
+   */
+  function contractURI() external view returns (string memory);
+
+  /**
+   * @notice Sets the URI pointing to the collection-level metadata.
+   * @dev Emits ERC-7572's `ContractURIUpdated` event.
+   *
+   * The sender must be an admin or have the `ROLE_METADATA_MANAGER` role.
+   *
+   * @param uri URI pointing to the collection metadata
+   */
+  function setContractURI(string calldata uri) external;
+
+  /**
+   * @notice Sets the URI pointing to the collection-level metadata.
+   * @dev Emits ERC-7572's `ContractURIUpdated` event.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param uri URI pointing to the collection metadata
+   */
+  function __setContractURI(string calldata uri) external;
+
+
+  /************************************************
+   * Royalties
+   ************************************************/
+
+  /**
+   * Token and range configurations that override the contract-wide royalties,
+   * see IERC721Baseline's royalties for the order in which they apply.
+   */
+
+  /**
+   * @dev Emitted when the royalties for a token or a range of tokens are configured.
+   *
+   * @param fromTokenId the starting token ID
+   * @param toTokenId the ending token ID, equal to `fromTokenId` for a single token
+   * @param receiver the royalties receiver
+   * @param bps the royalties rate
+   */
+  event TokenRoyaltiesUpdated(uint256 fromTokenId, uint256 toTokenId, address indexed receiver, uint256 bps);
+
+  /**
+   * @dev Indicates a range where the starting token ID is greater than the ending one.
+   */
+  error InvalidTokenRange(uint256 fromTokenId, uint256 toTokenId);
+
+  /**
+   * @notice Configures royalties receiver and bps for a token.
+   * @dev Emits a `TokenRoyaltiesUpdated` event.
+   * Setting the zero address as receiver removes the token configuration.
+   *
+   * The sender must be an admin or have the `ROLE_ROYALTIES_MANAGER` role.
+   *
+   * @param tokenId token ID
+   * @param receiver address for the royalties receiver
+   * @param bps (basis points) royalties rate
+   */
+  function configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) external;
+
+  /**
+   * @notice Configures royalties receiver and bps for a token.
+   * @dev Emits a `TokenRoyaltiesUpdated` event.
+   * Setting the zero address as receiver removes the token configuration.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param tokenId token ID
+   * @param receiver address for the royalties receiver
+   * @param bps (basis points) royalties rate
+   */
+  function __configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) external;
+
+  /**
+   * @notice Configures royalties receiver and bps for a range of tokens.
+   * @dev Emits a `TokenRoyaltiesUpdated` event.
+   * The range overrides the ranges configured before it, setting the zero address as receiver
+   * makes the range use the contract-wide configuration.
+   *
+   * The sender must be an admin or have the `ROLE_ROYALTIES_MANAGER` role.
+   *
+   * @param fromTokenId the starting token ID
+   * @param toTokenId the ending token ID (inclusive)
+   * @param receiver address for the royalties receiver
+   * @param bps (basis points) royalties rate
+   */
+  function configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) external;
+
+  /**
+   * @notice Configures royalties receiver and bps for a range of tokens.
+   * @dev Emits a `TokenRoyaltiesUpdated` event.
+   * The range overrides the ranges configured before it, setting the zero address as receiver
+   * makes the range use the contract-wide configuration.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param fromTokenId the starting token ID
+   * @param toTokenId the ending token ID (inclusive)
+   * @param receiver address for the royalties receiver
+   * @param bps (basis points) royalties rate
+   */
+  function __configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) external;
+
+
+  /************************************************
+   * Transfer policies
+   ************************************************/
+
+  /**
+   * Configures the policies that ERC721BaselineImplementation enforces,
+   * see IERC721Baseline's transfer policies for the rules and the errors.
+   */
+
+  /**
+   * @dev Emitted when tokens are made non-transferable or transferable.
+   */
+  event NonTransferableUpdated(bool nonTransferable);
+
+  /**
+   * @dev Emitted when an operator is added to or removed from the denylist.
+   */
+  event OperatorDenylistUpdated(address indexed operator, bool denied);
+
+  /**
+   * @dev Emitted when a token transfer lock is set, `until` is zero when the lock is removed.
+   */
+  event TransferLockUpdated(uint256 indexed tokenId, uint256 until);
+
+  /**
+   * @notice Returns whether tokens are non-transferable.
+   *
+   * @return bool whether tokens are non-transferable
+   */
+  function nonTransferable() external view returns (bool);
+
+  /**
+   * @notice Makes tokens non-transferable or transferable.
+   * @dev Emits a `NonTransferableUpdated` event.
+   *
+   * The sender must be an admin or have the `ROLE_TRANSFER_POLICIES_MANAGER` role.
+   *
+   * @param enabled whether tokens are non-transferable
+   */
+  function setNonTransferable(bool enabled) external;
+
+  /**
+   * @notice Makes tokens non-transferable or transferable.
+   * @dev Emits a `NonTransferableUpdated` event.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param enabled whether tokens are non-transferable
+   */
+  function __setNonTransferable(bool enabled) external;
+
+  /**
+   * @notice Returns whether an operator is denied.
+   *
+   * @param operator operator address
+   * @return bool whether the operator is denied
+   */
+  function isOperatorDenied(address operator) external view returns (bool);
+
+  /**
+   * @notice Adds an operator to or removes it from the denylist.
+   * @dev Emits an `OperatorDenylistUpdated` event.
+   * Existing approvals are not revoked but denied operators can't use them.
+   *
+   * The sender must be an admin or have the `ROLE_TRANSFER_POLICIES_MANAGER` role.
+   *
+   * @param operator operator address
+   * @param denied whether the operator is denied
+   */
+  function setOperatorDenied(address operator, bool denied) external;
+
+  /**
+   * @notice Adds an operator to or removes it from the denylist.
+   * @dev Emits an `OperatorDenylistUpdated` event.
+   * Existing approvals are not revoked but denied operators can't use them.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param operator operator address
+   * @param denied whether the operator is denied
+   */
+  function __setOperatorDenied(address operator, bool denied) external;
+
+  /**
+   * @notice Returns the timestamp until which a token can't be transferred.
+   *
+   * @param tokenId token ID
+   * @return uint256 the lock timestamp, zero when the token is not locked
+   */
+  function transferLockedUntil(uint256 tokenId) external view returns (uint256);
+
+  /**
+   * @notice Locks transfers of a token until a timestamp, zero removes the lock.
+   * @dev Emits a `TransferLockUpdated` event.
+   * Locked tokens can still be burned, burning a token removes its lock.
+   *
+   * The sender must be an admin or have the `ROLE_TRANSFER_POLICIES_MANAGER` role.
+   *
+   * @param tokenId token ID
+   * @param until the timestamp (in seconds) from which the token can be transferred
+   */
+  function setTransferLock(uint256 tokenId, uint256 until) external;
+
+  /**
+   * @notice Locks transfers of a token until a timestamp, zero removes the lock.
+   * @dev Emits a `TransferLockUpdated` event.
+   * Locked tokens can still be burned, burning a token removes its lock.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param tokenId token ID
+   * @param until the timestamp (in seconds) from which the token can be transferred
+   */
+  function __setTransferLock(uint256 tokenId, uint256 until) external;
+
+
+  /************************************************
+   * Permit (ERC-4494)
+   ************************************************/
+
+  /**
+   * Token owners can approve a spender by signing an EIP-712 message off-chain,
+   * anyone can then submit it with `permit`:
+   *
+   *  Permit(address spender,uint256 tokenId,uint256 nonce,uint256 deadline)
+   *
+   * The domain is the proxy domain, see `IERC721Baseline.DOMAIN_SEPARATOR`.
+   * Nonces are per token and are incremented by `permit` and when the token is transferred or burned,
+   * invalidating signatures that were not used.
+   */
+
+  /**
+   * @dev Indicates a permit submitted after its deadline.
+   */
+  error PermitExpired(uint256 deadline);
+
+  /**
+   * @notice Returns the current permit nonce of a token.
+   *
+   * @param tokenId token ID
+   * @return uint256 the nonce
+   */
+  function nonces(uint256 tokenId) external view returns (uint256);
+
+  /**
+   * @notice Approves `spender` to manage `tokenId` with a signature of the token owner.
+   * @dev Reverts with `PermitExpired` after the deadline and `InvalidSignature`
+   * when the signature is not from the token owner (see IERC721Baseline). Contract owners are verified with ERC-1271.
+   *
+   * Like `approve`, it checks the transfer policies and calls the `BeforeApprove` hook.
+   *
+   * @param spender the address to approve
+   * @param tokenId token ID
+   * @param deadline the timestamp (in seconds) after which the signature can't be used
+   * @param signature the owner's signature of the EIP-712 `Permit` message
+   */
+  function permit(address spender, uint256 tokenId, uint256 deadline, bytes calldata signature) external;
+
+
+  /************************************************
+   * Multicall
+   ************************************************/
+
+  /**
+   * @notice Calls methods of the proxy in a single transaction, eg. to set up a collection.
+   * @dev The calls are delegated to the proxy itself therefore they run with the same msg.sender:
+   * admin and role checks apply to the sender and `onlyProxy` methods revert with `NotProxy`
+   * unless the proxy itself calls `multicall`. The calls can target the proxy's own methods too.
+   *
+   * Reverts when any of the calls reverts, with the same error. The method is not payable.
+   *
+   * @param data the ABI encoded calls
+   * @return results the data returned by each call
+   */
+  function multicall(bytes[] calldata data) external returns (bytes[] memory results);
+
+}
+
+/**
+ * @title IERC721BaselineModule
+ * @notice The interface of the modules, see `IERC721Baseline.__setModule`.
+ */
+interface IERC721BaselineModule {
+
+  /**
+   * @notice Returns the selectors of the methods that the module implements,
+   * which the implementation delegates to the module once it is enabled.
+   *
+   * @return bytes4[] the selectors
+   */
+  function selectors() external pure returns (bytes4[] memory);
+
+}
+
+/**
+ * @title IERC721BaselineAccessControl
+ * @custom:version v0.1.0
+ * @notice The methods implemented by ERC721BaselineAccessControl.
+ *
+ * @dev ERC721BaselineAccessControl is a module, see `IERC721Baseline.__setModule`.
+ * It manages the roles and the ownership transfers that IERC721Baseline's access control checks.
+ * Proxies call these methods with `baselineAccessControl()`, see ERC721Baseline.
+ *
+ * Errors shared with the implementation, like `NotProxy` and `Unauthorized`, are declared in IERC721Baseline.
+ */
+interface IERC721BaselineAccessControl {
+
+  /************************************************
+   * Access control
+   ************************************************/
+
+  /**
+   * Access control > multi-admin system
+   */
+
+  /**
+   * @notice Returns the admins set with `setAdmin`. The owner is an admin even when it is not listed.
+   * @dev Admins added by previous implementations, without `admins`, are not listed: use the `AdminSet` events for those.
+   *
+   * @return address[] the admins
+   */
+  function admins() external view returns (address[] memory);
+
+  /**
+   * Access control > roles
+   */
+
+  /**
+   * @dev Emits when the roles of an account are set.
+   *
+   * @param account the account
+   * @param roles the account roles, zero when all the roles are revoked
+   */
+  event RolesUpdated(address indexed account, uint256 roles);
+
+  /**
+   * @notice Returns the roles granted to an account.
+   *
+   * @param account the account
+   * @return uint256 the account roles
+   */
+  function rolesOf(address account) external view returns (uint256);
+
+  /**
+   * @notice Returns the accounts with at least one role and their roles.
+   *
+   * @return accounts the accounts
+   * @return roles the roles of each account
+   */
+  function roleHolders() external view returns (address[] memory accounts, uint256[] memory roles);
+
+  /**
+   * @notice Sets the roles of an account, replacing the previous ones. Zero revokes all the roles.
+   * @dev Emits a `RolesUpdated` event.
+   * Can only be called by an admin.
+   *
+   * @param account the account
+   * @param roles the account roles
+   */
+  function setRoles(address account, uint256 roles) external;
+
+  /**
+   * @notice Sets the roles of an account, replacing the previous ones. Zero revokes all the roles.
+   * @dev Emits a `RolesUpdated` event.
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param account the account
+   * @param roles the account roles
+   */
+  function __setRoles(address account, uint256 roles) external;
+
+  /**
+   * Access control > two-step ownership transfers
+   *
+   * The new owner must accept the ownership with `acceptOwnership`.
+   * IERC721Baseline's `transferOwnership` and `__transferOwnership` still transfer the ownership in one step
+   * and cancel a pending transfer.
+   */
+
+  /**
+   * @dev Emits when an ownership transfer is started, `newOwner` is the zero address when it is canceled.
+   *
+   * @param previousOwner current owner address
+   * @param newOwner pending owner address
+   */
+  event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+  /**
+   * @notice Returns the address of the pending owner.
+   *
+   * @return address of the pending owner, the zero address when there is none
+   */
+  function pendingOwner() external view returns (address);
+
+  /**
+   * @notice Starts an ownership transfer to a new account, the zero address cancels it.
+   * Can only be called by an admin.
+   *
+   * @param newOwner pending owner address
+   */
+  function startOwnershipTransfer(address newOwner) external;
+
+  /**
+   * @notice Starts an ownership transfer to a new account, the zero address cancels it.
+   * @dev This method is internal and only the proxy contract can call it.
+   *
+   * @param newOwner pending owner address
+   */
+  function __startOwnershipTransfer(address newOwner) external;
+
+  /**
+   * @notice Accepts the pending ownership transfer.
+   * Can only be called by the pending owner.
+   */
+  function acceptOwnership() external;
+
+}
+
+/**
+ * @title IERC721BaselineAllowlist
+ * @custom:version v0.1.0
+ * @notice The methods implemented by ERC721BaselineAllowlist.
+ *
+ * @dev ERC721BaselineAllowlist is a module, see `IERC721Baseline.__setModule`.
+ * It verifies the Merkle allowlist claims of the proxy mint methods.
+ * Proxies call these methods with `baselineAllowlist()`, see ERC721Baseline.
+ *
+ * Errors shared with the implementation, like `NotProxy` and `Unauthorized`, are declared in IERC721Baseline.
+ */
+interface IERC721BaselineAllowlist {
+
+  /************************************************
+   * Allowlist
+   ************************************************/
+
+  /**
+   * Admins publish the Merkle root of an allowlist where each leaf grants an account
+   * a quota of tokens, and the proxy calls `__claimAllowlist` from its mint method:
+   *
+   *  baselineAllowlist().__claimAllowlist(msg.sender, quantity, quota, proof);
+   *  baseline().__mintNext(msg.sender, quantity);
+   *
+   * Leaves are hashed like OpenZeppelin's StandardMerkleTree with the `(address, uint256)` leaf encoding:
+   *
+   *  keccak256(bytes.concat(keccak256(abi.encode(account, quota))))
+   *
+   * and pairs are sorted before hashing, see {MerkleProof}.
+   *
+   * The claimed quantities are tracked per leaf, therefore a new root that keeps a leaf keeps its claims
+   * while a leaf with a different quota starts from zero.
+   */
+
+  /**
+   * @dev Emitted when the allowlist root is updated.
+   */
+  event AllowlistRootUpdated(bytes32 root);
+
+  /**
+   * @dev Indicates a claim with a proof that is not valid for the allowlist root.
+   */
+  error InvalidAllowlistProof();
+
+  /**
+   * @dev Indicates a claim of more tokens than the leaf quota.
+   */
+  error AllowlistQuotaExceeded(uint256 quota, uint256 claimed);
+
+  /**
+   * @notice Returns the allowlist Merkle root.
+   *
+   * @return bytes32 the root, zero when the allowlist is not set
+   */
+  function allowlistRoot() external view returns (bytes32);
+
+  /**
+   * @notice Returns the quantity claimed by `account` with a `quota` leaf.
+   *
+   * @param account the allowlisted account
+   * @param quota the leaf quota
+   * @return uint256 the claimed quantity
+   */
+  function allowlistClaimed(address account, uint256 quota) external view returns (uint256);
+
+  /**
+   * @notice Sets the allowlist Merkle root.
+   * @dev Emits an `AllowlistRootUpdated` event.
+   *
+   * The sender must be an admin or have the `ROLE_MINTER` role.
+   *
+   * @param root the Merkle root, zero disables the allowlist
+   */
+  function setAllowlistRoot(bytes32 root) external;
+
+  /**
+   * @notice Sets the allowlist Merkle root.
+   * @dev Emits an `AllowlistRootUpdated` event.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param root the Merkle root, zero disables the allowlist
+   */
+  function __setAllowlistRoot(bytes32 root) external;
+
+  /**
+   * @notice Verifies an allowlist leaf and records a claim of `quantity` tokens against its quota.
+   * @dev Reverts with `InvalidAllowlistProof` when the proof is not valid and with `AllowlistQuotaExceeded`
+   * when the total claimed quantity would exceed the quota. It doesn't mint the tokens.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param account the allowlisted account
+   * @param quantity the quantity to claim
+   * @param quota the leaf quota
+   * @param proof the Merkle proof of the leaf
+   */
+  function __claimAllowlist(address account, uint256 quantity, uint256 quota, bytes32[] calldata proof) external;
+
+}
+
+/**
+ * @title IERC721BaselineProvenance
+ * @custom:version v0.1.0
+ * @notice The methods implemented by ERC721BaselineProvenance.
+ *
+ * @dev ERC721BaselineProvenance is a module, see `IERC721Baseline.__setModule`.
+ * It commits the metadata provenance and reveals the collection with a random starting index.
+ * Proxies call these methods with `baselineProvenance()`, see ERC721Baseline.
+ *
+ * Errors shared with the implementation, like `NotProxy` and `Unauthorized`, are declared in IERC721Baseline.
+ */
+interface IERC721BaselineProvenance {
+
+  /************************************************
+   * Provenance
+   ************************************************/
+
+  /**
+   * Collections that launch with a placeholder shared URI and reveal with a base URI
+   * can prove that the final metadata wasn't reshuffled after the mint:
+   *
+   * 1. Before the mint, admins commit the provenance hash of the metadata ordered by metadata ID.
+   * 2. After the mint, `reveal` draws a random starting index and clears the shared URI.
+   *    The base URI of token `tokenId` then points to the metadata ID:
+   *
+   *    startTokenId + (tokenId - startTokenId + startingIndex) % maxSupply
+   *
+   *    Tokens outside of the sequential range, eg. minted with `__update`, keep their ID.
+   *
+   * Provenance requires sequential mode, see `IERC721Baseline.__enableSequentialMint`.
+   * The provenance hash is computed off-chain, see lib/provenance.js.
+   */
+
+  /**
+   * @dev Emitted when the provenance hash is committed.
+   */
+  event ProvenanceHashUpdated(bytes32 provenanceHash);
+
+  /**
+   * @dev Emitted when the collection is revealed.
+   */
+  event Revealed(uint256 startingIndex);
+
+  /**
+   * @dev Indicates that the provenance hash can't change because tokens were minted or the collection was revealed.
+   */
+  error ProvenanceFrozen();
+
+  /**
+   * @dev Indicates a reveal without a provenance hash.
+   */
+  error ProvenanceNotCommitted();
+
+  /**
+   * @dev Indicates that the collection was already revealed.
+   */
+  error AlreadyRevealed();
+
+  /**
+   * @notice Returns the provenance of the collection.
+   *
+   * @return provenanceHash the committed provenance hash, zero when not committed
+   * @return startingIndex the metadata IDs offset, zero until revealed
+   * @return revealed whether the collection was revealed
+   */
+  function provenance() external view returns (bytes32 provenanceHash, uint256 startingIndex, bool revealed);
+
+  /**
+   * @notice Commits the provenance hash of the collection.
+   * @dev Emits a `ProvenanceHashUpdated` event.
+   * Reverts with `SequentialMintDisabled` without sequential mode and with `ProvenanceFrozen`
+   * once tokens were minted or the collection was revealed.
+   *
+   * The sender must be an admin or have the `ROLE_METADATA_MANAGER` role.
+   *
+   * @param provenanceHash the provenance hash
+   */
+  function setProvenanceHash(bytes32 provenanceHash) external;
+
+  /**
+   * @notice Commits the provenance hash of the collection.
+   * @dev See `setProvenanceHash`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param provenanceHash the provenance hash
+   */
+  function __setProvenanceHash(bytes32 provenanceHash) external;
+
+  /**
+   * @notice Reveals the collection.
+   * @dev Draws the starting index from `block.prevrandao`, the previous block hash and the provenance hash,
+   * clears the shared URI and emits `Revealed` and EIP-4906's `BatchMetadataUpdate` for the minted tokens.
+   * Reverts with `ProvenanceNotCommitted` without a provenance hash and with `AlreadyRevealed`.
+   *
+   * The draw is cheap and needs no oracle but it isn't secure randomness:
+   *
+   * - `block.prevrandao` and the previous block hash are known one block in advance,
+   *   therefore the sender can predict the starting index and choose when to reveal.
+   * - The block proposer can bias the draw by withholding its block.
+   * - On chains where `block.prevrandao` is constant only the previous block hash varies.
+   *
+   * This is acceptable when the sender is trusted not to time the reveal, for the order of a collection
+   * metadata, but not for high value draws, which should use a VRF oracle instead.
+   * The gas used depends on the drawn index, estimates should leave a margin.
+   *
+   * The sender must be an admin or have the `ROLE_METADATA_MANAGER` role.
+   */
+  function reveal() external;
+
+  /**
+   * @notice Reveals the collection.
+   * @dev See `reveal`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   */
+  function __reveal() external;
+
+}
+
+/**
+ * @title IERC721BaselineRevenue
+ * @custom:version v0.1.0
+ * @notice The methods implemented by ERC721BaselineRevenue.
+ *
+ * @dev ERC721BaselineRevenue is a module, see `IERC721Baseline.__setModule`.
+ * It splits the ETH and the ERC-20 tokens held by the proxy between payees.
+ * Proxies call these methods with `baselineRevenue()`, see ERC721Baseline.
+ *
+ * Errors shared with the implementation, like `NotProxy` and `Unauthorized`, are declared in IERC721Baseline.
+ */
+interface IERC721BaselineRevenue {
+
+  /************************************************
+   * Revenue
+   ************************************************/
+
+  /**
+   * Proxies keep the ETH paid to their payable methods, eg. a mint method, and the ERC-20 tokens
+   * transferred to them. Admins configure the payees and their shares, then anybody can `release`
+   * to a payee its share of the proxy balance, therefore proxies don't need a withdraw method:
+   *
+   *  function mint(uint256 quantity) external payable {
+   *    require(msg.value == quantity * PRICE);
+   *    baseline().__mintNext(msg.sender, quantity);
+   *  }
+   *
+   * Like OpenZeppelin's PaymentSplitter a payee is owed its shares of the total received,
+   * that is the balance plus the total released, minus what was already released to it.
+   *
+   * Updating the payees releases the ETH owed to the current payees, then the new payees split the rest.
+   * The ERC-20 tokens a proxy received are not tracked, therefore they should be released before the payees are updated
+   * or they are split with the new payees.
+   *
+   * The proxy balance is split entirely, proxies that hold funds for other purposes should not use this.
+   */
+
+  /**
+   * @dev Emitted when the payees are updated.
+   */
+  event PayeesUpdated(address[] accounts, uint256[] shares);
+
+  /**
+   * @dev Emitted when ETH is released to a payee.
+   */
+  event PaymentReleased(address indexed payee, uint256 amount);
+
+  /**
+   * @dev Emitted when an ERC-20 token is released to a payee.
+   */
+  event ERC20PaymentReleased(address indexed token, address indexed payee, uint256 amount);
+
+  /**
+   * @dev Indicates a payees configuration with mismatching lengths, a zero address, zero shares or duplicates.
+   */
+  error InvalidPayees();
+
+  /**
+   * @dev Indicates a release to an address that is not a payee or has nothing to release.
+   */
+  error NoPaymentDue(address payee);
+
+  /**
+   * @notice Returns the payees and their shares.
+   *
+   * @return accounts the payees
+   * @return shares the shares of each payee
+   */
+  function payees() external view returns (address[] memory accounts, uint256[] memory shares);
+
+  /**
+   * @notice Returns the ETH released to a payee with the current payees.
+   *
+   * @param payee the payee
+   * @return uint256 the released amount
+   */
+  function released(address payee) external view returns (uint256);
+
+  /**
+   * @notice Returns the ERC-20 token amount released to a payee with the current payees.
+   *
+   * @param token the ERC-20 token
+   * @param payee the payee
+   * @return uint256 the released amount
+   */
+  function releasedERC20(address token, address payee) external view returns (uint256);
+
+  /**
+   * @notice Returns the ETH that can be released to a payee.
+   *
+   * @param payee the payee
+   * @return uint256 the releasable amount
+   */
+  function releasable(address payee) external view returns (uint256);
+
+  /**
+   * @notice Returns the ERC-20 token amount that can be released to a payee.
+   *
+   * @param token the ERC-20 token
+   * @param payee the payee
+   * @return uint256 the releasable amount
+   */
+  function releasableERC20(address token, address payee) external view returns (uint256);
+
+  /**
+   * @notice Sets the payees and their shares.
+   * @dev Emits a `PayeesUpdated` event. Reverts with `InvalidPayees`, see the error.
+   * An empty list removes the payees.
+   *
+   * Releases the ETH owed to the current payees first and emits a `PaymentReleased` event for each of them.
+   *
+   * The sender must be an admin.
+   *
+   * @param accounts the payees
+   * @param shares the shares of each payee
+   */
+  function setPayees(address[] calldata accounts, uint256[] calldata shares) external;
+
+  /**
+   * @notice Sets the payees and their shares.
+   * @dev See `setPayees`.
+   *
+   * This method is internal and only the proxy contract can call it.
+   *
+   * @param accounts the payees
+   * @param shares the shares of each payee
+   */
+  function __setPayees(address[] calldata accounts, uint256[] calldata shares) external;
+
+  /**
+   * @notice Sends a payee the ETH it is owed.
+   * @dev Emits a `PaymentReleased` event. Reverts with `NoPaymentDue` when nothing can be released.
+   *
+   * Anybody can call this method.
+   *
+   * @param payee the payee
+   */
+  function release(address payable payee) external;
+
+  /**
+   * @notice Sends a payee the ERC-20 token amount it is owed.
+   * @dev Emits an `ERC20PaymentReleased` event. Reverts with `NoPaymentDue` when nothing can be released.
+   *
+   * Anybody can call this method.
+   *
+   * @param token the ERC-20 token
+   * @param payee the payee
+   */
+  function releaseERC20(address token, address payee) external;
+
+}
+
+/**
+ * @title IERC721BaselineHooks
+ * @notice Hook methods that proxies can implement, see `IERC721Baseline.__setHookEnabled`.
+ *
+ * @dev The hooks are external methods of the proxy therefore anybody can call them directly.
+ * Hooks that change the proxy state should only trust calls made by the implementation,
+ * eg. by checking that the state they read (like the token owner) matches the arguments.
+ */
+interface IERC721BaselineHooks {
+
+  /**
+   * @notice Called before a token is minted, transferred or burned.
+   *
+   * @param sender the transaction's _msgSender()
+   * @param from the current owner, the zero address when minting
+   * @param to the new owner, the zero address when burning
+   * @param tokenId the token ID
+   */
+  function _beforeTokenTransfer(address sender, address from, address to, uint256 tokenId) external;
+
+  /**
+   * @notice Called after a token is minted, transferred or burned.
+   *
+   * @param sender the transaction's _msgSender()
+   * @param from the previous owner, the zero address when minting
+   * @param to the new owner, the zero address when burning
+   * @param tokenId the token ID
+   */
+  function _afterTokenTransfer(address sender, address from, address to, uint256 tokenId) external;
+
+  /**
+   * @notice Called before `approve`.
+   *
+   * @param sender the transaction's _msgSender()
+   * @param owner the token owner
+   * @param to the address to approve
+   * @param tokenId the token ID
+   */
+  function _beforeApprove(address sender, address owner, address to, uint256 tokenId) external;
+
+  /**
+   * @notice Called before `setApprovalForAll`.
+   *
+   * @param sender the transaction's _msgSender(), that is the owner
+   * @param operator the operator
+   * @param approved whether the operator is being approved or revoked
+   */
+  function _beforeSetApprovalForAll(address sender, address operator, bool approved) external;
+
+  /**
+   * @notice Returns the token URI given the URI resolved by ERC721Baseline.
+   *
+   * @param tokenId the token ID
+   * @param uri the resolved URI, see `IERC721Baseline.tokenURI`
+   * @return string the token URI
+   */
+  function _tokenURI(uint256 tokenId, string calldata uri) external view returns (string memory);
+
+}
@@ -132,6 +132,28 @@ library Utils {
   }
 
 
+  /**
+   * toTypedDataHash
+   *
+   * @dev Returns an EIP-712 typed data hash, created from a `domainSeparator` and a `structHash`.
+   * This produces a hash corresponding to the one signed with the
+   * [`eth_signTypedData`](https://eips.ethereum.org/EIPS/eip-712)
+   * JSON-RPC method.
+   * MIT Licensed, (c) 2022-present Solady.
+   */
+  function toTypedDataHash(bytes32 domainSeparator, bytes32 structHash) internal pure returns (bytes32 result) {
+    /// @solidity memory-safe-assembly
+    assembly {
+      let m := mload(0x40) // Cache the free memory pointer.
+      mstore(0x00, 0x1901) // Store "\x19\x01".
+      mstore(0x20, domainSeparator)
+      mstore(0x40, structHash)
+      result := keccak256(0x1e, 0x42) // `2 + 32 * 2 = 66 = 0x42`.
+      mstore(0x40, m) // Restore the free memory pointer.
+    }
+  }
+
+
   /************************************************
    * String Utils
    ************************************************/
@@ -199,4 +221,97 @@ library Utils {
     }
     return result;
   }
+
+  /**
+   * @notice encodeBase64.
+   * @dev Encodes `data` using the base64 encoding described in RFC 4648, with padding.
+   * MIT Licensed, (c) 2022-present OpenZeppelin.
+   */
+  function encodeBase64(bytes memory data) internal pure returns (string memory) {
+    if (data.length == 0) return "";
+
+    string memory table = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    string memory result = new string(4 * ((data.length + 2) / 3));
+
+    /// @solidity memory-safe-assembly
+    assembly {
+      let tablePtr := add(table, 1)
+      let resultPtr := add(result, 32)
+
+      for {
+        let dataPtr := data
+        let endPtr := add(data, mload(data))
+      } lt(dataPtr, endPtr) {
+
+      } {
+        dataPtr := add(dataPtr, 3)
+        let input := mload(dataPtr)
+
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(18, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(12, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(6, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(input, 0x3F))))
+        resultPtr := add(resultPtr, 1)
+      }
+
+      switch mod(mload(data), 3)
+      case 1 {
+        mstore8(sub(resultPtr, 1), 0x3d)
+        mstore8(sub(resultPtr, 2), 0x3d)
+      }
+      case 2 {
+        mstore8(sub(resultPtr, 1), 0x3d)
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @notice escapeJSON.
+   * @dev Escapes `value` to be used in a JSON string: quotes, backslashes and control characters.
+   */
+  function escapeJSON(string memory value) internal pure returns (string memory) {
+    bytes memory input = bytes(value);
+    uint256 length = input.length;
+
+    unchecked {
+      for (uint256 i = 0; i < input.length; i++) {
+        bytes1 char = input[i];
+        if (char == '"' || char == "\\") {
+          length += 1;
+        } else if (char < 0x20) {
+          length += 5;
+        }
+      }
+
+      if (length == input.length) return value;
+
+      bytes memory output = new bytes(length);
+      uint256 j = 0;
+
+      for (uint256 i = 0; i < input.length; i++) {
+        bytes1 char = input[i];
+        if (char == '"' || char == "\\") {
+          output[j++] = "\\";
+          output[j++] = char;
+        } else if (char < 0x20) {
+          // \u00XX
+          output[j++] = "\\";
+          output[j++] = "u";
+          output[j++] = "0";
+          output[j++] = "0";
+          output[j++] = bytes1(uint8(char) < 0x10 ? 0x30 : 0x31);
+          output[j++] = bytes("0123456789abcdef")[uint8(char) & 0x0f];
+        } else {
+          output[j++] = char;
+        }
+      }
+
+      return string(output);
+    }
+  }
 }
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {IERC1271} from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @title {title}
+/// @author {name}
+/// @dev A contract wallet that accepts the signatures of its signer.
+contract ERC1271WalletMock is IERC1271 {
+  address public immutable signer;
+
+  constructor(address signer_) {
+    signer = signer_;
+  }
+
+  function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+    return ECDSA.recover(hash, signature) == signer ? IERC1271.isValidSignature.selector : bytes4(0);
+  }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title {title}
+/// @author {name}
+/// @dev An ERC-20 token that anybody can mint.
+contract ERC20Mock is ERC20 {
+  constructor() ERC20("Mock", "MOCK") {}
+
+  function mint(address to, uint256 amount) external {
+    _mint(to, amount);
+  }
+}
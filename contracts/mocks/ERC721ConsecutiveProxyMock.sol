@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721ProxyMock} from "./ERC721ProxyMock.sol";
+
+/// @title {title}
+/// @author {name}
+/// @dev Delegatecalls `calls` to the implementation at initialization, eg. `__mintConsecutive`.
+contract ERC721ConsecutiveProxyMock is ERC721ProxyMock {
+  constructor(
+    address ERC721BaselineImplementation,
+    string memory name,
+    string memory symbol,
+    bytes[] memory calls
+  )
+    ERC721ProxyMock(
+      ERC721BaselineImplementation,
+      name,
+      symbol
+    )
+  {
+    for (uint256 i = 0; i < calls.length; i++) {
+      (bool success, bytes memory reason) = ERC721BaselineImplementation.delegatecall(calls[i]);
+
+      if (success == false) {
+        if (reason.length == 0) revert("Call Failed.");
+        assembly {
+          revert(add(32, reason), mload(reason))
+        }
+      }
+    }
+  }
+}
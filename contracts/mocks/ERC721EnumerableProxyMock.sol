@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721Baseline} from "../ERC721Baseline.sol";
+import {IERC721Baseline} from "../IERC721Baseline.sol";
+
+/// @title {title}
+/// @author {name}
+/// @dev Enables the enumeration extension at initialization.
+contract ERC721EnumerableProxyMock is ERC721Baseline {
+  constructor(
+    address ERC721BaselineImplementation,
+    string memory name,
+    string memory symbol
+  )
+    ERC721Baseline(
+      ERC721BaselineImplementation,
+      name,
+      symbol
+    )
+  {
+    (bool success, ) = ERC721BaselineImplementation.delegatecall(
+      abi.encodeCall(IERC721Baseline.__enableEnumeration, ())
+    );
+    require(success, "Enumeration Failed.");
+  }
+
+  function adminMint(address to, uint256 tokenId) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__mint(to, tokenId);
+  }
+
+  function adminMintBatch(address[] calldata to, uint256[] calldata tokenIds) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__mintBatch(to, tokenIds);
+  }
+
+  function adminEnableSequentialMint(uint256 startTokenId, uint256 maxSupply) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__enableSequentialMint(startTokenId, maxSupply);
+  }
+
+  function adminBurn(uint256 tokenId) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__burn(tokenId);
+  }
+
+  function adminUpdate(address to, uint256 tokenId) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__update(to, tokenId, address(0));
+  }
+}
@@ -6,7 +6,7 @@ import {Proxy} from "@openzeppelin/contracts/proxy/Proxy.sol";
 import {Address} from "@openzeppelin/contracts/utils/Address.sol";
 import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
 import {ERC721Baseline} from "../ERC721Baseline.sol";
-import {IERC721Baseline} from "../IERC721Baseline.sol";
+import {IERC721Baseline, ROLE_MINTER} from "../IERC721Baseline.sol";
 
 /// @title {title}
 /// @author {name}
@@ -35,10 +35,34 @@ contract ERC721ProxyMock is ERC721Baseline {
     baseline().__setBaseURI(baseURI);
   }
 
+  function onlyProxy_setContractURI(string calldata uri) external {
+    baselineExtension().__setContractURI(uri);
+  }
+
+  function onlyProxy_setSVGTemplate(string calldata svgTemplate) external {
+    baselineExtension().__setSVGTemplate(svgTemplate);
+  }
+
+  function onlyProxy_setSharedAttributes(string[] calldata traitTypes, string[] calldata values) external {
+    baselineExtension().__setSharedAttributes(traitTypes, values);
+  }
+
+  function onlyProxy_setTokenAttributes(uint256 tokenId, string[] calldata traitTypes, string[] calldata values) external {
+    baselineExtension().__setTokenAttributes(tokenId, traitTypes, values);
+  }
+
   function onlyProxy_configureRoyalties(address payable receiver, uint16 bps) external {
     baseline().__configureRoyalties(receiver, bps);
   }
 
+  function onlyProxy_configureTokenRoyalties(uint256 tokenId, address payable receiver, uint16 bps) external {
+    baselineExtension().__configureTokenRoyalties(tokenId, receiver, bps);
+  }
+
+  function onlyProxy_configureRoyaltiesRange(uint256 fromTokenId, uint256 toTokenId, address payable receiver, uint16 bps) external {
+    baselineExtension().__configureRoyaltiesRange(fromTokenId, toTokenId, receiver, bps);
+  }
+
   function onlyProxy_mint(address to, uint256 tokenId) external returns (uint256 newBalance) {
     baseline().__mint(to, tokenId);
     return baseline().balanceOf(to);
@@ -55,6 +79,84 @@ contract ERC721ProxyMock is ERC721Baseline {
     return baseline().balanceOf(to);
   }
 
+  function minterMint(address to, uint256 tokenId) external {
+    baseline().requireRole(msg.sender, ROLE_MINTER);
+    baseline().__mint(to, tokenId);
+  }
+
+  function onlyProxy_mintBatch(address[] calldata to, uint256[] calldata tokenIds) external {
+    baseline().__mintBatch(to, tokenIds);
+  }
+
+  function onlyProxy_mintBatch(address[] calldata to, uint256[] calldata tokenIds, string[] calldata tokenURIs) external {
+    baselineExtension().__mintBatch(to, tokenIds, tokenURIs);
+  }
+
+  function adminMintBatch(address[] calldata to, uint256[] calldata tokenIds) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__mintBatch(to, tokenIds);
+  }
+
+  function adminMintBatch(address[] calldata to, uint256[] calldata tokenIds, string[] calldata tokenURIs) external {
+    baseline().requireAdmin(msg.sender);
+    baselineExtension().__mintBatch(to, tokenIds, tokenURIs);
+  }
+
+  function onlyProxy_burnBatch(uint256[] calldata tokenIds) external {
+    baseline().__burnBatch(tokenIds);
+  }
+
+  function onlyProxy_setTokenURIs(uint256[] calldata tokenIds, string[] calldata tokenURIs) external {
+    baselineExtension().__setTokenURIs(tokenIds, tokenURIs);
+  }
+
+  function onlyProxy_enableSequentialMint(uint256 startTokenId, uint256 maxSupply) external {
+    baseline().__enableSequentialMint(startTokenId, maxSupply);
+  }
+
+  function onlyProxy_mintNext(address to, uint256 quantity) external returns (uint256 firstTokenId) {
+    return baseline().__mintNext(to, quantity);
+  }
+
+  function onlyProxy_mintConsecutive(address to, uint256 quantity) external returns (uint256 firstTokenId) {
+    return baseline().__mintConsecutive(to, quantity);
+  }
+
+  function onlyProxy_setAllowlistRoot(bytes32 root) external {
+    baselineAllowlist().__setAllowlistRoot(root);
+  }
+
+  function onlyProxy_claimAllowlist(address account, uint256 quantity, uint256 quota, bytes32[] calldata proof) external {
+    baselineAllowlist().__claimAllowlist(account, quantity, quota, proof);
+  }
+
+  function allowlistMint(uint256 quantity, uint256 quota, bytes32[] calldata proof) external returns (uint256 firstTokenId) {
+    baselineAllowlist().__claimAllowlist(msg.sender, quantity, quota, proof);
+    return baseline().__mintNext(msg.sender, quantity);
+  }
+
+  function onlyProxy_setProvenanceHash(bytes32 provenanceHash) external {
+    baselineProvenance().__setProvenanceHash(provenanceHash);
+  }
+
+  function onlyProxy_reveal() external {
+    baselineProvenance().__reveal();
+  }
+
+  function onlyProxy_setPayees(address[] calldata accounts, uint256[] calldata shares) external {
+    baselineRevenue().__setPayees(accounts, shares);
+  }
+
+  function onlyProxy_multicall(bytes[] calldata data) external returns (bytes[] memory results) {
+    return baselineExtension().multicall(data);
+  }
+
+  // The proxy keeps the ETH, see IERC721BaselineRevenue's `release`.
+  function paidMint(uint256 quantity) external payable returns (uint256 firstTokenId) {
+    require(msg.value == quantity * 0.01 ether, "Wrong value");
+    return baseline().__mintNext(msg.sender, quantity);
+  }
+
   function onlyProxy_burn(uint256 tokenId) external returns (uint256 newBalance) {
     address owner = baseline().ownerOf(tokenId);
     require(msg.sender == owner, "Not owner");
@@ -62,6 +164,10 @@ contract ERC721ProxyMock is ERC721Baseline {
     return baseline().balanceOf(owner);
   }
 
+  function onlyProxy_enableEnumeration() external {
+    baseline().__enableEnumeration();
+  }
+
   function onlyProxy_transfer(address from, address to, uint256 tokenId) external {
     baseline().__transfer(from, to, tokenId);
   }
@@ -90,6 +196,8 @@ contract ERC721ProxyMock is ERC721Baseline {
     emit BeforeTokenTransferCalled();
 
     require(_beforeTokenTransferHookEnabledProxy, 'not enabled');
+    // Reverts without a reason.
+    require(to != address(this));
 
     if (sender == to) {
       revert('Call to self');
@@ -98,6 +206,66 @@ contract ERC721ProxyMock is ERC721Baseline {
     __baseURI = "altered";
   }
 
+  function onlyProxy_setHookEnabled(IERC721Baseline.Hook hook, bool enabled) external {
+    baseline().__setHookEnabled(hook, enabled);
+  }
+
+  // Soulbound tokens can be minted and burned but not transferred or approved.
+  bool public soulbound;
+  mapping(uint256 => uint256) public transfersCount;
+  mapping(uint256 => address) private countedOwner;
+  event AfterTokenTransferCalled(address sender, address from, address to, uint256 tokenId);
+
+  function setSoulbound(bool enabled) external {
+    baseline().requireAdmin(msg.sender);
+    soulbound = enabled;
+  }
+
+  function _afterTokenTransfer(address sender, address from, address to, uint256 tokenId) external {
+    emit AfterTokenTransferCalled(sender, from, to, tokenId);
+
+    if (soulbound && from != address(0) && to != address(0)) {
+      revert('Soulbound');
+    }
+
+    // Hooks can be called directly, a transfer is counted once when `to` is the new owner.
+    if (to != address(0) && countedOwner[tokenId] != to && baseline().__ownerOf(tokenId) == to) {
+      countedOwner[tokenId] = to;
+      transfersCount[tokenId] += 1;
+    }
+  }
+
+  function _beforeApprove(address, address, address to, uint256) external view {
+    if (soulbound && to != address(0)) {
+      revert('Soulbound');
+    }
+  }
+
+  function _beforeSetApprovalForAll(address, address operator, bool approved) external view {
+    // Reverts without a reason.
+    require(operator != address(this));
+
+    if (soulbound && approved) {
+      revert('Soulbound');
+    }
+  }
+
+  function _tokenURI(uint256 tokenId, string calldata tokenURI) external view returns (string memory) {
+    return string.concat(tokenURI, "?transfers=", Strings.toString(transfersCount[tokenId]));
+  }
+
+  function onlyProxy_setNonTransferable(bool enabled) external {
+    baselineExtension().__setNonTransferable(enabled);
+  }
+
+  function onlyProxy_setOperatorDenied(address operator, bool denied) external {
+    baselineExtension().__setOperatorDenied(operator, denied);
+  }
+
+  function onlyProxy_setTransferLock(uint256 tokenId, uint256 until) external {
+    baselineExtension().__setTransferLock(tokenId, until);
+  }
+
   function onlyProxy_approve(address to, uint256 tokenId, address auth, bool emitEvent) external {
     baseline().__approve(to, tokenId, auth, emitEvent);
   }
@@ -114,6 +282,26 @@ contract ERC721ProxyMock is ERC721Baseline {
     baseline().__transferOwnership(newOwner);
   }
 
+  function onlyProxy_setRoles(address account, uint256 roles) external {
+    baselineAccessControl().__setRoles(account, roles);
+  }
+
+  function onlyProxy_startOwnershipTransfer(address newOwner) external {
+    baselineAccessControl().__startOwnershipTransfer(newOwner);
+  }
+
+  function onlyProxy_setUpgradesEnabled(bool enabled) external {
+    baseline().__setUpgradesEnabled(enabled);
+  }
+
+  function onlyProxy_upgradeTo(address newImplementation) external {
+    baseline().__upgradeTo(newImplementation);
+  }
+
+  function onlyProxy_setModule(address module, bytes4[] calldata selectors) external {
+    baseline().__setModule(module, selectors);
+  }
+
   function uri(uint256 tokenId) external view returns (string memory) {
     return baseline().__tokenURI(tokenId);
   }
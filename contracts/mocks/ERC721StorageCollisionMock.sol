@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721Baseline} from "../ERC721Baseline.sol";
+
+/// @title {title}
+/// @author {name}
+/// @dev Declares storage that the storage layout checker (lib/storage.js) must reject.
+contract ERC721StorageCollisionMock is ERC721Baseline {
+  constructor(
+    address ERC721BaselineImplementation,
+    string memory name,
+    string memory symbol
+  )
+    ERC721Baseline(
+      ERC721BaselineImplementation,
+      name,
+      symbol
+    )
+  {}
+
+  /// @custom:storage-location erc7201:erc721baseline.implementation.storage
+  struct CollidingStorage {
+    uint256 value;
+  }
+
+  // Same namespace as ERC721BaselineImplementation.
+  bytes32 private constant CollidingStorageLocation = 0xd70e9a647412bf72add39fd1ab5a6a89bfb0d778061be5e3d13cfa60d9d90b00;
+
+  /// @custom:storage-location erc7201:erc721baseline.mock.storage
+  struct MismatchedStorage {
+    uint256 value;
+  }
+
+  // bytes32(uint256(keccak256("erc721baseline.mock.storage")) - 1) is not an ERC-7201 slot.
+  bytes32 private constant MismatchedStorageLocation = 0x1e9835d477e5baa5ad8e663fc249f31cbde7aabca696fa6d0c3956306cb7b9ce;
+}
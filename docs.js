@@ -1,11 +1,131 @@
-const solcOutput = require("./build/contracts/ERC721Baseline.json");
+const fs = require("fs");
+const path = require("path");
 const { docgen } = require("solidity-docgen");
+const { compile } = require("./lib/compile");
+
+/**
+ * Docs
+ * ––––
+ *
+ * Generates a Markdown API reference from the contracts' NatSpec in build/docs.
+ *
+ * Truffle artifacts only contain a subset of solc's output,
+ * therefore the contracts are compiled with solc-js to get the full standard JSON output.
+ * The templates in docs/templates add the access (onlyProxy, admin) of each method.
+ */
+
+const OUTPUT_DIR = "build/docs";
+
+/**
+ * Documented contracts, by source file.
+ */
+const PAGES = {
+  "contracts/IERC721Baseline.sol": "IERC721Baseline.md",
+  "contracts/ERC721BaselineImplementation.sol":
+    "ERC721BaselineImplementation.md",
+  "contracts/ERC721BaselineExtension.sol": "ERC721BaselineExtension.md",
+  "contracts/ERC721BaselineAccessControl.sol": "ERC721BaselineAccessControl.md",
+  "contracts/ERC721BaselineAllowlist.sol": "ERC721BaselineAllowlist.md",
+  "contracts/ERC721BaselineProvenance.sol": "ERC721BaselineProvenance.md",
+  "contracts/ERC721BaselineRevenue.sol": "ERC721BaselineRevenue.md",
+  "contracts/ERC721BaselineModule.sol": "ERC721BaselineModule.md",
+  "contracts/ERC721BaselineState.sol": "ERC721BaselineState.md",
+  "contracts/ERC721Baseline.sol": "ERC721Baseline.md",
+  "contracts/ERC721BaselineRenderer.sol": "ERC721BaselineRenderer.md",
+};
+
+function includesNode(node, predicate) {
+  if (!node || typeof node !== "object") return false;
+  if (predicate(node)) return true;
+  return Object.values(node).some((value) => includesNode(value, predicate));
+}
+
+/**
+ * Sets `access` on the functions of the interfaces, the implementation and the extension:
+ *
+ * - `onlyProxy` methods can only be called by the proxy via `baseline()`
+ * - `admin` methods check `requireAdmin` on the sender
+ *
+ * The access is read from ERC721BaselineImplementation and ERC721BaselineExtension
+ * since the interfaces only declare the methods.
+ * This runs before docgen which adds its own properties to the AST nodes (eg. `modifiers`).
+ */
+function annotateAccess(output) {
+  const functions = Object.values(output.sources)
+    .flatMap(({ ast }) => ast.nodes)
+    .filter(
+      (node) =>
+        node.nodeType === "ContractDefinition" &&
+        [
+          "IERC721Baseline",
+          "IERC721BaselineExtension",
+          "ERC721BaselineImplementation",
+          "ERC721BaselineExtension",
+        ].includes(node.name),
+    )
+    .flatMap((contract) =>
+      contract.nodes.filter(
+        (node) =>
+          node.nodeType === "FunctionDefinition" && node.functionSelector,
+      ),
+    );
+
+  const access = new Map();
+
+  functions
+    .filter(({ body }) => body)
+    .forEach(({ functionSelector, modifiers, body }) => {
+      if (
+        modifiers.some(({ modifierName }) => modifierName.name === "onlyProxy")
+      ) {
+        access.set(functionSelector, "onlyProxy");
+      } else if (
+        includesNode(
+          body,
+          (node) =>
+            node.nodeType === "MemberAccess" &&
+            node.memberName === "requireAdmin",
+        )
+      ) {
+        access.set(functionSelector, "admin");
+      }
+    });
+
+  functions.forEach((node) => {
+    node.access = access.get(node.functionSelector);
+  });
+}
 
 async function run() {
-  // @todo this won't work because Truffle's output isa subset of solc's
-  await docgen([{ output: solcOutput }], {
-    outputDir: "build/docs",
+  const root = __dirname;
+  const build = compile({ root, outputSelection: ["abi"] });
+
+  annotateAccess(build.output);
+
+  await docgen([build], {
+    root,
+    sourcesDir: "contracts",
+    outputDir: OUTPUT_DIR,
+    templates: "docs/templates",
+    pages: (item, file) => PAGES[file.absolutePath],
   });
+
+  fs.writeFileSync(
+    path.join(root, OUTPUT_DIR, "README.md"),
+    [
+      "# ERC721Baseline API reference",
+      "",
+      ...Object.values(PAGES).map(
+        (page) => `- [${path.basename(page, ".md")}](${page})`,
+      ),
+      "",
+    ].join("\n"),
+  );
+
+  console.log(`Docs written to ${path.join(root, OUTPUT_DIR)}`);
 }
 
-run();
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
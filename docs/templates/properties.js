@@ -0,0 +1,48 @@
+/**
+ * Properties used by the docs templates, see docs.js.
+ */
+
+const IMPLEMENTATION = "ERC721BaselineImplementation";
+
+const ACCESS_LABELS = {
+  onlyProxy: "only the proxy (`onlyProxy`)",
+  admin: "admins only",
+};
+
+/**
+ * The functions documented for a contract.
+ * The implementation is only reached through the proxy therefore its internal functions are omitted.
+ */
+function functions({ item }) {
+  if (item.nodeType !== "ContractDefinition") return undefined;
+
+  return item.nodes.filter(
+    (node) =>
+      node.nodeType === "FunctionDefinition" &&
+      node.visibility !== "private" &&
+      (item.name !== IMPLEMENTATION || node.visibility !== "internal"),
+  );
+}
+
+/**
+ * Describes who can call a function, `access` is set by docs.js.
+ */
+function accessLabel({ item }) {
+  if (item.nodeType !== "FunctionDefinition") return undefined;
+  if (item.visibility === "internal") return "internal";
+  return ACCESS_LABELS[item.access] || "public";
+}
+
+function parameterTypes({ item }) {
+  if (!item.parameters) return undefined;
+
+  return item.parameters.parameters
+    .map(({ typeDescriptions }) => typeDescriptions.typeString)
+    .join(",");
+}
+
+module.exports = {
+  functions,
+  accessLabel,
+  parameterTypes,
+};
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const { parseCsv } = require("./csv");
+const { toBaselineError } = require("./errors");
+
+/**
+ * Airdrops
+ * ––––––––
+ *
+ * Mints a list of tokens through a proxy's batch mint method in as few transactions as possible.
+ *
+ * `__mintBatch` can only be called by the proxy therefore the proxy must expose a method that calls it,
+ * eg. ERC721ProxyMock's `adminMintBatch(address[],uint256[])`.
+ * When the method takes a third `string[]` argument the items' `uri` is passed as the token URI,
+ * eg. a method that calls IERC721BaselineExtension's `__mintBatch`.
+ *
+ * The items are split in chunks that fit in the gas limit, estimating the gas of each chunk
+ * against the current chain state before sending it.
+ */
+
+/**
+ * Default proxy method used to mint the tokens.
+ */
+const DEFAULT_METHOD = "adminMintBatch(address[],uint256[])";
+
+/**
+ * Reads the airdrop items from a CSV or JSON file with `to`, `tokenId` and optionally `uri`.
+ *
+ * @param {string} file path to the file
+ * @returns {{ to: string, tokenId: string, uri?: string }[]}
+ */
+function readAirdrop(file) {
+  const input = fs.readFileSync(file, "utf8");
+  const items = file.endsWith(".csv") ? parseCsv(input) : JSON.parse(input);
+
+  items.forEach((item, index) => {
+    if (!item.to || item.tokenId === undefined || item.tokenId === "") {
+      throw new Error(`Item ${index + 1} must have a to and tokenId.`);
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Builds an ABI fragment from a method signature, eg. `adminMintBatch(address[],uint256[])`.
+ *
+ * @param {string} signature the method signature
+ * @returns {object} the ABI fragment
+ */
+function methodFragment(signature) {
+  const match = signature.match(/^(\w+)\((.*)\)$/);
+  if (!match) throw new Error(`Invalid method signature: ${signature}`);
+
+  const types = match[2] ? match[2].split(",").map((type) => type.trim()) : [];
+  const expected = ["address[]", "uint256[]", "string[]"];
+
+  if (
+    types.length < 2 ||
+    types.length > 3 ||
+    types.some((type, index) => type !== expected[index])
+  ) {
+    throw new Error(
+      `${signature} must take (address[],uint256[]) or (address[],uint256[],string[]).`,
+    );
+  }
+
+  return {
+    name: match[1],
+    type: "function",
+    inputs: types.map((type, index) => ({ name: `arg${index}`, type })),
+  };
+}
+
+/**
+ * Mints the items in chunks that fit in the gas limit.
+ *
+ * When the estimate of a chunk fails (eg. a token exists) the chunk is halved until the failing item
+ * is found, which is reported as a failed chunk and skipped. The following items are still sent.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {object[]} options.items see `readAirdrop`
+ * @param {string} [options.method] the proxy method signature
+ * @param {number} [options.gasLimit] maximum gas per transaction
+ * @param {string} options.from the sender
+ * @param {Function} [options.onChunk] called with each chunk result
+ * @returns {Promise<object[]>} the chunk results: { from, to, count, gas, gasUsed, transactionHash, error }
+ */
+async function airdrop({
+  client,
+  items,
+  method = DEFAULT_METHOD,
+  gasLimit = 10000000,
+  from,
+  onChunk = () => {},
+}) {
+  const { web3, address, decodeError } = client;
+  const fragment = methodFragment(method);
+
+  const transaction = (start, count) => ({
+    from,
+    to: address,
+    data: web3.eth.abi.encodeFunctionCall(
+      fragment,
+      [
+        items.slice(start, start + count).map(({ to }) => to),
+        items.slice(start, start + count).map(({ tokenId }) => String(tokenId)),
+        items.slice(start, start + count).map(({ uri }) => uri || ""),
+      ].slice(0, fragment.inputs.length),
+    ),
+  });
+
+  const results = [];
+  // Number of items that fit in the gas limit, shrinks with the estimates.
+  let size = items.length;
+  let start = 0;
+
+  while (start < items.length) {
+    let count = Math.min(size, items.length - start);
+    const result = { from: start, to: start, count };
+
+    try {
+      let gas;
+
+      for (;;) {
+        try {
+          gas = await web3.eth.estimateGas(transaction(start, count));
+        } catch (error) {
+          if (count === 1) throw error;
+          count = Math.ceil(count / 2);
+          continue;
+        }
+
+        if (gas <= gasLimit) break;
+        if (count === 1) {
+          throw new Error(
+            `A single mint needs ${gas} gas (limit ${gasLimit}).`,
+          );
+        }
+
+        // Shrink proportionally to the estimate, at least by one item.
+        count = Math.max(
+          1,
+          Math.min(count - 1, Math.floor((count * gasLimit) / gas)),
+        );
+        size = count;
+      }
+
+      const receipt = await web3.eth.sendTransaction({
+        ...transaction(start, count),
+        gas,
+      });
+
+      Object.assign(result, {
+        gas,
+        gasUsed: receipt.gasUsed,
+        transactionHash: receipt.transactionHash,
+      });
+    } catch (error) {
+      result.error = toBaselineError(error, decodeError).message;
+    }
+
+    Object.assign(result, { to: start + count - 1, count });
+    results.push(result);
+    onChunk(result);
+    start += count;
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_METHOD,
+  readAirdrop,
+  methodFragment,
+  airdrop,
+};
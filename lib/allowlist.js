@@ -0,0 +1,217 @@
+const fs = require("fs");
+const http = require("http");
+const Web3 = require("web3");
+const { parseCsv } = require("./csv");
+
+const { keccak256, isAddress, toChecksumAddress } = Web3.utils;
+const { abi } = new Web3().eth;
+
+/**
+ * Allowlists
+ * ––––––––––
+ *
+ * Builds the Merkle tree of an allowlist for IERC721BaselineAllowlist's `__claimAllowlist`
+ * and serves the proofs to a mint page.
+ *
+ * Each leaf grants an account a quota of tokens:
+ *
+ *  leaf: keccak256(bytes.concat(keccak256(abi.encode(account, quota))))
+ *
+ * Pairs are hashed sorted, like OpenZeppelin's MerkleProof and StandardMerkleTree,
+ * therefore the proofs only list the sibling hashes.
+ *
+ * The proxy then verifies the proof and mints in the same call, eg.:
+ *
+ *  function allowlistMint(uint256 quantity, uint256 quota, bytes32[] calldata proof) external {
+ *    baselineAllowlist().__claimAllowlist(msg.sender, quantity, quota, proof);
+ *    baseline().__mintNext(msg.sender, quantity);
+ *  }
+ */
+
+/**
+ * Reads the allowlist from a CSV or JSON file with `address` and `quantity`.
+ *
+ * @param {string} file path to the file
+ * @returns {{ address: string, quantity: string }[]}
+ */
+function readAllowlist(file) {
+  const input = fs.readFileSync(file, "utf8");
+  const items = file.endsWith(".csv") ? parseCsv(input) : JSON.parse(input);
+
+  return items.map(({ address, quantity }, index) => {
+    if (!isAddress(address)) {
+      throw new Error(`Item ${index + 1} has an invalid address: ${address}`);
+    }
+    if (!/^\d+$/.test(String(quantity)) || BigInt(quantity) === 0n) {
+      throw new Error(
+        `Item ${index + 1} must have a positive integer quantity.`,
+      );
+    }
+    return { address, quantity: String(quantity) };
+  });
+}
+
+/**
+ * Returns the hash of an allowlist leaf, see IERC721BaselineAllowlist's `__claimAllowlist`.
+ *
+ * @param {string} address the allowlisted account
+ * @param {string|number} quantity the account quota
+ * @returns {string} the leaf hash
+ */
+function allowlistLeaf(address, quantity) {
+  return keccak256(
+    keccak256(
+      abi.encodeParameters(["address", "uint256"], [address, quantity]),
+    ),
+  );
+}
+
+function hashPair(a, b) {
+  return keccak256(
+    "0x" +
+      (BigInt(a) < BigInt(b) ? [a, b] : [b, a])
+        .map((hash) => hash.slice(2))
+        .join(""),
+  );
+}
+
+/**
+ * Builds the Merkle tree of an allowlist.
+ *
+ * An address can only be listed once, the quantity is its total quota.
+ *
+ * @param {{ address: string, quantity: string }[]} items see `readAllowlist`
+ * @returns {{ root: string, proofs: Object<string, { quantity: string, leaf: string, proof: string[] }> }}
+ *   the root and the proofs by checksum address
+ */
+function buildAllowlist(items) {
+  if (items.length === 0) throw new Error("The allowlist is empty.");
+
+  const proofs = {};
+
+  items.forEach(({ address, quantity }) => {
+    const account = toChecksumAddress(address);
+    if (proofs[account]) throw new Error(`Duplicated address: ${account}`);
+
+    proofs[account] = {
+      quantity: String(quantity),
+      leaf: allowlistLeaf(account, quantity),
+      proof: [],
+    };
+  });
+
+  // Sorted leaves make the root independent of the input order.
+  let level = Object.values(proofs)
+    .map(({ leaf }) => leaf)
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  // Every node keeps the entries of the leaves below it, to append the siblings to their proofs.
+  const entries = new Map(
+    Object.values(proofs).map((entry) => [entry.leaf, [entry]]),
+  );
+  let below = level.map((leaf) => entries.get(leaf));
+
+  while (level.length > 1) {
+    const nextLevel = [];
+    const nextBelow = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      // The last node of an odd level moves up as is.
+      if (i + 1 === level.length) {
+        nextLevel.push(level[i]);
+        nextBelow.push(below[i]);
+        continue;
+      }
+
+      below[i].forEach(({ proof }) => proof.push(level[i + 1]));
+      below[i + 1].forEach(({ proof }) => proof.push(level[i]));
+
+      nextLevel.push(hashPair(level[i], level[i + 1]));
+      nextBelow.push([...below[i], ...below[i + 1]]);
+    }
+
+    level = nextLevel;
+    below = nextBelow;
+  }
+
+  return { root: level[0], proofs };
+}
+
+/**
+ * Verifies an allowlist proof like OpenZeppelin's MerkleProof.
+ *
+ * @param {string} root the allowlist root
+ * @param {string} address the allowlisted account
+ * @param {string|number} quantity the account quota
+ * @param {string[]} proof the sibling hashes
+ * @returns {boolean}
+ */
+function verifyAllowlistProof(root, address, quantity, proof) {
+  return (
+    proof.reduce(hashPair, allowlistLeaf(address, quantity)) ===
+    root.toLowerCase()
+  );
+}
+
+/**
+ * Serves the proofs of an allowlist over HTTP:
+ *
+ *  GET /root                { root }
+ *  GET /proofs/<address>    { address, quantity, proof } or 404 when the address is not allowlisted
+ *
+ * Responses allow any origin so that a mint page served from another host can query them.
+ *
+ * @param {{ root: string, proofs: object }} allowlist see `buildAllowlist`
+ * @param {object} [options]
+ * @param {number} [options.port] defaults to 8721, 0 picks a free port
+ * @param {string} [options.host] defaults to 127.0.0.1
+ * @returns {Promise<http.Server>} the listening server
+ */
+function serveAllowlist(
+  { root, proofs },
+  { port = 8721, host = "127.0.0.1" } = {},
+) {
+  const server = http.createServer((request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      });
+      response.end(JSON.stringify(body));
+    };
+
+    if (request.method !== "GET") {
+      return send(405, { error: "Method not allowed." });
+    }
+
+    const { pathname } = new URL(request.url, "http://localhost");
+    const match = pathname.match(/^\/proofs\/(0x[0-9a-fA-F]{40})$/);
+
+    if (pathname === "/root") {
+      return send(200, { root });
+    }
+
+    if (match) {
+      const address = toChecksumAddress(match[1]);
+      const entry = proofs[address];
+
+      return entry
+        ? send(200, { address, quantity: entry.quantity, proof: entry.proof })
+        : send(404, { error: `${address} is not allowlisted.` });
+    }
+
+    send(404, { error: "Not found." });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  readAllowlist,
+  allowlistLeaf,
+  buildAllowlist,
+  verifyAllowlistProof,
+  serveAllowlist,
+};
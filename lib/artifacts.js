@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Directory holding the compiled Truffle artifacts.
+ * These are shipped with the package (see `npm run build`).
+ */
+const BUILD_DIR = path.resolve(__dirname, "../build/contracts");
+
+/**
+ * Loads a compiled contract artifact by contract name.
+ *
+ * @param {string} name contract name, eg. ERC721BaselineImplementation
+ * @param {string} [buildDir] directory with the artifacts, defaults to build/contracts
+ * @returns {object} the Truffle artifact
+ */
+function loadArtifact(name, buildDir = BUILD_DIR) {
+  const file = path.join(buildDir, `${name}.json`);
+
+  try {
+    return require(file);
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND") {
+      throw new Error(
+        `Missing artifact for ${name} (${file}). Run \`npm run build\` first.`,
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the canonical signature of an ABI item, eg. `__mint(address,uint256)`.
+ *
+ * @param {object} item ABI fragment
+ * @returns {string} the signature
+ */
+function signatureOf(item) {
+  return `${item.name}(${item.inputs.map(formatType).join(",")})`;
+}
+
+function formatType(input) {
+  if (!input.type.startsWith("tuple")) {
+    return input.type;
+  }
+  return `(${input.components.map(formatType).join(",")})${input.type.slice(
+    5,
+  )}`;
+}
+
+/**
+ * Merges ABIs removing duplicated items and constructors.
+ *
+ * @param {...object[]} abis the ABIs to merge
+ * @returns {object[]} the merged ABI
+ */
+function mergeAbis(...abis) {
+  const seen = new Set();
+
+  return abis.flat().filter((item) => {
+    if (item.type === "constructor") return false;
+
+    const key = `${item.type}:${item.name ? signatureOf(item) : ""}`;
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * The ABI of a proxy built on ERC721Baseline: the proxy's own methods
+ * (eg. `implementation()`) plus everything delegated to ERC721BaselineImplementation
+ * and to the modules: ERC721BaselineExtension, ERC721BaselineAccessControl, ERC721BaselineAllowlist,
+ * ERC721BaselineProvenance and ERC721BaselineRevenue.
+ * The module methods revert with ModuleNotFound unless the proxy enabled them.
+ *
+ * @param {string} [buildDir] directory with the artifacts, defaults to build/contracts
+ * @returns {object[]} the ABI
+ */
+function baselineAbi(buildDir) {
+  return mergeAbis(
+    loadArtifact("ERC721BaselineImplementation", buildDir).abi,
+    loadArtifact("ERC721BaselineExtension", buildDir).abi,
+    loadArtifact("ERC721BaselineAccessControl", buildDir).abi,
+    loadArtifact("ERC721BaselineAllowlist", buildDir).abi,
+    loadArtifact("ERC721BaselineProvenance", buildDir).abi,
+    loadArtifact("ERC721BaselineRevenue", buildDir).abi,
+    loadArtifact("ERC721Baseline", buildDir).abi,
+  );
+}
+
+/**
+ * Builds a solc-like output (sources with their AST) from the Truffle artifacts,
+ * to analyze the storage of the compiled contracts (see lib/storage.js).
+ *
+ * @param {string} [buildDir] directory with the artifacts, defaults to build/contracts
+ * @returns {{ sources: object }} the output
+ */
+function artifactsOutput(buildDir = BUILD_DIR) {
+  const sources = {};
+
+  fs.readdirSync(buildDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(buildDir, file))))
+    .filter((artifact) => artifact.ast)
+    .forEach(({ sourcePath, ast }) => {
+      sources[ast.absolutePath || sourcePath] = { ast };
+    });
+
+  return { sources };
+}
+
+module.exports = {
+  BUILD_DIR,
+  loadArtifact,
+  artifactsOutput,
+  signatureOf,
+  mergeAbis,
+  baselineAbi,
+};
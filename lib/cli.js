@@ -0,0 +1,122 @@
+const path = require("path");
+const { parseArgs } = require("util");
+const Web3 = require("web3");
+
+/**
+ * Options shared by the commands that talk to a node.
+ */
+const CONNECTION_OPTIONS = {
+  rpc: { type: "string", default: process.env.RPC_URL },
+  "private-key": { type: "string", default: process.env.PRIVATE_KEY },
+  from: { type: "string" },
+};
+
+const CONNECTION_USAGE = `
+Connection options:
+  --rpc <url>            JSON-RPC endpoint (default: $RPC_URL or http://127.0.0.1:8545)
+  --private-key <key>    signer private key (default: $PRIVATE_KEY)
+  --from <address>       unlocked node account to use when no private key is set (default: first account)`;
+
+/**
+ * Parses the command arguments.
+ * Throws a `UsageError` when the arguments are invalid.
+ *
+ * @param {string[]} argv the command arguments
+ * @param {object} options see util.parseArgs
+ * @returns {{ values: object, positionals: string[] }}
+ */
+function parse(argv, options) {
+  try {
+    return parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Connects to a node and resolves the sender.
+ *
+ * @param {object} values parsed connection options
+ * @returns {Promise<{ web3: Web3, from: string, chainId: number }>}
+ */
+async function connect(values) {
+  const web3 = new Web3(values.rpc || "http://127.0.0.1:8545");
+
+  let from = values.from;
+
+  if (values["private-key"]) {
+    const privateKey = values["private-key"].startsWith("0x")
+      ? values["private-key"]
+      : "0x" + values["private-key"];
+    from = web3.eth.accounts.wallet.add(privateKey).address;
+  } else if (!from) {
+    [from] = await web3.eth.getAccounts();
+  }
+
+  return { web3, from, chainId: Number(await web3.eth.getChainId()) };
+}
+
+/**
+ * Closes the connection so that the process can exit.
+ *
+ * @param {Web3} web3
+ */
+function disconnect(web3) {
+  const { currentProvider } = web3;
+  if (currentProvider && typeof currentProvider.disconnect === "function") {
+    currentProvider.disconnect();
+  }
+}
+
+/**
+ * Resolves a path relative to the current working directory.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function resolve(file) {
+  return path.resolve(process.cwd(), file);
+}
+
+/**
+ * Parses a list of token IDs and ranges, eg. `1-3,7` => ["1", "2", "3", "7"].
+ * Throws a `UsageError` when the list is invalid.
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseTokenIds(value) {
+  return value.split(",").flatMap((part) => {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new UsageError(`Invalid token IDs: ${part}`);
+
+    const [from, to = from] = match.slice(1).filter(Boolean).map(BigInt);
+    if (from > to) throw new UsageError(`Invalid token IDs: ${part}`);
+
+    const ids = [];
+    for (let id = from; id <= to; id++) ids.push(id.toString());
+    return ids;
+  });
+}
+
+/**
+ * Indicates invalid command line arguments.
+ * The CLI prints the command usage when it catches it.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+module.exports = {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  parseTokenIds,
+  UsageError,
+};
@@ -0,0 +1,256 @@
+const Web3 = require("web3");
+const { baselineAbi, signatureOf } = require("./artifacts");
+const {
+  ERC721BaselineError,
+  createErrorDecoder,
+  toBaselineError,
+  optional,
+} = require("./errors");
+
+/**
+ * ERC721Baseline client
+ * –––––––––––––––––––––
+ *
+ * Wraps a proxy built on ERC721Baseline and the methods delegated to
+ * ERC721BaselineImplementation (IERC721Baseline) in a single object:
+ *
+ *  const { createClient } = require("erc721baseline/client");
+ *
+ *  const collection = createClient({ provider: "http://127.0.0.1:8545", address });
+ *
+ *  await collection.owner();
+ *  await collection.VERSION();
+ *  await collection.implementation();
+ *  await collection.setAdmin(admin, true, { from: owner });
+ *
+ * Every contract method is exposed by name and by signature under `methods`
+ * (eg. `collection.methods["__mint(address,uint256,string)"]`).
+ * View methods are called, the others are sent as transactions and resolve with the receipt.
+ *
+ * Reverts are rethrown as `ERC721BaselineError` with the decoded custom error:
+ *
+ *  try {
+ *    await collection.setAdmin(attacker, true, { from: attacker });
+ *  } catch (error) {
+ *    error.errorName; // "Unauthorized"
+ *  }
+ */
+
+/**
+ * @typedef {object} ClientOptions
+ * @property {string|object} provider a JSON-RPC url, an EIP-1193 provider or a Web3 instance
+ * @property {string} address the proxy address
+ * @property {string} [from] default sender for calls and transactions
+ * @property {object[]} [abi] overrides the ABI loaded from the build artifacts
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Roles defined by IERC721Baseline, by name.
+ * Proxies can define their own roles with the other bits.
+ */
+const ROLES = {
+  METADATA_MANAGER: 1n << 0n,
+  ROYALTIES_MANAGER: 1n << 1n,
+  MINTER: 1n << 2n,
+  TRANSFER_POLICIES_MANAGER: 1n << 3n,
+};
+
+/**
+ * @typedef {object} AccessControl
+ * @property {string} owner the owner
+ * @property {string} pendingOwner the pending owner of a two-step transfer, the zero address when there is none
+ * @property {string[]} admins the admins set with `setAdmin`, the owner is an admin even when not listed
+ * @property {{ account: string, roles: string, names: string[] }[]} roleHolders the accounts with roles,
+ *   `names` lists the ROLES they have and the hex value of the unknown ones
+ */
+
+/**
+ * @typedef {object} TokenURILayers
+ * @property {string} tokenURI the token-specific URI
+ * @property {string} svgTemplate the SVG template, set when tokens are rendered on-chain
+ * @property {string} sharedURI the shared URI
+ * @property {string} baseURI the base URI
+ * @property {string} resolved the value returned by `tokenURI`
+ */
+
+/**
+ * Creates a client for a proxy built on ERC721Baseline.
+ *
+ * @param {ClientOptions} options
+ * @returns {object} the client
+ */
+function createClient({ provider, address, from, abi = baselineAbi() }) {
+  if (!provider) throw new Error("createClient: provider is required");
+  if (!address) throw new Error("createClient: address is required");
+
+  const web3 = provider instanceof Web3 ? provider : new Web3(provider);
+  const contract = new web3.eth.Contract(abi, address);
+  const decodeError = createErrorDecoder(abi);
+
+  const client = {
+    address,
+    abi,
+    web3,
+    contract,
+    methods: {},
+    decodeError,
+  };
+
+  abi
+    .filter((item) => item.type === "function")
+    .forEach((item) => {
+      const signature = signatureOf(item);
+      const method = createMethod(item, signature);
+
+      client.methods[signature] = method;
+      // Overloaded methods are exposed by name using the first definition.
+      if (!(item.name in client.methods)) {
+        client.methods[item.name] = method;
+      }
+      if (!(item.name in client)) {
+        client[item.name] = method;
+      }
+    });
+
+  /**
+   * Returns the implementation version.
+   *
+   * ERC721BaselineImplementation writes VERSION to its own storage in the constructor
+   * therefore reading it through the proxy would return an empty string.
+   *
+   * @returns {Promise<string>}
+   */
+  client.VERSION = async (options = {}) => {
+    const implementation = await client.implementation(options);
+    return new web3.eth.Contract(abi, implementation).methods
+      .VERSION()
+      .call({ from: options.from || from })
+      .catch((error) => {
+        throw toBaselineError(error, decodeError);
+      });
+  };
+
+  /**
+   * Returns the URI layers for a token, in order of resolution.
+   *
+   * @param {number|string} tokenId token ID
+   * @returns {Promise<TokenURILayers>}
+   */
+  client.tokenURILayers = async (tokenId) => {
+    const [tokenURI, svgTemplate, sharedURI, baseURI, resolved] =
+      await Promise.all([
+        client.__tokenURI(tokenId),
+        optional(client.__svgTemplate(), ""),
+        client.__sharedURI(),
+        client.__baseURI(),
+        client.tokenURI(tokenId),
+      ]);
+
+    return { tokenURI, svgTemplate, sharedURI, baseURI, resolved };
+  };
+
+  /**
+   * Returns the contract-wide royalties configuration
+   * or, when a token ID is passed, the configuration that applies to the token.
+   *
+   * @param {number|string} [tokenId] token ID
+   * @returns {Promise<{ receiver: string, bps: number }>}
+   */
+  client.royalties = async (tokenId) => {
+    if (tokenId !== undefined) {
+      const { receiver, bps } = await client.royaltiesOf(tokenId);
+      return { receiver, bps: Number(bps) };
+    }
+
+    const [receiver, bps] = await Promise.all([
+      client.royaltiesReceiver(),
+      client.royaltiesBps(),
+    ]);
+
+    return { receiver, bps: Number(bps) };
+  };
+
+  /**
+   * Returns who has power over the collection: the owner, the pending owner, the admins and the role holders.
+   *
+   * @returns {Promise<AccessControl>}
+   */
+  client.accessControl = async () => {
+    const [owner, pendingOwner, admins, holders] = await Promise.all([
+      client.owner(),
+      optional(client.pendingOwner(), ZERO_ADDRESS),
+      optional(client.admins(), []),
+      optional(client.roleHolders(), { accounts: [], roles: [] }),
+    ]);
+
+    return {
+      owner,
+      pendingOwner,
+      admins,
+      roleHolders: holders.accounts.map((account, index) => {
+        const roles = BigInt(holders.roles[index]);
+        const names = Object.keys(ROLES).filter(
+          (name) => (roles & ROLES[name]) !== 0n,
+        );
+        const unknown = Object.values(ROLES).reduce(
+          (remaining, role) => remaining & ~role,
+          roles,
+        );
+
+        return {
+          account,
+          roles: roles.toString(),
+          names: unknown ? [...names, `0x${unknown.toString(16)}`] : names,
+        };
+      }),
+    };
+  };
+
+  return client;
+
+  function createMethod(item, signature) {
+    const isView =
+      item.stateMutability === "view" || item.stateMutability === "pure";
+
+    return async (...args) => {
+      const options =
+        args.length === item.inputs.length + 1 ? { ...args.pop() } : {};
+
+      if (args.length !== item.inputs.length) {
+        throw new Error(
+          `${signature}: expected ${item.inputs.length} arguments, got ${args.length}`,
+        );
+      }
+
+      options.from = options.from || from;
+      const call = contract.methods[signature](...args);
+
+      try {
+        if (isView) {
+          return await call.call(options);
+        }
+
+        if (!options.from) {
+          throw new Error(`${signature}: missing sender (from)`);
+        }
+
+        if (!options.gas) {
+          // Estimating first surfaces reverts with their data.
+          options.gas = await call.estimateGas(options);
+        }
+
+        return await call.send(options);
+      } catch (error) {
+        throw toBaselineError(error, decodeError);
+      }
+    };
+  }
+}
+
+module.exports = {
+  ROLES,
+  createClient,
+  ERC721BaselineError,
+};
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const {
+  DEFAULT_METHOD,
+  readAirdrop,
+  methodFragment,
+  airdrop,
+} = require("../airdrop");
+
+const usage = `
+Usage: erc721baseline airdrop --proxy <address> --input <file> [options]
+
+Mints the tokens listed in a CSV (or JSON) file with to, tokenId and optionally uri columns
+through the proxy's batch mint method, in chunks that fit in the gas limit.
+Failed chunks are reported and skipped.
+
+Options:
+  --proxy <address>      the proxy address
+  --input <file>         CSV or JSON file with to, tokenId and uri
+  --method <signature>   proxy method that calls __mintBatch (default: ${DEFAULT_METHOD})
+                         use (address[],uint256[],string[]) to set the uri of each token
+  --gas-limit <gas>      maximum gas per transaction (default: 10000000)
+  --out <file>           writes the chunk results as JSON
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  input: { type: "string" },
+  method: { type: "string", default: DEFAULT_METHOD },
+  "gas-limit": { type: "string", default: "10000000" },
+  out: { type: "string" },
+};
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!values.input) throw new UsageError("--input is required.");
+
+  const gasLimit = Number(values["gas-limit"]);
+  if (!Number.isInteger(gasLimit) || gasLimit <= 0) {
+    throw new UsageError("--gas-limit must be a positive integer.");
+  }
+
+  try {
+    methodFragment(values.method);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const items = readAirdrop(resolve(values.input));
+  const { web3, from } = await connect(values);
+
+  try {
+    const results = await airdrop({
+      client: createClient({ provider: web3, address: values.proxy, from }),
+      items,
+      method: values.method,
+      gasLimit,
+      from,
+      onChunk: ({
+        from: first,
+        to: last,
+        count,
+        gasUsed,
+        transactionHash,
+        error,
+      }) =>
+        log(
+          `Items ${first + 1}-${last + 1} (${count}): ` +
+            (error
+              ? `failed, ${error}`
+              : `${gasUsed} gas (${transactionHash})`),
+        ),
+    });
+
+    const failed = results.filter(({ error }) => error);
+    const minted = results
+      .filter(({ error }) => !error)
+      .reduce((total, { count }) => total + count, 0);
+
+    log(
+      `Minted ${minted}/${items.length} tokens in ${
+        results.length - failed.length
+      } transactions, ${failed.length} chunks failed`,
+    );
+
+    if (values.out) {
+      fs.writeFileSync(
+        resolve(values.out),
+        JSON.stringify(results, null, 2) + "\n",
+      );
+    }
+
+    if (failed.length > 0) process.exitCode = 1;
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
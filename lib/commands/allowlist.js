@@ -0,0 +1,149 @@
+const fs = require("fs");
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const {
+  readAllowlist,
+  buildAllowlist,
+  serveAllowlist,
+} = require("../allowlist");
+
+const usage = `
+Usage: erc721baseline allowlist build --input <file> [options]
+       erc721baseline allowlist serve [options]
+
+build computes the Merkle root of an allowlist from a CSV (or JSON) file with address
+and quantity columns, and writes the root and the proof of each address as JSON.
+With --set the proxy's allowlist root is updated, the sender must be an admin
+or have the minter role.
+
+build options:
+  --input <file>         CSV or JSON file with address and quantity
+  --out <file>           proofs file (default: allowlist.json)
+  --proxy <address>      the proxy address, required with --set
+  --set                  set the allowlist root
+
+serve serves the proofs written by build over HTTP for a mint page:
+GET /root and GET /proofs/<address>.
+With --proxy it warns when the proofs don't match the proxy's allowlist root.
+
+serve options:
+  --input <file>         proofs file (default: allowlist.json)
+  --port <port>          port to listen on (default: 8721)
+  --host <host>          host to listen on (default: 127.0.0.1)
+  --proxy <address>      the proxy address
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  input: { type: "string" },
+  out: { type: "string", default: "allowlist.json" },
+  proxy: { type: "string" },
+  set: { type: "boolean", default: false },
+  port: { type: "string", default: "8721" },
+  host: { type: "string", default: "127.0.0.1" },
+};
+
+async function run(argv, log = console.log) {
+  const {
+    values,
+    positionals: [subcommand],
+  } = parse(argv, options);
+
+  switch (subcommand) {
+    case "build":
+      return build(values, log);
+    case "serve":
+      return serve(values, log);
+    default:
+      throw new UsageError(`Unknown subcommand: ${subcommand}`);
+  }
+}
+
+async function build(values, log) {
+  if (!values.input) throw new UsageError("--input is required.");
+  if (values.set && !values.proxy) {
+    throw new UsageError("--proxy is required with --set.");
+  }
+
+  const { root, proofs } = buildAllowlist(readAllowlist(resolve(values.input)));
+
+  fs.writeFileSync(
+    resolve(values.out),
+    JSON.stringify({ root, proofs }, null, 2) + "\n",
+  );
+
+  log(`Built ${Object.keys(proofs).length} proofs in ${values.out}`);
+  log(`Root: ${root}`);
+
+  if (!values.set) return;
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+    const { transactionHash } = await client.setAllowlistRoot(root, { from });
+    log(`Allowlist root set (${transactionHash})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+async function serve(values, log) {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError("--port must be a valid port.");
+  }
+
+  const allowlist = JSON.parse(
+    fs.readFileSync(resolve(values.input || "allowlist.json"), "utf8"),
+  );
+
+  if (values.proxy) {
+    const { web3, from } = await connect(values);
+
+    try {
+      const client = createClient({
+        provider: web3,
+        address: values.proxy,
+        from,
+      });
+      const root = await client.allowlistRoot();
+
+      if (root !== allowlist.root) {
+        log(
+          `warning: the proxy's allowlist root is ${root}, the proofs are for ${allowlist.root}`,
+        );
+      }
+    } finally {
+      disconnect(web3);
+    }
+  }
+
+  const server = await serveAllowlist(allowlist, { port, host: values.host });
+  const address = server.address();
+
+  log(
+    `Serving ${Object.keys(allowlist.proofs).length} proofs on http://${
+      address.address
+    }:${address.port}`,
+  );
+
+  await new Promise((done) => {
+    process.once("SIGINT", () => server.close(done));
+  });
+}
+
+module.exports = { usage, run };
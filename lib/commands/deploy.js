@@ -0,0 +1,144 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { loadArtifact } = require("../artifacts");
+const {
+  ZERO_SALT,
+  deployDeterministic,
+  deployImplementation,
+  deployProxy,
+  writeManifest,
+} = require("../deploy");
+const { implementationStorage } = require("../upgrade");
+
+const usage = `
+Usage: erc721baseline deploy [options]
+
+Deploys (or reuses) ERC721BaselineImplementation and its modules (ERC721BaselineExtension,
+ERC721BaselineAccessControl, ERC721BaselineAllowlist, ERC721BaselineProvenance, ERC721BaselineRevenue)
+at deterministic addresses via CREATE2 and, when --name and --symbol are set,
+a proxy contract that uses them. Proxies enable the modules they need, eg. in the constructor
+with \`_enableModule\`, pass the module addresses with --arg.
+The deployment is recorded in a JSON manifest.
+
+Options:
+  --contract <name>      proxy contract name (default: ERC721Baseline)
+  --name <name>          token name
+  --symbol <symbol>      token symbol
+  --arg <value>          additional proxy constructor argument, repeatable
+  --build-dir <dir>      directory with the proxy's Truffle artifacts (default: build/contracts)
+  --salt <bytes32>       CREATE2 salt for the implementation and the modules (default: 0x00…00)
+  --network <name>       network name in the manifest (default: chain-<chainId>)
+  --manifest <file>      manifest path (default: deployments.json)
+${CONNECTION_USAGE}
+`;
+
+const MODULES = [
+  "ERC721BaselineExtension",
+  "ERC721BaselineAccessControl",
+  "ERC721BaselineAllowlist",
+  "ERC721BaselineProvenance",
+  "ERC721BaselineRevenue",
+];
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  contract: { type: "string", default: "ERC721Baseline" },
+  name: { type: "string" },
+  symbol: { type: "string" },
+  arg: { type: "string", multiple: true, default: [] },
+  "build-dir": { type: "string", default: "build/contracts" },
+  salt: { type: "string", default: ZERO_SALT },
+  network: { type: "string" },
+  manifest: { type: "string", default: "deployments.json" },
+};
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if ((values.name === undefined) !== (values.symbol === undefined)) {
+    throw new UsageError("--name and --symbol must be set together.");
+  }
+
+  if (!/^0x[0-9a-fA-F]{64}$/.test(values.salt)) {
+    throw new UsageError("--salt must be a 32 bytes hex string.");
+  }
+
+  const proxyArtifact =
+    values.name !== undefined &&
+    loadArtifact(values.contract, resolve(values["build-dir"]));
+
+  const { web3, from, chainId } = await connect(values);
+
+  try {
+    const network = values.network || `chain-${chainId}`;
+
+    const implementation = await deployImplementation({
+      web3,
+      from,
+      artifact: loadArtifact("ERC721BaselineImplementation"),
+      salt: values.salt,
+    });
+
+    log(
+      `${
+        implementation.reused ? "Reusing" : "Deployed"
+      } ERC721BaselineImplementation v${implementation.version} at ${
+        implementation.address
+      }`,
+    );
+
+    const modules = [];
+    for (const name of MODULES) {
+      const module = await deployDeterministic({
+        web3,
+        from,
+        artifact: loadArtifact(name),
+        salt: values.salt,
+      });
+      modules.push(module);
+
+      log(
+        `${module.reused ? "Reusing" : "Deployed"} ${name} at ${
+          module.address
+        }`,
+      );
+    }
+
+    let proxy;
+    if (proxyArtifact) {
+      proxy = await deployProxy({
+        web3,
+        from,
+        artifact: proxyArtifact,
+        implementation: implementation.address,
+        name: values.name,
+        symbol: values.symbol,
+        args: values.arg,
+      });
+
+      log(`Deployed ${proxy.contractName} at ${proxy.address}`);
+    }
+
+    const manifest = resolve(values.manifest);
+    writeManifest(manifest, {
+      network,
+      chainId,
+      implementation: { ...implementation, storage: implementationStorage() },
+      modules,
+      proxy,
+    });
+
+    log(`Manifest written to ${manifest} (${network})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,99 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { createIndexer, createJsonStore } = require("../indexer");
+
+const usage = `
+Usage: erc721baseline index --proxy <address> [options]
+
+Indexes the logs of a proxy into a JSON file: owners, balances, totalSupply,
+admins, the owner history and the tokens whose metadata changed.
+Later runs continue from the last indexed block.
+
+Options:
+  --proxy <address>      the proxy address
+  --store <file>         JSON file with the indexed state (default: index.json)
+  --from-block <number>  first block to index, eg. the proxy deployment block (default: 0)
+  --confirmations <n>    blocks to wait before indexing a block (default: 0)
+  --batch-size <n>       blocks per eth_getLogs request (default: 2000)
+  --follow               keep indexing new blocks until interrupted
+  --interval <ms>        milliseconds between syncs when following (default: 4000)
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  store: { type: "string", default: "index.json" },
+  "from-block": { type: "string", default: "0" },
+  confirmations: { type: "string", default: "0" },
+  "batch-size": { type: "string", default: "2000" },
+  follow: { type: "boolean", default: false },
+  interval: { type: "string", default: "4000" },
+};
+
+function toInteger(values, name, min) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be an integer >= ${min}.`);
+  }
+  return value;
+}
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+
+  const fromBlock = toInteger(values, "from-block", 0);
+  const confirmations = toInteger(values, "confirmations", 0);
+  const batchSize = toInteger(values, "batch-size", 1);
+  const interval = toInteger(values, "interval", 1);
+
+  const { web3 } = await connect(values);
+
+  try {
+    const indexer = createIndexer({
+      provider: web3,
+      address: values.proxy,
+      store: createJsonStore(resolve(values.store)),
+      fromBlock,
+      confirmations,
+      batchSize,
+    });
+
+    const summary = ({ toBlock, events }) =>
+      log(
+        `Indexed ${events} events up to block ${toBlock}: ${indexer.totalSupply()} tokens, ${
+          indexer.holders().length
+        } holders, ${indexer.dirtyTokens().length} with metadata updates`,
+      );
+
+    if (!values.follow) {
+      summary(await indexer.sync());
+      return;
+    }
+
+    const follower = indexer.follow({
+      interval,
+      onSync: (result) => {
+        // Nothing to log when no block was mined since the last sync.
+        if (result.toBlock >= result.fromBlock) summary(result);
+      },
+      onError: (error) => log(`error: ${error.message}`),
+    });
+    process.once("SIGINT", follower.stop);
+
+    await follower.done;
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,131 @@
+const readline = require("readline/promises");
+const { parse, resolve, UsageError } = require("../cli");
+const {
+  FEATURES,
+  validateOptions,
+  scaffold,
+  writeScaffold,
+} = require("../scaffold");
+
+const usage = `
+Usage: erc721baseline init [options]
+
+Generates a proxy contract built on ERC721Baseline, a Truffle test suite and a deploy script:
+contracts/<Contract>.sol, test/<Contract>.js, migrations/1_deploy_<contract>.js
+and, when they don't exist, contracts/Imports.sol and truffle-config.js.
+
+The missing options are asked interactively.
+
+Options:
+  --contract <name>      proxy contract name, eg. MyCollection
+  --name <name>          token name
+  --symbol <symbol>      token symbol
+  --features <list>      comma-separated features or "none":
+${Object.entries(FEATURES)
+  .map(
+    ([feature, description]) =>
+      `                           ${feature}: ${description}`,
+  )
+  .join("\n")}
+  --author <author>      contract author
+  --dir <dir>            project directory (default: .)
+  --force                overwrite existing files
+`;
+
+const options = {
+  contract: { type: "string" },
+  name: { type: "string" },
+  symbol: { type: "string" },
+  features: { type: "string" },
+  author: { type: "string" },
+  dir: { type: "string", default: "." },
+  force: { type: "boolean", default: false },
+};
+
+function parseFeatures(value) {
+  if (value.trim() === "none") return [];
+  return value
+    .split(",")
+    .map((feature) => feature.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Asks the missing options when the command runs in a terminal.
+ */
+async function prompt(values) {
+  const questions = [
+    ["contract", "Contract name (eg. MyCollection): "],
+    ["name", "Token name: "],
+    ["symbol", "Token symbol: "],
+    [
+      "features",
+      `Features (${Object.keys(FEATURES).join(", ")}) [admin-mint,burn]: `,
+    ],
+    ["author", "Author: "],
+  ].filter(([option]) => values[option] === undefined);
+
+  if (questions.length === 0) return values;
+
+  if (!process.stdin.isTTY) {
+    const required = questions
+      .map(([option]) => option)
+      .filter((option) => ["contract", "name", "symbol"].includes(option));
+
+    if (required.length > 0) {
+      throw new UsageError(
+        `${required.map((option) => `--${option}`).join(", ")} required.`,
+      );
+    }
+    return values;
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  try {
+    const answers = { ...values };
+    for (const [option, question] of questions) {
+      answers[option] = (await rl.question(question)).trim();
+    }
+    if (answers.features === "") answers.features = "admin-mint,burn";
+    return answers;
+  } finally {
+    rl.close();
+  }
+}
+
+async function run(argv, log = console.log) {
+  const { values: parsed } = parse(argv, options);
+  const values = await prompt(parsed);
+
+  const config = {
+    contractName: values.contract,
+    name: values.name,
+    symbol: values.symbol,
+    features: parseFeatures(values.features || "admin-mint,burn"),
+    author: values.author || "",
+  };
+
+  const errors = validateOptions(config);
+  if (errors.length > 0) throw new UsageError(errors.join("\n"));
+
+  const dir = resolve(values.dir);
+  const { written, skipped } = writeScaffold(dir, scaffold(config), {
+    force: values.force,
+  });
+
+  written.forEach((file) => log(`Created ${file}`));
+  skipped.forEach((file) => log(`Kept ${file}`));
+
+  log(`
+Next steps:
+
+  npm install erc721baseline
+  npm install --save-dev truffle @openzeppelin/test-helpers
+  npx truffle test`);
+}
+
+module.exports = { usage, run };
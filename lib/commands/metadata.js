@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  parseTokenIds,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const {
+  buildMetadata,
+  buildContractMetadata,
+  uriReport,
+  previewTokens,
+} = require("../metadata");
+
+const usage = `
+Usage: erc721baseline metadata build --input <dir> [options]
+       erc721baseline metadata contract --proxy <address> [options]
+       erc721baseline metadata report --proxy <address> [options]
+       erc721baseline metadata preview --proxy <address> --tokens <ids> [options]
+
+build writes OpenSea-style metadata files named after the token IDs,
+so that the metadata directory can be set as base URI, and computes their IPFS CIDs.
+
+The input directory contains <tokenId>.<ext> images and optionally <tokenId>.json
+metadata fields or an attributes.csv file with a tokenId column.
+
+build options:
+  --input <dir>          the images and attributes directory
+  --out <dir>            output directory (default: metadata)
+  --name <template>      token name, {id} is replaced with the token ID (default: #{id})
+  --description <text>   token description
+  --image-base-uri <uri> images base URI (default: ipfs://<images CID>/)
+  --car                  also pack the images and metadata in collection.car
+
+contract writes the collection metadata for contractURI (ERC-7572) to <out>/contract.json
+with the on-chain name, symbol and royalties, and computes its IPFS CID.
+With --set the contract URI is set to ipfs://<CID>, the sender must be an admin
+or have the metadata manager role.
+
+contract options:
+  --proxy <address>      the proxy address
+  --out <dir>            output directory (default: metadata)
+  --name <name>          collection name (default: the on-chain name)
+  --description <text>   collection description
+  --image <uri>          collection image
+  --banner-image <uri>   collection banner image
+  --external-link <url>  collection website
+  --set                  set the contract URI
+
+report prints the contract URI and the tokenURI layer (hook, token, rendered, shared, base or none) each token resolves from.
+
+report options:
+  --proxy <address>      the proxy address
+  --manifest <file>      manifest written by build, checks its tokens and base URI
+  --tokens <ids>         token IDs to check, eg. 1-100,105 (default: the manifest tokens)
+  --verbose              print every token
+
+preview decodes the data URIs of tokens rendered on-chain into <out>/preview:
+<tokenId>.json, <tokenId>.svg and an index.html page to review them in a browser.
+
+preview options:
+  --proxy <address>      the proxy address
+  --tokens <ids>         token IDs to preview, eg. 1-10
+  --out <dir>            output directory (default: metadata)
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  input: { type: "string" },
+  out: { type: "string", default: "metadata" },
+  name: { type: "string" },
+  description: { type: "string" },
+  "image-base-uri": { type: "string" },
+  car: { type: "boolean", default: false },
+  image: { type: "string" },
+  "banner-image": { type: "string" },
+  "external-link": { type: "string" },
+  set: { type: "boolean", default: false },
+  proxy: { type: "string" },
+  manifest: { type: "string" },
+  tokens: { type: "string" },
+  verbose: { type: "boolean", default: false },
+};
+
+async function run(argv, log = console.log) {
+  const {
+    values,
+    positionals: [subcommand],
+  } = parse(argv, options);
+
+  switch (subcommand) {
+    case "build":
+      return build(values, log);
+    case "contract":
+      return contract(values, log);
+    case "report":
+      return report(values, log);
+    case "preview":
+      return preview(values, log);
+    default:
+      throw new UsageError(`Unknown subcommand: ${subcommand}`);
+  }
+}
+
+function build(values, log) {
+  if (!values.input) throw new UsageError("--input is required.");
+
+  const outDir = resolve(values.out);
+  const manifest = buildMetadata({
+    inputDir: resolve(values.input),
+    outDir,
+    name: values.name,
+    description: values.description,
+    imageBaseURI: values["image-base-uri"],
+    car: values.car,
+  });
+
+  log(`Built ${Object.keys(manifest.tokens).length} tokens in ${values.out}`);
+  log(`Images:   ${manifest.images.cid}`);
+  log(`Metadata: ${manifest.metadata.cid}`);
+  if (manifest.car) log(`CAR:      ${values.out}/${manifest.car}`);
+  log(`Base URI: ${manifest.baseURI}`);
+}
+
+async function contract(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+    const { cid, uri } = await buildContractMetadata({
+      client,
+      outDir: resolve(values.out),
+      name: values.name,
+      description: values.description,
+      image: values.image,
+      bannerImage: values["banner-image"],
+      externalLink: values["external-link"],
+    });
+
+    log(`Built ${values.out}/contract.json`);
+    log(`Contract metadata: ${cid}`);
+
+    if (values.set) {
+      const { transactionHash } = await client.setContractURI(uri, { from });
+      log(`Contract URI set to ${uri} (${transactionHash})`);
+    } else {
+      log(`Contract URI: ${uri}`);
+    }
+  } finally {
+    disconnect(web3);
+  }
+}
+
+async function report(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!values.manifest && !values.tokens) {
+    throw new UsageError("--manifest or --tokens is required.");
+  }
+
+  const manifest = values.manifest
+    ? JSON.parse(fs.readFileSync(resolve(values.manifest), "utf8"))
+    : null;
+  const tokenIds = values.tokens
+    ? parseTokenIds(values.tokens)
+    : Object.keys(manifest.tokens);
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const { contractURI, sharedURI, baseURI, tokens, counts, warnings } =
+      await uriReport({
+        client: createClient({ provider: web3, address: values.proxy, from }),
+        tokenIds,
+        baseURI: manifest ? manifest.baseURI : undefined,
+      });
+
+    log(`Contract URI: ${contractURI || "(not set)"}`);
+    log(`Shared URI:   ${sharedURI || "(not set)"}`);
+    log(`Base URI:     ${baseURI || "(not set)"}`);
+
+    if (values.verbose) {
+      tokens.forEach(({ tokenId, exists, layer, uri }) =>
+        log(
+          `Token ${tokenId}: ${
+            exists ? layer : "does not exist"
+          } ${uri}`.trim(),
+        ),
+      );
+    }
+
+    log(
+      Object.entries(counts)
+        .map(([layer, count]) => `${layer}: ${count}`)
+        .join(", "),
+    );
+    warnings.forEach((warning) => log(`warning: ${warning}`));
+
+    if (warnings.length > 0) process.exitCode = 1;
+  } finally {
+    disconnect(web3);
+  }
+}
+
+async function preview(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!values.tokens) throw new UsageError("--tokens is required.");
+
+  const outDir = path.join(resolve(values.out), "preview");
+  const { web3, from } = await connect(values);
+
+  try {
+    const tokens = await previewTokens({
+      client: createClient({ provider: web3, address: values.proxy, from }),
+      tokenIds: parseTokenIds(values.tokens),
+      outDir,
+    });
+
+    tokens.forEach(({ tokenId, metadata }) =>
+      log(`Token ${tokenId}: ${metadata.name}`),
+    );
+    log(`Preview: ${values.out}/preview/index.html`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
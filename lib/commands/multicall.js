@@ -0,0 +1,105 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { baselineAbi, loadArtifact, mergeAbis } = require("../artifacts");
+const { createClient } = require("../client");
+const {
+  readPlan,
+  encodePlan,
+  decodeCalls,
+  simulateMulticall,
+} = require("../multicall");
+
+const usage = `
+Usage: erc721baseline multicall --input <file> --proxy <address> [options]
+
+Sends the calls of a plan in a single multicall transaction, eg. to set up a collection.
+The plan is a YAML or JSON file with a list of calls:
+
+  calls:
+    - method: setAdmin
+      args: [0x5B38Da6a701c568545dCfcB03FcB875f56beddC4, true]
+    - method: transferOwnership
+      args: [0xAb8483F64d9C6d1EcF9b849Ae677dD3315835cb2]
+
+The calls run as the sender: each call checks the sender's admin rights or roles.
+
+Options:
+  --input <file>         the plan file
+  --proxy <address>      the proxy address
+  --contract <name>      proxy contract name, to call the proxy's own methods
+  --build-dir <dir>      directory with the proxy's Truffle artifacts (default: build/contracts)
+  --dry-run              print the decoded calls and simulate the transaction without sending it
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  input: { type: "string" },
+  proxy: { type: "string" },
+  contract: { type: "string" },
+  "build-dir": { type: "string", default: "build/contracts" },
+  "dry-run": { type: "boolean", default: false },
+};
+
+function formatValue(value) {
+  return Array.isArray(value)
+    ? `[${value.map(formatValue).join(", ")}]`
+    : String(value);
+}
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.input) throw new UsageError("--input is required.");
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+
+  const abi = values.contract
+    ? mergeAbis(
+        baselineAbi(),
+        loadArtifact(values.contract, resolve(values["build-dir"])).abi,
+      )
+    : baselineAbi();
+  const data = encodePlan(readPlan(resolve(values.input)), abi).map(
+    (call) => call.data,
+  );
+
+  if (values["dry-run"]) {
+    decodeCalls(data, abi).forEach(({ signature, args }, index) => {
+      log(`${index + 1}. ${signature}`);
+      Object.entries(args).forEach(([name, value]) =>
+        log(`     ${name}: ${formatValue(value)}`),
+      );
+    });
+  }
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+      abi,
+    });
+
+    if (values["dry-run"]) {
+      const { gas } = await simulateMulticall({ client, data, from });
+      log(`Simulated ${data.length} calls as ${from} (${gas} gas)`);
+      return;
+    }
+
+    const { transactionHash } = await client.multicall(data, { from });
+    log(`Sent ${data.length} calls (${transactionHash})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,148 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  parseTokenIds,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const { readPolicies, updatePolicies } = require("../policies");
+
+const usage = `
+Usage: erc721baseline policy --proxy <address> [options]
+
+Prints the transfer policies of a proxy: non-transferable tokens, the operator denylist
+and the token transfer locks. With update options the policies are updated first,
+one transaction per change, and the sender must be an admin.
+
+Options:
+  --proxy <address>             the proxy address
+  --tokens <ids>                token IDs to print or lock, eg. 1-100,105
+  --operators <addresses>       comma-separated operators to print
+  --non-transferable <on|off>   makes tokens non-transferable (soulbound) or transferable
+  --deny <addresses>            comma-separated operators to add to the denylist
+  --allow <addresses>           comma-separated operators to remove from the denylist
+  --lock-until <time>           locks --tokens until a unix timestamp or an ISO 8601 date, 0 unlocks them
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  tokens: { type: "string" },
+  operators: { type: "string" },
+  "non-transferable": { type: "string" },
+  deny: { type: "string" },
+  allow: { type: "string" },
+  "lock-until": { type: "string" },
+};
+
+function parseAddresses(value, name) {
+  if (value === undefined) return [];
+
+  return value.split(",").map((address) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address.trim())) {
+      throw new UsageError(`Invalid address in --${name}: ${address}`);
+    }
+    return address.trim();
+  });
+}
+
+/**
+ * Parses a unix timestamp in seconds or an ISO 8601 date.
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`Invalid --lock-until: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function parseSwitch(value) {
+  if (value === undefined) return undefined;
+  if (value !== "on" && value !== "off") {
+    throw new UsageError("--non-transferable must be on or off.");
+  }
+  return value === "on";
+}
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+
+  const tokenIds = values.tokens ? parseTokenIds(values.tokens) : [];
+  const nonTransferable = parseSwitch(values["non-transferable"]);
+  const deny = parseAddresses(values.deny, "deny");
+  const allow = parseAddresses(values.allow, "allow");
+  const until =
+    values["lock-until"] === undefined
+      ? undefined
+      : parseTime(values["lock-until"]);
+
+  if (until !== undefined && tokenIds.length === 0) {
+    throw new UsageError("--lock-until requires --tokens.");
+  }
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+
+    if (
+      nonTransferable !== undefined ||
+      deny.length > 0 ||
+      allow.length > 0 ||
+      until !== undefined
+    ) {
+      await updatePolicies({
+        client,
+        from,
+        nonTransferable,
+        deny,
+        allow,
+        lock: until === undefined ? [] : tokenIds,
+        until,
+        onTransaction: ({ description, transactionHash }) =>
+          log(`${description} (${transactionHash})`),
+      });
+    }
+
+    const policies = await readPolicies({
+      client,
+      operators: [
+        ...parseAddresses(values.operators, "operators"),
+        ...deny,
+        ...allow,
+      ],
+      tokenIds,
+    });
+
+    log(`Non-transferable: ${policies.nonTransferable ? "yes" : "no"}`);
+    policies.operators.forEach(({ operator, denied }) =>
+      log(`Operator ${operator}: ${denied ? "denied" : "allowed"}`),
+    );
+    policies.locks.forEach(({ tokenId, until }) =>
+      log(
+        `Token ${tokenId}: ${
+          until > 0
+            ? `locked until ${new Date(until * 1000).toISOString()}`
+            : "not locked"
+        }`,
+      ),
+    );
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,154 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const {
+  REVEAL_GAS,
+  provenanceHash,
+  verifyProvenance,
+} = require("../provenance");
+
+const usage = `
+Usage: erc721baseline provenance hash --input <dir> [options]
+       erc721baseline provenance reveal --proxy <address> [options]
+       erc721baseline provenance verify --proxy <address> --input <dir> [options]
+
+hash computes the provenance hash of a metadata directory, eg. the metadata directory
+written by \`metadata build\`. With --set the hash is committed to the proxy, before the mint.
+
+hash options:
+  --input <dir>          the metadata directory
+  --proxy <address>      the proxy address, required with --set
+  --set                  commit the provenance hash
+
+reveal draws the starting index of the metadata IDs and clears the shared URI.
+
+verify checks a revealed collection against the metadata directory:
+the provenance hash, the base URI CID and the URI of every minted token.
+
+verify options:
+  --proxy <address>      the proxy address
+  --input <dir>          the metadata directory
+  --verbose              print every token
+
+hash --set and reveal require an admin or the metadata manager role.
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  input: { type: "string" },
+  proxy: { type: "string" },
+  set: { type: "boolean", default: false },
+  verbose: { type: "boolean", default: false },
+};
+
+async function run(argv, log = console.log) {
+  const {
+    values,
+    positionals: [subcommand],
+  } = parse(argv, options);
+
+  switch (subcommand) {
+    case "hash":
+      return hash(values, log);
+    case "reveal":
+      return reveal(values, log);
+    case "verify":
+      return verify(values, log);
+    default:
+      throw new UsageError(`Unknown subcommand: ${subcommand}`);
+  }
+}
+
+async function hash(values, log) {
+  if (!values.input) throw new UsageError("--input is required.");
+  if (values.set && !values.proxy) {
+    throw new UsageError("--proxy is required with --set.");
+  }
+
+  const { provenanceHash: hash, ids } = provenanceHash(resolve(values.input));
+
+  log(`Hashed ${ids.length} metadata files (IDs ${ids[0]}-${ids.at(-1)})`);
+  log(`Provenance hash: ${hash}`);
+
+  if (!values.set) return;
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+    const { transactionHash } = await client.setProvenanceHash(hash, { from });
+    log(`Provenance hash committed (${transactionHash})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+async function reveal(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+    const { transactionHash } = await client.reveal({ from, gas: REVEAL_GAS });
+    const { startingIndex } = await client.provenance();
+    log(`Revealed with starting index ${startingIndex} (${transactionHash})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+async function verify(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!values.input) throw new UsageError("--input is required.");
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+    const { provenanceHash, startingIndex, baseURI, tokens, errors } =
+      await verifyProvenance({ client, dir: resolve(values.input) });
+
+    log(`Provenance hash: ${provenanceHash}`);
+    log(`Starting index:  ${startingIndex}`);
+    log(`Base URI:        ${baseURI || "(not set)"}`);
+
+    if (values.verbose) {
+      tokens.forEach(({ tokenId, metadataId, uri }) =>
+        log(`Token ${tokenId}: metadata ${metadataId} ${uri}`),
+      );
+    }
+
+    errors.forEach((error) => log(`error: ${error}`));
+
+    if (errors.length > 0) {
+      process.exitCode = 1;
+    } else {
+      log(`Verified ${tokens.length} tokens`);
+    }
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,126 @@
+const Web3 = require("web3");
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const { ETH, revenueReport, releaseAll } = require("../revenue");
+
+const usage = `
+Usage: erc721baseline revenue status --proxy <address> [options]
+       erc721baseline revenue release --proxy <address> [options]
+
+status lists the payees with their shares, the released amounts and the pending amounts.
+ETH amounts are in ether, ERC-20 amounts are in the token base units.
+
+status options:
+  --proxy <address>      the proxy address
+  --token <address>      an ERC-20 token to report, can be repeated
+
+release sends the payees the amounts they are owed, one transaction per payee.
+Anybody can release, the funds always go to the payees.
+
+release options:
+  --proxy <address>      the proxy address
+  --token <address>      the ERC-20 token to release (default: ETH)
+  --payee <address>      a payee to release, can be repeated (default: all the payees)
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  token: { type: "string", multiple: true, default: [] },
+  payee: { type: "string", multiple: true, default: [] },
+};
+
+async function run(argv, log = console.log) {
+  const {
+    values,
+    positionals: [subcommand],
+  } = parse(argv, options);
+
+  if (subcommand !== "status" && subcommand !== "release") {
+    throw new UsageError(`Unknown subcommand: ${subcommand}`);
+  }
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (subcommand === "release" && values.token.length > 1) {
+    throw new UsageError("release takes a single --token.");
+  }
+
+  const { web3, from } = await connect(values);
+
+  try {
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+
+    return subcommand === "status"
+      ? await status(client, values, log)
+      : await release(client, values, from, log);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+function formatAmount(asset, amount) {
+  return asset === ETH
+    ? `${Web3.utils.fromWei(String(amount))} ETH`
+    : `${amount} ${asset}`;
+}
+
+async function status(client, values, log) {
+  const { assets, payees } = await revenueReport({
+    client,
+    tokens: values.token,
+  });
+
+  if (payees.length === 0) {
+    log("No payees.");
+    return;
+  }
+
+  payees.forEach(({ payee, shares, released, releasable }) => {
+    log(`${payee} (${shares} shares)`);
+    assets.forEach((asset) => {
+      const amounts = [
+        `released ${formatAmount(asset, released[asset])}`,
+        `pending ${formatAmount(asset, releasable[asset])}`,
+      ];
+      log(`  ${amounts.join(", ")}`);
+    });
+  });
+}
+
+async function release(client, values, from, log) {
+  const [token] = values.token;
+  const results = await releaseAll({
+    client,
+    token,
+    payees: values.payee.length > 0 ? values.payee : undefined,
+    from,
+    onRelease: ({ payee, amount, transactionHash, error }) => {
+      if (error) {
+        log(`error: ${payee}: ${error}`);
+      } else {
+        const released = formatAmount(token || ETH, amount);
+        log(`Released ${released} to ${payee} (${transactionHash})`);
+      }
+    },
+  });
+
+  if (results.length === 0) {
+    log("Nothing to release.");
+  }
+  if (results.some(({ error }) => error)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { usage, run };
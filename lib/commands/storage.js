@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { parse, resolve, UsageError } = require("../cli");
+const { compile } = require("../compile");
+const { analyzeStorage, checkStorage, findContract } = require("../storage");
+
+const usage = `
+Usage: erc721baseline storage [options]
+
+Checks the storage layout of a proxy built on ERC721Baseline:
+non-namespaced state variables are reported as warnings,
+invalid ERC-7201 slots and collisions with the implementation as errors.
+
+Options:
+  --contract <name>          proxy contract name, eg. Example1 or contracts/Example1.sol:Example1
+  --implementation <name>    implementation contract name (default: ERC721BaselineImplementation)
+  --solc-output <file>       solc standard JSON output (or Hardhat build-info) with storageLayout and ast
+                             (default: compiles the contracts directory with solc-js)
+  --contracts-dir <dir>      contracts directory to compile (default: contracts)
+  --strict                   treat warnings as errors
+`;
+
+const options = {
+  contract: { type: "string" },
+  implementation: { type: "string", default: "ERC721BaselineImplementation" },
+  "solc-output": { type: "string" },
+  "contracts-dir": { type: "string", default: "contracts" },
+  strict: { type: "boolean", default: false },
+};
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.contract) throw new UsageError("--contract is required.");
+
+  const output = values["solc-output"]
+    ? readSolcOutput(resolve(values["solc-output"]))
+    : compile({ contractsDir: values["contracts-dir"] }).output;
+
+  const proxy = analyzeStorage(output, values.contract);
+  const implementation = analyzeStorage(
+    hasContract(output, values.implementation)
+      ? output
+      : // Proxies import ERC721Baseline only, compile the implementation from this package.
+        compile({ root: path.resolve(__dirname, "../..") }).output,
+    values.implementation,
+  );
+
+  const { errors, warnings } = checkStorage({ proxy, implementation });
+
+  proxy.namespaces.forEach(({ id, contract, struct, slot }) =>
+    log(`${contract}.${struct}: erc7201:${id} at ${slot}`),
+  );
+  warnings.forEach((warning) => log(`warning: ${warning}`));
+  errors.forEach((error) => log(`error: ${error}`));
+
+  const failed = errors.length > 0 || (values.strict && warnings.length > 0);
+  log(
+    `${proxy.contract}: ${errors.length} errors, ${warnings.length} warnings`,
+  );
+
+  if (failed) process.exitCode = 1;
+}
+
+function readSolcOutput(file) {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  // Hardhat build-info files wrap the solc output.
+  return json.output && json.output.sources ? json.output : json;
+}
+
+function hasContract(output, name) {
+  try {
+    findContract(output, name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { usage, run };
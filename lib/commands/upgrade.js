@@ -0,0 +1,139 @@
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { loadArtifact } = require("../artifacts");
+const { createClient } = require("../client");
+const {
+  ZERO_SALT,
+  deployImplementation,
+  readManifest,
+  writeManifest,
+  findImplementation,
+} = require("../deploy");
+const {
+  implementationStorage,
+  checkUpgrade,
+  upgradeProxy,
+} = require("../upgrade");
+
+const usage = `
+Usage: erc721baseline upgrade --proxy <address> [options]
+
+Deploys (or reuses) ERC721BaselineImplementation from the build artifacts
+and upgrades a proxy to it. The proxy must have upgrades enabled
+and the sender must be an admin.
+
+Before sending the upgrade transaction the new implementation is checked against the current one:
+its VERSION must be greater and its storage layout must only append fields.
+The current storage layout is read from the manifest written by \`erc721baseline deploy\`.
+
+Options:
+  --proxy <address>      the proxy address
+  --salt <bytes32>       CREATE2 salt for the implementation (default: 0x00…00)
+  --network <name>       network name in the manifest (default: chain-<chainId>)
+  --manifest <file>      manifest path (default: deployments.json)
+  --force                upgrade even when the checks fail
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  salt: { type: "string", default: ZERO_SALT },
+  network: { type: "string" },
+  manifest: { type: "string", default: "deployments.json" },
+  force: { type: "boolean", default: false },
+};
+
+async function run(argv, log = console.log) {
+  const { values } = parse(argv, options);
+
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!/^0x[0-9a-fA-F]{64}$/.test(values.salt)) {
+    throw new UsageError("--salt must be a 32 bytes hex string.");
+  }
+
+  const artifact = loadArtifact("ERC721BaselineImplementation");
+  const storage = implementationStorage();
+
+  const { web3, from, chainId } = await connect(values);
+
+  try {
+    const network = values.network || `chain-${chainId}`;
+    const manifest = resolve(values.manifest);
+    const entry = readManifest(manifest)[network] || {};
+
+    const client = createClient({
+      provider: web3,
+      address: values.proxy,
+      from,
+    });
+
+    const currentAddress = await client.implementation();
+    const recorded = findImplementation(entry, currentAddress);
+    const current = {
+      address: currentAddress,
+      version: await client.VERSION(),
+      storage: recorded && recorded.storage ? recorded.storage : null,
+    };
+
+    const implementation = await deployImplementation({
+      web3,
+      from,
+      artifact,
+      salt: values.salt,
+    });
+
+    log(
+      `Current ERC721BaselineImplementation v${current.version} at ${current.address}`,
+    );
+    log(
+      `${
+        implementation.reused ? "Reusing" : "Deployed"
+      } ERC721BaselineImplementation v${implementation.version} at ${
+        implementation.address
+      }`,
+    );
+
+    const { errors, warnings } = checkUpgrade({
+      current,
+      next: { ...implementation, storage },
+    });
+
+    warnings.forEach((warning) => log(`warning: ${warning}`));
+    errors.forEach((error) => log(`error: ${error}`));
+
+    if (errors.length > 0 && !values.force) {
+      log("Upgrade aborted, use --force to skip the checks.");
+      process.exitCode = 1;
+      return;
+    }
+
+    const upgrade = await upgradeProxy({
+      client,
+      implementation: implementation.address,
+      from,
+    });
+
+    log(`Upgraded ${values.proxy} (${upgrade.transactionHash})`);
+
+    writeManifest(manifest, {
+      network,
+      chainId,
+      implementation: { ...implementation, storage },
+      upgrade: { ...upgrade, proxy: values.proxy },
+    });
+
+    log(`Manifest written to ${manifest} (${network})`);
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const {
+  CONNECTION_OPTIONS,
+  CONNECTION_USAGE,
+  parse,
+  connect,
+  disconnect,
+  resolve,
+  UsageError,
+} = require("../cli");
+const { createClient } = require("../client");
+const { parseCsv } = require("../csv");
+const {
+  VOUCHER_TYPES,
+  SIGNATURE_SCHEMES,
+  createVouchers,
+  getDomain,
+  verifyVouchers,
+} = require("../signatures");
+
+const usage = `
+Usage: erc721baseline vouchers sign [options]
+       erc721baseline vouchers verify [options]
+
+Creates and verifies signatures for Example1-style mints and URI updates.
+
+sign options:
+  --proxy <address>      the proxy address
+  --input <file>         JSON array or CSV with collector, tokenId and uri
+  --type <type>          ${VOUCHER_TYPES.join(" or ")} (default: mint)
+  --scheme <scheme>      ${SIGNATURE_SCHEMES.join(" or ")} (default: eip191)
+                         eip712 reads the proxy domain from the node
+  --signer-key <key>     signer private key (default: $SIGNER_PRIVATE_KEY)
+  --out <file>           output file (default: stdout)
+
+verify options:
+  --input <file>         vouchers file created with \`vouchers sign\`
+  --signer <address>     expected signer (default: the signer in the file)
+${CONNECTION_USAGE}
+`;
+
+const options = {
+  ...CONNECTION_OPTIONS,
+  proxy: { type: "string" },
+  input: { type: "string" },
+  type: { type: "string", default: "mint" },
+  scheme: { type: "string", default: "eip191" },
+  "signer-key": { type: "string", default: process.env.SIGNER_PRIVATE_KEY },
+  out: { type: "string" },
+  signer: { type: "string" },
+};
+
+async function run(argv, log = console.log) {
+  const {
+    values,
+    positionals: [subcommand],
+  } = parse(argv, options);
+
+  if (!values.input) throw new UsageError("--input is required.");
+
+  switch (subcommand) {
+    case "sign":
+      return sign(values, log);
+    case "verify":
+      return verify(values, log);
+    default:
+      throw new UsageError(`Unknown subcommand: ${subcommand}`);
+  }
+}
+
+async function sign(values, log) {
+  if (!values.proxy) throw new UsageError("--proxy is required.");
+  if (!values["signer-key"]) throw new UsageError("--signer-key is required.");
+  if (!VOUCHER_TYPES.includes(values.type)) {
+    throw new UsageError(`--type must be one of: ${VOUCHER_TYPES.join(", ")}`);
+  }
+  if (!SIGNATURE_SCHEMES.includes(values.scheme)) {
+    throw new UsageError(
+      `--scheme must be one of: ${SIGNATURE_SCHEMES.join(", ")}`,
+    );
+  }
+
+  const input = fs.readFileSync(resolve(values.input), "utf8");
+  const items = values.input.endsWith(".csv")
+    ? parseCsv(input)
+    : JSON.parse(input);
+
+  let domain;
+  if (values.scheme === "eip712") {
+    const { web3 } = await connect(values);
+    try {
+      domain = await getDomain(
+        createClient({ provider: web3, address: values.proxy }),
+      );
+    } finally {
+      disconnect(web3);
+    }
+  }
+
+  const file = createVouchers({
+    type: values.type,
+    scheme: values.scheme,
+    proxy: values.proxy,
+    privateKey: values["signer-key"],
+    items,
+    domain,
+  });
+  const json = JSON.stringify(file, null, 2) + "\n";
+
+  if (values.out) {
+    fs.writeFileSync(resolve(values.out), json);
+    log(
+      `Signed ${file.vouchers.length} ${file.type} vouchers with ${file.signer} to ${values.out}`,
+    );
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+async function verify(values, log) {
+  const file = JSON.parse(fs.readFileSync(resolve(values.input), "utf8"));
+  const { web3, from } = await connect(values);
+
+  try {
+    const results = await verifyVouchers({
+      client: createClient({ provider: web3, address: file.proxy, from }),
+      file,
+      signer: values.signer,
+    });
+
+    const invalid = results.filter(({ valid }) => !valid);
+    invalid.forEach(({ voucher, errors }) =>
+      log(`Token ${voucher.tokenId}: ${errors.join(", ")}`),
+    );
+    log(`${results.length - invalid.length}/${results.length} vouchers valid`);
+
+    if (invalid.length > 0) process.exitCode = 1;
+  } finally {
+    disconnect(web3);
+  }
+}
+
+module.exports = { usage, run };
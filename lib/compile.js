@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Returns the compiler settings of a Truffle project, `compilers.solc.settings` in its truffle-config.js.
+ * Falls back to this package's truffle-config.js, which is not published, and then to solc's defaults
+ * since the settings don't change the storage layout.
+ *
+ * @param {string} root project root
+ * @returns {object} solc settings, eg. { optimizer, evmVersion }
+ */
+function compilerSettings(root) {
+  const config = [root, path.resolve(__dirname, "..")]
+    .map((dir) => path.join(dir, "truffle-config.js"))
+    .find((file) => fs.existsSync(file));
+
+  if (!config) return {};
+
+  const { compilers = {} } = require(config);
+  return (compilers.solc && compilers.solc.settings) || {};
+}
+
+/**
+ * Lists the Solidity files in a directory, recursively.
+ *
+ * @param {string} dir
+ * @returns {string[]} absolute paths
+ */
+function findSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSources(file);
+    return entry.name.endsWith(".sol") ? [file] : [];
+  });
+}
+
+/**
+ * Compiles the contracts in a directory with solc's standard JSON interface
+ * and returns the full solc output (unlike Truffle artifacts, which are a subset of it).
+ *
+ * Imports are resolved relative to the project root and then from node_modules,
+ * eg. `@openzeppelin/contracts/...` or `erc721baseline/contracts/...`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.root] project root, defaults to the current working directory
+ * @param {string} [options.contractsDir] contracts directory, relative to root
+ * @param {object} [options.outputSelection] solc outputSelection for every contract
+ * @returns {{ input: object, output: object }} solc standard JSON input and output
+ */
+function compile({
+  root = process.cwd(),
+  contractsDir = "contracts",
+  outputSelection = ["abi", "storageLayout"],
+} = {}) {
+  // solc-js is large, it is loaded on demand. Its version matches the contracts' pragma (0.8.21).
+  const solc = require("solc");
+
+  const sources = Object.fromEntries(
+    findSources(path.resolve(root, contractsDir)).map((file) => [
+      path.relative(root, file).split(path.sep).join("/"),
+      { content: fs.readFileSync(file, "utf8") },
+    ]),
+  );
+
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      ...compilerSettings(root),
+      outputSelection: {
+        "*": { "*": outputSelection, "": ["ast"] },
+      },
+    },
+  };
+
+  const output = JSON.parse(
+    solc.compile(JSON.stringify(input), {
+      import: (file) => findImport(root, file),
+    }),
+  );
+
+  const errors = (output.errors || []).filter(
+    ({ severity }) => severity === "error",
+  );
+
+  if (errors.length > 0) {
+    throw new Error(
+      "Compilation failed:\n" +
+        errors.map(({ formattedMessage }) => formattedMessage).join("\n"),
+    );
+  }
+
+  return { input, output };
+}
+
+function findImport(root, file) {
+  const candidates = [path.resolve(root, file)];
+
+  try {
+    candidates.push(require.resolve(file, { paths: [root, __dirname] }));
+  } catch (error) {
+    // Not a package import.
+  }
+
+  // Allow the package to import itself, eg. examples importing erc721baseline/contracts/*.
+  const self = require("../package.json").name + "/";
+  if (file.startsWith(self)) {
+    candidates.push(path.resolve(__dirname, "..", file.slice(self.length)));
+  }
+
+  const found = candidates.find((candidate) => fs.existsSync(candidate));
+
+  return found
+    ? { contents: fs.readFileSync(found, "utf8") }
+    : { error: `File not found: ${file}` };
+}
+
+module.exports = {
+  compilerSettings,
+  compile,
+};
@@ -0,0 +1,67 @@
+/**
+ * Minimal CSV parser for the command line tools.
+ *
+ * The first row is the header. Fields can be quoted with double quotes,
+ * and quotes are escaped by doubling them. Empty lines are ignored.
+ *
+ * @param {string} text CSV content
+ * @returns {object[]} one object per row, keyed by header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  const [header, ...records] = rows.filter(
+    (cells) => cells.length > 1 || cells[0].trim() !== "",
+  );
+
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+
+  return records.map((cells, index) => {
+    if (cells.length !== keys.length) {
+      throw new Error(
+        `CSV row ${index + 2}: expected ${keys.length} fields, got ${
+          cells.length
+        }`,
+      );
+    }
+    return Object.fromEntries(keys.map((key, i) => [key, cells[i].trim()]));
+  });
+}
+
+module.exports = { parseCsv };
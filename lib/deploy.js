@@ -0,0 +1,359 @@
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+
+const { keccak256, toChecksumAddress, toWei } = Web3.utils;
+
+/**
+ * Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy).
+ *
+ * The factory is deployed with a pre-signed transaction that is not bound to a chain ID
+ * therefore it lives at the same address on every chain.
+ * Calling the factory with `salt ++ initCode` deploys `initCode` via CREATE2.
+ */
+const CREATE2_FACTORY = {
+  address: "0x4e59b44847b379578588920cA78FbF26c0B4956C",
+  deployer: "0x3fAB184622Dc19b6109349B94811493BF2a45362",
+  // gasPrice (100 gwei) * gasLimit (100000)
+  deploymentCost: toWei("0.01"),
+  deploymentTransaction:
+    "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222",
+};
+
+const ZERO_SALT = "0x" + "00".repeat(32);
+
+/**
+ * Computes the CREATE2 address for a contract deployed by the factory.
+ *
+ * @param {string} initCode the contract creation bytecode
+ * @param {string} [salt] bytes32 salt
+ * @param {string} [factory] the deployer address
+ * @returns {string} the checksummed address
+ */
+function create2Address(
+  initCode,
+  salt = ZERO_SALT,
+  factory = CREATE2_FACTORY.address,
+) {
+  const hash = keccak256(
+    "0x" +
+      ["ff", factory.slice(2), salt.slice(2), keccak256(initCode).slice(2)]
+        .join("")
+        .toLowerCase(),
+  );
+  return toChecksumAddress("0x" + hash.slice(26));
+}
+
+async function hasCode(web3, address) {
+  const code = await web3.eth.getCode(address);
+  return code !== "0x" && code !== "0x0";
+}
+
+/**
+ * Makes sure that the CREATE2 factory is deployed, deploying it otherwise.
+ * Local nodes like anvil come with the factory while Ganache needs it to be deployed.
+ *
+ * @param {Web3} web3
+ * @param {string} from account that funds the factory deployer
+ * @returns {Promise<string>} the factory address
+ */
+async function ensureCreate2Factory(web3, from) {
+  if (await hasCode(web3, CREATE2_FACTORY.address)) {
+    return CREATE2_FACTORY.address;
+  }
+
+  const balance = web3.utils.toBN(
+    await web3.eth.getBalance(CREATE2_FACTORY.deployer),
+  );
+  const cost = web3.utils.toBN(CREATE2_FACTORY.deploymentCost);
+
+  if (balance.lt(cost)) {
+    await web3.eth.sendTransaction({
+      from,
+      to: CREATE2_FACTORY.deployer,
+      value: cost.sub(balance).toString(),
+    });
+  }
+
+  await web3.eth.sendSignedTransaction(CREATE2_FACTORY.deploymentTransaction);
+
+  if (!(await hasCode(web3, CREATE2_FACTORY.address))) {
+    throw new Error("Failed to deploy the CREATE2 factory.");
+  }
+
+  return CREATE2_FACTORY.address;
+}
+
+/**
+ * Deploys a contract at a deterministic address via CREATE2.
+ * When the contract is already deployed at that address it is reused.
+ *
+ * The modules (eg. ERC721BaselineExtension) are deployed this way,
+ * like the implementation they are shared by the proxies that enable them.
+ *
+ * @param {object} options
+ * @param {Web3} options.web3
+ * @param {string} options.from the sender
+ * @param {object} options.artifact the contract artifact
+ * @param {string} [options.salt] bytes32 salt
+ * @returns {Promise<object>} the deployment
+ */
+async function deployDeterministic({ web3, from, artifact, salt = ZERO_SALT }) {
+  const address = create2Address(artifact.bytecode, salt);
+
+  let transactionHash = null;
+  const reused = await hasCode(web3, address);
+
+  if (!reused) {
+    await ensureCreate2Factory(web3, from);
+
+    const transaction = {
+      from,
+      to: CREATE2_FACTORY.address,
+      data: salt + artifact.bytecode.slice(2),
+    };
+    transaction.gas = await web3.eth.estimateGas(transaction);
+
+    ({ transactionHash } = await web3.eth.sendTransaction(transaction));
+
+    if (!(await hasCode(web3, address))) {
+      throw new Error(
+        `Failed to deploy ${artifact.contractName} at ${address}.`,
+      );
+    }
+  }
+
+  return {
+    contractName: artifact.contractName,
+    address,
+    transactionHash,
+    salt,
+    reused,
+  };
+}
+
+/**
+ * Deploys ERC721BaselineImplementation at a deterministic address via CREATE2.
+ * When the implementation is already deployed at that address it is reused.
+ *
+ * @param {object} options
+ * @param {Web3} options.web3
+ * @param {string} options.from the sender
+ * @param {object} options.artifact the ERC721BaselineImplementation artifact
+ * @param {string} [options.salt] bytes32 salt
+ * @returns {Promise<object>} the implementation deployment
+ */
+async function deployImplementation(options) {
+  const deployment = await deployDeterministic(options);
+  const implementation = new options.web3.eth.Contract(
+    options.artifact.abi,
+    deployment.address,
+  );
+
+  return {
+    ...deployment,
+    version: await implementation.methods.VERSION().call(),
+  };
+}
+
+/**
+ * Deploys a proxy contract (ERC721Baseline or a contract that extends it).
+ *
+ * The proxy is deployed with a regular transaction because
+ * ERC721BaselineImplementation's `initialize` sets the sender as owner.
+ *
+ * @param {object} options
+ * @param {Web3} options.web3
+ * @param {string} options.from the sender, becomes the proxy owner
+ * @param {object} options.artifact the proxy artifact
+ * @param {string} options.implementation the implementation address
+ * @param {string} options.name token name
+ * @param {string} options.symbol token symbol
+ * @param {any[]} [options.args] additional constructor arguments
+ * @returns {Promise<object>} the proxy deployment
+ */
+async function deployProxy({
+  web3,
+  from,
+  artifact,
+  implementation,
+  name,
+  symbol,
+  args = [],
+}) {
+  const contract = new web3.eth.Contract(artifact.abi);
+  const constructorArgs = [implementation, name, symbol, ...args];
+  const deployment = contract.deploy({
+    data: artifact.bytecode,
+    arguments: constructorArgs,
+  });
+  const gas = await deployment.estimateGas({ from });
+
+  let transactionHash;
+  const instance = await deployment
+    .send({ from, gas })
+    .on("transactionHash", (hash) => (transactionHash = hash));
+
+  return {
+    contractName: artifact.contractName,
+    address: instance.options.address,
+    transactionHash,
+    constructorArgs,
+  };
+}
+
+/**
+ * Reads a deployment manifest.
+ *
+ * @param {string} file path to the manifest
+ * @returns {object} the manifest, keyed by network
+ */
+function readManifest(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Records a deployment in the manifest.
+ *
+ * The manifest is keyed by network and holds the implementation
+ * and the proxies deployed on that network, keyed by contract name:
+ *
+ *  {
+ *    "development": {
+ *      "chainId": 1337,
+ *      "implementation": { "address", "transactionHash", "salt", "version", "storage" },
+ *      "previousImplementations": [{ "address", … }],
+ *      "modules": { "ERC721BaselineExtension": { "address", "transactionHash", "salt" } },
+ *      "proxies": { "ERC721Baseline": { "address", "transactionHash", "constructorArgs", "upgrades" } }
+ *    }
+ *  }
+ *
+ * `storage` is the implementation storage layout, used to check upgrades (see lib/upgrade.js).
+ *
+ * @param {string} file path to the manifest
+ * @param {object} deployment
+ * @param {string} deployment.network network name
+ * @param {number} deployment.chainId chain ID
+ * @param {object} deployment.implementation see `deployImplementation`
+ * @param {object[]} [deployment.modules] see `deployDeterministic`
+ * @param {object} [deployment.proxy] see `deployProxy`
+ * @param {object} [deployment.upgrade] see `upgradeProxy`, recorded in the upgraded proxy entry
+ * @returns {object} the updated manifest
+ */
+function writeManifest(
+  file,
+  { network, chainId, implementation, modules = [], proxy, upgrade },
+) {
+  const manifest = readManifest(file);
+  const entry = manifest[network] || {
+    chainId,
+    implementation: null,
+    proxies: {},
+  };
+  const { reused, ...implementationEntry } = implementation;
+
+  if (
+    entry.implementation &&
+    entry.implementation.address !== implementation.address
+  ) {
+    entry.previousImplementations = [
+      entry.implementation,
+      ...(entry.previousImplementations || []).filter(
+        ({ address }) => address !== implementation.address,
+      ),
+    ];
+  }
+
+  entry.chainId = chainId;
+  entry.implementation = {
+    ...implementationEntry,
+    // Keep the original deployment transaction when the implementation is reused.
+    transactionHash:
+      implementation.transactionHash ||
+      (entry.implementation &&
+      entry.implementation.address === implementation.address
+        ? entry.implementation.transactionHash
+        : null),
+  };
+
+  modules.forEach(({ reused, ...module }) => {
+    const previous = (entry.modules || {})[module.contractName];
+
+    entry.modules = {
+      ...entry.modules,
+      [module.contractName]: {
+        ...module,
+        // Keep the original deployment transaction when the module is reused.
+        transactionHash:
+          module.transactionHash ||
+          (previous && previous.address === module.address
+            ? previous.transactionHash
+            : null),
+      },
+    };
+  });
+
+  if (proxy) {
+    entry.proxies = entry.proxies || {};
+    entry.proxies[proxy.contractName] = {
+      ...proxy,
+      deployedAt: new Date().toISOString(),
+    };
+  }
+
+  if (upgrade) {
+    const upgraded = Object.values(entry.proxies || {}).find(
+      ({ address }) => address.toLowerCase() === upgrade.proxy.toLowerCase(),
+    );
+
+    if (upgraded) {
+      upgraded.upgrades = [
+        ...(upgraded.upgrades || []),
+        {
+          from: upgrade.previous,
+          to: upgrade.implementation,
+          transactionHash: upgrade.transactionHash,
+          upgradedAt: new Date().toISOString(),
+        },
+      ];
+    }
+  }
+
+  manifest[network] = entry;
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+
+  return manifest;
+}
+
+/**
+ * Finds an implementation recorded in the manifest by address.
+ *
+ * @param {object} entry the manifest network entry
+ * @param {string} address the implementation address
+ * @returns {object|null} the implementation entry
+ */
+function findImplementation(entry, address) {
+  return (
+    [entry.implementation, ...(entry.previousImplementations || [])].find(
+      (implementation) =>
+        implementation &&
+        implementation.address.toLowerCase() === address.toLowerCase(),
+    ) || null
+  );
+}
+
+module.exports = {
+  CREATE2_FACTORY,
+  ZERO_SALT,
+  create2Address,
+  ensureCreate2Factory,
+  deployDeterministic,
+  deployImplementation,
+  deployProxy,
+  readManifest,
+  writeManifest,
+  findImplementation,
+};
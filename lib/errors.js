@@ -0,0 +1,168 @@
+const Web3 = require("web3");
+const { signatureOf } = require("./artifacts");
+
+const { abi: abiCoder } = new Web3().eth;
+const { keccak256 } = Web3.utils;
+
+/**
+ * Built-in Solidity errors.
+ */
+const BUILTIN_ERRORS = [
+  {
+    type: "error",
+    name: "Error",
+    inputs: [{ name: "message", type: "string" }],
+  },
+  {
+    type: "error",
+    name: "Panic",
+    inputs: [{ name: "code", type: "uint256" }],
+  },
+];
+
+/**
+ * Thrown when a call reverts.
+ * When the revert data matches an error in the ABI (eg. `Unauthorized` or `NotProxy`)
+ * the error name and the decoded arguments are available as `errorName` and `args`.
+ */
+class ERC721BaselineError extends Error {
+  /**
+   * @param {string} message error message
+   * @param {object} details
+   * @param {string} [details.errorName] the decoded error name, eg. `NotProxy`
+   * @param {string} [details.signature] the decoded error signature, eg. `NotProxy()`
+   * @param {object} [details.args] the decoded error arguments
+   * @param {string} [details.data] the raw revert data
+   * @param {Error} [details.cause] the original error
+   */
+  constructor(message, { errorName, signature, args, data, cause } = {}) {
+    super(message);
+    this.name = "ERC721BaselineError";
+    this.errorName = errorName;
+    this.signature = signature;
+    this.args = args || {};
+    this.data = data;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Creates a decoder for the custom errors declared in an ABI.
+ *
+ * @param {object[]} abi contract ABI
+ * @returns {(data: string) => ({ errorName: string, signature: string, args: object } | null)}
+ */
+function createErrorDecoder(abi) {
+  const errors = new Map();
+
+  abi
+    .filter((item) => item.type === "error")
+    .concat(BUILTIN_ERRORS)
+    .forEach((item) => {
+      const signature = signatureOf(item);
+      errors.set(keccak256(signature).slice(0, 10), { item, signature });
+    });
+
+  return function decodeError(data) {
+    if (typeof data !== "string" || data.length < 10) return null;
+
+    const error = errors.get(data.slice(0, 10).toLowerCase());
+    if (!error) return null;
+
+    return {
+      errorName: error.item.name,
+      signature: error.signature,
+      args: abiCoder.decodeParameters(error.item.inputs, "0x" + data.slice(10)),
+    };
+  };
+}
+
+/**
+ * Extracts the revert data from the errors thrown by providers and web3.
+ * Nodes are inconsistent in where they put the data, eg. Ganache uses `{ data: { result } }`
+ * or a map of transaction hashes to `{ return }`.
+ *
+ * @param {Error} error
+ * @returns {string|undefined} the hex encoded revert data
+ */
+function getRevertData(error) {
+  const queue = [error];
+  const seen = new Set();
+
+  while (queue.length > 0) {
+    const value = queue.shift();
+
+    if (typeof value === "string") {
+      if (/^0x[0-9a-f]{8}/i.test(value)) return value;
+      continue;
+    }
+
+    if (!value || typeof value !== "object" || seen.has(value)) continue;
+    seen.add(value);
+
+    ["data", "result", "return", "error", "innerError", "cause"].forEach(
+      (key) => key in value && queue.push(value[key]),
+    );
+
+    if (value.data && typeof value.data === "object") {
+      queue.push(...Object.values(value.data));
+    }
+  }
+}
+
+/**
+ * Wraps an error thrown by a call in an ERC721BaselineError, decoding its revert data.
+ *
+ * @param {Error} error the original error
+ * @param {Function} decodeError a decoder created with `createErrorDecoder`
+ * @returns {ERC721BaselineError}
+ */
+function toBaselineError(error, decodeError) {
+  if (error instanceof ERC721BaselineError) return error;
+
+  const data = getRevertData(error);
+  const decoded = data && decodeError(data);
+
+  if (!decoded) {
+    return new ERC721BaselineError(error.message, { data, cause: error });
+  }
+
+  const args = Array.from(
+    { length: decoded.args.__length__ },
+    (_, index) => decoded.args[index],
+  );
+
+  return new ERC721BaselineError(
+    decoded.errorName === "Error"
+      ? `Reverted: ${decoded.args.message}`
+      : `Reverted with ${decoded.errorName}(${args.join(", ")})`,
+    { ...decoded, data, cause: error },
+  );
+}
+
+/**
+ * Resolves with `fallback` when a call reverts because the proxy doesn't implement the method:
+ * module methods revert with ModuleNotFound when the proxy didn't enable the module
+ * (see `IERC721Baseline.__setModule`), contracts without the method revert without data.
+ *
+ * @param {Promise} promise the call, made with a client method
+ * @param {*} fallback the value to resolve with
+ * @returns {Promise}
+ */
+function optional(promise, fallback) {
+  return promise.catch((error) => {
+    if (error.errorName === "ModuleNotFound") return fallback;
+    if (!error.errorName && !error.data && /revert/i.test(error.message)) {
+      return fallback;
+    }
+    throw error;
+  });
+}
+
+module.exports = {
+  ERC721BaselineError,
+  createErrorDecoder,
+  getRevertData,
+  toBaselineError,
+  optional,
+};
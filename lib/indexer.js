@@ -0,0 +1,468 @@
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+const { baselineAbi } = require("./artifacts");
+
+/**
+ * Event indexer
+ * –––––––––––––
+ *
+ * Rebuilds the state of a proxy built on ERC721Baseline from its logs:
+ * owners, balances, approvals, totalSupply, admins, the contract owner and its history,
+ * and the tokens whose metadata changed since they were last refreshed.
+ *
+ *  const { createIndexer, createJsonStore } = require("erc721baseline/indexer");
+ *
+ *  const indexer = createIndexer({ provider, address, store: createJsonStore("index.json") });
+ *
+ *  await indexer.sync();
+ *  indexer.ownerOf(1);
+ *  indexer.dirtyTokens(); // refresh their metadata, then
+ *  indexer.markClean();
+ *
+ * The events emitted by the implementation are logged by the proxy
+ * since the implementation runs in the proxy context.
+ * Blocks are indexed once, reorganizations deeper than `confirmations` are not handled.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Events applied to the state, see `applyEvent`.
+ */
+const INDEXED_EVENTS = [
+  "Transfer",
+  "ConsecutiveTransfer",
+  "Approval",
+  "MetadataUpdate",
+  "BatchMetadataUpdate",
+  "AdminSet",
+  "OwnershipTransferred",
+];
+
+/**
+ * Returns an empty state for a proxy.
+ *
+ * Token IDs and balances are decimal strings, addresses are checksummed.
+ *
+ * @param {string} address the proxy address
+ * @param {number} fromBlock the first block to index
+ * @returns {object} the state
+ */
+function emptyState(address, fromBlock = 0) {
+  return {
+    address,
+    lastBlock: fromBlock - 1,
+    totalSupply: "0",
+    owners: {},
+    balances: {},
+    approvals: {},
+    admins: [],
+    owner: ZERO_ADDRESS,
+    ownerHistory: [],
+    metadata: {
+      // Block of the last MetadataUpdate (or mint) by token ID.
+      updated: {},
+      // BatchMetadataUpdate ranges.
+      ranges: [],
+      // Block at which the token metadata was last marked clean.
+      refreshed: {},
+    },
+  };
+}
+
+function add(value, amount) {
+  return (BigInt(value || 0) + BigInt(amount)).toString();
+}
+
+/**
+ * Applies a decoded event to the state.
+ *
+ * @param {object} state see `emptyState`
+ * @param {{ event: string, returnValues: object, blockNumber: number, transactionHash: string }} log
+ */
+function applyEvent(
+  state,
+  { event, returnValues: values, blockNumber, transactionHash },
+) {
+  switch (event) {
+    case "Transfer": {
+      const { from, to, tokenId } = values;
+
+      if (from === ZERO_ADDRESS) {
+        state.totalSupply = add(state.totalSupply, 1);
+        state.metadata.updated[tokenId] = blockNumber;
+      } else {
+        state.balances[from] = add(state.balances[from], -1);
+        if (state.balances[from] === "0") delete state.balances[from];
+      }
+
+      if (to === ZERO_ADDRESS) {
+        state.totalSupply = add(state.totalSupply, -1);
+        delete state.owners[tokenId];
+        delete state.metadata.updated[tokenId];
+        delete state.metadata.refreshed[tokenId];
+      } else {
+        state.balances[to] = add(state.balances[to], 1);
+        state.owners[tokenId] = to;
+      }
+
+      // ERC721 clears the approval without emitting Approval.
+      delete state.approvals[tokenId];
+      break;
+    }
+
+    // ERC-2309 ranges minted by `__mintConsecutive`, their tokens are indexed one by one.
+    case "ConsecutiveTransfer": {
+      const { fromTokenId, toTokenId, toAddress } = values;
+      const quantity = BigInt(toTokenId) - BigInt(fromTokenId) + 1n;
+
+      for (
+        let tokenId = BigInt(fromTokenId);
+        tokenId <= BigInt(toTokenId);
+        tokenId++
+      ) {
+        state.owners[tokenId] = toAddress;
+        state.metadata.updated[tokenId] = blockNumber;
+      }
+      state.balances[toAddress] = add(state.balances[toAddress], quantity);
+      state.totalSupply = add(state.totalSupply, quantity);
+      break;
+    }
+
+    case "Approval": {
+      const { approved, tokenId } = values;
+
+      if (approved === ZERO_ADDRESS) {
+        delete state.approvals[tokenId];
+      } else {
+        state.approvals[tokenId] = approved;
+      }
+      break;
+    }
+
+    case "MetadataUpdate":
+      state.metadata.updated[values._tokenId] = blockNumber;
+      break;
+
+    case "BatchMetadataUpdate":
+      state.metadata.ranges.push({
+        from: values._fromTokenId,
+        to: values._toTokenId,
+        blockNumber,
+      });
+      break;
+
+    case "AdminSet": {
+      const admins = state.admins.filter((admin) => admin !== values.addr);
+      state.admins = values.add ? [...admins, values.addr] : admins;
+      break;
+    }
+
+    case "OwnershipTransferred":
+      state.owner = values.newOwner;
+      state.ownerHistory.push({
+        previousOwner: values.previousOwner,
+        newOwner: values.newOwner,
+        blockNumber,
+        transactionHash,
+      });
+      break;
+  }
+}
+
+/**
+ * Stores the state in a JSON file. Writes are atomic.
+ *
+ * @param {string} file the JSON file path
+ * @returns {{ load: Function, save: Function }} the store
+ */
+function createJsonStore(file) {
+  return {
+    load() {
+      return fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : null;
+    },
+    save(state) {
+      const tmp = path.join(
+        path.dirname(file),
+        `.${path.basename(file)}.${process.pid}`,
+      );
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+/**
+ * Keeps the state in memory.
+ *
+ * @returns {{ load: Function, save: Function }} the store
+ */
+function createMemoryStore() {
+  let saved = null;
+
+  return {
+    load: () => saved && JSON.parse(saved),
+    save: (state) => {
+      saved = JSON.stringify(state);
+    },
+  };
+}
+
+/**
+ * @typedef {object} IndexerOptions
+ * @property {string|object} provider a JSON-RPC url, an EIP-1193 provider or a Web3 instance
+ * @property {string} address the proxy address
+ * @property {{ load: Function, save: Function }} [store] see `createJsonStore` (default: in memory)
+ * @property {number} [fromBlock] the first block to index, eg. the proxy deployment block (default: 0)
+ * @property {number} [batchSize] blocks per `eth_getLogs` request (default: 2000)
+ * @property {number} [confirmations] blocks to wait before indexing a block (default: 0)
+ * @property {object[]} [abi] overrides the ABI loaded from the build artifacts
+ */
+
+/**
+ * Creates an indexer for a proxy built on ERC721Baseline.
+ *
+ * @param {IndexerOptions} options
+ * @returns {object} the indexer
+ */
+function createIndexer({
+  provider,
+  address,
+  store = createMemoryStore(),
+  fromBlock = 0,
+  batchSize = 2000,
+  confirmations = 0,
+  abi = baselineAbi(),
+}) {
+  if (!provider) throw new Error("createIndexer: provider is required");
+  if (!address) throw new Error("createIndexer: address is required");
+
+  const web3 = provider instanceof Web3 ? provider : new Web3(provider);
+  const proxy = web3.utils.toChecksumAddress(address);
+
+  const events = new Map(
+    abi
+      .filter(
+        ({ type, name }) => type === "event" && INDEXED_EVENTS.includes(name),
+      )
+      .map((item) => [web3.eth.abi.encodeEventSignature(item), item]),
+  );
+
+  const loaded = store.load();
+  if (loaded && loaded.address !== proxy) {
+    throw new Error(`The store indexes ${loaded.address}, not ${proxy}.`);
+  }
+
+  let state = loaded || emptyState(proxy, fromBlock);
+
+  function decode(log) {
+    const item = events.get(log.topics[0]);
+    if (!item) return null;
+
+    const values = web3.eth.abi.decodeLog(
+      item.inputs,
+      log.data,
+      log.topics.slice(1),
+    );
+
+    // Normalize addresses and numbers so that the state compares and serializes consistently.
+    item.inputs.forEach(({ name, type }) => {
+      if (type === "address") {
+        values[name] = web3.utils.toChecksumAddress(values[name]);
+      } else if (type.startsWith("uint")) {
+        values[name] = String(values[name]);
+      }
+    });
+
+    return {
+      event: item.name,
+      returnValues: values,
+      blockNumber: Number(log.blockNumber),
+      transactionHash: log.transactionHash,
+    };
+  }
+
+  const isDirty = (tokenId) => {
+    const id = String(tokenId);
+    const refreshed = state.metadata.refreshed[id];
+    const updated = [
+      state.metadata.updated[id],
+      ...state.metadata.ranges
+        .filter(
+          ({ from, to }) =>
+            BigInt(from) <= BigInt(id) && BigInt(id) <= BigInt(to),
+        )
+        .map(({ blockNumber }) => blockNumber),
+    ].filter((blockNumber) => blockNumber !== undefined);
+
+    return updated.some(
+      (blockNumber) => refreshed === undefined || blockNumber > refreshed,
+    );
+  };
+
+  const indexer = {
+    web3,
+    address: proxy,
+
+    /**
+     * Indexes the logs up to the latest block (minus `confirmations`).
+     * The state is saved after each batch of blocks.
+     *
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: number }>}
+     */
+    async sync() {
+      const latest = Number(await web3.eth.getBlockNumber()) - confirmations;
+      const start = state.lastBlock + 1;
+      let count = 0;
+
+      for (let from = start; from <= latest; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, latest);
+        const logs = await web3.eth.getPastLogs({
+          address: proxy,
+          fromBlock: from,
+          toBlock: to,
+        });
+
+        logs
+          .map(decode)
+          .filter(Boolean)
+          .forEach((event) => {
+            applyEvent(state, event);
+            count++;
+          });
+
+        state.lastBlock = to;
+        store.save(state);
+      }
+
+      return { fromBlock: start, toBlock: state.lastBlock, events: count };
+    },
+
+    /**
+     * Syncs periodically until stopped.
+     *
+     * @param {object} [options]
+     * @param {number} [options.interval] milliseconds between syncs (default: 4000)
+     * @param {Function} [options.onSync] called with the result of each sync
+     * @param {Function} [options.onError] called when a sync fails, by default following stops and `done` rejects
+     * @returns {{ stop: Function, done: Promise<void> }}
+     */
+    follow({ interval = 4000, onSync = () => {}, onError } = {}) {
+      let stopped = false;
+      let timer;
+      let wake;
+
+      const done = (async () => {
+        while (!stopped) {
+          try {
+            onSync(await indexer.sync());
+          } catch (error) {
+            if (!onError) throw error;
+            onError(error);
+          }
+
+          if (stopped) break;
+          await new Promise((resolve) => {
+            wake = resolve;
+            timer = setTimeout(resolve, interval);
+          });
+        }
+      })();
+
+      return {
+        stop() {
+          stopped = true;
+          clearTimeout(timer);
+          if (wake) wake();
+        },
+        done,
+      };
+    },
+
+    /**
+     * Resets the state and the store, the next sync starts from `fromBlock`.
+     */
+    reset() {
+      state = emptyState(proxy, fromBlock);
+      store.save(state);
+    },
+
+    /**
+     * Queries.
+     */
+
+    lastBlock: () => state.lastBlock,
+    totalSupply: () => state.totalSupply,
+    ownerOf: (tokenId) => state.owners[String(tokenId)] || null,
+    balanceOf: (owner) =>
+      state.balances[web3.utils.toChecksumAddress(owner)] || "0",
+    tokensOf: (owner) => {
+      const holder = web3.utils.toChecksumAddress(owner);
+      return Object.keys(state.owners).filter(
+        (tokenId) => state.owners[tokenId] === holder,
+      );
+    },
+    tokens: () => Object.keys(state.owners),
+    holders: () => Object.keys(state.balances),
+    getApproved: (tokenId) => state.approvals[String(tokenId)] || null,
+    admins: () => [...state.admins],
+    isAdmin: (addr) =>
+      state.admins.includes(web3.utils.toChecksumAddress(addr)),
+    owner: () => state.owner,
+    ownerHistory: () => state.ownerHistory.map((entry) => ({ ...entry })),
+
+    /**
+     * Returns whether the token metadata changed (or the token was minted) since it was last marked clean.
+     *
+     * @param {number|string} tokenId token ID
+     * @returns {boolean}
+     */
+    isDirty,
+
+    /**
+     * Returns the existing tokens whose metadata changed since they were last marked clean.
+     *
+     * @returns {string[]} the token IDs
+     */
+    dirtyTokens: () => Object.keys(state.owners).filter(isDirty),
+
+    /**
+     * Marks the metadata of tokens as refreshed at the last indexed block.
+     *
+     * @param {(number|string)[]} [tokenIds] the token IDs (default: every existing token)
+     */
+    markClean(tokenIds = Object.keys(state.owners)) {
+      tokenIds.forEach((tokenId) => {
+        state.metadata.refreshed[String(tokenId)] = state.lastBlock;
+      });
+
+      // Ranges whose existing tokens were all refreshed are no longer needed.
+      const tokens = Object.keys(state.owners);
+      state.metadata.ranges = state.metadata.ranges.filter(
+        ({ from, to, blockNumber }) =>
+          tokens.some(
+            (tokenId) =>
+              BigInt(from) <= BigInt(tokenId) &&
+              BigInt(tokenId) <= BigInt(to) &&
+              !(state.metadata.refreshed[tokenId] >= blockNumber),
+          ),
+      );
+
+      store.save(state);
+    },
+  };
+
+  return indexer;
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  emptyState,
+  applyEvent,
+  createJsonStore,
+  createMemoryStore,
+  createIndexer,
+};
@@ -0,0 +1,298 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * IPFS content addressing
+ * –––––––––––––––––––––––
+ *
+ * Computes the CIDs that `ipfs add --cid-version 1` assigns to files and directories
+ * and packs them into CAR v1 files that can be imported with `ipfs dag import`
+ * or uploaded to pinning services.
+ *
+ * Files are split in 256 KiB raw leaves linked by UnixFS file nodes (balanced layout),
+ * directories are basic UnixFS directories. Directories that IPFS shards (HAMT) are not supported:
+ * like Kubo, a directory is sharded when the names and the binary CIDs of its links add up to 256 KiB.
+ */
+
+const RAW = 0x55;
+const DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+const HAMT_SHARDING_SIZE = 262144;
+
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+function varint(value) {
+  const bytes = [];
+  let remaining = value;
+
+  while (remaining >= 0x80) {
+    bytes.push(remaining % 0x80 | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+
+  return Buffer.from(bytes);
+}
+
+// Protobuf fields: varints use wire type 0, bytes and strings use wire type 2.
+function varintField(field, value) {
+  return Buffer.concat([varint(field << 3), varint(value)]);
+}
+
+function bytesField(field, bytes) {
+  return Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+}
+
+/**
+ * Computes a CIDv1 with a sha2-256 multihash.
+ *
+ * @param {number} codec multicodec of the block, raw or dag-pb
+ * @param {Buffer} block the block bytes
+ * @returns {Buffer} the binary CID
+ */
+function cidOf(codec, block) {
+  const digest = crypto.createHash("sha256").update(block).digest();
+
+  return Buffer.concat([
+    varint(1),
+    varint(codec),
+    varint(SHA2_256),
+    varint(digest.length),
+    digest,
+  ]);
+}
+
+/**
+ * Encodes a binary CID as a base32 string, eg. `bafkrei…`.
+ *
+ * @param {Buffer} cid the binary CID
+ * @returns {string} the CID string
+ */
+function formatCid(cid) {
+  const alphabet = "abcdefghijklmnopqrstuvwxyz234567";
+  let output = "b";
+  let bits = 0;
+  let value = 0;
+
+  for (const byte of cid) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Encodes a dag-pb node. Links are encoded before the data as required by the spec.
+ *
+ * @param {Buffer} data the UnixFS data
+ * @param {{ cid: Buffer, name: string, size: number }[]} links
+ * @returns {Buffer} the block
+ */
+function encodeNode(data, links) {
+  return Buffer.concat([
+    ...links.map(({ cid, name, size }) =>
+      bytesField(
+        2,
+        Buffer.concat([
+          bytesField(1, cid),
+          bytesField(2, Buffer.from(name)),
+          varintField(3, size),
+        ]),
+      ),
+    ),
+    bytesField(1, data),
+  ]);
+}
+
+/**
+ * Adds a file.
+ *
+ * @param {Buffer} content the file content
+ * @param {Function} [onBlock] called with the CID and the bytes of each block
+ * @returns {{ cid: Buffer, size: number }} the root CID and the cumulative size of the blocks
+ */
+function addFile(content, onBlock = () => {}) {
+  const leaves = [];
+  let offset = 0;
+
+  // Empty files are a single empty leaf.
+  do {
+    const block = content.subarray(offset, offset + CHUNK_SIZE);
+    const cid = cidOf(RAW, block);
+
+    onBlock(cid, block);
+    leaves.push({ cid, size: block.length, fileSize: block.length });
+    offset += CHUNK_SIZE;
+  } while (offset < content.length);
+
+  if (leaves.length === 1) {
+    return { cid: leaves[0].cid, size: leaves[0].size };
+  }
+
+  let depth = 1;
+  while (MAX_LINKS ** depth < leaves.length) depth++;
+
+  const { cid, size } = fileNode(leaves, depth, onBlock);
+  return { cid, size };
+}
+
+// Balanced layout: every child but the last is a full subtree of the same depth.
+function fileNode(leaves, depth, onBlock) {
+  const perChild = MAX_LINKS ** (depth - 1);
+  const children = [];
+
+  for (let i = 0; i < leaves.length; i += perChild) {
+    const group = leaves.slice(i, i + perChild);
+    children.push(depth === 1 ? group[0] : fileNode(group, depth - 1, onBlock));
+  }
+
+  const fileSize = children.reduce((total, child) => total + child.fileSize, 0);
+  const data = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, fileSize),
+    ...children.map((child) => varintField(4, child.fileSize)),
+  ]);
+  const block = encodeNode(
+    data,
+    children.map(({ cid, size }) => ({ cid, name: "", size })),
+  );
+  const cid = cidOf(DAG_PB, block);
+
+  onBlock(cid, block);
+
+  return {
+    cid,
+    size: block.length + children.reduce((total, { size }) => total + size, 0),
+    fileSize,
+  };
+}
+
+/**
+ * Adds a directory from its entries.
+ *
+ * @param {{ name: string, cid: Buffer, size: number }[]} entries the files and subdirectories
+ * @param {Function} [onBlock] called with the CID and the bytes of the directory block
+ * @returns {{ cid: Buffer, size: number }} the directory CID and the cumulative size of its blocks
+ */
+function addDirectory(entries, onBlock = () => {}) {
+  const links = [...entries].sort((a, b) =>
+    Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)),
+  );
+  const estimatedSize = links.reduce(
+    (total, { name, cid }) => total + Buffer.byteLength(name) + cid.length,
+    0,
+  );
+
+  if (estimatedSize >= HAMT_SHARDING_SIZE) {
+    throw new Error(
+      `The directory has too many entries (${entries.length}), IPFS would shard it.`,
+    );
+  }
+
+  const block = encodeNode(varintField(1, UNIXFS_DIRECTORY), links);
+
+  const cid = cidOf(DAG_PB, block);
+  onBlock(cid, block);
+
+  return {
+    cid,
+    size: block.length + links.reduce((total, { size }) => total + size, 0),
+  };
+}
+
+/**
+ * Adds a directory from the file system, recursively.
+ *
+ * @param {string} dir the directory path
+ * @param {Function} [onBlock] called with the CID and the bytes of each block
+ * @returns {{ cid: Buffer, size: number }}
+ */
+function addPath(dir, onBlock = () => {}) {
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() || entry.isDirectory())
+    .map((entry) => {
+      const file = path.join(dir, entry.name);
+      const { cid, size } = entry.isDirectory()
+        ? addPath(file, onBlock)
+        : addFile(fs.readFileSync(file), onBlock);
+
+      return { name: entry.name, cid, size };
+    });
+
+  return addDirectory(entries, onBlock);
+}
+
+/**
+ * Packs directories into a CAR v1 file, one root per directory.
+ * Blocks shared by several files are written once.
+ *
+ * @param {string} file the CAR file path
+ * @param {string[]} dirs the directories to pack
+ * @returns {string[]} the root CIDs
+ */
+function writeCar(file, dirs) {
+  // The header lists the roots therefore the directories are hashed twice.
+  const roots = dirs.map((dir) => addPath(dir).cid);
+
+  // dag-cbor { roots: [CID], version: 1 }, CIDs are tag 42 with a 0x00 prefix.
+  const header = Buffer.concat([
+    Buffer.from([0xa2, 0x65]),
+    Buffer.from("roots"),
+    Buffer.from([0x80 + roots.length]),
+    ...roots.map((cid) =>
+      Buffer.concat([Buffer.from([0xd8, 0x2a, 0x58, cid.length + 1, 0]), cid]),
+    ),
+    Buffer.from([0x67]),
+    Buffer.from("version"),
+    Buffer.from([0x01]),
+  ]);
+
+  const fd = fs.openSync(file, "w");
+  const written = new Set();
+
+  try {
+    fs.writeSync(fd, Buffer.concat([varint(header.length), header]));
+
+    dirs.forEach((dir) =>
+      addPath(dir, (cid, block) => {
+        const key = cid.toString("hex");
+        if (written.has(key)) return;
+
+        written.add(key);
+        fs.writeSync(
+          fd,
+          Buffer.concat([varint(cid.length + block.length), cid, block]),
+        );
+      }),
+    );
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return roots.map(formatCid);
+}
+
+module.exports = {
+  cidOf,
+  formatCid,
+  addFile,
+  addDirectory,
+  addPath,
+  writeCar,
+};
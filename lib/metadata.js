@@ -0,0 +1,526 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("./csv");
+const { optional } = require("./errors");
+const { addFile, addPath, formatCid, writeCar } = require("./ipfs");
+const { metadataId } = require("./provenance");
+
+/**
+ * Token metadata
+ * ––––––––––––––
+ *
+ * Builds OpenSea-style metadata for a collection and reports how tokenURI resolves on-chain.
+ *
+ * ERC721BaselineImplementation resolves `tokenURI` in the following order:
+ *
+ * 1. Token-specific URI by ID (`__tokenURI`).
+ * 2. On-chain rendering, when an SVG template is set (`__svgTemplate`).
+ * 3. Shared URI (`__sharedURI`).
+ * 4. Base URI + decimal token ID (`__baseURI`).
+ * 5. Empty string.
+ *
+ * The `TokenURI` hook, when enabled, receives the resolved URI and returns the token URI.
+ *
+ * The metadata files are named after the decimal token ID without extension
+ * so that the metadata directory can be used as base URI.
+ *
+ * The input directory contains:
+ *
+ * - `<tokenId>.<ext>` images (png, jpg, jpeg, gif, svg, webp)
+ * - optionally `<tokenId>.json` files with metadata fields for a token
+ * - optionally `attributes.csv` with a tokenId column: metadata fields
+ *   (name, description, …) are copied as is, the other columns become attributes.
+ *
+ * The collection-level metadata returned by `contractURI` (ERC-7572) is built
+ * from the on-chain name, symbol and royalties, see `buildContractMetadata`.
+ *
+ * Tokens rendered on-chain resolve to base64 data URIs, `previewTokens` decodes them
+ * into JSON and SVG files for review.
+ */
+
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "svg", "webp"];
+
+/**
+ * Metadata fields read from `attributes.csv`, the other columns are attributes.
+ */
+const METADATA_FIELDS = [
+  "name",
+  "description",
+  "external_url",
+  "animation_url",
+  "background_color",
+  "youtube_url",
+];
+
+/**
+ * The tokenURI layers, in order of resolution.
+ */
+const URI_LAYERS = ["hook", "token", "rendered", "shared", "base", "none"];
+
+// See IERC721Baseline.Hook.
+const TOKEN_URI_HOOK = 4;
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Token IDs are decimal strings as in `Utils.toString(tokenId)`.
+function parseTokenId(value, source) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`Invalid token ID in ${source}: ${value}`);
+  }
+  return BigInt(String(value).trim()).toString();
+}
+
+function compareTokenIds(a, b) {
+  const difference = BigInt(a) - BigInt(b);
+  return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+}
+
+/**
+ * Reads the images and attributes of a collection.
+ *
+ * @param {string} dir the input directory
+ * @returns {{ tokenId: string, image: string, fields: object, attributes: object[] }[]} sorted by token ID
+ */
+function readCollection(dir) {
+  const tokens = new Map();
+  const token = (tokenId) => {
+    if (!tokens.has(tokenId)) {
+      tokens.set(tokenId, { tokenId, image: null, fields: {}, attributes: [] });
+    }
+    return tokens.get(tokenId);
+  };
+
+  fs.readdirSync(dir).forEach((file) => {
+    const { name, ext } = path.parse(file);
+    const extension = ext.slice(1).toLowerCase();
+
+    if (IMAGE_EXTENSIONS.includes(extension)) {
+      const entry = token(parseTokenId(name, file));
+      if (entry.image) {
+        throw new Error(
+          `Token ${entry.tokenId} has two images: ${entry.image} and ${file}`,
+        );
+      }
+      entry.image = file;
+    } else if (extension === "json") {
+      const { attributes = [], ...fields } = JSON.parse(
+        fs.readFileSync(path.join(dir, file), "utf8"),
+      );
+      const entry = token(parseTokenId(name, file));
+      Object.assign(entry.fields, fields);
+      entry.attributes.push(...attributes);
+    }
+  });
+
+  const csv = path.join(dir, "attributes.csv");
+  if (fs.existsSync(csv)) {
+    parseCsv(fs.readFileSync(csv, "utf8")).forEach((row, index) => {
+      const { tokenId, ...columns } = row;
+      const entry = token(
+        parseTokenId(tokenId, `attributes.csv row ${index + 2}`),
+      );
+
+      Object.entries(columns).forEach(([key, value]) => {
+        if (value === "") return;
+
+        if (METADATA_FIELDS.includes(key)) {
+          entry.fields[key] = value;
+        } else {
+          entry.attributes.push({
+            trait_type: key,
+            value: /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value,
+          });
+        }
+      });
+    });
+  }
+
+  const collection = [...tokens.values()].sort((a, b) =>
+    compareTokenIds(a.tokenId, b.tokenId),
+  );
+
+  collection.forEach(({ tokenId, image }) => {
+    if (!image) throw new Error(`Token ${tokenId} has no image.`);
+  });
+
+  return collection;
+}
+
+/**
+ * Builds the metadata of a collection into `outDir`, replacing previous builds:
+ *
+ * - `images/<tokenId>.<ext>`
+ * - `metadata/<tokenId>` the metadata JSON files
+ * - `manifest.json` the CIDs, the base URI and the content hashes
+ * - `collection.car` when `car` is true, with the images and metadata directories as roots
+ *
+ * @param {object} options
+ * @param {string} options.inputDir the input directory, see `readCollection`
+ * @param {string} options.outDir the output directory
+ * @param {string} [options.name] token name, `{id}` is replaced with the token ID (default: `#{id}`)
+ * @param {string} [options.description] default token description
+ * @param {string} [options.imageBaseURI] images base URI (default: `ipfs://<images CID>/`)
+ * @param {boolean} [options.car] whether to write a CAR file
+ * @returns {object} the manifest
+ */
+function buildMetadata({
+  inputDir,
+  outDir,
+  name = "#{id}",
+  description,
+  imageBaseURI,
+  car = false,
+}) {
+  const collection = readCollection(inputDir);
+  const imagesDir = path.join(outDir, "images");
+  const metadataDir = path.join(outDir, "metadata");
+
+  // Stale files would change the directories CIDs.
+  [imagesDir, metadataDir].forEach((dir) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  const tokens = collection.map((token) => {
+    const image = `${token.tokenId}${path.extname(token.image).toLowerCase()}`;
+    const content = fs.readFileSync(path.join(inputDir, token.image));
+
+    fs.writeFileSync(path.join(imagesDir, image), content);
+
+    return {
+      ...token,
+      image,
+      imageCid: formatCid(addFile(content).cid),
+      imageHash: sha256(content),
+    };
+  });
+
+  const imagesCid = formatCid(addPath(imagesDir).cid);
+  const imagesURI = imageBaseURI || `ipfs://${imagesCid}/`;
+
+  const manifest = {
+    baseURI: null,
+    images: { cid: imagesCid, baseURI: imagesURI },
+    metadata: { cid: null },
+    tokens: {},
+  };
+
+  tokens.forEach(({ tokenId, image, fields, attributes, ...hashes }) => {
+    const metadata = {
+      name: name.replace(/\{id\}/g, tokenId),
+      ...(description ? { description } : {}),
+      ...fields,
+      image: `${imagesURI}${image}`,
+      attributes,
+    };
+    const content = Buffer.from(JSON.stringify(metadata, null, 2) + "\n");
+
+    fs.writeFileSync(path.join(metadataDir, tokenId), content);
+
+    manifest.tokens[tokenId] = {
+      image: metadata.image,
+      ...hashes,
+      metadataCid: formatCid(addFile(content).cid),
+      metadataHash: sha256(content),
+    };
+  });
+
+  manifest.metadata.cid = formatCid(addPath(metadataDir).cid);
+  manifest.baseURI = `ipfs://${manifest.metadata.cid}/`;
+
+  if (car) {
+    manifest.car = "collection.car";
+    writeCar(path.join(outDir, manifest.car), [imagesDir, metadataDir]);
+  }
+
+  fs.writeFileSync(
+    path.join(outDir, "manifest.json"),
+    JSON.stringify(manifest, null, 2) + "\n",
+  );
+
+  return manifest;
+}
+
+/**
+ * Builds the collection-level metadata pointed by `contractURI` (ERC-7572) into `outDir/contract.json`.
+ *
+ * The name and symbol are read from the proxy, the royalties from `royaltiesReceiver` and `royaltiesBps`
+ * and are omitted when the receiver is not set.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string} options.outDir the output directory
+ * @param {string} [options.name] collection name (default: the on-chain name)
+ * @param {string} [options.description] collection description
+ * @param {string} [options.image] collection image URI
+ * @param {string} [options.bannerImage] collection banner image URI
+ * @param {string} [options.externalLink] collection website
+ * @returns {Promise<{ metadata: object, cid: string, uri: string }>} `uri` is the `ipfs://` contract URI
+ */
+async function buildContractMetadata({
+  client,
+  outDir,
+  name,
+  description,
+  image,
+  bannerImage,
+  externalLink,
+}) {
+  const [onchainName, symbol, royaltiesReceiver, royaltiesBps] =
+    await Promise.all([
+      client.name(),
+      client.symbol(),
+      client.royaltiesReceiver(),
+      client.royaltiesBps(),
+    ]);
+  const zero = "0x0000000000000000000000000000000000000000";
+
+  const metadata = {
+    name: name || onchainName,
+    symbol,
+    ...(description ? { description } : {}),
+    ...(image ? { image } : {}),
+    ...(bannerImage ? { banner_image: bannerImage } : {}),
+    ...(externalLink ? { external_link: externalLink } : {}),
+    ...(royaltiesReceiver !== zero
+      ? {
+          seller_fee_basis_points: Number(royaltiesBps),
+          fee_recipient: royaltiesReceiver,
+        }
+      : {}),
+  };
+  const content = Buffer.from(JSON.stringify(metadata, null, 2) + "\n");
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "contract.json"), content);
+
+  const cid = formatCid(addFile(content).cid);
+
+  return { metadata, cid, uri: `ipfs://${cid}` };
+}
+
+/**
+ * Returns the layer a token URI resolves from, mirroring `tokenURI`.
+ * The URI of rendered tokens is built on-chain and is empty here, see `previewTokens`.
+ *
+ * @param {{ tokenURI: string, svgTemplate: string, sharedURI: string, baseURI: string }} layers
+ * @param {string} tokenId the token ID
+ * @param {string} [id] the metadata ID appended to the base URI, differs from the token ID
+ *   once the collection is revealed (see lib/provenance.js)
+ * @returns {{ layer: string, uri: string }}
+ */
+function resolveLayer(
+  { tokenURI, svgTemplate, sharedURI, baseURI },
+  tokenId,
+  id = tokenId,
+) {
+  if (tokenURI) return { layer: "token", uri: tokenURI };
+  if (svgTemplate) return { layer: "rendered", uri: "" };
+  if (sharedURI) return { layer: "shared", uri: sharedURI };
+  if (baseURI) return { layer: "base", uri: `${baseURI}${id}` };
+  return { layer: "none", uri: "" };
+}
+
+/**
+ * Decodes a data URI, eg. `data:application/json;base64,eyJuYW1lIjoiIzEifQ==`.
+ *
+ * @param {string} uri the data URI
+ * @returns {{ mimeType: string, content: Buffer }}
+ */
+function decodeDataURI(uri) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(uri);
+  if (!match) throw new Error(`Invalid data URI: ${uri.slice(0, 50)}`);
+
+  const [, mimeType, parameters, data] = match;
+
+  return {
+    mimeType: mimeType || "text/plain",
+    content: parameters.split(";").includes("base64")
+      ? Buffer.from(data, "base64")
+      : Buffer.from(decodeURIComponent(data)),
+  };
+}
+
+function escapeHtml(value) {
+  return value.replace(
+    /[&<>"]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char],
+  );
+}
+
+/**
+ * Decodes the metadata of tokens rendered on-chain into `outDir`, replacing previous previews:
+ *
+ * - `<tokenId>.json` the decoded metadata, with the image data URI
+ * - `<tokenId>.svg` the decoded image, when it is an SVG data URI
+ * - `index.html` a page with the images and the metadata of every token
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {(string|number)[]} options.tokenIds the token IDs to preview
+ * @param {string} options.outDir the output directory
+ * @returns {Promise<{ tokenId: string, metadata: object, image: string|null }[]>} `image` is the SVG file name
+ */
+async function previewTokens({ client, tokenIds, outDir }) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const tokens = [];
+  for (const value of tokenIds) {
+    const tokenId = String(value);
+    const uri = await client.tokenURI(tokenId);
+
+    if (!uri.startsWith("data:")) {
+      throw new Error(`Token ${tokenId} is not rendered on-chain: ${uri}`);
+    }
+
+    const metadata = JSON.parse(decodeDataURI(uri).content.toString("utf8"));
+    let image = null;
+
+    if (
+      typeof metadata.image === "string" &&
+      metadata.image.startsWith("data:")
+    ) {
+      const { mimeType, content } = decodeDataURI(metadata.image);
+      if (mimeType === "image/svg+xml") {
+        image = `${tokenId}.svg`;
+        fs.writeFileSync(path.join(outDir, image), content);
+      }
+    }
+
+    fs.writeFileSync(
+      path.join(outDir, `${tokenId}.json`),
+      JSON.stringify(metadata, null, 2) + "\n",
+    );
+    tokens.push({ tokenId, metadata, image });
+  }
+
+  const items = tokens.map(
+    ({ tokenId, metadata, image }) => `<section>
+  <h2>${escapeHtml(metadata.name || `#${tokenId}`)}</h2>
+  ${image ? `<img src="${image}" width="300">` : ""}
+  <pre>${escapeHtml(JSON.stringify(metadata, null, 2))}</pre>
+</section>`,
+  );
+
+  fs.writeFileSync(
+    path.join(outDir, "index.html"),
+    `<!doctype html>
+<meta charset="utf-8">
+<title>Preview</title>
+${items.join("\n")}
+`,
+  );
+
+  return tokens;
+}
+
+/**
+ * Reads the on-chain URI settings and reports the layer each token resolves from.
+ * When the `TokenURI` hook is enabled the existing tokens resolve from the `hook` layer
+ * and their URI is read with `tokenURI`.
+ *
+ * The settings of the modules the proxy didn't enable are empty, eg. the contract URI
+ * without the extension or the starting index without the provenance module.
+ *
+ * Warns when the shared URI shadows the base URI, when the base URI differs
+ * from the expected one and when tokens don't exist or resolve to an empty string.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {(string|number)[]} options.tokenIds the token IDs to check
+ * @param {string} [options.baseURI] the expected base URI, eg. from the manifest
+ * @returns {Promise<{ contractURI: string, sharedURI: string, baseURI: string, tokens: object[], counts: object, warnings: string[] }>}
+ */
+async function uriReport({ client, tokenIds, baseURI: expectedBaseURI }) {
+  const [
+    contractURI,
+    svgTemplate,
+    sharedURI,
+    baseURI,
+    sequence,
+    provenance,
+    hookEnabled,
+  ] = await Promise.all([
+    optional(client.contractURI(), ""),
+    optional(client.__svgTemplate(), ""),
+    client.__sharedURI(),
+    client.__baseURI(),
+    client.sequentialMint(),
+    optional(client.provenance(), { startingIndex: "0" }),
+    optional(client.hookEnabled(TOKEN_URI_HOOK), false),
+  ]);
+  const { startTokenId, maxSupply } = sequence;
+  const { startingIndex } = provenance;
+  const zero = "0x0000000000000000000000000000000000000000";
+
+  const tokens = [];
+  for (const value of tokenIds) {
+    const tokenId = String(value);
+    const [owner, tokenURI] = await Promise.all([
+      client.__ownerOf(tokenId),
+      client.__tokenURI(tokenId),
+    ]);
+    const exists = owner !== zero;
+
+    if (exists && hookEnabled) {
+      const uri = await client.tokenURI(tokenId);
+      tokens.push({ tokenId, exists, layer: uri ? "hook" : "none", uri });
+      continue;
+    }
+
+    tokens.push({
+      tokenId,
+      exists,
+      ...resolveLayer(
+        { tokenURI, svgTemplate, sharedURI, baseURI },
+        tokenId,
+        metadataId(tokenId, { startTokenId, maxSupply, startingIndex }),
+      ),
+    });
+  }
+
+  const counts = Object.fromEntries(URI_LAYERS.map((layer) => [layer, 0]));
+  tokens.forEach(({ layer }) => counts[layer]++);
+
+  const warnings = [];
+  const missing = tokens.filter(({ exists }) => !exists);
+
+  if (sharedURI && baseURI) {
+    warnings.push(
+      `The shared URI ${sharedURI} shadows the base URI ${baseURI} for ${counts.shared} tokens.`,
+    );
+  }
+  if (expectedBaseURI && baseURI !== expectedBaseURI) {
+    warnings.push(
+      `The base URI is ${
+        baseURI ? baseURI : "not set"
+      }, expected ${expectedBaseURI}.`,
+    );
+  }
+  if (counts.none > 0) {
+    warnings.push(`Tokens resolving to an empty URI: ${counts.none}.`);
+  }
+  if (missing.length > 0) {
+    warnings.push(
+      `Missing tokens: ${missing.map(({ tokenId }) => tokenId).join(", ")}.`,
+    );
+  }
+
+  return { contractURI, sharedURI, baseURI, tokens, counts, warnings };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  URI_LAYERS,
+  readCollection,
+  buildMetadata,
+  buildContractMetadata,
+  resolveLayer,
+  uriReport,
+  decodeDataURI,
+  previewTokens,
+};
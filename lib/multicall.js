@@ -0,0 +1,213 @@
+const fs = require("fs");
+const Web3 = require("web3");
+const yaml = require("js-yaml");
+const { signatureOf } = require("./artifacts");
+const { toBaselineError } = require("./errors");
+
+const { abi: abiCoder } = new Web3().eth;
+
+/**
+ * Multicall plans
+ * –––––––––––––––
+ *
+ * Composes a list of proxy calls, eg. the setup of a collection, into a single
+ * IERC721BaselineExtension `multicall` transaction.
+ *
+ * A plan is a YAML or JSON file with the calls in order:
+ *
+ *  calls:
+ *    - method: setAdmin
+ *      args: [0x5B38Da6a701c568545dCfcB03FcB875f56beddC4, true]
+ *    - method: configureRoyalties(address,uint16)
+ *      args: [0x5B38Da6a701c568545dCfcB03FcB875f56beddC4, 500]
+ *
+ * Methods are looked up by name, or by signature when they are overloaded, in the proxy ABI
+ * therefore plans can call the proxy's own methods too.
+ * The arguments are converted according to the method inputs, YAML values are read as strings
+ * so that addresses and large numbers are not parsed as numbers.
+ */
+
+/**
+ * Reads a plan from a YAML (.yml, .yaml) or JSON file.
+ *
+ * @param {string} file path to the file
+ * @returns {{ calls: { method: string, args: any[] }[] }}
+ */
+function readPlan(file) {
+  const input = fs.readFileSync(file, "utf8");
+  const plan = /\.ya?ml$/.test(file)
+    ? yaml.load(input, { schema: yaml.FAILSAFE_SCHEMA })
+    : JSON.parse(input);
+
+  if (!plan || !Array.isArray(plan.calls) || plan.calls.length === 0) {
+    throw new Error("The plan must have a list of calls.");
+  }
+
+  return {
+    calls: plan.calls.map((call, index) => {
+      if (!call || typeof call.method !== "string") {
+        throw new Error(`Call ${index + 1} must have a method.`);
+      }
+      if (call.args !== undefined && !Array.isArray(call.args)) {
+        throw new Error(`Call ${index + 1} args must be a list.`);
+      }
+
+      return { method: call.method, args: call.args || [] };
+    }),
+  };
+}
+
+/**
+ * Converts a plan value to the ABI type of the input.
+ */
+function coerce(input, value, path) {
+  const { type } = input;
+
+  if (type.endsWith("]")) {
+    if (!Array.isArray(value)) throw new Error(`${path} must be a list.`);
+    const item = { ...input, type: type.slice(0, type.lastIndexOf("[")) };
+    return value.map((element, index) =>
+      coerce(item, element, `${path}[${index}]`),
+    );
+  }
+
+  if (type === "tuple") {
+    if (!Array.isArray(value)) throw new Error(`${path} must be a list.`);
+    return input.components.map((component, index) =>
+      coerce(component, value[index], `${path}.${component.name || index}`),
+    );
+  }
+
+  if (value === null || value === undefined || typeof value === "object") {
+    throw new Error(`${path} must be a ${type}.`);
+  }
+
+  if (type === "bool") {
+    if (String(value) === "true") return true;
+    if (String(value) === "false") return false;
+    throw new Error(`${path} must be true or false.`);
+  }
+
+  return String(value);
+}
+
+/**
+ * Encodes the calls of a plan.
+ * Throws when a method is not in the ABI or is an `onlyProxy` method, which would revert with `NotProxy`.
+ *
+ * @param {object} plan see `readPlan`
+ * @param {object[]} abi the proxy ABI, see `baselineAbi`
+ * @returns {{ signature: string, args: any[], data: string }[]} the encoded calls
+ */
+function encodePlan(plan, abi) {
+  const functions = abi.filter((item) => item.type === "function");
+
+  return plan.calls.map(({ method, args }, index) => {
+    const candidates = functions.filter((item) =>
+      method.includes("(")
+        ? signatureOf(item) === method.replace(/\s/g, "")
+        : item.name === method,
+    );
+
+    if (candidates.length === 0) {
+      throw new Error(`Call ${index + 1}: unknown method ${method}.`);
+    }
+    if (candidates.length > 1) {
+      throw new Error(
+        `Call ${index + 1}: ${method} is overloaded, use one of ${candidates
+          .map(signatureOf)
+          .join(", ")}.`,
+      );
+    }
+
+    const [fragment] = candidates;
+    const signature = signatureOf(fragment);
+
+    if (fragment.name.startsWith("__")) {
+      throw new Error(
+        `Call ${index + 1}: ${signature} can only be called by the proxy.`,
+      );
+    }
+    if (args.length !== fragment.inputs.length) {
+      throw new Error(
+        `Call ${index + 1}: ${signature} takes ${
+          fragment.inputs.length
+        } arguments, got ${args.length}.`,
+      );
+    }
+
+    const values = fragment.inputs.map((input, position) =>
+      coerce(
+        input,
+        args[position],
+        `Call ${index + 1} ${input.name || `argument ${position + 1}`}`,
+      ),
+    );
+
+    return {
+      signature,
+      args: values,
+      data: abiCoder.encodeFunctionCall(fragment, values),
+    };
+  });
+}
+
+/**
+ * Decodes calls encoded by `encodePlan`, eg. to review them before sending.
+ *
+ * @param {string[]} data the encoded calls
+ * @param {object[]} abi the proxy ABI
+ * @returns {{ signature: string, args: object }[]} the decoded calls, `args` is keyed by input name
+ */
+function decodeCalls(data, abi) {
+  const functions = abi.filter((item) => item.type === "function");
+
+  return data.map((call) => {
+    const fragment = functions.find(
+      (item) => abiCoder.encodeFunctionSignature(item) === call.slice(0, 10),
+    );
+    if (!fragment) throw new Error(`Unknown selector ${call.slice(0, 10)}.`);
+
+    const decoded = abiCoder.decodeParameters(
+      fragment.inputs,
+      "0x" + call.slice(10),
+    );
+    const args = Object.fromEntries(
+      fragment.inputs.map((input, index) => [
+        input.name || String(index),
+        decoded[index],
+      ]),
+    );
+
+    return { signature: signatureOf(fragment), args };
+  });
+}
+
+/**
+ * Simulates the multicall transaction with `eth_call`.
+ * Throws an ERC721BaselineError with the decoded error when one of the calls reverts.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string[]} options.data the encoded calls
+ * @param {string} options.from the sender
+ * @returns {Promise<{ gas: number, results: string[] }>} the estimated gas and the data returned by each call
+ */
+async function simulateMulticall({ client, data, from }) {
+  const method = client.contract.methods.multicall(data);
+
+  try {
+    const results = await method.call({ from });
+    const gas = await method.estimateGas({ from });
+    return { gas, results };
+  } catch (error) {
+    throw toBaselineError(error, client.decodeError);
+  }
+}
+
+module.exports = {
+  readPlan,
+  encodePlan,
+  decodeCalls,
+  simulateMulticall,
+};
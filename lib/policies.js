@@ -0,0 +1,116 @@
+/**
+ * Transfer policies
+ * –––––––––––––––––
+ *
+ * Reads and updates the transfer policies enforced by ERC721BaselineImplementation:
+ * non-transferable tokens, the operator denylist and the per-token transfer locks.
+ *
+ * Updates use the admin methods (`setNonTransferable`, `setOperatorDenied` and `setTransferLock`)
+ * and are sent one transaction each, the sender must be an admin.
+ */
+
+/**
+ * Reads the transfer policies.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string[]} [options.operators] operators to check against the denylist
+ * @param {string[]} [options.tokenIds] tokens to read the transfer lock of
+ * @returns {Promise<{ nonTransferable: boolean, operators: object[], locks: object[] }>}
+ */
+async function readPolicies({ client, operators = [], tokenIds = [] }) {
+  const [nonTransferable, denied, locks] = await Promise.all([
+    client.nonTransferable(),
+    Promise.all(operators.map((operator) => client.isOperatorDenied(operator))),
+    Promise.all(tokenIds.map((tokenId) => client.transferLockedUntil(tokenId))),
+  ]);
+
+  return {
+    nonTransferable,
+    operators: operators.map((operator, index) => ({
+      operator,
+      denied: denied[index],
+    })),
+    locks: tokenIds.map((tokenId, index) => ({
+      tokenId: String(tokenId),
+      until: Number(locks[index]),
+    })),
+  };
+}
+
+/**
+ * Updates the transfer policies.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string} options.from the sender, must be an admin
+ * @param {boolean} [options.nonTransferable] makes tokens non-transferable or transferable
+ * @param {string[]} [options.deny] operators to add to the denylist
+ * @param {string[]} [options.allow] operators to remove from the denylist
+ * @param {string[]} [options.lock] tokens to lock until `until`
+ * @param {number} [options.until] lock timestamp in seconds, 0 removes the locks
+ * @param {Function} [options.onTransaction] called with the description and the hash of each transaction
+ * @returns {Promise<{ description: string, transactionHash: string }[]>}
+ */
+async function updatePolicies({
+  client,
+  from,
+  nonTransferable,
+  deny = [],
+  allow = [],
+  lock = [],
+  until = 0,
+  onTransaction = () => {},
+}) {
+  if (!(await client.isAdmin(from))) {
+    throw new Error(`${from} is not an admin of ${client.address}.`);
+  }
+
+  const updates = [];
+
+  if (nonTransferable !== undefined) {
+    updates.push([
+      `Tokens ${nonTransferable ? "non-transferable" : "transferable"}`,
+      () => client.setNonTransferable(nonTransferable, { from }),
+    ]);
+  }
+  deny.forEach((operator) =>
+    updates.push([
+      `Denied ${operator}`,
+      () => client.setOperatorDenied(operator, true, { from }),
+    ]),
+  );
+  allow.forEach((operator) =>
+    updates.push([
+      `Allowed ${operator}`,
+      () => client.setOperatorDenied(operator, false, { from }),
+    ]),
+  );
+  lock.forEach((tokenId) =>
+    updates.push([
+      until > 0
+        ? `Locked token ${tokenId} until ${new Date(
+            until * 1000,
+          ).toISOString()}`
+        : `Unlocked token ${tokenId}`,
+      () => client.setTransferLock(tokenId, until, { from }),
+    ]),
+  );
+
+  const results = [];
+
+  for (const [description, send] of updates) {
+    const { transactionHash } = await send();
+    const result = { description, transactionHash };
+
+    results.push(result);
+    onTransaction(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  readPolicies,
+  updatePolicies,
+};
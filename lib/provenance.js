@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { addPath, formatCid } = require("./ipfs");
+
+/**
+ * Provenance
+ * ––––––––––
+ *
+ * Computes the provenance hash of a metadata directory and verifies a revealed collection against it,
+ * see IERC721BaselineProvenance's `setProvenanceHash` and `reveal`.
+ *
+ * The metadata directory is the one written by `buildMetadata` (lib/metadata.js):
+ * one file per metadata ID named after the decimal ID, without extension.
+ * The provenance hash is the SHA-256 of the concatenated SHA-256 digests of the files, ordered by ID:
+ *
+ *  sha256(sha256(file[startTokenId]) ‖ sha256(file[startTokenId + 1]) ‖ …)
+ *
+ * Once revealed, the base URI of token `tokenId` points to the metadata ID:
+ *
+ *  startTokenId + (tokenId - startTokenId + startingIndex) % maxSupply
+ */
+
+/**
+ * The gas limit of `reveal` transactions: the gas used depends on the drawn starting index
+ * therefore estimates, drawn in another block, can be too low.
+ */
+const REVEAL_GAS = 200000;
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest();
+}
+
+/**
+ * Lists the metadata files of a directory, ordered by ID.
+ *
+ * @param {string} dir the metadata directory
+ * @returns {{ id: string, file: string }[]}
+ */
+function readMetadataFiles(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => /^\d+$/.test(name))
+    .map((name) => ({ id: BigInt(name), file: path.join(dir, name) }))
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .map(({ id, file }) => ({ id: id.toString(), file }));
+}
+
+/**
+ * Computes the provenance hash of a metadata directory.
+ *
+ * @param {string} dir the metadata directory
+ * @returns {{ provenanceHash: string, ids: string[] }} the bytes32 hash and the metadata IDs, in order
+ */
+function provenanceHash(dir) {
+  const files = readMetadataFiles(dir);
+  if (files.length === 0) throw new Error(`No metadata files in ${dir}.`);
+
+  const digests = files.map(({ file }) => sha256(fs.readFileSync(file)));
+
+  return {
+    provenanceHash: "0x" + sha256(Buffer.concat(digests)).toString("hex"),
+    ids: files.map(({ id }) => id),
+  };
+}
+
+/**
+ * Returns the metadata ID of a token, like ERC721BaselineImplementation's `tokenURI`.
+ *
+ * @param {string|number} tokenId the token ID
+ * @param {object} sequence
+ * @param {string|number} sequence.startTokenId the first sequential token ID
+ * @param {string|number} sequence.maxSupply the sequential max supply
+ * @param {string|number} sequence.startingIndex the starting index drawn by `reveal`
+ * @returns {string} the metadata ID
+ */
+function metadataId(tokenId, { startTokenId, maxSupply, startingIndex }) {
+  const start = BigInt(startTokenId);
+  const offset = BigInt(tokenId) - start;
+
+  // Tokens outside of the sequential range keep their ID.
+  if (
+    BigInt(startingIndex) === 0n ||
+    offset < 0n ||
+    offset >= BigInt(maxSupply)
+  ) {
+    return String(tokenId);
+  }
+
+  return (
+    start +
+    ((BigInt(tokenId) - start + BigInt(startingIndex)) % BigInt(maxSupply))
+  ).toString();
+}
+
+/**
+ * Verifies a revealed collection against the metadata directory:
+ *
+ * - the on-chain provenance hash is the hash of the directory
+ * - the directory has `maxSupply` files starting at `startTokenId`
+ * - the collection is revealed and every minted token resolves to `baseURI + metadataId`
+ * - the base URI, when it is an `ipfs://` URI, is the CID of the directory
+ *
+ * The token URIs are read with `tokenURI`, therefore tokens with a token-specific URI
+ * or altered by the `TokenURI` hook are reported.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string} options.dir the metadata directory
+ * @returns {Promise<{ provenanceHash: string, startingIndex: string, revealed: boolean, baseURI: string, tokens: object[], errors: string[] }>}
+ */
+async function verifyProvenance({ client, dir }) {
+  const local = provenanceHash(dir);
+  const [provenance, sequence, baseURI] = await Promise.all([
+    client.provenance(),
+    client.sequentialMint(),
+    client.__baseURI(),
+  ]);
+  const { startTokenId, nextTokenId, maxSupply } = sequence;
+  const { startingIndex, revealed } = provenance;
+  const errors = [];
+
+  if (provenance.provenanceHash !== local.provenanceHash) {
+    errors.push(
+      `The provenance hash is ${provenance.provenanceHash}, the metadata hash is ${local.provenanceHash}.`,
+    );
+  }
+
+  const expectedIds = Array.from({ length: Number(maxSupply) }, (_, index) =>
+    (BigInt(startTokenId) + BigInt(index)).toString(),
+  );
+  if (local.ids.join(",") !== expectedIds.join(",")) {
+    errors.push(
+      `Expected ${maxSupply} metadata files from ID ${startTokenId}, found ${local.ids.length}.`,
+    );
+  }
+
+  const match = /^ipfs:\/\/([^/]+)\/$/.exec(baseURI);
+  const cid = formatCid(addPath(dir).cid);
+  if (match && match[1] !== cid) {
+    errors.push(`The base URI is ${baseURI}, the metadata CID is ${cid}.`);
+  }
+
+  const tokens = [];
+
+  if (!revealed) {
+    errors.push("The collection is not revealed.");
+  } else {
+    const zero = "0x0000000000000000000000000000000000000000";
+
+    for (
+      let tokenId = BigInt(startTokenId);
+      tokenId < BigInt(nextTokenId);
+      tokenId++
+    ) {
+      // Burned tokens have no token URI.
+      if ((await client.__ownerOf(tokenId.toString())) === zero) continue;
+
+      const id = metadataId(tokenId, {
+        startTokenId,
+        maxSupply,
+        startingIndex,
+      });
+      const token = {
+        tokenId: tokenId.toString(),
+        metadataId: id,
+        uri: await client.tokenURI(tokenId.toString()),
+      };
+      tokens.push(token);
+
+      if (token.uri !== `${baseURI}${id}`) {
+        errors.push(
+          `Token ${token.tokenId} resolves to ${token.uri}, expected ${baseURI}${id}.`,
+        );
+      }
+    }
+  }
+
+  return {
+    provenanceHash: provenance.provenanceHash,
+    startingIndex,
+    revealed,
+    baseURI,
+    tokens,
+    errors,
+  };
+}
+
+module.exports = {
+  REVEAL_GAS,
+  readMetadataFiles,
+  provenanceHash,
+  metadataId,
+  verifyProvenance,
+};
@@ -0,0 +1,103 @@
+/**
+ * Revenue
+ * –––––––
+ *
+ * Reads the payees of a proxy with their pending balances and releases them,
+ * see IERC721BaselineRevenue's `setPayees` and `release`.
+ *
+ * Balances are reported per asset: `ETH` and the addresses of the ERC-20 tokens to check.
+ * The extension doesn't track which ERC-20 tokens a proxy received therefore they must be passed.
+ */
+
+const ETH = "ETH";
+
+/**
+ * Returns the released and releasable amounts of each payee.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string[]} [options.tokens] the ERC-20 token addresses to report
+ * @returns {Promise<{ assets: string[], payees: { payee: string, shares: string, released: object, releasable: object }[] }>}
+ *   the amounts are keyed by asset
+ */
+async function revenueReport({ client, tokens = [] }) {
+  const assets = [ETH, ...tokens];
+  const { accounts, shares } = await client.payees();
+
+  const payees = await Promise.all(
+    accounts.map(async (payee, index) => {
+      const released = {};
+      const releasable = {};
+
+      for (const asset of assets) {
+        [released[asset], releasable[asset]] = await Promise.all(
+          asset === ETH
+            ? [client.released(payee), client.releasable(payee)]
+            : [
+                client.releasedERC20(asset, payee),
+                client.releasableERC20(asset, payee),
+              ],
+        );
+      }
+
+      return { payee, shares: String(shares[index]), released, releasable };
+    }),
+  );
+
+  return { assets, payees };
+}
+
+/**
+ * Releases an asset to the payees that are owed some, one transaction per payee.
+ * A failed release is reported and the following payees are still released.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string} [options.token] the ERC-20 token address, ETH when omitted
+ * @param {string[]} [options.payees] the payees to release, all the payees when omitted
+ * @param {string} options.from the sender, anybody can release
+ * @param {Function} [options.onRelease] called with each release result
+ * @returns {Promise<object[]>} the release results: { payee, amount, transactionHash, error }
+ */
+async function releaseAll({
+  client,
+  token,
+  payees,
+  from,
+  onRelease = () => {},
+}) {
+  const accounts = payees || (await client.payees()).accounts;
+  const results = [];
+
+  for (const payee of accounts) {
+    const amount = String(
+      token
+        ? await client.releasableERC20(token, payee)
+        : await client.releasable(payee),
+    );
+
+    if (amount === "0") continue;
+
+    const result = { payee, amount };
+
+    try {
+      const { transactionHash } = token
+        ? await client.releaseERC20(token, payee, { from })
+        : await client.release(payee, { from });
+      result.transactionHash = transactionHash;
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    results.push(result);
+    onRelease(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  ETH,
+  revenueReport,
+  releaseAll,
+};
@@ -0,0 +1,854 @@
+const fs = require("fs");
+const path = require("path");
+const { erc7201Slot } = require("./storage");
+
+/**
+ * Proxy scaffolding
+ * –––––––––––––––––
+ *
+ * Generates a starting point for a collection built on ERC721Baseline:
+ *
+ * - `contracts/<Contract>.sol` a proxy contract with the selected features
+ *   and its state in an ERC-7201 namespace
+ * - `contracts/Imports.sol` imports ERC721BaselineImplementation and the modules so that Truffle compiles them
+ * - `test/<Contract>.js` a Truffle test suite for the generated methods
+ * - `migrations/1_deploy_<contract>.js` deploys the implementation, the modules and the proxy
+ * - `truffle-config.js` with the compiler settings ERC721BaselineImplementation needs, unless it exists
+ *
+ * The generated project depends on the `erc721baseline` package and, for the tests,
+ * on `truffle` and `@openzeppelin/test-helpers`.
+ */
+
+/**
+ * Available features.
+ */
+const FEATURES = {
+  "signature-mint": "collectors mint with EIP-712 vouchers signed by a signer",
+  "admin-mint": "admins and minters mint tokens",
+  burn: "token owners and approved operators burn tokens",
+  hooks: "transfer hooks that count the transfers of each token",
+  royalties: "ERC-2981 royalties configured at deployment",
+  "access-control":
+    "roles and two-step ownership transfers with the ERC721BaselineAccessControl module",
+};
+
+/**
+ * Validates the scaffold options.
+ *
+ * @param {object} options see `scaffold`
+ * @returns {string[]} the errors
+ */
+function validateOptions({ contractName, name, symbol, features }) {
+  const errors = [];
+
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(contractName || "")) {
+    errors.push(
+      `Invalid contract name: ${contractName}, expected a capitalized identifier eg. MyCollection.`,
+    );
+  }
+  if (!name) errors.push("The token name is required.");
+  if (!symbol) errors.push("The token symbol is required.");
+  if (/["\\\n]/.test(`${name}${symbol}`)) {
+    errors.push("The token name and symbol can't contain quotes or newlines.");
+  }
+  features
+    .filter((feature) => !(feature in FEATURES))
+    .forEach((feature) =>
+      errors.push(
+        `Unknown feature: ${feature}, expected one of: ${Object.keys(
+          FEATURES,
+        ).join(", ")}.`,
+      ),
+    );
+
+  return errors;
+}
+
+/**
+ * Generates the proxy contract.
+ */
+function proxySource({ contractName, author, features, namespace }) {
+  const has = (feature) => features.includes(feature);
+  const storage = has("signature-mint") || has("hooks");
+  const imports = ["IERC721Baseline"];
+  if (has("admin-mint")) imports.push("ROLE_MINTER");
+
+  const sections = [];
+
+  const params = [
+    "address ERC721BaselineImplementation",
+    "string memory name",
+    "string memory symbol",
+  ];
+  const body = [];
+
+  if (has("access-control")) {
+    params.push("address ERC721BaselineAccessControl");
+    body.push(`    // Enables setRoles, startOwnershipTransfer and the other IERC721BaselineAccessControl methods.
+    _enableModule(ERC721BaselineAccessControl);`);
+  }
+  if (has("royalties")) {
+    params.push("address payable royaltiesReceiver", "uint16 royaltiesBps");
+    body.push(`    // The proxy has no code yet, therefore the implementation is called directly.
+    // The deployer is an admin and can configure the royalties.
+    (bool success, ) = ERC721BaselineImplementation.delegatecall(
+      abi.encodeCall(IERC721Baseline.configureRoyalties, (royaltiesReceiver, royaltiesBps))
+    );
+    require(success, "Royalties Failed.");`);
+  }
+
+  sections.push(`  constructor(
+    ${params.join(",\n    ")}
+  )
+    ERC721Baseline(
+      ERC721BaselineImplementation,
+      name,
+      symbol
+    )
+  {${body.length > 0 ? `\n${body.join("\n\n")}\n  ` : ""}}`);
+
+  if (storage) {
+    const fields = [];
+    if (has("signature-mint")) {
+      fields.push(`    /**
+     * @dev The address that signs the mint vouchers, minting is disabled when it is not set.
+     */
+    address signer;
+
+    /**
+     * @dev Tracks the minted token IDs so that vouchers can't be used again after a burn.
+     */
+    mapping(uint256 => bool) minted;`);
+    }
+    if (has("hooks")) {
+      fields.push(`    /**
+     * @dev Tracks the transfers of each token, see \`_afterTokenTransfer\`.
+     */
+    mapping(uint256 => uint256) transfers;
+
+    /**
+     * @dev The owner of each token when its transfer was last counted.
+     */
+    mapping(uint256 => address) countedOwner;`);
+    }
+
+    sections.push(`  /**
+   * @custom:storage-location erc7201:${namespace}
+   */
+  struct ${contractName}Storage {
+${fields.join("\n\n")}
+  }
+
+  /**
+   * @dev keccak256(abi.encode(uint256(keccak256("${namespace}")) - 1)) & ~bytes32(uint256(0xff))
+   */
+  bytes32 private constant ${contractName}StorageLocation = ${erc7201Slot(
+    namespace,
+  )};
+
+  function _getStorage() private pure returns (${contractName}Storage storage $) {
+    assembly {
+      $.slot := ${contractName}StorageLocation
+    }
+  }`);
+  }
+
+  if (has("signature-mint")) {
+    sections.push(`  /**
+   * Signature mint
+   *
+   * The signer authorizes a collector to mint a token ID with an EIP-712 voucher,
+   * see \`erc721baseline vouchers\` to create them.
+   */
+
+  /**
+   * @dev The EIP-712 type of the mint vouchers.
+   */
+  bytes32 public constant MINT_TYPEHASH = keccak256("Mint(address collector,uint256 tokenId,string uri)");
+
+  /**
+   * @dev Emitted when the signer is updated.
+   */
+  event SignerUpdated(address signer);
+
+  /**
+   * @dev Indicates an attempt to mint a token ID again.
+   */
+  error AlreadyMinted(uint256 tokenId);
+
+  /**
+   * @notice Returns the address that signs the mint vouchers.
+   */
+  function signer() external view returns (address) {
+    return _getStorage().signer;
+  }
+
+  /**
+   * @notice Updates the address that signs the mint vouchers.
+   * @dev The sender must be an admin.
+   *
+   * @param newSigner the new signer, the zero address disables minting
+   */
+  function setSigner(address newSigner) external {
+    baseline().requireAdmin(msg.sender);
+    _getStorage().signer = newSigner;
+    emit SignerUpdated(newSigner);
+  }
+
+  /**
+   * @notice Mints a token to the sender with a voucher.
+   *
+   * @param tokenId the token ID
+   * @param uri the token URI
+   * @param signature the voucher signature
+   */
+  function mint(uint256 tokenId, string calldata uri, bytes calldata signature) external {
+    ${contractName}Storage storage $ = _getStorage();
+
+    if (
+      $.signer == address(0) ||
+      $.signer != baseline().recoverTypedData(
+        keccak256(abi.encode(MINT_TYPEHASH, msg.sender, tokenId, keccak256(bytes(uri)))),
+        signature
+      )
+    ) revert IERC721Baseline.Unauthorized();
+
+    if ($.minted[tokenId]) revert AlreadyMinted(tokenId);
+    $.minted[tokenId] = true;
+
+    baseline().__mint(msg.sender, tokenId, uri);
+  }`);
+  }
+
+  if (has("admin-mint")) {
+    sections.push(`  /**
+   * @notice Mints a token.
+   * @dev The sender must be an admin or have the \`ROLE_MINTER\` role.
+   *
+   * @param to the token owner
+   * @param tokenId the token ID
+   */
+  function adminMint(address to, uint256 tokenId) external {
+    baseline().requireRole(msg.sender, ROLE_MINTER);
+    baseline().__mint(to, tokenId);
+  }
+
+  /**
+   * @notice Mints a batch of tokens.
+   * @dev The sender must be an admin or have the \`ROLE_MINTER\` role.
+   *
+   * @param to the token owners
+   * @param tokenIds the token IDs, one per owner
+   */
+  function adminMintBatch(address[] calldata to, uint256[] calldata tokenIds) external {
+    baseline().requireRole(msg.sender, ROLE_MINTER);
+    baseline().__mintBatch(to, tokenIds);
+  }`);
+  }
+
+  if (has("burn")) {
+    sections.push(`  /**
+   * @notice Burns a token.
+   * @dev The sender must be the token owner or an approved operator.
+   *
+   * @param tokenId the token ID
+   */
+  function burn(uint256 tokenId) external {
+    address owner = baseline().__ownerOf(tokenId);
+
+    if (
+      msg.sender != owner &&
+      !baseline().isApprovedForAll(owner, msg.sender) &&
+      baseline().getApproved(tokenId) != msg.sender
+    ) revert IERC721Baseline.Unauthorized();
+
+    baseline().__burn(tokenId);
+  }`);
+  }
+
+  if (has("hooks")) {
+    sections.push(`  /**
+   * Hooks
+   *
+   * The implementation calls the enabled hooks on the proxy, see \`IERC721BaselineHooks\`.
+   * Hooks are external methods that anybody can call, therefore they check the arguments
+   * against the token state before changing the proxy state.
+   */
+
+  /**
+   * @notice Enables or disables a hook.
+   * @dev The sender must be an admin.
+   */
+  function setHookEnabled(IERC721Baseline.Hook hook, bool enabled) external {
+    baseline().requireAdmin(msg.sender);
+    baseline().__setHookEnabled(hook, enabled);
+  }
+
+  /**
+   * @notice Returns the number of transfers of a token, including the mint.
+   */
+  function transfersOf(uint256 tokenId) external view returns (uint256) {
+    return _getStorage().transfers[tokenId];
+  }
+
+  /**
+   * @dev Called before mints, transfers and burns. Revert to prevent the transfer.
+   */
+  function _beforeTokenTransfer(address, address, address, uint256) external {}
+
+  /**
+   * @dev Called after mints, transfers and burns.
+   * A transfer is counted once, when \`to\` is the new owner, direct calls can't count it again.
+   */
+  function _afterTokenTransfer(address, address, address to, uint256 tokenId) external {
+    ${contractName}Storage storage $ = _getStorage();
+
+    if (
+      to != address(0) &&
+      $.countedOwner[tokenId] != to &&
+      baseline().__ownerOf(tokenId) == to
+    ) {
+      $.countedOwner[tokenId] = to;
+      $.transfers[tokenId] += 1;
+    }
+  }`);
+  }
+
+  const featureList = features.map(
+    (feature) => ` * - ${feature}: ${FEATURES[feature]}`,
+  );
+
+  return `// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+import {ERC721Baseline} from "erc721baseline/contracts/ERC721Baseline.sol";
+import {${imports.join(
+    ", ",
+  )}} from "erc721baseline/contracts/IERC721Baseline.sol";
+
+/**
+ * @title ${contractName}
+ * @author ${author}
+ *
+ * @dev An ERC721Baseline proxy generated with \`erc721baseline init\`.
+ * The methods that are not defined here are delegated to ERC721BaselineImplementation,
+ * the proxy calls the implementation internal methods through \`baseline()\`.
+ *${
+   featureList.length > 0
+     ? `\n * Features:\n *\n${featureList.join("\n")}\n *`
+     : ""
+ }
+ * The proxy state MUST be kept in ERC-7201 namespaces, like \`${contractName}Storage\`,
+ * so that it can't collide with the implementation state.
+ * Run \`erc721baseline storage --contract ${contractName}\` after changing it.
+ */
+contract ${contractName} is ERC721Baseline {
+
+${sections.join("\n\n")}
+}
+`;
+}
+
+/**
+ * Generates the Truffle test suite.
+ */
+function testSource({ contractName, name, symbol, features }) {
+  const has = (feature) => features.includes(feature);
+  const canMint = has("admin-mint") || has("signature-mint");
+  const tests = [];
+
+  if (has("signature-mint")) {
+    tests.push(`  describe("signature mint", () => {
+    it("only admins can update the signer", async () => {
+      assert.equal(signer.address, await proxy.signer());
+      await expectRevert(
+        proxy.setSigner(attacker, { from: attacker }),
+        "Unauthorized",
+      );
+    });
+
+    it("mints with a voucher", async () => {
+      const signature = await sign(user, 1, "ipfs://1");
+
+      await proxy.mint(1, "ipfs://1", signature, { from: user });
+      assert.equal(user, await proxyDelegate.ownerOf(1));
+      assert.equal("ipfs://1", await proxyDelegate.tokenURI(1));
+
+      await expectRevert(
+        proxy.mint(1, "ipfs://1", signature, { from: user }),
+        "AlreadyMinted(uint256)",
+      );
+    });
+
+    it("rejects vouchers for other collectors or URIs", async () => {
+      const signature = await sign(user, 1, "ipfs://1");
+
+      await expectRevert(
+        proxy.mint(1, "ipfs://1", signature, { from: attacker }),
+        "Unauthorized",
+      );
+      await expectRevert(
+        proxy.mint(1, "ipfs://2", signature, { from: user }),
+        "Unauthorized",
+      );
+    });
+  });`);
+  }
+
+  if (has("admin-mint")) {
+    tests.push(`  describe("admin mint", () => {
+    it("admins and minters can mint", async () => {
+      await proxy.adminMint(user, 1, { from: deployer });
+      await proxy.adminMintBatch([user, operator], [2, 3], { from: deployer });
+      assert.equal(3, await proxyDelegate.totalSupply());
+
+${
+  has("access-control")
+    ? `
+
+      // ROLE_MINTER
+      await proxyAccessControl.setRoles(operator, 4, { from: deployer });
+      await proxy.adminMint(user, 4, { from: operator });
+      assert.equal(user, await proxyDelegate.ownerOf(4));`
+    : ""
+}
+    });
+
+    it("reverts for other senders", async () => {
+      await expectRevert(
+        proxy.adminMint(attacker, 1, { from: attacker }),
+        "Unauthorized",
+      );
+    });
+  });`);
+  }
+
+  if (has("burn")) {
+    tests.push(
+      canMint
+        ? `  describe("burn", () => {
+    beforeEach(async () => {
+      await mint(user, 1);
+      await mint(user, 2);
+    });
+
+    it("owners and approved operators can burn", async () => {
+      await proxy.burn(1, { from: user });
+
+      await proxyDelegate.approve(operator, 2, { from: user });
+      await proxy.burn(2, { from: operator });
+
+      assert.equal(0, await proxyDelegate.totalSupply());
+    });
+
+    it("reverts for other senders", async () => {
+      await expectRevert(proxy.burn(1, { from: attacker }), "Unauthorized");
+    });
+  });`
+        : `  describe("burn", () => {
+    it("reverts when the token does not exist", async () => {
+      await expectRevert(
+        proxy.burn(1, { from: user }),
+        "ERC721NonexistentToken(uint256)",
+      );
+    });
+  });`,
+    );
+  }
+
+  if (has("hooks")) {
+    tests.push(`  describe("hooks", () => {${
+      canMint
+        ? `
+    it("counts the transfers", async () => {
+      await mint(user, 1);
+      await proxyDelegate.transferFrom(user, operator, 1, { from: user });
+
+      assert.equal(2, await proxy.transfersOf(1));
+    });
+`
+        : ""
+    }
+    it("ignores direct calls", async () => {${
+      canMint ? `\n      await mint(user, 1);` : ""
+    }
+      await proxy._afterTokenTransfer(attacker, user, user, 1, {
+        from: attacker,
+      });
+      await proxy._afterTokenTransfer(attacker, user, attacker, 1, {
+        from: attacker,
+      });
+
+      assert.equal(${canMint ? 1 : 0}, await proxy.transfersOf(1));
+    });
+
+    it("only admins can enable hooks", async () => {
+      await expectRevert(
+        proxy.setHookEnabled(Hook.AfterTokenTransfer, false, {
+          from: attacker,
+        }),
+        "Unauthorized",
+      );
+    });
+  });`);
+  }
+
+  if (has("access-control")) {
+    tests.push(`  describe("access control", () => {
+    it("transfers the ownership in two steps", async () => {
+      await proxyAccessControl.startOwnershipTransfer(user, { from: deployer });
+      assert.equal(deployer, await proxyDelegate.owner());
+
+      await proxyAccessControl.acceptOwnership({ from: user });
+      assert.equal(user, await proxyDelegate.owner());
+    });
+
+    it("only admins can grant roles", async () => {
+      await expectRevert(
+        proxyAccessControl.setRoles(attacker, 4, { from: attacker }),
+        "Unauthorized",
+      );
+    });
+  });`);
+  }
+
+  if (has("royalties")) {
+    tests.push(`  describe("royalties", () => {
+    it("configures the royalties at deployment", async () => {
+      const royaltyInfo = await proxyDelegate.royaltyInfo(1, 10000);
+
+      assert.equal(royaltiesReceiver, royaltyInfo[0]);
+      assert.equal(500, royaltyInfo[1]);
+    });
+  });`);
+  }
+
+  const requires = [
+    `const ERC721BaselineImplementation = artifacts.require(
+  "ERC721BaselineImplementation",
+);`,
+    `const ${contractName} = artifacts.require("${contractName}");`,
+  ];
+  if (has("access-control")) {
+    requires.splice(
+      1,
+      0,
+      `const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);`,
+    );
+  }
+  if (has("signature-mint")) {
+    requires.push(
+      "",
+      `const {
+  getDomain,
+  voucherTypedData,
+  signTypedData,
+} = require("erc721baseline/signatures");`,
+    );
+  }
+
+  const helpers = [];
+  if (has("signature-mint")) {
+    helpers.push(`  const signer = web3.eth.accounts.create();
+
+  // Signs a mint voucher, see \`erc721baseline vouchers\`.
+  async function sign(collector, tokenId, uri) {
+    const domain = await getDomain({
+      name: () => proxyDelegate.name(),
+      web3,
+      address: proxy.address,
+    });
+
+    return signTypedData(
+      voucherTypedData({
+        type: "mint",
+        domain,
+        voucher: { collector, tokenId, uri },
+      }),
+      signer.privateKey,
+    );
+  }`);
+  }
+  if (has("admin-mint")) {
+    helpers.push(`  const mint = (to, tokenId) =>
+    proxy.adminMint(to, tokenId, { from: deployer });`);
+  } else if (has("signature-mint")) {
+    helpers.push(`  const mint = async (to, tokenId) =>
+    proxy.mint(tokenId, "", await sign(to, tokenId, ""), { from: to });`);
+  }
+
+  const setup = [];
+  if (has("signature-mint")) {
+    setup.push(
+      `    await proxy.setSigner(signer.address, { from: deployer });`,
+    );
+  }
+  if (has("hooks")) {
+    setup.push(`    await proxy.setHookEnabled(Hook.BeforeTokenTransfer, true, {
+      from: deployer,
+    });
+    await proxy.setHookEnabled(Hook.AfterTokenTransfer, true, {
+      from: deployer,
+    });`);
+  }
+
+  return `${requires.join("\n")}
+
+/**
+ * ${contractName} tests
+ *
+ * Generated with \`erc721baseline init\`, run them with \`npx truffle test\`.
+ */
+${
+  has("hooks")
+    ? `
+// See IERC721Baseline.Hook.
+const Hook = { BeforeTokenTransfer: 0, AfterTokenTransfer: 1 };
+`
+    : ""
+}
+contract("${contractName}", function ([deployer, user, operator, attacker${
+    has("royalties") ? ", royaltiesReceiver" : ""
+  }]) {
+  let proxy;
+  let proxyDelegate;${
+    has("access-control") ? `\n  let proxyAccessControl;` : ""
+  }
+${helpers.length > 0 ? `\n${helpers.join("\n\n")}\n` : ""}
+  beforeEach(async () => {
+    const implementation = await ERC721BaselineImplementation.new();${
+      has("access-control")
+        ? `\n    const accessControl = await ERC721BaselineAccessControl.new();`
+        : ""
+    }
+    proxy = await ${contractName}.new(
+      implementation.address,
+      "${name}",
+      "${symbol}",${
+        has("access-control") ? `\n      accessControl.address,` : ""
+      }${
+        has("royalties")
+          ? `
+      royaltiesReceiver,
+      500,`
+          : ""
+      }
+      { from: deployer },
+    );
+    // The implementation methods are delegated by the proxy.
+    proxyDelegate = await ERC721BaselineImplementation.at(proxy.address);${
+      has("access-control")
+        ? `\n    proxyAccessControl = await ERC721BaselineAccessControl.at(proxy.address);`
+        : ""
+    }${setup.length > 0 ? `\n\n${setup.join("\n")}` : ""}
+  });
+
+  it("is initialized", async () => {
+    assert.equal("${name}", await proxyDelegate.name());
+    assert.equal("${symbol}", await proxyDelegate.symbol());
+    assert.equal(deployer, await proxyDelegate.owner());
+  });
+
+${tests.join("\n\n")}
+});
+
+// Matches custom errors by selector, eg. "Unauthorized" or "ERC721NonexistentToken(uint256)".
+async function expectRevert(promise, error) {
+  try {
+    await promise;
+  } catch (revert) {
+    const selector = web3.utils
+      .soliditySha3(error.endsWith(")") ? error : error + "()")
+      .substr(0, 10);
+    const data =
+      typeof revert.data === "string" ? revert.data : revert.data?.result;
+
+    assert.include(data || revert.message, selector, \`Expected \${error}\`);
+    return;
+  }
+  assert.fail(\`Expected \${error} but the transaction succeeded.\`);
+}
+`;
+}
+
+/**
+ * Generates the Truffle migration.
+ */
+function migrationSource({ contractName, name, symbol, features }) {
+  const has = (feature) => features.includes(feature);
+
+  return `const ERC721BaselineImplementation = artifacts.require(
+  "ERC721BaselineImplementation",
+);${
+    has("access-control")
+      ? `
+const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);`
+      : ""
+  }
+const ${contractName} = artifacts.require("${contractName}");
+
+/**
+ * Deploys ERC721BaselineImplementation${
+   has("access-control") ? ", ERC721BaselineAccessControl" : ""
+ } and ${contractName}.
+ *
+ * Alternatively \`erc721baseline deploy --contract ${contractName}\` deploys the implementation
+ * and the modules at deterministic addresses, or reuses them, and records the deployment in a manifest.
+ */
+module.exports = async function (deployer, network, [owner]) {
+  await deployer.deploy(ERC721BaselineImplementation);${
+    has("access-control")
+      ? `\n  await deployer.deploy(ERC721BaselineAccessControl);`
+      : ""
+  }
+  await deployer.deploy(
+    ${contractName},
+    ERC721BaselineImplementation.address,
+    "${name}",
+    "${symbol}",${
+      has("access-control") ? `\n    ERC721BaselineAccessControl.address,` : ""
+    }${
+      has("royalties")
+        ? `
+    // Royalties receiver and rate in basis points (500 = 5%).
+    owner,
+    500,`
+        : ""
+    }
+  );${
+    has("hooks")
+      ? `
+
+  const proxy = await ${contractName}.deployed();
+  // See IERC721Baseline.Hook: BeforeTokenTransfer and AfterTokenTransfer.
+  await proxy.setHookEnabled(0, true, { from: owner });
+  await proxy.setHookEnabled(1, true, { from: owner });`
+      : ""
+  }
+};
+`;
+}
+
+const IMPORTS_SOURCE = `// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.21;
+
+// Compiles ERC721BaselineImplementation and the modules for the tests and the migrations.
+import {ERC721BaselineImplementation} from "erc721baseline/contracts/ERC721BaselineImplementation.sol";
+import {ERC721BaselineAccessControl} from "erc721baseline/contracts/ERC721BaselineAccessControl.sol";
+import {ERC721BaselineExtension} from "erc721baseline/contracts/ERC721BaselineExtension.sol";
+import {ERC721BaselineAllowlist} from "erc721baseline/contracts/ERC721BaselineAllowlist.sol";
+import {ERC721BaselineProvenance} from "erc721baseline/contracts/ERC721BaselineProvenance.sol";
+import {ERC721BaselineRevenue} from "erc721baseline/contracts/ERC721BaselineRevenue.sol";
+`;
+
+const TRUFFLE_CONFIG_SOURCE = `module.exports = {
+  compilers: {
+    solc: {
+      version: "0.8.21",
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 20000,
+        },
+        evmVersion: "shanghai",
+      },
+    },
+  },
+};
+`;
+
+/**
+ * Generates the files of a new proxy.
+ *
+ * @param {object} options
+ * @param {string} options.contractName the proxy contract name, eg. MyCollection
+ * @param {string} options.name the token name
+ * @param {string} options.symbol the token symbol
+ * @param {string[]} [options.features] see `FEATURES`
+ * @param {string} [options.author] the contract author
+ * @returns {{ [file: string]: string }} the file contents by relative path
+ */
+function scaffold({ contractName, name, symbol, features = [], author = "" }) {
+  const errors = validateOptions({ contractName, name, symbol, features });
+  if (errors.length > 0) throw new Error(errors.join("\n"));
+
+  // Keeps the order of FEATURES.
+  const selected = Object.keys(FEATURES).filter((feature) =>
+    features.includes(feature),
+  );
+  const options = {
+    contractName,
+    name,
+    symbol,
+    author,
+    features: selected,
+    namespace: `${contractName.toLowerCase()}.storage`,
+  };
+  const migration = contractName
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+
+  return {
+    [`contracts/${contractName}.sol`]: proxySource(options),
+    "contracts/Imports.sol": IMPORTS_SOURCE,
+    [`test/${contractName}.js`]: testSource(options),
+    [`migrations/1_deploy_${migration}.js`]: migrationSource(options),
+    "truffle-config.js": TRUFFLE_CONFIG_SOURCE,
+  };
+}
+
+/**
+ * Writes the scaffold files in a directory.
+ * Existing files are not overwritten unless `force` is set, except truffle-config.js
+ * and contracts/Imports.sol which are kept as they are.
+ *
+ * @param {string} dir the project directory
+ * @param {{ [file: string]: string }} files see `scaffold`
+ * @param {object} [options]
+ * @param {boolean} [options.force] overwrite existing files
+ * @returns {{ written: string[], skipped: string[] }} relative paths
+ */
+function writeScaffold(dir, files, { force = false } = {}) {
+  const shared = ["truffle-config.js", "contracts/Imports.sol"];
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+
+  const conflicts = Object.keys(files).filter(
+    (file) => !shared.includes(file) && exists(file),
+  );
+  if (conflicts.length > 0 && !force) {
+    throw new Error(
+      `These files exist, use --force to overwrite them: ${conflicts.join(
+        ", ",
+      )}`,
+    );
+  }
+
+  const written = [];
+  const skipped = [];
+
+  Object.entries(files).forEach(([file, content]) => {
+    if (shared.includes(file) && exists(file)) {
+      skipped.push(file);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+    written.push(file);
+  });
+
+  return { written, skipped };
+}
+
+module.exports = {
+  FEATURES,
+  validateOptions,
+  scaffold,
+  writeScaffold,
+};
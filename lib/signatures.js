@@ -0,0 +1,467 @@
+const Web3 = require("web3");
+const {
+  signTypedData: signTypedDataV4,
+  SignTypedDataVersion,
+  TypedDataUtils,
+} = require("@metamask/eth-sig-util");
+
+const { soliditySha3, toChecksumAddress } = Web3.utils;
+const { accounts } = new Web3().eth;
+
+/**
+ * Signature vouchers
+ * ––––––––––––––––––
+ *
+ * Helpers to authorize mints and URI updates with signatures
+ * using the hashing schemes of examples/Example1.sol:
+ *
+ *  mint:      keccak256(abi.encodePacked(address(this), msg.sender, tokenId, uri))
+ *  updateUri: keccak256(abi.encodePacked(address(this), tokenId, uri))
+ *
+ * Hashes are signed as Ethereum Signed Messages (EIP-191)
+ * which is what IERC721Baseline's `recover` and `recoverCalldata` expect.
+ *
+ * Alternatively vouchers can be signed as EIP-712 typed data, so that wallets
+ * show collectors what they sign, and verified with IERC721Baseline's `recoverTypedData`.
+ * The proxy then hashes the struct:
+ *
+ *  mint:      keccak256(abi.encode(keccak256("Mint(address collector,uint256 tokenId,string uri)"), msg.sender, tokenId, keccak256(bytes(uri))))
+ *  updateUri: keccak256(abi.encode(keccak256("UpdateUri(uint256 tokenId,string uri)"), tokenId, keccak256(bytes(uri)))) *
+ * Token owners can also sign ERC-4494 permits, see `signPermit` and IERC721Baseline's `permit`.
+ */
+
+const VOUCHER_TYPES = ["mint", "updateUri"];
+
+const SIGNATURE_SCHEMES = ["eip191", "eip712"];
+
+/**
+ * EIP-712 types for the vouchers.
+ */
+const EIP712_TYPES = {
+  EIP712Domain: [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" },
+  ],
+  Mint: [
+    { name: "collector", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "uri", type: "string" },
+  ],
+  UpdateUri: [
+    { name: "tokenId", type: "uint256" },
+    { name: "uri", type: "string" },
+  ],
+  Permit: [
+    { name: "spender", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain version, see IERC721Baseline's `DOMAIN_SEPARATOR`.
+ */
+const EIP712_DOMAIN_VERSION = "1";
+
+/**
+ * Returns the hash authorizing `collector` to mint `tokenId` with `uri`.
+ *
+ * @param {string} proxy the proxy address
+ * @param {string} collector the collector address (msg.sender of mint)
+ * @param {number|string} tokenId token ID
+ * @param {string} uri token URI
+ * @returns {string} bytes32 hash
+ */
+function mintHash(proxy, collector, tokenId, uri) {
+  return soliditySha3(
+    { t: "address", v: proxy },
+    { t: "address", v: collector },
+    { t: "uint256", v: String(tokenId) },
+    { t: "string", v: uri },
+  );
+}
+
+/**
+ * Returns the hash authorizing the owner of `tokenId` to update its URI to `uri`.
+ *
+ * @param {string} proxy the proxy address
+ * @param {number|string} tokenId token ID
+ * @param {string} uri token URI
+ * @returns {string} bytes32 hash
+ */
+function updateUriHash(proxy, tokenId, uri) {
+  return soliditySha3(
+    { t: "address", v: proxy },
+    { t: "uint256", v: String(tokenId) },
+    { t: "string", v: uri },
+  );
+}
+
+/**
+ * Returns the hash for a voucher.
+ *
+ * @param {object} voucher
+ * @param {string} voucher.type `mint` or `updateUri`
+ * @param {string} voucher.proxy the proxy address
+ * @param {string} [voucher.collector] the collector address, for mint vouchers
+ * @param {number|string} voucher.tokenId token ID
+ * @param {string} voucher.uri token URI
+ * @returns {string} bytes32 hash
+ */
+function voucherHash({ type, proxy, collector, tokenId, uri }) {
+  switch (type) {
+    case "mint":
+      return mintHash(proxy, collector, tokenId, uri);
+    case "updateUri":
+      return updateUriHash(proxy, tokenId, uri);
+    default:
+      throw new Error(
+        `Unknown voucher type ${type}, expected one of: ${VOUCHER_TYPES.join(
+          ", ",
+        )}`,
+      );
+  }
+}
+
+/**
+ * Signs a hash as an Ethereum Signed Message.
+ *
+ * @param {string} hash bytes32 hash
+ * @param {string} privateKey signer private key
+ * @returns {string} the 65 bytes signature
+ */
+function signHash(hash, privateKey) {
+  return accounts.sign(hash, privateKey).signature;
+}
+
+/**
+ * Returns the EIP-712 domain of a proxy.
+ * The domain matches the one returned by IERC721Baseline's `DOMAIN_SEPARATOR`.
+ *
+ * @param {object} client a client created with `createClient`
+ * @returns {Promise<{ name: string, version: string, chainId: number, verifyingContract: string }>}
+ */
+async function getDomain(client) {
+  return {
+    name: await client.name(),
+    version: EIP712_DOMAIN_VERSION,
+    chainId: Number(await client.web3.eth.getChainId()),
+    verifyingContract: toChecksumAddress(client.address),
+  };
+}
+
+/**
+ * Returns the EIP-712 typed data for a voucher,
+ * ready to be signed with `eth_signTypedData_v4`.
+ *
+ * @param {object} options
+ * @param {string} options.type `mint` or `updateUri`
+ * @param {object} options.domain the proxy domain, see `getDomain`
+ * @param {object} options.voucher the voucher fields (collector, tokenId, uri)
+ * @returns {object} the typed data
+ */
+function voucherTypedData({ type, domain, voucher }) {
+  if (!VOUCHER_TYPES.includes(type)) {
+    throw new Error(
+      `Unknown voucher type ${type}, expected one of: ${VOUCHER_TYPES.join(
+        ", ",
+      )}`,
+    );
+  }
+
+  const primaryType = type === "mint" ? "Mint" : "UpdateUri";
+
+  return {
+    types: {
+      EIP712Domain: EIP712_TYPES.EIP712Domain,
+      [primaryType]: EIP712_TYPES[primaryType],
+    },
+    primaryType,
+    domain,
+    message: Object.fromEntries(
+      EIP712_TYPES[primaryType].map(({ name }) => [
+        name,
+        name === "tokenId" ? String(voucher[name]) : voucher[name],
+      ]),
+    ),
+  };
+}
+
+/**
+ * Returns the EIP-712 struct hash of typed data,
+ * which is what IERC721Baseline's `recoverTypedData` expects.
+ *
+ * @param {object} typedData see `voucherTypedData`
+ * @returns {string} bytes32 hash
+ */
+function hashStruct({ primaryType, message, types }) {
+  return (
+    "0x" +
+    TypedDataUtils.hashStruct(
+      primaryType,
+      message,
+      types,
+      SignTypedDataVersion.V4,
+    ).toString("hex")
+  );
+}
+
+/**
+ * Signs EIP-712 typed data.
+ *
+ * @param {object} typedData see `voucherTypedData`
+ * @param {string} privateKey signer private key
+ * @returns {string} the 65 bytes signature
+ */
+function signTypedData(typedData, privateKey) {
+  return signTypedDataV4({
+    privateKey: Buffer.from(privateKey.replace(/^0x/, ""), "hex"),
+    data: typedData,
+    version: SignTypedDataVersion.V4,
+  });
+}
+
+/**
+ * Returns the EIP-712 typed data for an ERC-4494 permit.
+ *
+ * @param {object} options
+ * @param {object} options.domain the proxy domain, see `getDomain`
+ * @param {{ spender: string, tokenId: number|string, nonce: number|string, deadline: number|string }} options.permit
+ * @returns {object} the typed data
+ */
+function permitTypedData({ domain, permit }) {
+  return {
+    types: {
+      EIP712Domain: EIP712_TYPES.EIP712Domain,
+      Permit: EIP712_TYPES.Permit,
+    },
+    primaryType: "Permit",
+    domain,
+    message: {
+      spender: toChecksumAddress(permit.spender),
+      tokenId: String(permit.tokenId),
+      nonce: String(permit.nonce),
+      deadline: String(permit.deadline),
+    },
+  };
+}
+
+/**
+ * Signs an ERC-4494 permit that approves `spender` to manage `tokenId`
+ * and that anyone can submit with the proxy's `permit` method.
+ *
+ * The permit is signed with `privateKey` or, when it is not set, with `eth_signTypedData_v4`
+ * by the `owner` node account (default: the token owner).
+ *
+ * @param {object} options
+ * @param {object} options.client a client created with `createClient`
+ * @param {string} options.spender the address to approve
+ * @param {number|string} options.tokenId token ID
+ * @param {number} options.deadline the timestamp (in seconds) after which the permit can't be used
+ * @param {string} [options.privateKey] the token owner private key
+ * @param {string} [options.owner] the token owner node account
+ * @returns {Promise<{ spender: string, tokenId: string, nonce: string, deadline: string, signature: string }>}
+ */
+async function signPermit({
+  client,
+  spender,
+  tokenId,
+  deadline,
+  privateKey,
+  owner,
+}) {
+  const [domain, nonce] = await Promise.all([
+    getDomain(client),
+    client.nonces(tokenId),
+  ]);
+  const typedData = permitTypedData({
+    domain,
+    permit: { spender, tokenId, nonce, deadline },
+  });
+
+  let signature;
+
+  if (privateKey) {
+    signature = signTypedData(typedData, privateKey);
+  } else {
+    const signer = owner || (await client.ownerOf(tokenId));
+
+    signature = await new Promise((resolve, reject) =>
+      client.web3.currentProvider.send(
+        {
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method: "eth_signTypedData_v4",
+          params: [signer, typedData],
+        },
+        (error, response) => {
+          if (error || response.error) {
+            reject(error || new Error(response.error.message));
+          } else {
+            resolve(response.result);
+          }
+        },
+      ),
+    );
+  }
+
+  return { ...typedData.message, signature };
+}
+
+/**
+ * Creates signed vouchers.
+ *
+ * With the `eip191` scheme (default) `hash` is the packed hash that the proxy
+ * verifies with `recover`/`recoverCalldata`. With the `eip712` scheme `hash` is
+ * the struct hash that the proxy verifies with `recoverTypedData` and the file
+ * includes the domain.
+ *
+ * @param {object} options
+ * @param {string} options.type `mint` or `updateUri`
+ * @param {string} options.proxy the proxy address
+ * @param {string} options.privateKey signer private key
+ * @param {{ collector?: string, tokenId: number|string, uri: string }[]} options.items
+ * @param {string} [options.scheme] `eip191` or `eip712`
+ * @param {object} [options.domain] the proxy domain, required by the `eip712` scheme, see `getDomain`
+ * @returns {{ type: string, scheme: string, proxy: string, signer: string, domain?: object, vouchers: object[] }}
+ */
+function createVouchers({
+  type,
+  proxy,
+  privateKey,
+  items,
+  scheme = "eip191",
+  domain,
+}) {
+  const signer = accounts.privateKeyToAccount(privateKey).address;
+  proxy = toChecksumAddress(proxy);
+
+  if (!SIGNATURE_SCHEMES.includes(scheme)) {
+    throw new Error(
+      `Unknown signature scheme ${scheme}, expected one of: ${SIGNATURE_SCHEMES.join(
+        ", ",
+      )}`,
+    );
+  }
+
+  if (
+    scheme === "eip712" &&
+    (!domain || toChecksumAddress(domain.verifyingContract) !== proxy)
+  ) {
+    throw new Error(`The eip712 scheme requires the domain of ${proxy}`);
+  }
+
+  const vouchers = items.map((item, index) => {
+    if (type === "mint" && !item.collector) {
+      throw new Error(`Item ${index}: missing collector`);
+    }
+    if (item.tokenId === undefined || item.tokenId === "") {
+      throw new Error(`Item ${index}: missing tokenId`);
+    }
+
+    const voucher = {
+      ...(type === "mint" && { collector: toChecksumAddress(item.collector) }),
+      tokenId: String(item.tokenId),
+      uri: item.uri || "",
+    };
+
+    if (scheme === "eip712") {
+      const typedData = voucherTypedData({ type, domain, voucher });
+      return {
+        ...voucher,
+        hash: hashStruct(typedData),
+        signature: signTypedData(typedData, privateKey),
+      };
+    }
+
+    const hash = voucherHash({ type, proxy, ...voucher });
+    return { ...voucher, hash, signature: signHash(hash, privateKey) };
+  });
+
+  return {
+    type,
+    scheme,
+    proxy,
+    signer,
+    ...(scheme === "eip712" && { domain }),
+    vouchers,
+  };
+}
+
+/**
+ * Verifies signed vouchers against the proxy's on-chain `recover` (or `recoverTypedData`).
+ *
+ * Each voucher is checked for:
+ *
+ * - a hash that matches its fields (and the on-chain domain for the `eip712` scheme)
+ * - a signature recovered on-chain to the expected signer
+ *
+ * @param {object} options
+ * @param {object} options.client a client created with `createClient` for the voucher's proxy
+ * @param {object} options.file vouchers, see `createVouchers`
+ * @param {string} [options.signer] the expected signer, defaults to the signer in the file
+ * @returns {Promise<{ voucher: object, valid: boolean, errors: string[] }[]>}
+ */
+async function verifyVouchers({ client, file, signer = file.signer }) {
+  if (toChecksumAddress(file.proxy) !== toChecksumAddress(client.address)) {
+    throw new Error(
+      `Vouchers are for ${file.proxy} but the client is connected to ${client.address}`,
+    );
+  }
+
+  const scheme = file.scheme || "eip191";
+  // Always verify against the on-chain domain, vouchers signed for another chain are invalid.
+  const domain = scheme === "eip712" && (await getDomain(client));
+
+  const results = [];
+
+  for (const voucher of file.vouchers) {
+    const errors = [];
+
+    const hash =
+      scheme === "eip712"
+        ? hashStruct(voucherTypedData({ type: file.type, domain, voucher }))
+        : voucherHash({ type: file.type, proxy: file.proxy, ...voucher });
+
+    if (hash !== voucher.hash) {
+      errors.push("hash does not match the voucher");
+    }
+
+    try {
+      const recovered = await (scheme === "eip712"
+        ? client.recoverTypedData(voucher.hash, voucher.signature)
+        : client.recover(voucher.hash, voucher.signature));
+      if (recovered !== toChecksumAddress(signer)) {
+        errors.push(`signed by ${recovered} instead of ${signer}`);
+      }
+    } catch (error) {
+      errors.push(error.errorName || error.message);
+    }
+
+    results.push({ voucher, valid: errors.length === 0, errors });
+  }
+
+  return results;
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  SIGNATURE_SCHEMES,
+  EIP712_TYPES,
+  EIP712_DOMAIN_VERSION,
+  mintHash,
+  updateUriHash,
+  voucherHash,
+  signHash,
+  getDomain,
+  voucherTypedData,
+  hashStruct,
+  signTypedData,
+  permitTypedData,
+  signPermit,
+  createVouchers,
+  verifyVouchers,
+};
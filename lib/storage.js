@@ -0,0 +1,353 @@
+const Web3 = require("web3");
+
+const { keccak256, toBN, padLeft, toHex } = Web3.utils;
+
+/**
+ * Storage layout checks
+ * –––––––––––––––––––––
+ *
+ * ERC721BaselineImplementation keeps its state in ERC-7201 namespaces
+ * (see https://eips.ethereum.org/EIPS/eip-7201) and since it runs in the context
+ * of the proxy, proxies must not write to the same slots.
+ *
+ * These helpers read solc's standard JSON output (storageLayout and AST) and report:
+ *
+ * - state variables declared by the proxy outside of a namespace (warnings)
+ * - `@custom:storage-location erc7201:<id>` structs without a constant holding the matching slot (errors)
+ * - proxy namespaces and slot constants that collide with the implementation ones (errors)
+ *
+ * `compareNamespaces` checks that a new version of a contract only appends fields to its namespaces,
+ * which is what makes an upgrade safe.
+ */
+
+/**
+ * EIP-1967 implementation slot, used by ERC721Baseline.
+ */
+const EIP1967_IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const STORAGE_LOCATION_PATTERN = /@custom:storage-location\s+erc7201:(\S+)/;
+
+/**
+ * Computes an ERC-7201 storage slot:
+ * keccak256(abi.encode(uint256(keccak256(id)) - 1)) & ~bytes32(uint256(0xff))
+ *
+ * @param {string} id namespace ID, eg. `erc721baseline.implementation.storage`
+ * @returns {string} bytes32 slot
+ */
+function erc7201Slot(id) {
+  const hash = toBN(keccak256(id)).subn(1);
+  return (
+    keccak256(padLeft(toHex(hash), 64)).slice(0, -2) + "00"
+  ).toLowerCase();
+}
+
+function normalizeSlot(value) {
+  return padLeft(toHex(toBN(value)), 64).toLowerCase();
+}
+
+/**
+ * Finds a contract definition in the solc output.
+ *
+ * @param {object} output solc standard JSON output
+ * @param {string} name contract name, optionally qualified with its source eg. `contracts/Example1.sol:Example1`
+ * @returns {{ source: string, node: object }}
+ */
+function findContract(output, name) {
+  const [source, contractName] = name.includes(":")
+    ? name.split(":")
+    : [null, name];
+
+  const matches = Object.entries(output.sources)
+    .filter(([file]) => !source || file === source)
+    .flatMap(([file, { ast }]) =>
+      ast.nodes
+        .filter(
+          (node) =>
+            node.nodeType === "ContractDefinition" &&
+            node.name === contractName,
+        )
+        .map((node) => ({ source: file, node })),
+    );
+
+  if (matches.length === 0) {
+    throw new Error(`Contract ${name} not found in the compiler output.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Contract ${name} is ambiguous, use one of: ${matches
+        .map(({ source }) => `${source}:${contractName}`)
+        .join(", ")}`,
+    );
+  }
+
+  return matches[0];
+}
+
+/**
+ * Returns a contract and the contracts it inherits from, most derived first.
+ */
+function linearize(output, name) {
+  const byId = new Map();
+  Object.entries(output.sources).forEach(([source, { ast }]) =>
+    ast.nodes
+      .filter((node) => node.nodeType === "ContractDefinition")
+      .forEach((node) => byId.set(node.id, { source, node })),
+  );
+
+  const { node } = findContract(output, name);
+  return node.linearizedBaseContracts.map((id) => {
+    if (!byId.has(id)) {
+      // Truffle only recompiles changed sources and AST IDs are not stable across compilations.
+      throw new Error(
+        `A base contract of ${name} is missing from the compiler output. ` +
+          `Artifacts must come from a single compilation, run \`npm run build\`.`,
+      );
+    }
+    return byId.get(id);
+  });
+}
+
+/**
+ * Collects the ERC-7201 namespaces and the bytes32 constants of a linearized contract.
+ */
+function collectNamespaces(contracts) {
+  const constants = contracts.flatMap(({ node: contract }) =>
+    contract.nodes
+      .filter(
+        (item) =>
+          item.nodeType === "VariableDeclaration" &&
+          item.constant &&
+          item.typeDescriptions.typeString === "bytes32" &&
+          item.value &&
+          item.value.nodeType === "Literal" &&
+          item.value.kind === "number",
+      )
+      .map((item) => ({
+        name: item.name,
+        contract: contract.name,
+        value: normalizeSlot(item.value.value),
+      })),
+  );
+
+  const namespaces = contracts.flatMap(({ node: contract }) =>
+    contract.nodes
+      .filter(
+        (item) =>
+          item.nodeType === "StructDefinition" &&
+          item.documentation &&
+          STORAGE_LOCATION_PATTERN.test(item.documentation.text),
+      )
+      .map((item) => {
+        const [, id] = item.documentation.text.match(STORAGE_LOCATION_PATTERN);
+        const slot = erc7201Slot(id);
+        const constant = constants.find(
+          (candidate) =>
+            candidate.contract === contract.name && candidate.value === slot,
+        );
+
+        return {
+          id,
+          struct: item.name,
+          contract: contract.name,
+          slot,
+          constant: constant ? constant.name : null,
+          members: item.members.map((member) => ({
+            label: member.name,
+            type: member.typeDescriptions.typeString,
+          })),
+        };
+      }),
+  );
+
+  return { namespaces, constants };
+}
+
+/**
+ * Returns the ERC-7201 namespaces of a contract and the contracts it inherits from.
+ * Unlike `analyzeStorage` this only needs the AST, therefore it works with Truffle artifacts too.
+ *
+ * @param {object} output solc standard JSON output, with ast
+ * @param {string} name contract name
+ * @returns {{ id: string, struct: string, contract: string, slot: string, constant: string|null, members: { label: string, type: string }[] }[]}
+ */
+function findNamespaces(output, name) {
+  return collectNamespaces(linearize(output, name)).namespaces;
+}
+
+/**
+ * Analyzes the storage of a contract and the contracts it inherits from.
+ *
+ * @param {object} output solc standard JSON output, with storageLayout and ast
+ * @param {string} name contract name
+ * @returns {{
+ *   contract: string,
+ *   stateVariables: { label: string, contract: string, slot: string, offset: number, type: string }[],
+ *   namespaces: { id: string, struct: string, contract: string, slot: string, constant: string|null, members: object[] }[],
+ *   constants: { name: string, contract: string, value: string }[]
+ * }}
+ */
+function analyzeStorage(output, name) {
+  const contracts = linearize(output, name);
+  const [{ source, node }] = contracts;
+
+  const { storageLayout } = output.contracts[source][node.name];
+  if (!storageLayout) {
+    throw new Error(
+      `Missing storageLayout for ${node.name}, add it to the compiler outputSelection.`,
+    );
+  }
+
+  const { namespaces, constants } = collectNamespaces(contracts);
+
+  return {
+    contract: node.name,
+    stateVariables: storageLayout.storage.map((variable) => ({
+      label: variable.label,
+      contract: variable.contract.split(":").pop(),
+      slot: variable.slot,
+      offset: variable.offset,
+      type: storageLayout.types[variable.type].label,
+    })),
+    namespaces,
+    constants,
+  };
+}
+
+/**
+ * Checks a proxy storage against the implementation.
+ *
+ * @param {object} options
+ * @param {object} options.proxy proxy storage, see `analyzeStorage`
+ * @param {object} options.implementation implementation storage, see `analyzeStorage`
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkStorage({ proxy, implementation }) {
+  const errors = [];
+  const warnings = [];
+
+  proxy.stateVariables.forEach(({ label, contract, slot, type }) =>
+    warnings.push(
+      `${contract}.${label} (${type}) is not namespaced and is stored at slot ${slot}. ` +
+        `Move it to an ERC-7201 namespace to prevent collisions.`,
+    ),
+  );
+
+  [proxy, implementation].forEach(({ namespaces, constants }) =>
+    namespaces
+      .filter(({ constant }) => constant === null)
+      .forEach(({ id, struct, contract, slot }) => {
+        // Constants that look like storage locations and don't belong to another namespace.
+        const candidates = constants.filter(
+          (candidate) =>
+            candidate.contract === contract &&
+            /storage|slot|location/i.test(candidate.name) &&
+            candidate.value !== EIP1967_IMPLEMENTATION_SLOT &&
+            !namespaces.some((namespace) => namespace.slot === candidate.value),
+        );
+
+        errors.push(
+          `${contract}.${struct} is declared at erc7201:${id} but ` +
+            (candidates.length > 0
+              ? candidates
+                  .map(({ name, value }) => `${name} is ${value}`)
+                  .join(", ")
+              : "no bytes32 constant holds its slot") +
+            ` (expected ${slot}).`,
+        );
+      }),
+  );
+
+  const implementationSlots = new Map(
+    implementation.namespaces.map((namespace) => [namespace.slot, namespace]),
+  );
+  const implementationContracts = new Set(
+    implementation.namespaces.map(({ contract }) => contract),
+  );
+
+  proxy.namespaces
+    .filter(({ contract }) => !implementationContracts.has(contract))
+    .forEach(({ id, struct, contract, slot }) => {
+      if (implementationSlots.has(slot)) {
+        errors.push(
+          `${contract}.${struct} uses erc7201:${id} which collides with ${implementation.contract}.`,
+        );
+      }
+    });
+
+  proxy.constants
+    .filter(({ contract }) => !implementationContracts.has(contract))
+    .forEach(({ name, contract, value }) => {
+      const namespace = implementationSlots.get(value);
+      if (namespace) {
+        errors.push(
+          `${contract}.${name} (${value}) collides with ${namespace.contract}.${namespace.struct} (erc7201:${namespace.id}).`,
+        );
+      }
+    });
+
+  proxy.stateVariables.forEach(({ label, contract, slot }) => {
+    const namespace = implementationSlots.get(normalizeSlot(slot));
+    if (namespace) {
+      errors.push(
+        `${contract}.${label} (slot ${slot}) collides with ${namespace.contract}.${namespace.struct} (erc7201:${namespace.id}).`,
+      );
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Compares the namespaces of two versions of a contract.
+ *
+ * Fields can only be appended: removing, reordering or changing the type of a field
+ * makes the new version read the existing state incorrectly.
+ *
+ * @param {object[]} previous namespaces of the current version, see `findNamespaces`
+ * @param {object[]} next namespaces of the new version, see `findNamespaces`
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function compareNamespaces(previous, next) {
+  const errors = [];
+  const warnings = [];
+
+  previous.forEach(({ id, struct, members }) => {
+    const namespace = next.find((candidate) => candidate.id === id);
+
+    if (!namespace) {
+      errors.push(`${struct} (erc7201:${id}) was removed.`);
+      return;
+    }
+
+    members.forEach((member, index) => {
+      const field = namespace.members[index];
+
+      if (!field) {
+        errors.push(
+          `${struct}.${member.label} (${member.type}) was removed from erc7201:${id}.`,
+        );
+      } else if (field.type !== member.type) {
+        errors.push(
+          `${struct}.${member.label} (${member.type}) became ${namespace.struct}.${field.label} (${field.type}) in erc7201:${id}.`,
+        );
+      } else if (field.label !== member.label) {
+        warnings.push(
+          `${struct}.${member.label} was renamed to ${namespace.struct}.${field.label} in erc7201:${id}.`,
+        );
+      }
+    });
+  });
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  EIP1967_IMPLEMENTATION_SLOT,
+  erc7201Slot,
+  findContract,
+  findNamespaces,
+  analyzeStorage,
+  checkStorage,
+  compareNamespaces,
+};
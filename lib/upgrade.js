@@ -0,0 +1,128 @@
+const { artifactsOutput } = require("./artifacts");
+const { findNamespaces, compareNamespaces } = require("./storage");
+
+/**
+ * Upgrades
+ * ––––––––
+ *
+ * Proxies that opt in to upgrades (see `IERC721Baseline.__setUpgradesEnabled`)
+ * can be pointed to a new ERC721BaselineImplementation by an admin.
+ *
+ * Since the implementation state lives in the proxy, the new implementation
+ * must keep the storage layout of the current one. These helpers compare
+ * the ERC-7201 namespaces and the versions of the two implementations
+ * before sending the upgrade transaction.
+ */
+
+/**
+ * Returns the storage layout of the compiled implementation,
+ * as recorded in the deployment manifest.
+ *
+ * @param {string} [buildDir] directory with the artifacts, defaults to build/contracts
+ * @returns {object[]} the ERC-7201 namespaces with their fields
+ */
+function implementationStorage(buildDir) {
+  return findNamespaces(
+    artifactsOutput(buildDir),
+    "ERC721BaselineImplementation",
+  ).map(({ id, struct, contract, slot, members }) => ({
+    id,
+    struct,
+    contract,
+    slot,
+    members,
+  }));
+}
+
+/**
+ * Compares two semver versions, ignoring pre-release tags.
+ *
+ * @param {string} a version, eg. 0.1.0
+ * @param {string} b version, eg. 0.2.0
+ * @returns {number} a negative number when a < b, 0 when equal, a positive number otherwise
+ */
+function compareVersions(a, b) {
+  const parse = (version) =>
+    version
+      .replace(/^v/, "")
+      .split("-")[0]
+      .split(".")
+      .map((part) => parseInt(part, 10) || 0);
+
+  const [left, right] = [parse(a), parse(b)];
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  return 0;
+}
+
+/**
+ * Checks that a proxy can be upgraded from the current implementation to the next one.
+ *
+ * @param {object} options
+ * @param {{ address: string, version: string, storage: object[]|null }} options.current
+ * @param {{ address: string, version: string, storage: object[] }} options.next
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkUpgrade({ current, next }) {
+  const errors = [];
+  const warnings = [];
+
+  if (current.address.toLowerCase() === next.address.toLowerCase()) {
+    errors.push(`The proxy already uses ${next.address}.`);
+  }
+
+  if (compareVersions(next.version, current.version) <= 0) {
+    errors.push(
+      `The new implementation version (${next.version}) must be greater than the current one (${current.version}).`,
+    );
+  }
+
+  if (!current.storage) {
+    errors.push(
+      `The storage layout of ${current.address} is unknown, it is recorded in the manifest by \`erc721baseline deploy\`.`,
+    );
+  } else {
+    const storage = compareNamespaces(current.storage, next.storage);
+    errors.push(...storage.errors);
+    warnings.push(...storage.warnings);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Upgrades a proxy to a new implementation.
+ *
+ * @param {object} options
+ * @param {object} options.client the proxy client, see `createClient`
+ * @param {string} options.implementation the new implementation address
+ * @param {string} [options.from] the sender, must be an admin of the proxy
+ * @returns {Promise<{ previous: string, implementation: string, transactionHash: string }>}
+ */
+async function upgradeProxy({ client, implementation, from }) {
+  const previous = await client.implementation();
+
+  if (!(await client.upgradesEnabled())) {
+    throw new Error(
+      `Upgrades are disabled for ${client.address}, the proxy must call \`__setUpgradesEnabled(true)\`.`,
+    );
+  }
+
+  const { transactionHash } = await client.upgradeTo(
+    implementation,
+    from ? { from } : {},
+  );
+
+  return { previous, implementation, transactionHash };
+}
+
+module.exports = {
+  implementationStorage,
+  compareVersions,
+  checkUpgrade,
+  upgradeProxy,
+};
@@ -4,6 +4,32 @@ const InitializationMock = artifacts.require("InitializationMock");
 const ERC721ConstructorAttackerMock = artifacts.require(
   "ERC721ConstructorAttackerMock",
 );
+const ERC1271WalletMock = artifacts.require("ERC1271WalletMock");
+const ERC721ConsecutiveProxyMock = artifacts.require(
+  "ERC721ConsecutiveProxyMock",
+);
+const ERC721EnumerableProxyMock = artifacts.require(
+  "ERC721EnumerableProxyMock",
+);
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);
+const ERC721BaselineAllowlist = artifacts.require("ERC721BaselineAllowlist");
+const ERC721BaselineProvenance = artifacts.require("ERC721BaselineProvenance");
+const ERC721BaselineRevenue = artifacts.require("ERC721BaselineRevenue");
+const ERC20Mock = artifacts.require("ERC20Mock");
+
+const {
+  EIP712_TYPES,
+  getDomain,
+  voucherTypedData,
+  permitTypedData,
+  hashStruct,
+  signTypedData,
+} = require("../lib/signatures");
+const { buildAllowlist } = require("../lib/allowlist");
+const { REVEAL_GAS } = require("../lib/provenance");
 
 /**
  * ERC721Baseline tests
@@ -21,6 +47,10 @@ const ERC721ConstructorAttackerMock = artifacts.require(
  * You can use `proxyDelegate` to call methods implemented in ERC721Baseline
  * but not in the proxy (for example standard ERC721 methods).
  *
+ * The modules (ERC721BaselineExtension and ERC721BaselineAccessControl) are deployed once too
+ * and enabled for each proxy, their methods are available via `proxyExtension` and `proxyAccessControl`.
+ * The opt-in modules (allowlist, provenance and revenue) are only enabled by the tests that use them.
+ *
  * When necessary a test or a group of them (a describe block) include comments to
  * facilitate the review and understanding of what is being tested and how.
  */
@@ -28,7 +58,7 @@ const ERC721ConstructorAttackerMock = artifacts.require(
 const {
   expectRevert: expectRevertMessage,
   expectEvent,
-  constants: { ZERO_ADDRESS },
+  constants: { ZERO_ADDRESS, ZERO_BYTES32 },
 } = require("@openzeppelin/test-helpers");
 
 contract(
@@ -50,18 +80,54 @@ contract(
     // this allows to call methods that are delegated to ERC721Baseline.
     let proxyDelegate;
 
-    // Assume that ERC721Baseline (the implementation) is deployed once.
+    // The modules and the proxy views of their methods.
+    let extension;
+    let accessControl;
+    let proxyExtension;
+    let proxyAccessControl;
+    let allowlistModule;
+    let provenanceModule;
+    let revenueModule;
+
+    // Assume that ERC721Baseline (the implementation) and the modules are deployed once.
     before(async () => {
       implementation = await ERC721Baseline.new({
         from: implementationDeployer,
       });
+      extension = await ERC721BaselineExtension.new({
+        from: implementationDeployer,
+      });
+      accessControl = await ERC721BaselineAccessControl.new({
+        from: implementationDeployer,
+      });
+      allowlistModule = await ERC721BaselineAllowlist.new({
+        from: implementationDeployer,
+      });
+      provenanceModule = await ERC721BaselineProvenance.new({
+        from: implementationDeployer,
+      });
+      revenueModule = await ERC721BaselineRevenue.new({
+        from: implementationDeployer,
+      });
     });
 
     beforeEach(async () => {
       proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
       proxyDelegate = await ERC721Baseline.at(proxy.address);
+
+      for (const module of [extension, accessControl]) {
+        await proxy.onlyProxy_setModule(
+          module.address,
+          await module.selectors(),
+        );
+      }
+      proxyExtension = await ERC721BaselineExtension.at(proxy.address);
+      proxyAccessControl = await ERC721BaselineAccessControl.at(proxy.address);
     });
 
+    const enableModule = async (module) =>
+      proxy.onlyProxy_setModule(module.address, await module.selectors());
+
     describe("implementation", () => {
       it("initialization: attacker and implementation owner cannot call initialize", async () => {
         await expectRevert(
@@ -270,6 +336,187 @@ contract(
           });
           assert.equal(anotherOwner, await proxyDelegate.owner());
         });
+
+        it("enumerates admins", async () => {
+          const [anotherAdmin, yetAnotherAdmin] = accounts;
+
+          // The initializer sets the deployer as admin.
+          assert.deepEqual([deployer], await proxyAccessControl.admins());
+
+          await proxyDelegate.setAdmin(anotherAdmin, true);
+          await proxy.onlyProxy_setAdmin(yetAnotherAdmin, true);
+          assert.deepEqual(
+            [deployer, anotherAdmin, yetAnotherAdmin],
+            await proxyAccessControl.admins(),
+          );
+
+          await proxyDelegate.setAdmin(anotherAdmin, false);
+          assert.deepEqual(
+            [deployer, yetAnotherAdmin],
+            await proxyAccessControl.admins(),
+          );
+        });
+
+        it("can transfer ownership in two steps", async () => {
+          const anotherOwner = accounts[0];
+
+          await expectRevert(
+            proxyAccessControl.startOwnershipTransfer(attacker, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+
+          const receipt =
+            await proxyAccessControl.startOwnershipTransfer(anotherOwner);
+          await expectEvent(receipt, "OwnershipTransferStarted", {
+            previousOwner: deployer,
+            newOwner: anotherOwner,
+          });
+          assert.equal(anotherOwner, await proxyAccessControl.pendingOwner());
+          assert.equal(deployer, await proxyDelegate.owner());
+
+          await expectRevert(
+            proxyAccessControl.acceptOwnership({ from: attacker }),
+            "Unauthorized",
+          );
+
+          await expectEvent.inTransaction(
+            (await proxyAccessControl.acceptOwnership({ from: anotherOwner }))
+              .tx,
+            proxyDelegate,
+            "OwnershipTransferred",
+            { previousOwner: deployer, newOwner: anotherOwner },
+          );
+          assert.equal(anotherOwner, await proxyDelegate.owner());
+          assert.equal(ZERO_ADDRESS, await proxyAccessControl.pendingOwner());
+        });
+
+        it("one-step transfers cancel pending ownership transfers", async () => {
+          await proxy.onlyProxy_startOwnershipTransfer(attacker);
+          await proxyDelegate.transferOwnership(accounts[0]);
+
+          assert.equal(ZERO_ADDRESS, await proxyAccessControl.pendingOwner());
+          await expectRevert(
+            proxyAccessControl.acceptOwnership({ from: attacker }),
+            "Unauthorized",
+          );
+        });
+
+        describe("roles", () => {
+          // See ROLE_* in IERC721Baseline.sol.
+          const ROLE_METADATA_MANAGER = 1;
+          const ROLE_ROYALTIES_MANAGER = 2;
+          const ROLE_MINTER = 4;
+          const ROLE_TRANSFER_POLICIES_MANAGER = 8;
+
+          it("admin can set roles", async () => {
+            await expectRevert(
+              proxyAccessControl.setRoles(attacker, ROLE_MINTER, {
+                from: attacker,
+              }),
+              "Unauthorized",
+            );
+
+            const receipt = await proxyAccessControl.setRoles(
+              operator,
+              ROLE_MINTER | ROLE_METADATA_MANAGER,
+            );
+            await expectEvent(receipt, "RolesUpdated", {
+              account: operator,
+              roles: String(ROLE_MINTER | ROLE_METADATA_MANAGER),
+            });
+
+            assert.equal(5, await proxyAccessControl.rolesOf(operator));
+            assert.equal(true, await proxyDelegate.hasRole(operator, 1));
+            assert.equal(
+              false,
+              await proxyDelegate.hasRole(operator, ROLE_ROYALTIES_MANAGER),
+            );
+            // Any of the roles is enough.
+            assert.equal(
+              true,
+              await proxyDelegate.hasRole(operator, ROLE_ROYALTIES_MANAGER | 4),
+            );
+            // Admins have every role.
+            assert.equal(
+              true,
+              await proxyDelegate.hasRole(
+                deployer,
+                web3.utils.toBN(1).shln(200),
+              ),
+            );
+
+            // Roles are not admin rights.
+            assert.equal(false, await proxyDelegate.isAdmin(operator));
+            await expectRevert(
+              proxyAccessControl.setRoles(operator, ROLE_ROYALTIES_MANAGER, {
+                from: operator,
+              }),
+              "Unauthorized",
+            );
+          });
+
+          it("requireRole check works", async () => {
+            // minterMint uses the ERC721Baseline requireRole test to only allow minters.
+            await expectRevert(
+              proxy.minterMint(user, 1, { from: operator }),
+              "Unauthorized",
+            );
+
+            await proxy.onlyProxy_setRoles(operator, ROLE_MINTER);
+            await proxy.minterMint(user, 1, { from: operator });
+            await proxy.minterMint(user, 2);
+            assert.equal(2, await proxyDelegate.balanceOf(user));
+
+            await proxy.onlyProxy_setRoles(operator, 0);
+            await expectRevert(
+              proxy.minterMint(user, 3, { from: operator }),
+              "Unauthorized",
+            );
+          });
+
+          it("royalties and transfer policies managers", async () => {
+            await proxyAccessControl.setRoles(operator, ROLE_ROYALTIES_MANAGER);
+            await proxyAccessControl.setRoles(
+              user,
+              ROLE_TRANSFER_POLICIES_MANAGER,
+            );
+
+            await proxyDelegate.configureRoyalties(operator, 500, {
+              from: operator,
+            });
+            await proxyExtension.configureTokenRoyalties(1, operator, 100, {
+              from: operator,
+            });
+            await expectRevert(
+              proxyExtension.setNonTransferable(true, { from: operator }),
+              "Unauthorized",
+            );
+
+            await proxyExtension.setNonTransferable(true, { from: user });
+            await proxyExtension.setTransferLock(1, 1, { from: user });
+            await expectRevert(
+              proxyDelegate.configureRoyalties(user, 500, { from: user }),
+              "Unauthorized",
+            );
+          });
+
+          it("enumerates role holders", async () => {
+            await proxyAccessControl.setRoles(operator, ROLE_MINTER);
+            await proxyAccessControl.setRoles(user, ROLE_METADATA_MANAGER);
+            await proxyAccessControl.setRoles(operator, 0);
+            await proxyAccessControl.setRoles(attacker, 3);
+
+            const { accounts: holders, roles } =
+              await proxyAccessControl.roleHolders();
+            assert.deepEqual([user, attacker], holders);
+            assert.deepEqual(
+              ["1", "3"],
+              roles.map((role) => role.toString()),
+            );
+          });
+        });
       });
 
       describe("_beforeTokenTransfer", () => {
@@ -411,7 +658,7 @@ contract(
           assert.equal("", await implementation.__baseURI());
         });
 
-        it("_update override does not interfere with __update onlyProxy method", async () => {
+        it("__update onlyProxy method calls the hook like transfers", async () => {
           await proxy.toggleBeforeTokenTransferHook();
 
           const tokenId = 1;
@@ -425,7 +672,7 @@ contract(
             ZERO_ADDRESS,
           );
 
-          await expectEvent.notEmitted.inTransaction(
+          await expectEvent.inTransaction(
             receipt.tx,
             proxy,
             "BeforeTokenTransferCalled",
@@ -433,126 +680,2058 @@ contract(
         });
       });
 
-      describe("Metadata", () => {
-        it("sets name and symbols", async () => {
-          assert.equal("Test", await proxyDelegate.name());
-          assert.equal("TEST", await proxyDelegate.symbol());
-        });
+      describe("Hooks", () => {
+        const Hook = {
+          BeforeTokenTransfer: 0,
+          AfterTokenTransfer: 1,
+          BeforeApprove: 2,
+          BeforeSetApprovalForAll: 3,
+          TokenURI: 4,
+        };
 
-        it("updates totalSupply correctly", async () => {
-          await proxy.onlyProxy_mint(user, 3);
-          assert.equal(1, await proxyDelegate.totalSupply());
-          await proxy.onlyProxy_burn(3, { from: user });
-          assert.equal(0, await proxyDelegate.totalSupply());
-        });
+        it("can enable and disable hooks independently", async () => {
+          for (const hook of Object.values(Hook)) {
+            assert.equal(false, await proxyDelegate.hookEnabled(hook));
+          }
 
-        describe("token URI", () => {
-          const tokenId = 3;
+          await proxy.onlyProxy_setHookEnabled(Hook.AfterTokenTransfer, true);
+          await proxy.onlyProxy_setHookEnabled(Hook.TokenURI, true);
 
-          beforeEach(async () => {
-            await proxy.onlyProxy_mint(user, tokenId);
-          });
+          assert.equal(
+            true,
+            await proxyDelegate.hookEnabled(Hook.AfterTokenTransfer),
+          );
+          assert.equal(true, await proxyDelegate.hookEnabled(Hook.TokenURI));
+          assert.equal(
+            false,
+            await proxyDelegate.hookEnabled(Hook.BeforeApprove),
+          );
 
-          it("throws if the token does not exist", async () => {
-            await expectRevert(
-              proxyDelegate.tokenURI(100),
-              "ERC721NonexistentToken(uint256)",
-            );
-          });
+          await proxy.onlyProxy_setHookEnabled(Hook.AfterTokenTransfer, false);
 
-          it("returns empty string when nothing is set", async () => {
-            assert.equal("", await proxyDelegate.tokenURI(tokenId));
-          });
+          assert.equal(
+            false,
+            await proxyDelegate.hookEnabled(Hook.AfterTokenTransfer),
+          );
+          assert.equal(true, await proxyDelegate.hookEnabled(Hook.TokenURI));
+        });
 
-          it("returns token-specific URI when set", async () => {
-            const anotherTokenId = tokenId + 1;
-            const uri = "ipfs://test";
+        it("BeforeTokenTransfer is the _beforeTokenTransfer hook", async () => {
+          await proxy.toggleBeforeTokenTransferHook();
 
-            await proxy.onlyProxy_mint(user, anotherTokenId, uri);
+          assert.equal(
+            true,
+            await proxyDelegate.hookEnabled(Hook.BeforeTokenTransfer),
+          );
 
-            assert.equal(uri, await proxyDelegate.tokenURI(anotherTokenId));
-            assert.equal(uri, await proxyDelegate.__tokenURI(anotherTokenId));
+          await proxy.onlyProxy_setHookEnabled(Hook.BeforeTokenTransfer, false);
 
-            assert.equal("", await proxyDelegate.tokenURI(tokenId));
+          assert.equal(
+            false,
+            await proxyDelegate.hookEnabled(Hook.BeforeTokenTransfer),
+          );
+
+          await proxy.adminMint(user, 1);
+          const receipt = await proxyDelegate.transferFrom(user, operator, 1, {
+            from: user,
           });
 
-          it("can update token-specific URI and emits MetadataUpdate", async () => {
-            const uri = "ipfs://updated";
-            const receipt = await proxy.onlyProxy_setTokenURI(tokenId, uri);
+          await expectEvent.notEmitted.inTransaction(
+            receipt.tx,
+            proxy,
+            "BeforeTokenTransferCalled",
+          );
+        });
 
-            await expectEvent.inTransaction(
-              receipt.tx,
-              proxyDelegate,
-              "MetadataUpdate",
-              {
-                _tokenId: String(tokenId),
-              },
-            );
+        it("calls _afterTokenTransfer with the tx sender and the previous owner", async () => {
+          await proxy.onlyProxy_setHookEnabled(Hook.AfterTokenTransfer, true);
 
-            assert.equal(uri, await proxyDelegate.tokenURI(tokenId));
-            assert.equal(uri, await proxyDelegate.__tokenURI(tokenId));
-          });
+          const tokenId = 1;
+          let receipt = await proxy.adminMint(user, tokenId);
 
-          it("can define shared URI", async () => {
-            const uri = "ipfs://shared";
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "AfterTokenTransferCalled",
+            {
+              sender: proxy.address,
+              from: ZERO_ADDRESS,
+              to: user,
+              tokenId: "1",
+            },
+          );
 
-            const anotherTokenId = tokenId + 1;
-            await proxy.onlyProxy_mint(user, anotherTokenId);
+          await proxyDelegate.approve(operator, tokenId, { from: user });
+          receipt = await proxyDelegate.transferFrom(user, attacker, tokenId, {
+            from: operator,
+          });
 
-            await proxy.onlyProxy_setSharedURI(uri);
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "AfterTokenTransferCalled",
+            { sender: operator, from: user, to: attacker, tokenId: "1" },
+          );
 
-            assert.equal(uri, await proxyDelegate.tokenURI(anotherTokenId));
-            assert.equal(
-              await proxyDelegate.tokenURI(tokenId),
-              await proxyDelegate.tokenURI(anotherTokenId),
-            );
-          });
+          // The hook can alter the proxy state.
+          assert.equal(2, await proxy.transfersCount(tokenId));
+        });
 
-          it("can set base URI", async () => {
-            const uri = "ipfs://base/";
-            await proxy.onlyProxy_setBaseURI(uri);
+        it("_afterTokenTransfer ignores direct calls", async () => {
+          await proxy.onlyProxy_setHookEnabled(Hook.AfterTokenTransfer, true);
 
-            assert.equal(uri + tokenId, await proxyDelegate.tokenURI(tokenId));
+          const tokenId = 1;
+          await proxy.adminMint(user, tokenId);
+
+          await proxy._afterTokenTransfer(attacker, user, user, tokenId, {
+            from: attacker,
           });
+          await proxy._afterTokenTransfer(attacker, user, attacker, tokenId, {
+            from: attacker,
+          });
+
+          assert.equal(1, await proxy.transfersCount(tokenId));
         });
-      });
 
-      describe("Royalties", () => {
-        it("works only for admins", async () => {
+        it("hooks can prevent transfers and approvals (soulbound tokens)", async () => {
+          await proxy.onlyProxy_setHookEnabled(Hook.AfterTokenTransfer, true);
+          await proxy.onlyProxy_setHookEnabled(Hook.BeforeApprove, true);
+          await proxy.onlyProxy_setHookEnabled(
+            Hook.BeforeSetApprovalForAll,
+            true,
+          );
+
+          const tokenId = 1;
+          await proxy.adminMint(user, tokenId);
+
           await expectRevert(
-            proxyDelegate.configureRoyalties(ZERO_ADDRESS, 1000, {
-              from: attacker,
-            }),
+            proxy.setSoulbound(true, { from: attacker }),
             "Unauthorized",
           );
-        });
+          await proxy.setSoulbound(true);
 
-        it("returns zero address and 0 amount when unset", async () => {
-          const { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
-            10,
-            100000,
+          await expectRevertMessage(
+            proxyDelegate.transferFrom(user, operator, tokenId, { from: user }),
+            "Soulbound",
+          );
+          await expectRevertMessage(
+            proxyDelegate.approve(operator, tokenId, { from: user }),
+            "Soulbound",
+          );
+          await expectRevertMessage(
+            proxyDelegate.setApprovalForAll(operator, true, { from: user }),
+            "Soulbound",
           );
-          assert.equal(receiver, ZERO_ADDRESS);
-          assert.equal(amount, 0);
-        });
 
-        it("returns zero address and 0 amount when only one is set", async () => {
-          await proxyDelegate.configureRoyalties(ZERO_ADDRESS, 1000);
+          // Revoking and burning are allowed.
+          await proxyDelegate.setApprovalForAll(operator, false, {
+            from: user,
+          });
+          await proxy.onlyProxy_burn(tokenId, { from: user });
+          assert.equal(0, await proxyDelegate.totalSupply());
+        });
 
-          let { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
-            10,
-            100000,
+        it("approval hooks are not called by the onlyProxy methods", async () => {
+          await proxy.onlyProxy_setHookEnabled(Hook.BeforeApprove, true);
+          await proxy.onlyProxy_setHookEnabled(
+            Hook.BeforeSetApprovalForAll,
+            true,
           );
-          assert.equal(receiver, ZERO_ADDRESS);
-          assert.equal(amount, 0);
+          await proxy.setSoulbound(true);
 
-          await proxyDelegate.configureRoyalties(deployer, 0);
+          const tokenId = 1;
+          await proxy.adminMint(user, tokenId);
 
-          ({ 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
-            10,
-            100000,
-          ));
-          assert.equal(receiver, ZERO_ADDRESS);
+          await proxy.onlyProxy_approve(operator, tokenId, user, true);
+          await proxy.onlyProxy_setApprovalForAll(user, operator, true);
+
+          assert.equal(operator, await proxyDelegate.getApproved(tokenId));
+          assert.equal(
+            true,
+            await proxyDelegate.isApprovedForAll(user, operator),
+          );
+        });
+
+        it("calls _tokenURI with the resolved URI", async () => {
+          const tokenId = 1;
+          await proxy.adminMint(user, tokenId);
+          await proxy.onlyProxy_setTokenURI(tokenId, "ipfs://1");
+
+          assert.equal("ipfs://1", await proxyDelegate.tokenURI(tokenId));
+
+          await proxy.onlyProxy_setHookEnabled(Hook.TokenURI, true);
+
+          assert.equal(
+            "ipfs://1?transfers=0",
+            await proxyDelegate.tokenURI(tokenId),
+          );
+
+          await expectRevert(
+            proxyDelegate.tokenURI(100),
+            "ERC721NonexistentToken(uint256)",
+          );
+        });
+
+        it("reverts with HookFailed when a hook reverts without a reason", async () => {
+          await proxy.onlyProxy_setHookEnabled(
+            Hook.BeforeSetApprovalForAll,
+            true,
+          );
+
+          await expectRevert(
+            proxyDelegate.setApprovalForAll(proxy.address, true, {
+              from: user,
+            }),
+            "HookFailed(uint8)",
+          );
+        });
+
+        it("reverts with _beforeTokenTransfer when the hook reverts without a reason", async () => {
+          await proxy.toggleBeforeTokenTransferHook();
+
+          const tokenId = 1;
+          await proxy.adminMint(user, tokenId);
+
+          await expectRevertMessage(
+            proxyDelegate.transferFrom(user, proxy.address, tokenId, {
+              from: user,
+            }),
+            "_beforeTokenTransfer",
+          );
+        });
+      });
+
+      describe("Transfer policies", () => {
+        const tokenId = 1;
+
+        beforeEach(async () => {
+          await proxy.adminMint(user, tokenId);
+        });
+
+        it("works only for admins", async () => {
+          await expectRevert(
+            proxyExtension.setNonTransferable(true, { from: attacker }),
+            "Unauthorized",
+          );
+          await expectRevert(
+            proxyExtension.setOperatorDenied(operator, true, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+          await expectRevert(
+            proxyExtension.setTransferLock(tokenId, 1, { from: attacker }),
+            "Unauthorized",
+          );
+        });
+
+        it("non-transferable tokens can only be minted and burned", async () => {
+          const receipt = await proxyExtension.setNonTransferable(true);
+          expectEvent(receipt, "NonTransferableUpdated", {
+            nonTransferable: true,
+          });
+          assert.equal(true, await proxyExtension.nonTransferable());
+
+          await expectRevert(
+            proxyDelegate.transferFrom(user, operator, tokenId, { from: user }),
+            "NonTransferable",
+          );
+          await expectRevert(
+            proxyDelegate.approve(operator, tokenId, { from: user }),
+            "NonTransferable",
+          );
+          await expectRevert(
+            proxyDelegate.setApprovalForAll(operator, true, { from: user }),
+            "NonTransferable",
+          );
+
+          // Revoking approvals is allowed.
+          await proxyDelegate.approve(ZERO_ADDRESS, tokenId, { from: user });
+          await proxyDelegate.setApprovalForAll(operator, false, {
+            from: user,
+          });
+
+          await proxy.adminMint(user, 2);
+          await proxy.onlyProxy_burn(2, { from: user });
+          assert.equal(1, await proxyDelegate.totalSupply());
+
+          await proxy.onlyProxy_setNonTransferable(false);
+          await proxyDelegate.transferFrom(user, operator, tokenId, {
+            from: user,
+          });
+          assert.equal(operator, await proxyDelegate.ownerOf(tokenId));
+        });
+
+        it("denied operators can't be approved or transfer tokens", async () => {
+          await proxyDelegate.approve(operator, tokenId, { from: user });
+
+          const receipt = await proxyExtension.setOperatorDenied(
+            operator,
+            true,
+          );
+          expectEvent(receipt, "OperatorDenylistUpdated", {
+            operator,
+            denied: true,
+          });
+          assert.equal(true, await proxyExtension.isOperatorDenied(operator));
+
+          // Existing approvals can't be used.
+          await expectRevert(
+            proxyDelegate.transferFrom(user, attacker, tokenId, {
+              from: operator,
+            }),
+            "OperatorDenied(address)",
+          );
+          await expectRevert(
+            proxyDelegate.approve(operator, tokenId, { from: user }),
+            "OperatorDenied(address)",
+          );
+          await expectRevert(
+            proxyDelegate.setApprovalForAll(operator, true, { from: user }),
+            "OperatorDenied(address)",
+          );
+
+          // Owners can still transfer their tokens.
+          await proxyDelegate.transferFrom(user, operator, tokenId, {
+            from: user,
+          });
+          assert.equal(operator, await proxyDelegate.ownerOf(tokenId));
+
+          await proxy.onlyProxy_setOperatorDenied(operator, false);
+          assert.equal(false, await proxyExtension.isOperatorDenied(operator));
+          await proxyDelegate.setApprovalForAll(operator, true, { from: user });
+        });
+
+        it("locked tokens can't be transferred until the lock expires", async () => {
+          const { timestamp } = await web3.eth.getBlock("latest");
+
+          // A lock that already expired.
+          await proxyExtension.setTransferLock(tokenId, timestamp);
+          await proxyDelegate.transferFrom(user, operator, tokenId, {
+            from: user,
+          });
+
+          const until = timestamp + 3600;
+          const receipt = await proxyExtension.setTransferLock(tokenId, until);
+          expectEvent(receipt, "TransferLockUpdated", {
+            tokenId: String(tokenId),
+            until: String(until),
+          });
+          assert.equal(
+            until,
+            await proxyExtension.transferLockedUntil(tokenId),
+          );
+
+          await expectRevert(
+            proxyDelegate.transferFrom(operator, user, tokenId, {
+              from: operator,
+            }),
+            "TransferLocked(uint256,uint256)",
+          );
+
+          // Approvals are allowed.
+          await proxyDelegate.approve(user, tokenId, { from: operator });
+
+          await proxy.onlyProxy_setTransferLock(tokenId, 0);
+          assert.equal(0, await proxyExtension.transferLockedUntil(tokenId));
+          await proxyDelegate.transferFrom(operator, user, tokenId, {
+            from: user,
+          });
+        });
+
+        it("burning a locked token removes the lock", async () => {
+          const { timestamp } = await web3.eth.getBlock("latest");
+          await proxyExtension.setTransferLock(tokenId, timestamp + 3600);
+
+          await proxy.onlyProxy_burn(tokenId, { from: user });
+
+          assert.equal(0, await proxyExtension.transferLockedUntil(tokenId));
+        });
+
+        it("are checked before the hooks", async () => {
+          await proxy.toggleBeforeTokenTransferHook();
+          await proxy.onlyProxy_setHookEnabled(1, true);
+          await proxyExtension.setNonTransferable(true);
+
+          // The hook would revert with 'Call to self'.
+          await expectRevert(
+            proxyDelegate.transferFrom(user, user, tokenId, { from: user }),
+            "NonTransferable",
+          );
+
+          await proxyExtension.setNonTransferable(false);
+          await proxyExtension.setOperatorDenied(attacker, true);
+
+          // Allowed transfers call the hooks.
+          const receipt = await proxyDelegate.transferFrom(
+            user,
+            operator,
+            tokenId,
+            { from: user },
+          );
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "BeforeTokenTransferCalled",
+          );
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "AfterTokenTransferCalled",
+          );
+        });
+
+        it("are checked by __update", async () => {
+          await proxyExtension.setNonTransferable(true);
+          await expectRevert(
+            proxy.onlyProxy_update(operator, tokenId, ZERO_ADDRESS),
+            "NonTransferable",
+          );
+          await proxyExtension.setNonTransferable(false);
+
+          const { timestamp } = await web3.eth.getBlock("latest");
+          await proxyExtension.setTransferLock(tokenId, timestamp + 3600);
+          await expectRevert(
+            proxy.onlyProxy_update(operator, tokenId, ZERO_ADDRESS),
+            "TransferLocked(uint256,uint256)",
+          );
+
+          // Burns are allowed and remove the lock.
+          await proxy.onlyProxy_update(ZERO_ADDRESS, tokenId, ZERO_ADDRESS);
+          assert.equal(0, await proxyExtension.transferLockedUntil(tokenId));
+        });
+
+        it("are not checked by __approve and __setApprovalForAll", async () => {
+          await proxyExtension.setNonTransferable(true);
+
+          await proxy.onlyProxy_approve(operator, tokenId, user, true);
+          await proxy.onlyProxy_setApprovalForAll(user, operator, true);
+
+          assert.equal(operator, await proxyDelegate.getApproved(tokenId));
+          assert.isTrue(await proxyDelegate.isApprovedForAll(user, operator));
+        });
+      });
+
+      describe("Permit", () => {
+        const holder = web3.eth.accounts.create();
+        const tokenId = 1;
+
+        let deadline;
+
+        beforeEach(async () => {
+          await proxy.adminMint(holder.address, tokenId);
+          deadline = (await web3.eth.getBlock("latest")).timestamp + 3600;
+        });
+
+        async function sign(permit, privateKey = holder.privateKey) {
+          const domain = await getDomain({
+            name: () => proxyDelegate.name(),
+            web3,
+            address: proxyDelegate.address,
+          });
+
+          return signTypedData(
+            permitTypedData({
+              domain,
+              permit: { spender: operator, tokenId, deadline, ...permit },
+            }),
+            privateKey,
+          );
+        }
+
+        it("supports the ERC-4494 interface", async () => {
+          assert.equal(
+            true,
+            await proxyDelegate.supportsInterface("0x5604e225"),
+          );
+        });
+
+        it("approves the spender with the owner signature", async () => {
+          assert.equal(0, await proxyExtension.nonces(tokenId));
+
+          const signature = await sign({ nonce: 0 });
+          const receipt = await proxyExtension.permit(
+            operator,
+            tokenId,
+            deadline,
+            signature,
+            { from: attacker },
+          );
+
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "Approval",
+            {
+              owner: holder.address,
+              approved: operator,
+              tokenId: String(tokenId),
+            },
+          );
+          assert.equal(operator, await proxyDelegate.getApproved(tokenId));
+          assert.equal(1, await proxyExtension.nonces(tokenId));
+
+          await proxyDelegate.transferFrom(holder.address, user, tokenId, {
+            from: operator,
+          });
+          assert.equal(user, await proxyDelegate.ownerOf(tokenId));
+        });
+
+        it("rejects expired permits", async () => {
+          deadline -= 3601;
+          const signature = await sign({ nonce: 0 });
+
+          await expectRevert(
+            proxyExtension.permit(operator, tokenId, deadline, signature),
+            "PermitExpired(uint256)",
+          );
+        });
+
+        it("rejects signatures of other accounts and other spenders", async () => {
+          const anotherSigner = web3.eth.accounts.create();
+
+          await expectRevert(
+            proxyExtension.permit(
+              operator,
+              tokenId,
+              deadline,
+              await sign({ nonce: 0 }, anotherSigner.privateKey),
+            ),
+            "InvalidSignature",
+          );
+          await expectRevert(
+            proxyExtension.permit(
+              attacker,
+              tokenId,
+              deadline,
+              await sign({ nonce: 0 }),
+            ),
+            "InvalidSignature",
+          );
+          await expectRevert(
+            proxyExtension.permit(
+              operator,
+              2,
+              deadline,
+              await sign({ nonce: 0 }),
+            ),
+            "ERC721NonexistentToken(uint256)",
+          );
+        });
+
+        it("rejects replayed permits", async () => {
+          const signature = await sign({ nonce: 0 });
+          await proxyExtension.permit(operator, tokenId, deadline, signature);
+
+          // The owner revokes the approval, the permit can't be used again.
+          await web3.eth.sendTransaction({
+            from: deployer,
+            to: holder.address,
+            value: web3.utils.toWei("1"),
+          });
+          const { rawTransaction } = await holder.signTransaction({
+            to: proxy.address,
+            data: proxyDelegate.contract.methods
+              .approve(ZERO_ADDRESS, tokenId)
+              .encodeABI(),
+            gas: 100000,
+            gasPrice: await web3.eth.getGasPrice(),
+          });
+          await web3.eth.sendSignedTransaction(rawTransaction);
+          assert.equal(ZERO_ADDRESS, await proxyDelegate.getApproved(tokenId));
+
+          await expectRevert(
+            proxyExtension.permit(operator, tokenId, deadline, signature),
+            "InvalidSignature",
+          );
+        });
+
+        it("increments the nonce when the token is transferred", async () => {
+          const signature = await sign({ nonce: 0 });
+
+          await proxy.onlyProxy_transfer(holder.address, user, tokenId);
+          assert.equal(1, await proxyExtension.nonces(tokenId));
+
+          // Signed by the previous owner.
+          await expectRevert(
+            proxyExtension.permit(operator, tokenId, deadline, signature),
+            "InvalidSignature",
+          );
+
+          await proxyDelegate.transferFrom(user, attacker, tokenId, {
+            from: user,
+          });
+          await proxy.onlyProxy_burn(tokenId, { from: attacker });
+          assert.equal(3, await proxyExtension.nonces(tokenId));
+        });
+
+        it("increments the nonce when the token is updated with __update", async () => {
+          const signature = await sign({ nonce: 0 });
+
+          await proxy.onlyProxy_update(user, tokenId, ZERO_ADDRESS);
+          assert.equal(1, await proxyExtension.nonces(tokenId));
+
+          await expectRevert(
+            proxyExtension.permit(operator, tokenId, deadline, signature),
+            "InvalidSignature",
+          );
+        });
+
+        it("verifies the signatures of contract owners with ERC-1271", async () => {
+          const wallet = await ERC1271WalletMock.new(holder.address);
+          await proxy.onlyProxy_transfer(
+            holder.address,
+            wallet.address,
+            tokenId,
+          );
+
+          await expectRevert(
+            proxyExtension.permit(
+              operator,
+              tokenId,
+              deadline,
+              await sign({ nonce: 1 }, web3.eth.accounts.create().privateKey),
+            ),
+            "InvalidSignature",
+          );
+
+          await proxyExtension.permit(
+            operator,
+            tokenId,
+            deadline,
+            await sign({ nonce: 1 }),
+          );
+          assert.equal(operator, await proxyDelegate.getApproved(tokenId));
+        });
+
+        it("checks the transfer policies", async () => {
+          await proxyExtension.setOperatorDenied(operator, true);
+
+          await expectRevert(
+            proxyExtension.permit(
+              operator,
+              tokenId,
+              deadline,
+              await sign({ nonce: 0 }),
+            ),
+            "OperatorDenied(address)",
+          );
+        });
+      });
+
+      describe("Enumeration", () => {
+        const ERC721EnumerableInterfaceId = "0x780e9d63";
+
+        it("is disabled by default", async () => {
+          await proxy.adminMint(user, 1);
+
+          assert.equal(false, await proxyDelegate.enumerable());
+          assert.equal(
+            false,
+            await proxyDelegate.supportsInterface(ERC721EnumerableInterfaceId),
+          );
+          await expectRevert(
+            proxyDelegate.tokenByIndex(0),
+            "EnumerationDisabled",
+          );
+          await expectRevert(
+            proxyDelegate.tokenOfOwnerByIndex(user, 0),
+            "EnumerationDisabled",
+          );
+        });
+
+        it("can be enabled by the proxy before minting", async () => {
+          await expectRevert(
+            proxyDelegate.__enableEnumeration({ from: attacker }),
+            "NotProxy",
+          );
+
+          await proxy.adminMint(user, 1);
+          await expectRevert(
+            proxy.onlyProxy_enableEnumeration(),
+            "EnumerationRequiresEmptySupply(uint256)",
+          );
+
+          await proxy.onlyProxy_burn(1, { from: user });
+          await proxy.onlyProxy_enableEnumeration();
+
+          assert.equal(true, await proxyDelegate.enumerable());
+          assert.equal(
+            true,
+            await proxyDelegate.supportsInterface(ERC721EnumerableInterfaceId),
+          );
+        });
+
+        describe("enabled at initialization", () => {
+          let enumerableProxy;
+          let enumerableDelegate;
+
+          beforeEach(async () => {
+            enumerableProxy = await ERC721EnumerableProxyMock.new(
+              implementation.address,
+              "Test",
+              "TEST",
+            );
+            enumerableDelegate = await ERC721Baseline.at(
+              enumerableProxy.address,
+            );
+          });
+
+          // Reads the token lists and compares them, in any order, with the expected ones.
+          async function assertTokens(expected) {
+            const totalSupply = Number(await enumerableDelegate.totalSupply());
+            const all = [];
+            for (let index = 0; index < totalSupply; index++) {
+              all.push(Number(await enumerableDelegate.tokenByIndex(index)));
+            }
+            assert.sameMembers(Object.values(expected).flat(), all);
+
+            for (const [owner, tokenIds] of Object.entries(expected)) {
+              const balance = Number(await enumerableDelegate.balanceOf(owner));
+              const owned = [];
+              for (let index = 0; index < balance; index++) {
+                owned.push(
+                  Number(
+                    await enumerableDelegate.tokenOfOwnerByIndex(owner, index),
+                  ),
+                );
+              }
+              assert.sameMembers(tokenIds, owned);
+            }
+          }
+
+          it("supports ERC721Enumerable", async () => {
+            assert.equal(true, await enumerableDelegate.enumerable());
+            assert.equal(
+              true,
+              await enumerableDelegate.supportsInterface(
+                ERC721EnumerableInterfaceId,
+              ),
+            );
+          });
+
+          it("enumerates minted, transferred and burned tokens", async () => {
+            await enumerableProxy.adminMintBatch(
+              [user, user, user, operator],
+              [1, 2, 3, 4],
+            );
+            await assertTokens({ [user]: [1, 2, 3], [operator]: [4] });
+
+            await enumerableDelegate.transferFrom(user, operator, 1, {
+              from: user,
+            });
+            await assertTokens({ [user]: [2, 3], [operator]: [4, 1] });
+
+            await enumerableDelegate.transferFrom(user, user, 3, {
+              from: user,
+            });
+            await assertTokens({ [user]: [2, 3], [operator]: [4, 1] });
+
+            await enumerableProxy.adminBurn(2);
+            await enumerableProxy.adminBurn(4);
+            await assertTokens({ [user]: [3], [operator]: [1] });
+
+            // __update keeps the lists up to date.
+            await enumerableProxy.adminUpdate(operator, 3);
+            await enumerableProxy.adminUpdate(user, 5);
+            await enumerableProxy.adminUpdate(ZERO_ADDRESS, 1);
+            await assertTokens({ [user]: [5], [operator]: [3] });
+          });
+
+          it("reverts for indexes out of bounds", async () => {
+            await enumerableProxy.adminMint(user, 1);
+
+            await expectRevert(
+              enumerableDelegate.tokenByIndex(1),
+              "ERC721OutOfBoundsIndex(address,uint256)",
+            );
+            await expectRevert(
+              enumerableDelegate.tokenOfOwnerByIndex(user, 1),
+              "ERC721OutOfBoundsIndex(address,uint256)",
+            );
+            await expectRevert(
+              enumerableDelegate.tokenOfOwnerByIndex(operator, 0),
+              "ERC721OutOfBoundsIndex(address,uint256)",
+            );
+          });
+        });
+      });
+
+      describe("Metadata", () => {
+        it("sets name and symbols", async () => {
+          assert.equal("Test", await proxyDelegate.name());
+          assert.equal("TEST", await proxyDelegate.symbol());
+        });
+
+        it("updates totalSupply correctly", async () => {
+          await proxy.onlyProxy_mint(user, 3);
+          assert.equal(1, await proxyDelegate.totalSupply());
+          await proxy.onlyProxy_burn(3, { from: user });
+          assert.equal(0, await proxyDelegate.totalSupply());
+        });
+
+        describe("token URI", () => {
+          const tokenId = 3;
+
+          beforeEach(async () => {
+            await proxy.onlyProxy_mint(user, tokenId);
+          });
+
+          it("throws if the token does not exist", async () => {
+            await expectRevert(
+              proxyDelegate.tokenURI(100),
+              "ERC721NonexistentToken(uint256)",
+            );
+          });
+
+          it("returns empty string when nothing is set", async () => {
+            assert.equal("", await proxyDelegate.tokenURI(tokenId));
+          });
+
+          it("returns token-specific URI when set", async () => {
+            const anotherTokenId = tokenId + 1;
+            const uri = "ipfs://test";
+
+            await proxy.onlyProxy_mint(user, anotherTokenId, uri);
+
+            assert.equal(uri, await proxyDelegate.tokenURI(anotherTokenId));
+            assert.equal(uri, await proxyDelegate.__tokenURI(anotherTokenId));
+
+            assert.equal("", await proxyDelegate.tokenURI(tokenId));
+          });
+
+          it("can update token-specific URI and emits MetadataUpdate", async () => {
+            const uri = "ipfs://updated";
+            const receipt = await proxy.onlyProxy_setTokenURI(tokenId, uri);
+
+            await expectEvent.inTransaction(
+              receipt.tx,
+              proxyDelegate,
+              "MetadataUpdate",
+              {
+                _tokenId: String(tokenId),
+              },
+            );
+
+            assert.equal(uri, await proxyDelegate.tokenURI(tokenId));
+            assert.equal(uri, await proxyDelegate.__tokenURI(tokenId));
+          });
+
+          it("can define shared URI", async () => {
+            const uri = "ipfs://shared";
+
+            const anotherTokenId = tokenId + 1;
+            await proxy.onlyProxy_mint(user, anotherTokenId);
+
+            await proxy.onlyProxy_setSharedURI(uri);
+
+            assert.equal(uri, await proxyDelegate.tokenURI(anotherTokenId));
+            assert.equal(
+              await proxyDelegate.tokenURI(tokenId),
+              await proxyDelegate.tokenURI(anotherTokenId),
+            );
+          });
+
+          it("can set base URI", async () => {
+            const uri = "ipfs://base/";
+            await proxy.onlyProxy_setBaseURI(uri);
+
+            assert.equal(uri + tokenId, await proxyDelegate.tokenURI(tokenId));
+          });
+        });
+
+        describe("on-chain rendering", () => {
+          const template =
+            '<svg xmlns="http://www.w3.org/2000/svg"><text>{id} {Color} {unknown}</text></svg>';
+
+          function decode(uri, prefix) {
+            assert.isTrue(uri.startsWith(prefix), uri);
+            return Buffer.from(uri.slice(prefix.length), "base64").toString();
+          }
+
+          async function render(tokenId) {
+            const uri = await proxyDelegate.tokenURI(tokenId);
+            const json = decode(uri, "data:application/json;base64,");
+
+            // The encoder output matches Buffer's, including the padding.
+            assert.equal(
+              uri,
+              "data:application/json;base64," +
+                Buffer.from(json).toString("base64"),
+            );
+
+            const metadata = JSON.parse(json);
+            return {
+              ...metadata,
+              image: decode(metadata.image, "data:image/svg+xml;base64,"),
+            };
+          }
+
+          beforeEach(async () => {
+            await proxy.onlyProxy_mintBatch([user, user, user], [1, 10, 100]);
+            await proxy.onlyProxy_setSVGTemplate(template);
+          });
+
+          it("renders the metadata with the shared attributes", async () => {
+            assert.equal(template, await proxyExtension.__svgTemplate());
+
+            await proxy.onlyProxy_setSharedAttributes(
+              ["Color", "Size"],
+              ["red", "L"],
+            );
+
+            for (const tokenId of [1, 10, 100]) {
+              assert.deepEqual(
+                {
+                  name: `Test #${tokenId}`,
+                  image: `<svg xmlns="http://www.w3.org/2000/svg"><text>${tokenId} red {unknown}</text></svg>`,
+                  attributes: [
+                    { trait_type: "Color", value: "red" },
+                    { trait_type: "Size", value: "L" },
+                  ],
+                },
+                await render(tokenId),
+              );
+            }
+          });
+
+          it("renders the token attributes instead of the shared ones", async () => {
+            await proxy.onlyProxy_setSharedAttributes(["Color"], ["red"]);
+
+            const receipt = await proxy.onlyProxy_setTokenAttributes(
+              10,
+              ["Color", 'Quote"'],
+              ["blue", "line\nbreak\\"],
+            );
+            await expectEvent.inTransaction(
+              receipt.tx,
+              proxyDelegate,
+              "MetadataUpdate",
+              { _tokenId: "10" },
+            );
+
+            const { image, attributes } = await render(10);
+            assert.include(image, "<text>10 blue {unknown}</text>");
+            assert.deepEqual(
+              [
+                { trait_type: "Color", value: "blue" },
+                { trait_type: 'Quote"', value: "line\nbreak\\" },
+              ],
+              attributes,
+            );
+            assert.deepEqual(
+              [{ trait_type: "Color", value: "red" }],
+              (await render(1)).attributes,
+            );
+
+            await proxy.onlyProxy_setTokenAttributes(10, [], []);
+            assert.include((await render(10)).image, "<text>10 red");
+
+            await expectRevert(
+              proxy.onlyProxy_setTokenAttributes(10, ["Color"], []),
+              "InvalidArrayLength(uint256,uint256)",
+            );
+          });
+
+          it("renders without attributes", async () => {
+            assert.deepEqual([], (await render(1)).attributes);
+            assert.include((await render(1)).image, "<text>1 {Color}");
+          });
+
+          it("resolves after the token URI and before the shared URI", async () => {
+            await proxy.onlyProxy_setSharedURI("ipfs://shared");
+            await proxy.onlyProxy_setTokenURI(1, "ipfs://1");
+
+            assert.equal("ipfs://1", await proxyDelegate.tokenURI(1));
+            assert.equal("Test #10", (await render(10)).name);
+
+            await proxy.onlyProxy_setSVGTemplate("");
+            assert.equal("ipfs://shared", await proxyDelegate.tokenURI(10));
+          });
+
+          it("deletes the token attributes on burn", async () => {
+            await proxy.onlyProxy_setTokenAttributes(1, ["Color"], ["blue"]);
+            await proxy.onlyProxy_burn(1, { from: user });
+            await proxy.onlyProxy_mint(user, 1);
+
+            assert.deepEqual([], (await render(1)).attributes);
+          });
+        });
+
+        describe("contract URI", () => {
+          const uri = "ipfs://contract";
+
+          it("is empty by default", async () => {
+            assert.equal("", await proxyExtension.contractURI());
+          });
+
+          it("can be set by the proxy and emits ContractURIUpdated", async () => {
+            const receipt = await proxy.onlyProxy_setContractURI(uri);
+
+            await expectEvent.inTransaction(
+              receipt.tx,
+              proxyExtension,
+              "ContractURIUpdated",
+            );
+            assert.equal(uri, await proxyExtension.contractURI());
+          });
+
+          it("can be set by admins and metadata managers", async () => {
+            await expectRevert(
+              proxyExtension.setContractURI(uri, { from: attacker }),
+              "Unauthorized",
+            );
+
+            const receipt = await proxyExtension.setContractURI(uri);
+            expectEvent(receipt, "ContractURIUpdated");
+            assert.equal(uri, await proxyExtension.contractURI());
+
+            // ROLE_METADATA_MANAGER
+            await proxyAccessControl.setRoles(operator, 1);
+            await proxyExtension.setContractURI("ipfs://updated", {
+              from: operator,
+            });
+            assert.equal("ipfs://updated", await proxyExtension.contractURI());
+          });
+        });
+      });
+
+      describe("Batch operations", () => {
+        it("mints a batch of tokens", async () => {
+          await proxy.onlyProxy_mintBatch([user, operator, user], [1, 2, 5]);
+
+          assert.equal(3, await proxyDelegate.totalSupply());
+          assert.equal(2, await proxyDelegate.balanceOf(user));
+          assert.equal(operator, await proxyDelegate.ownerOf(2));
+          assert.equal(user, await proxyDelegate.ownerOf(5));
+        });
+
+        it("mints a batch of tokens with URIs", async () => {
+          await proxy.methods[
+            "onlyProxy_mintBatch(address[],uint256[],string[])"
+          ]([user, operator], [1, 2], ["ipfs://1", "ipfs://2"]);
+
+          assert.equal(2, await proxyDelegate.totalSupply());
+          assert.equal("ipfs://1", await proxyDelegate.tokenURI(1));
+          assert.equal("ipfs://2", await proxyDelegate.tokenURI(2));
+        });
+
+        it("rejects arrays with different lengths", async () => {
+          await expectRevert(
+            proxy.onlyProxy_mintBatch([user, operator], [1]),
+            "InvalidArrayLength(uint256,uint256)",
+          );
+          await expectRevert(
+            proxy.methods["onlyProxy_mintBatch(address[],uint256[],string[])"](
+              [user],
+              [1],
+              [],
+            ),
+            "InvalidArrayLength(uint256,uint256)",
+          );
+          await expectRevert(
+            proxy.onlyProxy_setTokenURIs([1, 2], ["ipfs://1"]),
+            "InvalidArrayLength(uint256,uint256)",
+          );
+        });
+
+        it("reverts the whole batch when a token exists", async () => {
+          await proxy.onlyProxy_mint(user, 2);
+
+          await expectRevert(
+            proxy.onlyProxy_mintBatch([user, user], [1, 2]),
+            "ERC721InvalidSender(address)",
+          );
+          assert.equal(1, await proxyDelegate.totalSupply());
+        });
+
+        it("burns a batch of tokens", async () => {
+          await proxy.methods[
+            "onlyProxy_mintBatch(address[],uint256[],string[])"
+          ]([user, user, user], [1, 2, 3], ["ipfs://1", "", "ipfs://3"]);
+
+          await proxy.onlyProxy_burnBatch([1, 3]);
+
+          assert.equal(1, await proxyDelegate.totalSupply());
+          assert.equal(1, await proxyDelegate.balanceOf(user));
+          assert.equal("", await proxyDelegate.__tokenURI(1));
+          await expectRevert(
+            proxyDelegate.ownerOf(3),
+            "ERC721NonexistentToken(uint256)",
+          );
+          await expectRevert(
+            proxy.onlyProxy_burnBatch([3]),
+            "ERC721NonexistentToken(uint256)",
+          );
+        });
+
+        it("sets token URIs and emits BatchMetadataUpdate when contiguous", async () => {
+          await proxy.onlyProxy_mintBatch([user, user, user], [4, 5, 6]);
+
+          const receipt = await proxy.onlyProxy_setTokenURIs(
+            [4, 5, 6],
+            ["ipfs://4", "ipfs://5", "ipfs://6"],
+          );
+
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "BatchMetadataUpdate",
+            { _fromTokenId: "4", _toTokenId: "6" },
+          );
+          await expectEvent.notEmitted.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "MetadataUpdate",
+          );
+          assert.equal("ipfs://5", await proxyDelegate.tokenURI(5));
+        });
+
+        it("sets token URIs and emits MetadataUpdate for each token otherwise", async () => {
+          for (const tokenIds of [[6], [4, 6], [5, 4]]) {
+            const receipt = await proxy.onlyProxy_setTokenURIs(
+              tokenIds,
+              tokenIds.map((tokenId) => `ipfs://${tokenId}`),
+            );
+
+            await expectEvent.notEmitted.inTransaction(
+              receipt.tx,
+              proxyDelegate,
+              "BatchMetadataUpdate",
+            );
+            for (const tokenId of tokenIds) {
+              await expectEvent.inTransaction(
+                receipt.tx,
+                proxyDelegate,
+                "MetadataUpdate",
+                { _tokenId: String(tokenId) },
+              );
+            }
+          }
+        });
+      });
+
+      describe("Sequential mint", () => {
+        it("is disabled by default", async () => {
+          const { maxSupply } = await proxyDelegate.sequentialMint();
+          assert.equal(0, maxSupply);
+
+          await expectRevert(
+            proxy.onlyProxy_mintNext(user, 1),
+            "SequentialMintDisabled()",
+          );
+        });
+
+        it("can be enabled once with a max supply", async () => {
+          await expectRevert(
+            proxy.onlyProxy_enableSequentialMint(1, 0),
+            "InvalidMaxSupply(uint256)",
+          );
+
+          await proxy.onlyProxy_enableSequentialMint(1, 5);
+
+          const { startTokenId, nextTokenId, maxSupply } =
+            await proxyDelegate.sequentialMint();
+          assert.equal(1, startTokenId);
+          assert.equal(1, nextTokenId);
+          assert.equal(5, maxSupply);
+
+          await expectRevert(
+            proxy.onlyProxy_enableSequentialMint(10, 5),
+            "SequentialMintEnabled()",
+          );
+        });
+
+        it("mints the next token IDs up to the max supply", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 5);
+
+          const firstTokenId = await proxy.onlyProxy_mintNext.call(user, 3);
+          assert.equal(1, firstTokenId);
+
+          await proxy.onlyProxy_mintNext(user, 3);
+          await proxy.onlyProxy_mintNext(operator, 1);
+
+          assert.equal(4, await proxyDelegate.totalSupply());
+          assert.equal(3, await proxyDelegate.balanceOf(user));
+          assert.equal(operator, await proxyDelegate.ownerOf(4));
+          assert.equal(5, (await proxyDelegate.sequentialMint()).nextTokenId);
+
+          await expectRevert(
+            proxy.onlyProxy_mintNext(user, 2),
+            "MaxSupplyExceeded(uint256)",
+          );
+
+          // Burned tokens are not minted again.
+          await proxy.onlyProxy_burn(1, { from: user });
+          await proxy.onlyProxy_mintNext(user, 1);
+          await expectRevert(
+            proxy.onlyProxy_mintNext(user, 1),
+            "MaxSupplyExceeded(uint256)",
+          );
+          assert.equal(4, await proxyDelegate.totalSupply());
+        });
+
+        it("rejects arbitrary token IDs", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 5);
+
+          await expectRevert(
+            proxy.onlyProxy_mint(user, 1),
+            "SequentialMintEnabled()",
+          );
+          await expectRevert(
+            proxy.methods["onlyProxy_mint(address,uint256,string)"](
+              user,
+              1,
+              "ipfs://1",
+            ),
+            "SequentialMintEnabled()",
+          );
+          await expectRevert(
+            proxy.onlyProxy_mintBatch([user], [1]),
+            "SequentialMintEnabled()",
+          );
+        });
+
+        it("emits BatchMetadataUpdate for the minted tokens when setting shared and base URIs", async () => {
+          let receipt = await proxy.onlyProxy_setBaseURI("ipfs://base/");
+          await expectEvent.notEmitted.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "BatchMetadataUpdate",
+          );
+
+          await proxy.onlyProxy_enableSequentialMint(10, 100);
+
+          receipt = await proxy.onlyProxy_setSharedURI("ipfs://shared");
+          await expectEvent.notEmitted.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "BatchMetadataUpdate",
+          );
+
+          await proxy.onlyProxy_mintNext(user, 5);
+
+          for (const method of [
+            "onlyProxy_setSharedURI",
+            "onlyProxy_setBaseURI",
+          ]) {
+            receipt = await proxy[method]("ipfs://updated");
+            await expectEvent.inTransaction(
+              receipt.tx,
+              proxyDelegate,
+              "BatchMetadataUpdate",
+              { _fromTokenId: "10", _toTokenId: "14" },
+            );
+          }
+        });
+      });
+
+      describe("Consecutive mint", () => {
+        const Hook = { BeforeTokenTransfer: 0, AfterTokenTransfer: 1 };
+
+        const encodeCall = (method, ...args) =>
+          implementation.contract.methods[method](...args).encodeABI();
+
+        // Consecutive mints are only allowed in the proxy constructor.
+        const deployProxy = async (calls) => {
+          proxy = await ERC721ConsecutiveProxyMock.new(
+            implementation.address,
+            "Test",
+            "TEST",
+            calls,
+          );
+          proxyDelegate = await ERC721Baseline.at(proxy.address);
+          return proxy;
+        };
+
+        it("mints ranges lazily with a single ConsecutiveTransfer event", async () => {
+          await deployProxy([
+            encodeCall("__enableSequentialMint", 1, 100),
+            encodeCall("__mintConsecutive", user, 10),
+            // Sequential and consecutive mints share the token IDs.
+            encodeCall("__mintNext", operator, 2),
+            encodeCall("__mintConsecutive", attacker, 5),
+          ]);
+
+          const receipt = { tx: proxy.transactionHash };
+          for (const [fromTokenId, toTokenId, toAddress] of [
+            [1, 10, user],
+            [13, 17, attacker],
+          ]) {
+            await expectEvent.inTransaction(
+              receipt.tx,
+              proxyDelegate,
+              "ConsecutiveTransfer",
+              {
+                fromTokenId: String(fromTokenId),
+                toTokenId: String(toTokenId),
+                fromAddress: ZERO_ADDRESS,
+                toAddress,
+              },
+            );
+          }
+          // Only the sequential mint emits Transfer events.
+          const { logs } = await web3.eth.getTransactionReceipt(receipt.tx);
+          const transferTopic = web3.utils.keccak256(
+            "Transfer(address,address,uint256)",
+          );
+          assert.equal(
+            2,
+            logs.filter(({ topics }) => topics[0] === transferTopic).length,
+          );
+
+          assert.equal(17, await proxyDelegate.totalSupply());
+          assert.equal(10, await proxyDelegate.balanceOf(user));
+          assert.equal(5, await proxyDelegate.balanceOf(attacker));
+          assert.equal(18, (await proxyDelegate.sequentialMint()).nextTokenId);
+
+          for (const [tokenId, owner] of [
+            [1, user],
+            [10, user],
+            [11, operator],
+            [12, operator],
+            [13, attacker],
+            [17, attacker],
+          ]) {
+            assert.equal(owner, await proxyDelegate.ownerOf(tokenId));
+            assert.equal(owner, await proxyDelegate.__ownerOf(tokenId));
+          }
+
+          assert.equal(ZERO_ADDRESS, await proxyDelegate.__ownerOf(18));
+          await expectRevert(
+            proxyDelegate.ownerOf(18),
+            "ERC721NonexistentToken(uint256)",
+          );
+        });
+
+        it("reverts after the proxy is constructed", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 100);
+
+          await expectRevert(
+            proxy.onlyProxy_mintConsecutive(user, 1),
+            "InvalidConsecutiveMint()",
+          );
+        });
+
+        it("records the owner on the first transfer", async () => {
+          await deployProxy([
+            encodeCall("__enableSequentialMint", 1, 100),
+            encodeCall("__mintConsecutive", user, 10),
+          ]);
+
+          const receipt = await proxyDelegate.transferFrom(user, operator, 5, {
+            from: user,
+          });
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "Transfer",
+            { from: user, to: operator, tokenId: "5" },
+          );
+
+          assert.equal(operator, await proxyDelegate.ownerOf(5));
+          assert.equal(user, await proxyDelegate.ownerOf(4));
+          assert.equal(user, await proxyDelegate.ownerOf(6));
+          assert.equal(9, await proxyDelegate.balanceOf(user));
+          assert.equal(1, await proxyDelegate.balanceOf(operator));
+
+          await proxyDelegate.transferFrom(operator, user, 5, {
+            from: operator,
+          });
+          assert.equal(user, await proxyDelegate.ownerOf(5));
+          assert.equal(10, await proxyDelegate.balanceOf(user));
+        });
+
+        it("burns lazily owned and transferred tokens", async () => {
+          await deployProxy([
+            encodeCall("__enableSequentialMint", 1, 100),
+            encodeCall("__mintConsecutive", user, 5),
+            encodeCall("__mintNext", operator, 1),
+            encodeCall("__mintConsecutive", user, 5),
+          ]);
+
+          await proxyDelegate.transferFrom(user, operator, 2, { from: user });
+
+          await proxy.onlyProxy_burn(1, { from: user });
+          await proxy.onlyProxy_burn(2, { from: operator });
+          // Token 6 is between two ranges, it must not resolve to the next range recipient once burned.
+          await proxy.onlyProxy_burn(6, { from: operator });
+
+          for (const tokenId of [1, 2, 6]) {
+            assert.equal(ZERO_ADDRESS, await proxyDelegate.__ownerOf(tokenId));
+            await expectRevert(
+              proxyDelegate.ownerOf(tokenId),
+              "ERC721NonexistentToken(uint256)",
+            );
+          }
+
+          assert.equal(user, await proxyDelegate.ownerOf(3));
+          assert.equal(user, await proxyDelegate.ownerOf(7));
+          assert.equal(8, await proxyDelegate.balanceOf(user));
+          assert.equal(0, await proxyDelegate.balanceOf(operator));
+          assert.equal(8, await proxyDelegate.totalSupply());
+        });
+
+        it("burns lazily owned tokens with __update", async () => {
+          await deployProxy([
+            encodeCall("__enableSequentialMint", 1, 100),
+            encodeCall("__mintConsecutive", user, 5),
+          ]);
+
+          await proxy.onlyProxy_update(ZERO_ADDRESS, 3, ZERO_ADDRESS);
+
+          assert.equal(ZERO_ADDRESS, await proxyDelegate.__ownerOf(3));
+          await expectRevert(
+            proxyDelegate.ownerOf(3),
+            "ERC721NonexistentToken(uint256)",
+          );
+          assert.equal(user, await proxyDelegate.ownerOf(2));
+          assert.equal(user, await proxyDelegate.ownerOf(4));
+          assert.equal(4, await proxyDelegate.balanceOf(user));
+        });
+
+        it("does not call the transfer hooks, later transfers do", async () => {
+          await deployProxy([
+            encodeCall("__enableSequentialMint", 1, 100),
+            encodeCall("__setHookEnabled", Hook.AfterTokenTransfer, true),
+            encodeCall("__mintConsecutive", user, 3),
+          ]);
+
+          await expectEvent.notEmitted.inTransaction(
+            proxy.transactionHash,
+            proxy,
+            "AfterTokenTransferCalled",
+          );
+
+          await proxy.toggleBeforeTokenTransferHook();
+
+          // The hooks get the range recipient as the previous owner.
+          const receipt = await proxyDelegate.transferFrom(user, operator, 2, {
+            from: user,
+          });
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "BeforeTokenTransferCalled",
+          );
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxy,
+            "AfterTokenTransferCalled",
+            { sender: user, from: user, to: operator, tokenId: "2" },
+          );
+        });
+
+        it("rejects invalid consecutive mints", async () => {
+          for (const [calls, error] of [
+            [
+              [
+                encodeCall("__enableSequentialMint", 1, 100),
+                encodeCall("__mintConsecutive", ZERO_ADDRESS, 1),
+              ],
+              "ERC721InvalidReceiver(address)",
+            ],
+            [
+              [
+                encodeCall("__enableSequentialMint", 1, 100),
+                encodeCall("__mintConsecutive", user, 0),
+              ],
+              "InvalidConsecutiveMint()",
+            ],
+            [
+              [
+                encodeCall("__enableSequentialMint", 1, 100),
+                encodeCall("__mintConsecutive", user, 101),
+              ],
+              "MaxSupplyExceeded(uint256)",
+            ],
+            [
+              [encodeCall("__mintConsecutive", user, 1)],
+              "SequentialMintDisabled()",
+            ],
+            // The ranges pack the last token ID in 96 bits.
+            [
+              [
+                encodeCall(
+                  "__enableSequentialMint",
+                  String(2n ** 96n - 1n),
+                  10,
+                ),
+                encodeCall("__mintConsecutive", user, 2),
+              ],
+              "InvalidConsecutiveMint()",
+            ],
+            // Enumeration would need to index every token.
+            [
+              [
+                encodeCall("__enableEnumeration"),
+                encodeCall("__enableSequentialMint", 1, 100),
+                encodeCall("__mintConsecutive", user, 1),
+              ],
+              "InvalidConsecutiveMint()",
+            ],
+          ]) {
+            await expectRevert(deployProxy(calls), error);
+          }
+
+          await deployProxy([
+            encodeCall("__enableSequentialMint", String(2n ** 96n - 1n), 10),
+            encodeCall("__mintConsecutive", user, 1),
+          ]);
+          assert.equal(
+            user,
+            await proxyDelegate.ownerOf(String(2n ** 96n - 1n)),
+          );
+        });
+      });
+
+      describe("Allowlist", () => {
+        let allowlist;
+        let proxyAllowlist;
+
+        beforeEach(async () => {
+          await enableModule(allowlistModule);
+          proxyAllowlist = await ERC721BaselineAllowlist.at(proxy.address);
+          allowlist = buildAllowlist([
+            { address: user, quantity: "2" },
+            { address: operator, quantity: "1" },
+            { address: accounts[0], quantity: "5" },
+          ]);
+        });
+
+        const claim = (account, quantity, { from = account, proof } = {}) =>
+          proxy.allowlistMint(
+            quantity,
+            allowlist.proofs[account].quantity,
+            proof || allowlist.proofs[account].proof,
+            { from },
+          );
+
+        it("onlyProxy methods are not callable", async () => {
+          await expectRevert(
+            proxyAllowlist.__setAllowlistRoot(allowlist.root, {
+              from: deployer,
+            }),
+            "NotProxy",
+          );
+          await expectRevert(
+            proxyAllowlist.__claimAllowlist(user, 1, 2, [], { from: user }),
+            "NotProxy",
+          );
+        });
+
+        it("admins and minters can set the root", async () => {
+          assert.equal(ZERO_BYTES32, await proxyAllowlist.allowlistRoot());
+
+          await expectRevert(
+            proxyAllowlist.setAllowlistRoot(allowlist.root, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+
+          const receipt = await proxyAllowlist.setAllowlistRoot(
+            allowlist.root,
+            { from: deployer },
+          );
+          expectEvent(receipt, "AllowlistRootUpdated", {
+            root: allowlist.root,
+          });
+          assert.equal(allowlist.root, await proxyAllowlist.allowlistRoot());
+
+          await proxyAccessControl.setRoles(operator, 4 /* ROLE_MINTER */);
+          await proxyAllowlist.setAllowlistRoot(ZERO_BYTES32, {
+            from: operator,
+          });
+
+          await proxy.onlyProxy_setAllowlistRoot(allowlist.root);
+          assert.equal(allowlist.root, await proxyAllowlist.allowlistRoot());
+        });
+
+        it("mints up to the quota of each leaf", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 10);
+          await proxy.onlyProxy_setAllowlistRoot(allowlist.root);
+
+          await claim(user, 1);
+          await claim(user, 1);
+          await expectRevert(
+            claim(user, 1),
+            "AllowlistQuotaExceeded(uint256,uint256)",
+          );
+          assert.equal(2, await proxyAllowlist.allowlistClaimed(user, 2));
+
+          await expectRevert(
+            claim(accounts[0], 6),
+            "AllowlistQuotaExceeded(uint256,uint256)",
+          );
+          await claim(accounts[0], 5);
+
+          assert.equal(2, await proxyDelegate.balanceOf(user));
+          assert.equal(5, await proxyDelegate.balanceOf(accounts[0]));
+          assert.equal(7, await proxyDelegate.totalSupply());
+        });
+
+        it("rejects invalid proofs", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 10);
+
+          // The allowlist is disabled until the root is set.
+          await expectRevert(claim(user, 1), "InvalidAllowlistProof");
+
+          await proxy.onlyProxy_setAllowlistRoot(allowlist.root);
+
+          // Someone else's proof.
+          await expectRevert(
+            claim(operator, 1, { from: attacker }),
+            "InvalidAllowlistProof",
+          );
+          // A higher quota.
+          await expectRevert(
+            proxy.allowlistMint(1, 10, allowlist.proofs[user].proof, {
+              from: user,
+            }),
+            "InvalidAllowlistProof",
+          );
+          // A proof for another root.
+          await expectRevert(
+            claim(user, 1, {
+              proof: allowlist.proofs[operator].proof,
+            }),
+            "InvalidAllowlistProof",
+          );
+
+          // A new root invalidates the previous proofs.
+          const { root } = buildAllowlist([{ address: attacker, quantity: 1 }]);
+          await proxy.onlyProxy_setAllowlistRoot(root);
+          await expectRevert(claim(user, 1), "InvalidAllowlistProof");
+        });
+      });
+
+      describe("Provenance", () => {
+        const provenanceHash = web3.utils.keccak256("provenance");
+
+        let proxyProvenance;
+
+        beforeEach(async () => {
+          await enableModule(provenanceModule);
+          proxyProvenance = await ERC721BaselineProvenance.at(proxy.address);
+        });
+
+        it("onlyProxy methods are not callable", async () => {
+          await expectRevert(
+            proxyProvenance.__setProvenanceHash(provenanceHash),
+            "NotProxy",
+          );
+          await expectRevert(proxyProvenance.__reveal(), "NotProxy");
+        });
+
+        it("commits the provenance hash before the mint", async () => {
+          await expectRevert(
+            proxy.onlyProxy_setProvenanceHash(provenanceHash),
+            "SequentialMintDisabled",
+          );
+
+          await proxy.onlyProxy_enableSequentialMint(1, 10);
+
+          await expectRevert(
+            proxyProvenance.setProvenanceHash(provenanceHash, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+
+          const receipt = await proxyProvenance.setProvenanceHash(
+            provenanceHash,
+            { from: deployer },
+          );
+          expectEvent(receipt, "ProvenanceHashUpdated", { provenanceHash });
+
+          const { startingIndex, revealed, ...provenance } =
+            await proxyProvenance.provenance();
+          assert.equal(provenanceHash, provenance.provenanceHash);
+          assert.equal(0, startingIndex);
+          assert.equal(false, revealed);
+
+          await proxy.onlyProxy_mintNext(user, 1);
+          await expectRevert(
+            proxy.onlyProxy_setProvenanceHash(ZERO_BYTES32),
+            "ProvenanceFrozen",
+          );
+        });
+
+        it("can't be committed after a mint", async () => {
+          // Tokens minted before sequential mode count too.
+          await proxy.adminMint(user, 100);
+          await proxy.onlyProxy_enableSequentialMint(1, 10);
+
+          await expectRevert(
+            proxy.onlyProxy_setProvenanceHash(provenanceHash),
+            "ProvenanceFrozen",
+          );
+        });
+
+        it("reveals with a starting index applied to the base URI", async () => {
+          await proxy.onlyProxy_enableSequentialMint(1, 10);
+          await proxy.onlyProxy_setProvenanceHash(provenanceHash);
+          await proxy.onlyProxy_setSharedURI("ipfs://placeholder");
+          await proxy.onlyProxy_setBaseURI("ipfs://base/");
+          await proxy.onlyProxy_mintNext(user, 6);
+
+          assert.equal("ipfs://placeholder", await proxyDelegate.tokenURI(1));
+
+          await expectRevert(
+            proxyProvenance.reveal({ from: attacker }),
+            "Unauthorized",
+          );
+
+          await proxyAccessControl.setRoles(
+            operator,
+            1 /* ROLE_METADATA_MANAGER */,
+          );
+          const receipt = await proxyProvenance.reveal({
+            from: operator,
+            gas: REVEAL_GAS,
+          });
+
+          const { startingIndex, revealed } =
+            await proxyProvenance.provenance();
+          assert.equal(true, revealed);
+          assert.isBelow(Number(startingIndex), 10);
+
+          expectEvent(receipt, "Revealed", { startingIndex });
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "BatchMetadataUpdate",
+            { _fromTokenId: "1", _toTokenId: "6" },
+          );
+          assert.equal("", await proxyDelegate.__sharedURI());
+
+          for (let tokenId = 1; tokenId <= 6; tokenId++) {
+            assert.equal(
+              `ipfs://base/${1 + ((tokenId - 1 + Number(startingIndex)) % 10)}`,
+              await proxyDelegate.tokenURI(tokenId),
+            );
+          }
+
+          // Tokens outside of the sequential range keep their ID.
+          for (const tokenId of [0, 11, 100]) {
+            await proxy.onlyProxy_update(user, tokenId, ZERO_ADDRESS);
+            assert.equal(
+              `ipfs://base/${tokenId}`,
+              await proxyDelegate.tokenURI(tokenId),
+            );
+          }
+
+          await expectRevert(proxy.onlyProxy_reveal(), "AlreadyRevealed");
+          await expectRevert(
+            proxy.onlyProxy_setProvenanceHash(provenanceHash),
+            "ProvenanceFrozen",
+          );
+        });
+
+        it("requires a provenance hash to reveal", async () => {
+          await expectRevert(
+            proxy.onlyProxy_reveal(),
+            "ProvenanceNotCommitted",
+          );
+        });
+      });
+
+      describe("Revenue", () => {
+        const price = BigInt(web3.utils.toWei("0.01"));
+        const [payee1, payee2] = accounts;
+
+        const balanceOf = async (address) =>
+          BigInt(await web3.eth.getBalance(address));
+
+        let proxyRevenue;
+
+        beforeEach(async () => {
+          await enableModule(revenueModule);
+          proxyRevenue = await ERC721BaselineRevenue.at(proxy.address);
+          await proxy.onlyProxy_enableSequentialMint(1, 100);
+        });
+
+        it("onlyProxy methods are not callable", async () => {
+          await expectRevert(
+            proxyRevenue.__setPayees([payee1], [1]),
+            "NotProxy",
+          );
+        });
+
+        it("sets the payees", async () => {
+          await expectRevert(
+            proxyRevenue.setPayees([payee1], [1], { from: attacker }),
+            "Unauthorized",
+          );
+
+          for (const [addresses, shares] of [
+            [[payee1], [1, 2]],
+            [[ZERO_ADDRESS], [1]],
+            [[payee1], [0]],
+            [
+              [payee1, payee1],
+              [1, 2],
+            ],
+          ]) {
+            await expectRevert(
+              proxy.onlyProxy_setPayees(addresses, shares),
+              "InvalidPayees",
+            );
+          }
+
+          const receipt = await proxyRevenue.setPayees(
+            [payee1, payee2],
+            [3, 1],
+            { from: deployer },
+          );
+          expectEvent(receipt, "PayeesUpdated", {
+            accounts: [payee1, payee2],
+          });
+
+          const payees = await proxyRevenue.payees();
+          assert.deepEqual([payee1, payee2], payees.accounts);
+          assert.deepEqual(["3", "1"], payees.shares.map(String));
+        });
+
+        it("releases ETH to the payees", async () => {
+          await proxy.onlyProxy_setPayees([payee1, payee2], [3, 1]);
+          await proxy.paidMint(4, { from: user, value: String(price * 4n) });
+
+          assert.equal(price * 3n, await proxyRevenue.releasable(payee1));
+          assert.equal(price, await proxyRevenue.releasable(payee2));
+          assert.equal(0, await proxyRevenue.releasable(user));
+
+          // Anybody can release.
+          const balance = await balanceOf(payee1);
+          const receipt = await proxyRevenue.release(payee1, {
+            from: attacker,
+          });
+          expectEvent(receipt, "PaymentReleased", {
+            payee: payee1,
+            amount: String(price * 3n),
+          });
+          assert.equal(balance + price * 3n, await balanceOf(payee1));
+          assert.equal(price * 3n, await proxyRevenue.released(payee1));
+          assert.equal(0, await proxyRevenue.releasable(payee1));
+
+          await expectRevert(
+            proxyRevenue.release(payee1),
+            "NoPaymentDue(address)",
+          );
+          await expectRevert(
+            proxyRevenue.release(user),
+            "NoPaymentDue(address)",
+          );
+
+          // The payees are owed their shares of the total received.
+          await proxy.paidMint(4, { from: user, value: String(price * 4n) });
+          assert.equal(price * 3n, await proxyRevenue.releasable(payee1));
+          assert.equal(price * 2n, await proxyRevenue.releasable(payee2));
+
+          await proxyRevenue.release(payee2);
+          await proxyRevenue.release(payee1);
+          assert.equal(0, await balanceOf(proxy.address));
+        });
+
+        it("releases ERC-20 tokens to the payees", async () => {
+          const token = await ERC20Mock.new();
+          await proxy.onlyProxy_setPayees([payee1, payee2], [3, 1]);
+          await token.mint(proxy.address, 1000);
+
+          assert.equal(
+            750,
+            await proxyRevenue.releasableERC20(token.address, payee1),
+          );
+          assert.equal(0, await proxyRevenue.releasable(payee1));
+
+          const receipt = await proxyRevenue.releaseERC20(
+            token.address,
+            payee2,
+            { from: attacker },
+          );
+          expectEvent(receipt, "ERC20PaymentReleased", {
+            token: token.address,
+            payee: payee2,
+            amount: "250",
+          });
+          assert.equal(250, await token.balanceOf(payee2));
+          assert.equal(
+            250,
+            await proxyRevenue.releasedERC20(token.address, payee2),
+          );
+
+          await expectRevert(
+            proxyRevenue.releaseERC20(token.address, payee2),
+            "NoPaymentDue(address)",
+          );
+        });
+
+        it("releases the ETH owed to the current payees before updating them", async () => {
+          await proxy.onlyProxy_setPayees([payee1, payee2], [1, 1]);
+          await proxy.paidMint(4, { from: user, value: String(price * 4n) });
+          await proxyRevenue.release(payee1);
+
+          const balance = await balanceOf(payee2);
+          const receipt = await proxy.onlyProxy_setPayees(
+            [payee2, user],
+            [1, 1],
+          );
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyRevenue,
+            "PaymentReleased",
+            { payee: payee2, amount: String(price * 2n) },
+          );
+          assert.equal(balance + price * 2n, await balanceOf(payee2));
+          assert.equal(0, await balanceOf(proxy.address));
+
+          assert.equal(0, await proxyRevenue.released(payee1));
+          assert.equal(0, await proxyRevenue.releasable(payee1));
+          assert.equal(0, await proxyRevenue.releasable(payee2));
+          assert.equal(0, await proxyRevenue.releasable(user));
+
+          // The new payees split what is received next.
+          await proxy.paidMint(2, { from: user, value: String(price * 2n) });
+          assert.equal(price, await proxyRevenue.releasable(payee2));
+          assert.equal(price, await proxyRevenue.releasable(user));
+
+          // Removing the payees releases the ETH too.
+          await proxy.onlyProxy_setPayees([], []);
+          assert.equal(0, await balanceOf(proxy.address));
+          assert.equal(0, await proxyRevenue.releasable(payee2));
+        });
+      });
+
+      describe("Multicall", () => {
+        const encode = (method, ...args) =>
+          proxyDelegate.contract.methods[method](...args).encodeABI();
+
+        beforeEach(async () => {});
+
+        it("batches calls as the sender", async () => {
+          const receipt = await proxyExtension.multicall(
+            [
+              encode("setAdmin", operator, true),
+              encode("configureRoyalties", user, 500),
+              proxyAccessControl.contract.methods.setRoles(user, 1).encodeABI(),
+            ],
+            { from: deployer },
+          );
+
+          await expectEvent.inTransaction(
+            receipt.tx,
+            proxyDelegate,
+            "AdminSet",
+            { addr: operator, add: true },
+          );
+          assert.equal(true, await proxyDelegate.isAdmin(operator));
+          assert.equal(user, await proxyDelegate.royaltiesReceiver());
+          assert.equal(1, await proxyAccessControl.rolesOf(user));
+
+          const [owner, isAdmin] = await proxyExtension.multicall.call([
+            encode("owner"),
+            encode("isAdmin", operator),
+          ]);
+          assert.equal(
+            deployer,
+            web3.eth.abi.decodeParameter("address", owner),
+          );
+          assert.equal(true, web3.eth.abi.decodeParameter("bool", isAdmin));
+        });
+
+        it("checks the sender of each call", async () => {
+          await expectRevert(
+            proxyExtension.multicall([encode("setAdmin", attacker, true)], {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+
+          // The calls are atomic.
+          await expectRevert(
+            proxyExtension.multicall(
+              [
+                encode("setAdmin", operator, true),
+                proxyAccessControl.contract.methods
+                  .acceptOwnership()
+                  .encodeABI(),
+              ],
+              { from: deployer },
+            ),
+            "Unauthorized",
+          );
+          assert.equal(false, await proxyDelegate.isAdmin(operator));
+        });
+
+        it("can't call onlyProxy methods", async () => {
+          for (const data of [
+            encode("__setBaseURI", "ipfs://base/"),
+            proxyExtension.contract.methods
+              .__setContractURI("ipfs://contract")
+              .encodeABI(),
+          ]) {
+            await expectRevert(
+              proxyExtension.multicall([data], { from: deployer }),
+              "NotProxy",
+            );
+          }
+
+          // Unless the proxy calls multicall.
+          await proxy.onlyProxy_multicall([
+            encode("__setSharedURI", "ipfs://shared"),
+          ]);
+          assert.equal("ipfs://shared", await proxyDelegate.__sharedURI());
+        });
+
+        it("calls the proxy methods", async () => {
+          await proxyExtension.multicall([
+            proxy.contract.methods
+              .onlyProxy_enableSequentialMint(1, 10)
+              .encodeABI(),
+            proxy.contract.methods.onlyProxy_mintNext(user, 2).encodeABI(),
+          ]);
+
+          assert.equal(2, await proxyDelegate.balanceOf(user));
+        });
+      });
+
+      describe("Royalties", () => {
+        it("works only for admins", async () => {
+          await expectRevert(
+            proxyDelegate.configureRoyalties(ZERO_ADDRESS, 1000, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+        });
+
+        it("returns zero address and 0 amount when unset", async () => {
+          const { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+            10,
+            100000,
+          );
+          assert.equal(receiver, ZERO_ADDRESS);
+          assert.equal(amount, 0);
+        });
+
+        it("returns zero address and 0 amount when only one is set", async () => {
+          await proxyDelegate.configureRoyalties(ZERO_ADDRESS, 1000);
+
+          let { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+            10,
+            100000,
+          );
+          assert.equal(receiver, ZERO_ADDRESS);
+          assert.equal(amount, 0);
+
+          await proxyDelegate.configureRoyalties(deployer, 0);
+
+          ({ 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+            10,
+            100000,
+          ));
+          assert.equal(receiver, ZERO_ADDRESS);
           assert.equal(amount, 0);
         });
 
@@ -570,6 +2749,387 @@ contract(
           assert.equal(receiver, deployer);
           assert.equal(amount, web3.utils.toWei(String(12.25 * 0.15)));
         });
+
+        it("rejects rates greater than 10000 bps", async () => {
+          await expectRevert(
+            proxyDelegate.configureRoyalties(deployer, 10001),
+            "InvalidRoyaltiesBps(uint256)",
+          );
+          await expectRevert(
+            proxy.onlyProxy_configureRoyalties(deployer, 10001),
+            "InvalidRoyaltiesBps(uint256)",
+          );
+          await expectRevert(
+            proxyExtension.configureTokenRoyalties(1, deployer, 10001),
+            "InvalidRoyaltiesBps(uint256)",
+          );
+          await expectRevert(
+            proxyExtension.configureRoyaltiesRange(1, 10, deployer, 10001),
+            "InvalidRoyaltiesBps(uint256)",
+          );
+
+          await proxyDelegate.configureRoyalties(deployer, 10000);
+          const { 1: amount } = await proxyDelegate.royaltyInfo(1, 100);
+          assert.equal(100, amount);
+        });
+
+        it("emits RoyaltiesUpdated", async () => {
+          expectEvent(
+            await proxyDelegate.configureRoyalties(deployer, 500),
+            "RoyaltiesUpdated",
+            { receiver: deployer, bps: "500" },
+          );
+        });
+
+        describe("overrides", () => {
+          beforeEach(async () => {
+            await proxyDelegate.configureRoyalties(deployer, 500);
+          });
+
+          it("works only for admins", async () => {
+            await expectRevert(
+              proxyExtension.configureTokenRoyalties(1, attacker, 1000, {
+                from: attacker,
+              }),
+              "Unauthorized",
+            );
+            await expectRevert(
+              proxyExtension.configureRoyaltiesRange(1, 10, attacker, 1000, {
+                from: attacker,
+              }),
+              "Unauthorized",
+            );
+          });
+
+          it("uses the token configuration", async () => {
+            const receipt = await proxyExtension.configureTokenRoyalties(
+              2,
+              user,
+              1000,
+            );
+            expectEvent(receipt, "TokenRoyaltiesUpdated", {
+              fromTokenId: "2",
+              toTokenId: "2",
+              receiver: user,
+              bps: "1000",
+            });
+
+            let { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+              2,
+              10000,
+            );
+            assert.equal(user, receiver);
+            assert.equal(1000, amount);
+
+            ({ 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+              3,
+              10000,
+            ));
+            assert.equal(deployer, receiver);
+            assert.equal(500, amount);
+
+            // The proxy can configure tokens too.
+            await proxy.onlyProxy_configureTokenRoyalties(3, operator, 0);
+            ({ 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+              3,
+              10000,
+            ));
+            assert.equal(ZERO_ADDRESS, receiver);
+            assert.equal(0, amount);
+
+            // The zero address removes the token configuration.
+            await proxyExtension.configureTokenRoyalties(2, ZERO_ADDRESS, 0);
+            const { receiver: fallback, bps } =
+              await proxyDelegate.royaltiesOf(2);
+            assert.equal(deployer, fallback);
+            assert.equal(500, bps);
+          });
+
+          it("uses the most recent range that includes the token", async () => {
+            expectEvent(
+              await proxyExtension.configureRoyaltiesRange(1, 10, user, 1000),
+              "TokenRoyaltiesUpdated",
+              {
+                fromTokenId: "1",
+                toTokenId: "10",
+                receiver: user,
+                bps: "1000",
+              },
+            );
+            await proxy.onlyProxy_configureRoyaltiesRange(5, 6, operator, 2000);
+
+            const royaltiesOf = async (tokenId) => {
+              const { receiver, bps } =
+                await proxyDelegate.royaltiesOf(tokenId);
+              return [receiver, Number(bps)];
+            };
+
+            assert.deepEqual([deployer, 500], await royaltiesOf(0));
+            assert.deepEqual([user, 1000], await royaltiesOf(1));
+            assert.deepEqual([operator, 2000], await royaltiesOf(5));
+            assert.deepEqual([operator, 2000], await royaltiesOf(6));
+            assert.deepEqual([user, 1000], await royaltiesOf(10));
+            assert.deepEqual([deployer, 500], await royaltiesOf(11));
+
+            // Token configurations take precedence over ranges.
+            await proxyExtension.configureTokenRoyalties(6, attacker, 100);
+            assert.deepEqual([attacker, 100], await royaltiesOf(6));
+
+            // A range with the zero address falls back to the contract-wide configuration.
+            await proxyExtension.configureRoyaltiesRange(1, 5, ZERO_ADDRESS, 0);
+            assert.deepEqual([deployer, 500], await royaltiesOf(5));
+            assert.deepEqual([attacker, 100], await royaltiesOf(6));
+            assert.deepEqual([user, 1000], await royaltiesOf(7));
+
+            const { 0: receiver, 1: amount } = await proxyDelegate.royaltyInfo(
+              7,
+              web3.utils.toWei("1"),
+            );
+            assert.equal(user, receiver);
+            assert.equal(web3.utils.toWei("0.1"), amount);
+          });
+
+          it("rejects invalid ranges", async () => {
+            await expectRevert(
+              proxyExtension.configureRoyaltiesRange(10, 1, user, 1000),
+              "InvalidTokenRange(uint256,uint256)",
+            );
+          });
+        });
+      });
+
+      describe("Modules", () => {
+        // Selectors of the module ABI, except `selectors()` itself.
+        const abiSelectors = (module) =>
+          module.abi
+            .filter(
+              ({ type, name }) => type === "function" && name !== "selectors",
+            )
+            .map((item) => web3.eth.abi.encodeFunctionSignature(item))
+            .sort();
+
+        let otherProxy;
+
+        beforeEach(async () => {
+          otherProxy = await ERC721ProxyMock.new(
+            implementation.address,
+            "Test",
+            "TEST",
+          );
+        });
+
+        it("modules list the selectors of all their methods", async () => {
+          for (const module of [
+            extension,
+            accessControl,
+            allowlistModule,
+            provenanceModule,
+            revenueModule,
+          ]) {
+            assert.deepEqual(
+              abiSelectors(module),
+              [...(await module.selectors())].sort(),
+            );
+          }
+        });
+
+        it("delegates the module methods once enabled", async () => {
+          const otherDelegate = await ERC721Baseline.at(otherProxy.address);
+          const otherExtension = await ERC721BaselineExtension.at(
+            otherProxy.address,
+          );
+          const selector =
+            web3.eth.abi.encodeFunctionSignature("contractURI()");
+
+          assert.equal(ZERO_ADDRESS, await otherDelegate.moduleOf(selector));
+          await expectRevert(
+            otherExtension.contractURI(),
+            "ModuleNotFound(bytes4)",
+          );
+
+          const selectors = await extension.selectors();
+          const receipt = await otherProxy.onlyProxy_setModule(
+            extension.address,
+            selectors,
+          );
+
+          await expectEvent.inTransaction(
+            receipt.tx,
+            ERC721Baseline,
+            "ModuleUpdated",
+            { module: extension.address },
+          );
+          assert.equal(
+            extension.address,
+            await otherDelegate.moduleOf(selector),
+          );
+          assert.equal("", await otherExtension.contractURI());
+
+          // The zero address disables the methods.
+          await otherProxy.onlyProxy_setModule(ZERO_ADDRESS, [selector]);
+          await expectRevert(
+            otherExtension.contractURI(),
+            "ModuleNotFound(bytes4)",
+          );
+        });
+
+        it("only the proxy can set modules", async () => {
+          await expectRevert(
+            proxyDelegate.__setModule(extension.address, [], {
+              from: deployer,
+            }),
+            "NotProxy",
+          );
+          await expectRevert(
+            otherProxy.onlyProxy_setModule(attacker, []),
+            "InvalidModule(address)",
+          );
+        });
+
+        it("supports ERC-4494 only when permit is enabled", async () => {
+          const otherDelegate = await ERC721Baseline.at(otherProxy.address);
+
+          assert.equal(
+            false,
+            await otherDelegate.supportsInterface("0x5604e225"),
+          );
+          await otherProxy.onlyProxy_setModule(
+            extension.address,
+            await extension.selectors(),
+          );
+          assert.equal(
+            true,
+            await otherDelegate.supportsInterface("0x5604e225"),
+          );
+        });
+
+        it("module methods are not callable on the modules", async () => {
+          await expectRevert(
+            extension.__setContractURI("ipfs://", { from: deployer }),
+            "NotProxy",
+          );
+          await expectRevert(
+            accessControl.__setRoles(attacker, 1, { from: attacker }),
+            "NotProxy",
+          );
+        });
+      });
+
+      describe("Upgrades", () => {
+        let newImplementation;
+
+        before(async () => {
+          newImplementation = await ERC721Baseline.new({
+            from: implementationDeployer,
+          });
+        });
+
+        it("returns the EIP-1967 implementation slot", async () => {
+          assert.equal(
+            "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+            await implementation.proxiableUUID(),
+          );
+          await expectRevert(proxyDelegate.proxiableUUID(), "Unauthorized");
+        });
+
+        it("are disabled by default", async () => {
+          assert.equal(false, await proxyDelegate.upgradesEnabled());
+
+          await expectRevert(
+            proxyDelegate.upgradeTo(newImplementation.address),
+            "UpgradesDisabled",
+          );
+          await expectRevert(
+            proxy.onlyProxy_upgradeTo(newImplementation.address),
+            "UpgradesDisabled",
+          );
+        });
+
+        it("can be enabled and disabled by the proxy", async () => {
+          await proxy.onlyProxy_setUpgradesEnabled(true);
+          assert.equal(true, await proxyDelegate.upgradesEnabled());
+
+          await proxy.onlyProxy_setUpgradesEnabled(false);
+          assert.equal(false, await proxyDelegate.upgradesEnabled());
+        });
+
+        it("works only for admins", async () => {
+          await proxy.onlyProxy_setUpgradesEnabled(true);
+
+          await expectRevert(
+            proxyDelegate.upgradeTo(newImplementation.address, {
+              from: attacker,
+            }),
+            "Unauthorized",
+          );
+        });
+
+        it("cannot upgrade the implementation contract directly", async () => {
+          await expectRevert(
+            implementation.upgradeTo(newImplementation.address, {
+              from: implementationDeployer,
+            }),
+            "Unauthorized",
+          );
+        });
+
+        it("rejects addresses that are not implementations", async () => {
+          await proxy.onlyProxy_setUpgradesEnabled(true);
+
+          await expectRevert(
+            proxyDelegate.upgradeTo(user),
+            "InvalidImplementation(address)",
+          );
+          // Proxies delegate proxiableUUID which reverts when it is not called directly.
+          const otherProxy = await ERC721ProxyMock.new(
+            implementation.address,
+            "Other",
+            "OTHER",
+          );
+          await expectRevert(
+            proxyDelegate.upgradeTo(otherProxy.address),
+            "InvalidImplementation(address)",
+          );
+
+          assert.equal(implementation.address, await proxy.implementation());
+        });
+
+        it("upgrades the implementation and preserves the state", async () => {
+          await proxy.onlyProxy_setUpgradesEnabled(true);
+
+          await proxyDelegate.setAdmin(operator, true);
+          await proxy.onlyProxy_mint(user, 1, "ipfs://token/1");
+          await proxy.onlyProxy_mint(user, 2);
+          await proxy.onlyProxy_setBaseURI("ipfs://base/");
+          await proxyDelegate.configureRoyalties(deployer, 500);
+
+          const receipt = await proxyDelegate.upgradeTo(
+            newImplementation.address,
+            { from: operator },
+          );
+
+          expectEvent(receipt, "Upgraded", {
+            implementation: newImplementation.address,
+          });
+          assert.equal(newImplementation.address, await proxy.implementation());
+
+          assert.equal(deployer, await proxyDelegate.owner());
+          assert.equal(true, await proxyDelegate.isAdmin(deployer));
+          assert.equal(true, await proxyDelegate.isAdmin(operator));
+          assert.equal("Test", await proxyDelegate.name());
+          assert.equal("TEST", await proxyDelegate.symbol());
+          assert.equal(2, await proxyDelegate.totalSupply());
+          assert.equal(user, await proxyDelegate.ownerOf(2));
+          assert.equal("ipfs://token/1", await proxyDelegate.tokenURI(1));
+          assert.equal("ipfs://base/2", await proxyDelegate.tokenURI(2));
+          assert.equal(deployer, await proxyDelegate.royaltiesReceiver());
+          assert.equal(500, await proxyDelegate.royaltiesBps());
+          assert.equal(true, await proxyDelegate.upgradesEnabled());
+
+          // The proxy can upgrade too.
+          await proxy.onlyProxy_upgradeTo(implementation.address);
+          assert.equal(implementation.address, await proxy.implementation());
+        });
       });
 
       describe("Utils", () => {
@@ -618,6 +3178,118 @@ contract(
           });
         });
 
+        describe("recoverTypedData", () => {
+          const signer = web3.eth.accounts.create();
+          const voucher = { collector: user, tokenId: 1, uri: "ipfs://test" };
+
+          // Returns the EIP-712 domain of a proxy
+          // in the format that lib/signatures.js expects.
+          async function domainOf(proxyDelegate) {
+            return getDomain({
+              name: () => proxyDelegate.name(),
+              web3,
+              address: proxyDelegate.address,
+            });
+          }
+
+          function sign(domain) {
+            const typedData = voucherTypedData({
+              type: "mint",
+              domain,
+              voucher,
+            });
+
+            return {
+              structHash: hashStruct(typedData),
+              signature: signTypedData(typedData, signer.privateKey),
+            };
+          }
+
+          it("DOMAIN_SEPARATOR is bound to the proxy and the chain", async () => {
+            const domain = await domainOf(proxyDelegate);
+
+            assert.equal(proxy.address, domain.verifyingContract);
+            assert.equal(await web3.eth.getChainId(), domain.chainId);
+
+            assert.equal(
+              hashStruct({
+                primaryType: "EIP712Domain",
+                message: domain,
+                types: { EIP712Domain: EIP712_TYPES.EIP712Domain },
+              }),
+              await proxyDelegate.DOMAIN_SEPARATOR(),
+            );
+          });
+
+          it("recoverTypedData works", async () => {
+            const { structHash, signature } = sign(
+              await domainOf(proxyDelegate),
+            );
+
+            assert.equal(
+              signer.address,
+              await proxyDelegate.recoverTypedData(structHash, signature),
+            );
+          });
+
+          it("rejects signatures replayed on another proxy", async () => {
+            const { structHash, signature } = sign(
+              await domainOf(proxyDelegate),
+            );
+
+            const proxy2 = await ERC721ProxyMock.new(
+              implementation.address,
+              "Test",
+              "TEST",
+            );
+            const proxy2Delegate = await ERC721Baseline.at(proxy2.address);
+
+            assert.notEqual(
+              await proxyDelegate.DOMAIN_SEPARATOR(),
+              await proxy2Delegate.DOMAIN_SEPARATOR(),
+            );
+            assert.notEqual(
+              signer.address,
+              await proxy2Delegate.recoverTypedData(structHash, signature),
+            );
+          });
+
+          it("rejects signatures replayed on another chain", async () => {
+            const domain = await domainOf(proxyDelegate);
+            const { structHash, signature } = sign({
+              ...domain,
+              chainId: domain.chainId + 1,
+            });
+
+            assert.notEqual(
+              signer.address,
+              await proxyDelegate.recoverTypedData(structHash, signature),
+            );
+          });
+
+          it("does not accept EIP-191 signatures", async () => {
+            const { structHash } = sign(await domainOf(proxyDelegate));
+            const { signature } = web3.eth.accounts.sign(
+              structHash,
+              signer.privateKey,
+            );
+
+            assert.notEqual(
+              signer.address,
+              await proxyDelegate.recoverTypedData(structHash, signature),
+            );
+          });
+
+          it("reverts when the signature is invalid", async () => {
+            const { structHash } = sign(await domainOf(proxyDelegate));
+
+            await expectRevert(
+              proxyDelegate.recoverTypedData(structHash, "0x1234"),
+              "InvalidSignature",
+            );
+          });
+        });
+
         describe("toString", () => {
           it("convert uint256 to string", async () => {
             assert.equal(
@@ -652,6 +3324,8 @@ contract(
                 return 1;
               case "uint16":
                 return 1;
+              case "uint8":
+                return 1;
               case "string":
                 return "test";
               case "address":
@@ -660,6 +3334,14 @@ contract(
                 return true;
               case "bytes":
                 return "";
+              case "address[]":
+                return [accounts[index]];
+              case "uint256[]":
+                return [1];
+              case "string[]":
+                return ["test"];
+              case "bytes4[]":
+                return ["0x12345678"];
               default:
                 throw new Error(
                   `onlyProxyMethods: Missing fixture for type ${arg.type} (method: ${method.name})`,
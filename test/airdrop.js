@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { readAirdrop, methodFragment, airdrop } = require("../lib/airdrop");
+
+/**
+ * Airdrop tests
+ * –––––––––––––
+ *
+ * Tests for lib/airdrop.js which backs the `erc721baseline airdrop` command.
+ * ERC721ProxyMock exposes `adminMintBatch` which calls `__mintBatch`,
+ * the extension's `__mintBatch` for the overload with the token URIs.
+ */
+
+contract("airdrop", function ([deployer, user, operator, attacker]) {
+  let proxy;
+  let proxyDelegate;
+  let client;
+
+  before(async () => {
+    const implementation = await ERC721Baseline.new();
+    const extension = await ERC721BaselineExtension.new();
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    await proxy.onlyProxy_setModule(
+      extension.address,
+      await extension.selectors(),
+    );
+    proxyDelegate = await ERC721Baseline.at(proxy.address);
+    client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi: mergeAbis(ERC721Baseline.abi, ERC721ProxyMock.abi),
+    });
+  });
+
+  it("reads CSV files", () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+      "airdrop.csv",
+    );
+
+    fs.writeFileSync(file, `to,tokenId,uri\n${user},1,ipfs://1\n${user},2,\n`);
+    assert.deepEqual(
+      [
+        { to: user, tokenId: "1", uri: "ipfs://1" },
+        { to: user, tokenId: "2", uri: "" },
+      ],
+      readAirdrop(file),
+    );
+
+    fs.writeFileSync(file, `to,tokenId\n${user},\n`);
+    assert.throws(() => readAirdrop(file), "Item 1 must have a to and tokenId");
+  });
+
+  it("validates the method signature", () => {
+    assert.equal(
+      3,
+      methodFragment("adminMintBatch(address[],uint256[],string[])").inputs
+        .length,
+    );
+    assert.throws(
+      () => methodFragment("adminMint(address,uint256)"),
+      "must take (address[],uint256[])",
+    );
+  });
+
+  it("mints in chunks that fit in the gas limit", async () => {
+    const items = Array.from({ length: 12 }, (_, index) => ({
+      to: index % 2 ? user : operator,
+      tokenId: index + 1,
+    }));
+    const chunks = [];
+
+    const results = await airdrop({
+      client,
+      items,
+      gasLimit: 300000,
+      from: deployer,
+      onChunk: (result) => chunks.push(result),
+    });
+
+    assert.deepEqual(chunks, results);
+    assert.isAbove(results.length, 1);
+    results.forEach(({ error, gasUsed }) => {
+      assert.isUndefined(error);
+      assert.isAtMost(gasUsed, 300000);
+    });
+    assert.equal(
+      12,
+      results.reduce((total, { count }) => total + count, 0),
+    );
+    assert.equal(12, await proxyDelegate.totalSupply());
+    assert.equal(user, await proxyDelegate.ownerOf(12));
+  });
+
+  it("reports and skips failing items", async () => {
+    const results = await airdrop({
+      client,
+      items: [13, 14, 1, 15, 16].map((tokenId) => ({ to: user, tokenId })),
+      method: "adminMintBatch(address[],uint256[],string[])",
+      from: deployer,
+    });
+
+    assert.deepEqual(
+      [
+        [0, 1, undefined],
+        [
+          2,
+          2,
+          "Reverted with ERC721InvalidSender(0x0000000000000000000000000000000000000000)",
+        ],
+        [3, 4, undefined],
+      ],
+      results.map(({ from, to, error }) => [from, to, error]),
+    );
+    assert.equal(16, await proxyDelegate.totalSupply());
+  });
+
+  it("reports unauthorized senders", async () => {
+    const [{ error }] = await airdrop({
+      client,
+      items: [{ to: attacker, tokenId: 100 }],
+      from: attacker,
+    });
+
+    assert.equal("Reverted with Unauthorized()", error);
+  });
+});
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineAllowlist = artifacts.require("ERC721BaselineAllowlist");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const {
+  readAllowlist,
+  allowlistLeaf,
+  buildAllowlist,
+  verifyAllowlistProof,
+  serveAllowlist,
+} = require("../lib/allowlist");
+
+/**
+ * Allowlist tests
+ * –––––––––––––––
+ *
+ * Tests for lib/allowlist.js which backs the `erc721baseline allowlist` command.
+ * ERC721ProxyMock exposes `allowlistMint` which claims with `__claimAllowlist` and mints with `__mintNext`.
+ */
+
+contract("allowlist", function ([deployer, user, attacker, ...accounts]) {
+  let proxy;
+  let proxyDelegate;
+  let client;
+
+  const items = accounts
+    .slice(0, 5)
+    .map((address, index) => ({ address, quantity: String(index + 1) }));
+
+  before(async () => {
+    const implementation = await ERC721Baseline.new();
+    const allowlistModule = await ERC721BaselineAllowlist.new();
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    await proxy.onlyProxy_setModule(
+      allowlistModule.address,
+      await allowlistModule.selectors(),
+    );
+    proxyDelegate = await ERC721Baseline.at(proxy.address);
+    client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi: mergeAbis(
+        ERC721Baseline.abi,
+        ERC721BaselineAllowlist.abi,
+        ERC721ProxyMock.abi,
+      ),
+    });
+
+    await proxy.onlyProxy_enableSequentialMint(1, 100);
+  });
+
+  it("reads CSV files", () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+      "allowlist.csv",
+    );
+
+    fs.writeFileSync(file, `address,quantity\n${user},2\n${attacker},1\n`);
+    assert.deepEqual(
+      [
+        { address: user, quantity: "2" },
+        { address: attacker, quantity: "1" },
+      ],
+      readAllowlist(file),
+    );
+
+    fs.writeFileSync(file, `address,quantity\n${user},0\n`);
+    assert.throws(
+      () => readAllowlist(file),
+      "Item 1 must have a positive integer quantity",
+    );
+
+    fs.writeFileSync(file, `address,quantity\n0x1234,1\n`);
+    assert.throws(
+      () => readAllowlist(file),
+      "Item 1 has an invalid address: 0x1234",
+    );
+  });
+
+  it("builds the tree", () => {
+    const { root, proofs } = buildAllowlist(items);
+
+    assert.equal(root, buildAllowlist([...items].reverse()).root);
+    assert.deepEqual(
+      items.map(({ address }) => address),
+      Object.keys(proofs),
+    );
+    items.forEach(({ address, quantity }) => {
+      assert.equal(quantity, proofs[address].quantity);
+      assert.isTrue(
+        verifyAllowlistProof(root, address, quantity, proofs[address].proof),
+      );
+    });
+    assert.isFalse(
+      verifyAllowlistProof(
+        root,
+        items[0].address,
+        "2",
+        proofs[items[0].address].proof,
+      ),
+    );
+
+    // A single leaf is the root.
+    assert.equal(
+      allowlistLeaf(user, 1),
+      buildAllowlist([{ address: user, quantity: 1 }]).root,
+    );
+
+    assert.throws(() => buildAllowlist([]), "The allowlist is empty");
+    assert.throws(
+      () =>
+        buildAllowlist([
+          ...items,
+          { address: user.toLowerCase(), quantity: 1 },
+          { address: user, quantity: 1 },
+        ]),
+      `Duplicated address: ${user}`,
+    );
+  });
+
+  it("builds proofs that the allowlistModule accepts", async () => {
+    const { root, proofs } = buildAllowlist(items);
+
+    await client.setAllowlistRoot(root);
+    assert.equal(root, await client.allowlistRoot());
+
+    for (const { address, quantity } of items) {
+      await proxy.allowlistMint(quantity, quantity, proofs[address].proof, {
+        from: address,
+      });
+      assert.equal(quantity, await proxyDelegate.balanceOf(address));
+    }
+
+    try {
+      await client.__claimAllowlist(user, 1, 1, [], { from: user });
+      assert.fail("Expected __claimAllowlist to revert");
+    } catch (error) {
+      assert.equal("NotProxy", error.errorName);
+    }
+  });
+
+  it("serves the proofs", async () => {
+    const allowlist = buildAllowlist(items);
+    const server = await serveAllowlist(allowlist, { port: 0 });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      let response = await fetch(`${url}/root`);
+      assert.equal("*", response.headers.get("access-control-allow-origin"));
+      assert.deepEqual({ root: allowlist.root }, await response.json());
+
+      const [{ address, quantity }] = items;
+      response = await fetch(`${url}/proofs/${address.toLowerCase()}`);
+      assert.deepEqual(
+        { address, quantity, proof: allowlist.proofs[address].proof },
+        await response.json(),
+      );
+
+      response = await fetch(`${url}/proofs/${attacker}`);
+      assert.equal(404, response.status);
+      assert.deepEqual(
+        { error: `${attacker} is not allowlisted.` },
+        await response.json(),
+      );
+
+      response = await fetch(`${url}/proofs/0x1234`);
+      assert.equal(404, response.status);
+    } finally {
+      await new Promise((done) => server.close(done));
+    }
+  });
+});
@@ -0,0 +1,212 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineProxy = artifacts.require("ERC721Baseline");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { ROLES, createClient, ERC721BaselineError } = require("../lib/client");
+const { mergeAbis } = require("../lib/artifacts");
+const { optional } = require("../lib/errors");
+
+/**
+ * Client tests
+ * ––––––––––––
+ *
+ * Tests for lib/client.js, the JavaScript client for proxies built on ERC721Baseline.
+ *
+ * Truffle compiles the contracts to a temporary directory when testing
+ * therefore the client gets the ABI from the Truffle artifacts.
+ */
+
+contract(
+  "client",
+  function ([deployer, implementationDeployer, user, attacker]) {
+    let implementation;
+    let modules;
+    let proxy;
+    let client;
+
+    before(async () => {
+      implementation = await ERC721Baseline.new({
+        from: implementationDeployer,
+      });
+      modules = [
+        await ERC721BaselineExtension.new({ from: implementationDeployer }),
+        await ERC721BaselineAccessControl.new({ from: implementationDeployer }),
+      ];
+    });
+
+    beforeEach(async () => {
+      proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+      for (const module of modules) {
+        await proxy.onlyProxy_setModule(
+          module.address,
+          await module.selectors(),
+        );
+      }
+      client = createClient({
+        provider: web3.currentProvider,
+        address: proxy.address,
+        from: deployer,
+        abi: mergeAbis(
+          ERC721Baseline.abi,
+          ERC721BaselineExtension.abi,
+          ERC721BaselineAccessControl.abi,
+          ERC721BaselineProxy.abi,
+        ),
+      });
+    });
+
+    it("reads the proxy and the implementation in one object", async () => {
+      assert.equal(deployer, await client.owner());
+      assert.equal(true, await client.isAdmin(deployer));
+      assert.equal("Test", await client.name());
+      assert.equal("0.1.0", await client.VERSION());
+      assert.equal(implementation.address, await client.implementation());
+    });
+
+    it("sends transactions", async () => {
+      const receipt = await client.setAdmin(user, true);
+
+      assert.equal(true, receipt.status);
+      assert.equal(true, await client.isAdmin(user));
+
+      await client.configureRoyalties(user, 500, { from: user });
+      assert.deepEqual({ receiver: user, bps: 500 }, await client.royalties());
+
+      await client.configureTokenRoyalties(2, deployer, 1000, { from: user });
+      assert.deepEqual(
+        { receiver: deployer, bps: 1000 },
+        await client.royalties(2),
+      );
+      assert.deepEqual({ receiver: user, bps: 500 }, await client.royalties(3));
+    });
+
+    it("exposes overloaded methods by signature", async () => {
+      await proxy.adminMint(user, 1);
+      await proxy.onlyProxy_mint(user, 2, "ipfs://2");
+
+      assert.equal("ipfs://2", await client.methods["__tokenURI(uint256)"](2));
+      assert.equal(2, await client.totalSupply());
+    });
+
+    it("returns the token URI layers", async () => {
+      await proxy.adminMint(user, 1);
+      await proxy.onlyProxy_setSharedURI("ipfs://shared");
+
+      assert.deepEqual(
+        {
+          tokenURI: "",
+          svgTemplate: "",
+          sharedURI: "ipfs://shared",
+          baseURI: "",
+          resolved: "ipfs://shared",
+        },
+        await client.tokenURILayers(1),
+      );
+    });
+
+    it("returns the access control configuration", async () => {
+      await client.setAdmin(user, true);
+      await client.setRoles(attacker, String(ROLES.MINTER | (1n << 8n)));
+      await client.startOwnershipTransfer(user);
+
+      assert.deepEqual(
+        {
+          owner: deployer,
+          pendingOwner: user,
+          admins: [deployer, user],
+          roleHolders: [
+            {
+              account: attacker,
+              roles: "260",
+              names: ["MINTER", "0x100"],
+            },
+          ],
+        },
+        await client.accessControl(),
+      );
+    });
+
+    describe("errors", () => {
+      async function expectError(promise, errorName) {
+        try {
+          await promise;
+          expect.fail(`Expected promise to throw with ${errorName}`);
+        } catch (error) {
+          assert.instanceOf(error, ERC721BaselineError);
+          assert.equal(errorName, error.errorName);
+          return error;
+        }
+      }
+
+      it("decodes Unauthorized", async () => {
+        await expectError(
+          client.setAdmin(attacker, true, { from: attacker }),
+          "Unauthorized",
+        );
+      });
+
+      it("decodes NotProxy", async () => {
+        await expectError(client.__mint(user, 1), "NotProxy");
+      });
+
+      it("decodes errors with arguments", async () => {
+        const error = await expectError(
+          client.tokenURI(100),
+          "ERC721NonexistentToken",
+        );
+
+        assert.equal("100", error.args.tokenId);
+      });
+
+      it("decodes revert strings", async () => {
+        await proxy.adminMint(user, 1);
+
+        // The proxy mock's onlyProxy_burn reverts with "Not owner".
+        const mockClient = createClient({
+          provider: web3.currentProvider,
+          address: proxy.address,
+          abi: mergeAbis(ERC721Baseline.abi, ERC721ProxyMock.abi),
+        });
+
+        const error = await expectError(
+          mockClient.onlyProxy_burn(1, { from: attacker }),
+          "Error",
+        );
+
+        assert.equal("Not owner", error.args.message);
+        assert.equal("Reverted: Not owner", error.message);
+      });
+
+      it("resolves optional calls to the fallback when the method is missing", async () => {
+        const bare = await ERC721ProxyMock.new(
+          implementation.address,
+          "Test",
+          "TEST",
+        );
+        const bareClient = createClient({
+          provider: web3.currentProvider,
+          address: bare.address,
+          abi: client.abi,
+        });
+        // Modules don't have a fallback.
+        const moduleClient = createClient({
+          provider: web3.currentProvider,
+          address: modules[0].address,
+          abi: client.abi,
+        });
+
+        await expectError(bareClient.pendingOwner(), "ModuleNotFound");
+        assert.equal("none", await optional(bareClient.pendingOwner(), "none"));
+        assert.equal("none", await optional(moduleClient.admins(), "none"));
+        await expectError(
+          optional(client.tokenURI(100), "none"),
+          "ERC721NonexistentToken",
+        );
+      });
+    });
+  },
+);
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const {
+  CREATE2_FACTORY,
+  create2Address,
+  deployDeterministic,
+  deployImplementation,
+  deployProxy,
+  readManifest,
+  writeManifest,
+} = require("../lib/deploy");
+
+/**
+ * Deploy tests
+ * ––––––––––––
+ *
+ * Tests for lib/deploy.js which backs the `erc721baseline deploy` command.
+ * The CREATE2 factory is not available on Ganache and is deployed by the first test.
+ */
+
+contract("deploy", function ([deployer, user]) {
+  const salt = web3.utils.keccak256("deploy tests");
+  let manifest;
+
+  before(() => {
+    manifest = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+      "deployments.json",
+    );
+  });
+
+  it("deploys the implementation at a deterministic address", async () => {
+    const implementation = await deployImplementation({
+      web3,
+      from: deployer,
+      artifact: ERC721Baseline,
+      salt,
+    });
+
+    assert.notEqual("0x", await web3.eth.getCode(CREATE2_FACTORY.address));
+    assert.equal(
+      create2Address(ERC721Baseline.bytecode, salt),
+      implementation.address,
+    );
+    assert.equal("0.1.0", implementation.version);
+    assert.equal(false, implementation.reused);
+    assert.isString(implementation.transactionHash);
+  });
+
+  it("reuses an existing implementation", async () => {
+    const implementation = await deployImplementation({
+      web3,
+      from: user,
+      artifact: ERC721Baseline,
+      salt,
+    });
+
+    assert.equal(true, implementation.reused);
+    assert.equal(null, implementation.transactionHash);
+  });
+
+  it("deploys a proxy and records it in the manifest", async () => {
+    const implementation = await deployImplementation({
+      web3,
+      from: deployer,
+      artifact: ERC721Baseline,
+      salt,
+    });
+
+    const proxy = await deployProxy({
+      web3,
+      from: user,
+      artifact: ERC721ProxyMock,
+      implementation: implementation.address,
+      name: "Test",
+      symbol: "TEST",
+    });
+
+    const proxyDelegate = await ERC721Baseline.at(proxy.address);
+    assert.equal(user, await proxyDelegate.owner());
+    assert.equal("Test", await proxyDelegate.name());
+
+    writeManifest(manifest, {
+      network: "test",
+      chainId: 1337,
+      implementation: { ...implementation, transactionHash: "0x1234" },
+    });
+    writeManifest(manifest, {
+      network: "test",
+      chainId: 1337,
+      implementation,
+      proxy,
+    });
+
+    const { test } = readManifest(manifest);
+
+    assert.equal(implementation.address, test.implementation.address);
+    // The original transaction hash is preserved when the implementation is reused.
+    assert.equal("0x1234", test.implementation.transactionHash);
+    assert.equal("0.1.0", test.implementation.version);
+    assert.deepEqual(
+      [implementation.address, "Test", "TEST"],
+      test.proxies.ERC721ProxyMock.constructorArgs,
+    );
+    assert.equal(
+      proxy.transactionHash,
+      test.proxies.ERC721ProxyMock.transactionHash,
+    );
+  });
+
+  it("deploys the modules at deterministic addresses", async () => {
+    const implementation = await deployImplementation({
+      web3,
+      from: deployer,
+      artifact: ERC721Baseline,
+      salt,
+    });
+    const module = await deployDeterministic({
+      web3,
+      from: deployer,
+      artifact: ERC721BaselineAccessControl,
+      salt,
+    });
+
+    assert.equal(
+      create2Address(ERC721BaselineAccessControl.bytecode, salt),
+      module.address,
+    );
+    assert.equal(false, module.reused);
+
+    writeManifest(manifest, {
+      network: "test",
+      chainId: 1337,
+      implementation,
+      modules: [module],
+    });
+    writeManifest(manifest, {
+      network: "test",
+      chainId: 1337,
+      implementation,
+      modules: [
+        await deployDeterministic({
+          web3,
+          from: user,
+          artifact: ERC721BaselineAccessControl,
+          salt,
+        }),
+      ],
+    });
+
+    const { test } = readManifest(manifest);
+
+    assert.equal(
+      module.address,
+      test.modules.ERC721BaselineAccessControl.address,
+    );
+    // The original transaction hash is preserved when the module is reused.
+    assert.equal(
+      module.transactionHash,
+      test.modules.ERC721BaselineAccessControl.transactionHash,
+    );
+  });
+});
@@ -0,0 +1,190 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+const ERC721ConsecutiveProxyMock = artifacts.require(
+  "ERC721ConsecutiveProxyMock",
+);
+const ERC721EnumerableProxyMock = artifacts.require(
+  "ERC721EnumerableProxyMock",
+);
+
+/**
+ * Gas comparisons
+ * –––––––––––––––
+ *
+ * Runs equivalent operations with different ERC721Baseline methods
+ * so that `npm run test:gas` reports their gas usage side by side,
+ * eg. the cost of the enumeration extension.
+ */
+
+contract("gas", function ([deployer, user]) {
+  const count = 20;
+  const tokenIds = Array.from({ length: count }, (_, index) => index + 1);
+  const recipients = tokenIds.map(() => user);
+
+  let implementation;
+  let proxy;
+
+  before(async () => {
+    implementation = await ERC721Baseline.new();
+  });
+
+  beforeEach(async () => {
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+  });
+
+  function gasUsed(...receipts) {
+    return receipts.reduce((total, { receipt }) => total + receipt.gasUsed, 0);
+  }
+
+  describe(`batch operations (${count} tokens)`, () => {
+    it("__mintBatch is cheaper than __mint", async () => {
+      const single = [];
+      for (const tokenId of tokenIds) {
+        single.push(await proxy.adminMint(user, tokenId));
+      }
+
+      const otherProxy = await ERC721ProxyMock.new(
+        implementation.address,
+        "Test",
+        "TEST",
+      );
+      const batch = await otherProxy.adminMintBatch(recipients, tokenIds);
+
+      assert.isBelow(gasUsed(batch), gasUsed(...single));
+    });
+
+    it("__setTokenURIs is cheaper than __setTokenURI", async () => {
+      const extension = await ERC721BaselineExtension.new();
+      await proxy.onlyProxy_setModule(
+        extension.address,
+        await extension.selectors(),
+      );
+      await proxy.adminMintBatch(recipients, tokenIds);
+      const uris = tokenIds.map((tokenId) => `ipfs://${tokenId}`);
+
+      const single = [];
+      for (const tokenId of tokenIds) {
+        single.push(await proxy.onlyProxy_setTokenURI(tokenId, uris[0]));
+      }
+      const batch = await proxy.onlyProxy_setTokenURIs(tokenIds, uris);
+
+      assert.isBelow(gasUsed(batch), gasUsed(...single));
+    });
+
+    it("__burnBatch is cheaper than __burn", async () => {
+      await proxy.adminMintBatch(
+        tokenIds.map(() => deployer),
+        tokenIds,
+      );
+
+      const half = count / 2;
+      const single = [];
+      for (const tokenId of tokenIds.slice(0, half)) {
+        single.push(await proxy.onlyProxy_burn(tokenId));
+      }
+      const batch = await proxy.onlyProxy_burnBatch(tokenIds.slice(half));
+
+      assert.isBelow(gasUsed(batch), gasUsed(...single));
+    });
+  });
+
+  describe("enumeration", () => {
+    let enumerableProxy;
+
+    beforeEach(async () => {
+      enumerableProxy = await ERC721EnumerableProxyMock.new(
+        implementation.address,
+        "Test",
+        "TEST",
+      );
+    });
+
+    it("costs more to mint, transfer and burn", async () => {
+      for (const instance of [proxy, enumerableProxy]) {
+        await instance.adminMintBatch(recipients, tokenIds);
+      }
+      const [proxyDelegate, enumerableDelegate] = await Promise.all([
+        ERC721Baseline.at(proxy.address),
+        ERC721Baseline.at(enumerableProxy.address),
+      ]);
+
+      const mint = [
+        await proxy.adminMint(user, count + 1),
+        await enumerableProxy.adminMint(user, count + 1),
+      ];
+      const transfer = [
+        await proxyDelegate.transferFrom(user, deployer, 1, { from: user }),
+        await enumerableDelegate.transferFrom(user, deployer, 1, {
+          from: user,
+        }),
+      ];
+      const burn = [
+        await proxy.onlyProxy_burn(2, { from: user }),
+        await enumerableProxy.adminBurn(2),
+      ];
+
+      for (const [plain, enumerable] of [mint, transfer, burn]) {
+        assert.isAbove(gasUsed(enumerable), gasUsed(plain));
+      }
+    });
+  });
+
+  describe(`ERC-2309 consecutive mint (${count} tokens)`, () => {
+    const encodeCall = (method, ...args) =>
+      implementation.contract.methods[method](...args).encodeABI();
+
+    // Consecutive mints are only allowed in the proxy constructor,
+    // the sequential mint is deployed the same way to compare them.
+    const deployProxy = (calls) =>
+      ERC721ConsecutiveProxyMock.new(
+        implementation.address,
+        "Test",
+        "TEST",
+        calls,
+      );
+    const enableSequentialMint = () =>
+      encodeCall("__enableSequentialMint", 1, count * 2);
+
+    const deploymentGasUsed = async (proxy) =>
+      (await web3.eth.getTransactionReceipt(proxy.transactionHash)).gasUsed;
+
+    it("__mintConsecutive is cheaper than __mintNext", async () => {
+      const consecutive = await deployProxy([
+        enableSequentialMint(),
+        encodeCall("__mintConsecutive", user, count),
+      ]);
+      const next = await deployProxy([
+        enableSequentialMint(),
+        encodeCall("__mintNext", user, count),
+      ]);
+
+      assert.isBelow(
+        await deploymentGasUsed(consecutive),
+        await deploymentGasUsed(next),
+      );
+    });
+
+    // The first transfer writes the owner slot that the consecutive mint skipped.
+    it("costs more to transfer a lazily owned token the first time", async () => {
+      const proxy = await deployProxy([
+        enableSequentialMint(),
+        encodeCall("__mintConsecutive", user, count),
+        encodeCall("__mintNext", user, count),
+      ]);
+      const proxyDelegate = await ERC721Baseline.at(proxy.address);
+
+      const lazy = await proxyDelegate.transferFrom(user, deployer, 1, {
+        from: user,
+      });
+      const stored = await proxyDelegate.transferFrom(
+        user,
+        deployer,
+        count + 1,
+        { from: user },
+      );
+
+      assert.isAbove(gasUsed(lazy), gasUsed(stored));
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+const ERC721ConsecutiveProxyMock = artifacts.require(
+  "ERC721ConsecutiveProxyMock",
+);
+
+const {
+  constants: { ZERO_ADDRESS },
+} = require("@openzeppelin/test-helpers");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createIndexer, createJsonStore } = require("../lib/indexer");
+
+/**
+ * Indexer tests
+ * –––––––––––––
+ *
+ * Tests for lib/indexer.js which backs the `erc721baseline index` command.
+ * ERC721ProxyMock drives the state changes and the indexed state is compared with the chain.
+ */
+
+contract("indexer", function ([deployer, user, operator, admin]) {
+  const abi = mergeAbis(ERC721Baseline.abi, ERC721ProxyMock.abi);
+
+  let implementation;
+  let proxy;
+  let proxyDelegate;
+  let fromBlock;
+
+  before(async () => {
+    implementation = await ERC721Baseline.new();
+  });
+
+  beforeEach(async () => {
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    proxyDelegate = await ERC721Baseline.at(proxy.address);
+    fromBlock = (await web3.eth.getTransactionReceipt(proxy.transactionHash))
+      .blockNumber;
+  });
+
+  const indexer = (options = {}) =>
+    createIndexer({
+      provider: web3,
+      address: proxy.address,
+      fromBlock,
+      abi,
+      ...options,
+    });
+
+  it("reconstructs owners, balances and totalSupply", async () => {
+    await proxy.onlyProxy_mintBatch([user, user, operator], [1, 2, 3]);
+    await proxyDelegate.transferFrom(user, operator, 2, { from: user });
+    await proxy.onlyProxy_burn(3, { from: operator });
+    await proxyDelegate.approve(deployer, 1, { from: user });
+
+    const index = indexer({ batchSize: 2 });
+    const { toBlock, events } = await index.sync();
+
+    assert.equal(await web3.eth.getBlockNumber(), toBlock);
+    // Including AdminSet and OwnershipTransferred emitted by the initializer.
+    assert.equal(8, events);
+
+    assert.equal(
+      String(await proxyDelegate.totalSupply()),
+      index.totalSupply(),
+    );
+    for (const tokenId of [1, 2]) {
+      assert.equal(
+        await proxyDelegate.ownerOf(tokenId),
+        index.ownerOf(tokenId),
+      );
+    }
+    assert.isNull(index.ownerOf(3));
+    assert.deepEqual(["1"], index.tokensOf(user));
+    assert.equal("1", index.balanceOf(operator.toLowerCase()));
+    assert.deepEqual([user, operator].sort(), index.holders().sort());
+    assert.equal(deployer, index.getApproved(1));
+
+    await proxyDelegate.transferFrom(user, operator, 1, { from: user });
+    await index.sync();
+
+    assert.isNull(index.getApproved(1));
+    assert.deepEqual([], index.tokensOf(user));
+    assert.deepEqual(
+      [],
+      index.holders().filter((holder) => holder === user),
+    );
+  });
+
+  it("expands ERC-2309 consecutive transfers", async () => {
+    // Consecutive mints are only allowed in the proxy constructor.
+    proxy = await ERC721ConsecutiveProxyMock.new(
+      implementation.address,
+      "Test",
+      "TEST",
+      [
+        implementation.contract.methods
+          .__enableSequentialMint(1, 10)
+          .encodeABI(),
+        implementation.contract.methods.__mintConsecutive(user, 4).encodeABI(),
+      ],
+    );
+    proxyDelegate = await ERC721Baseline.at(proxy.address);
+    fromBlock = (await web3.eth.getTransactionReceipt(proxy.transactionHash))
+      .blockNumber;
+
+    await proxy.onlyProxy_mintNext(operator, 1);
+    await proxyDelegate.transferFrom(user, operator, 2, { from: user });
+    await proxy.onlyProxy_burn(3, { from: user });
+
+    const index = indexer();
+    await index.sync();
+
+    assert.equal(
+      String(await proxyDelegate.totalSupply()),
+      index.totalSupply(),
+    );
+    for (const tokenId of [1, 2, 4, 5]) {
+      assert.equal(
+        await proxyDelegate.ownerOf(tokenId),
+        index.ownerOf(tokenId),
+      );
+    }
+    assert.isNull(index.ownerOf(3));
+    assert.deepEqual(["1", "4"], index.tokensOf(user));
+    assert.equal("2", index.balanceOf(operator.toLowerCase()));
+    assert.deepEqual(["1", "2", "4", "5"], index.dirtyTokens().sort());
+  });
+
+  it("tracks admins and the owner history", async () => {
+    await proxy.onlyProxy_setAdmin(admin, true);
+    await proxy.onlyProxy_transferOwnership(admin);
+    await proxy.onlyProxy_setAdmin(deployer, false);
+
+    const index = indexer();
+    await index.sync();
+
+    assert.deepEqual([admin], index.admins());
+    assert.isTrue(index.isAdmin(admin.toLowerCase()));
+    assert.equal(await proxyDelegate.owner(), index.owner());
+    assert.deepEqual(
+      [
+        [ZERO_ADDRESS, deployer],
+        [deployer, admin],
+      ],
+      index
+        .ownerHistory()
+        .map(({ previousOwner, newOwner }) => [previousOwner, newOwner]),
+    );
+  });
+
+  it("flags tokens with metadata updates until they are marked clean", async () => {
+    const extension = await ERC721BaselineExtension.new();
+    await proxy.onlyProxy_setModule(
+      extension.address,
+      await extension.selectors(),
+    );
+    await proxy.onlyProxy_mintBatch([user, user, user, user], [1, 2, 3, 4]);
+
+    const index = indexer();
+    await index.sync();
+
+    assert.deepEqual(["1", "2", "3", "4"], index.dirtyTokens());
+    index.markClean();
+    assert.deepEqual([], index.dirtyTokens());
+
+    await proxy.onlyProxy_setTokenURI(4, "ipfs://4");
+    await proxy.onlyProxy_setTokenURIs([2, 3], ["ipfs://2", "ipfs://3"]);
+    await index.sync();
+
+    assert.deepEqual(["2", "3", "4"], index.dirtyTokens());
+    index.markClean([3]);
+    assert.deepEqual(["2", "4"], index.dirtyTokens());
+    assert.isFalse(index.isDirty(1));
+  });
+
+  it("persists the state and resumes from the last block", async () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+      "index.json",
+    );
+
+    await proxy.onlyProxy_mint(user, 1);
+    const { toBlock } = await indexer({
+      store: createJsonStore(file),
+    }).sync();
+
+    assert.equal(toBlock, JSON.parse(fs.readFileSync(file)).lastBlock);
+
+    await proxy.onlyProxy_mint(operator, 2);
+
+    const resumed = indexer({ store: createJsonStore(file) });
+    const result = await resumed.sync();
+
+    assert.equal(toBlock + 1, result.fromBlock);
+    assert.equal(1, result.events);
+    assert.equal("2", resumed.totalSupply());
+
+    assert.throws(
+      () =>
+        createIndexer({
+          provider: web3,
+          address: implementation.address,
+          store: createJsonStore(file),
+          abi,
+        }),
+      "The store indexes",
+    );
+  });
+
+  it("follows new blocks", async () => {
+    const index = indexer();
+    const syncs = [];
+
+    const follower = index.follow({
+      interval: 50,
+      onSync: (result) => syncs.push(result),
+    });
+
+    await proxy.onlyProxy_mint(user, 1);
+    while (index.ownerOf(1) === null) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    follower.stop();
+    await follower.done;
+
+    assert.equal(user, index.ownerOf(1));
+    assert.isAbove(syncs.length, 0);
+  });
+});
@@ -0,0 +1,547 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721BaselineProvenance = artifacts.require("ERC721BaselineProvenance");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { addFile, addDirectory, formatCid, writeCar } = require("../lib/ipfs");
+const {
+  readCollection,
+  buildMetadata,
+  buildContractMetadata,
+  resolveLayer,
+  uriReport,
+  decodeDataURI,
+  previewTokens,
+} = require("../lib/metadata");
+
+/**
+ * Metadata tests
+ * ––––––––––––––
+ *
+ * Tests for lib/metadata.js and lib/ipfs.js which back the `erc721baseline metadata` command.
+ * The expected CIDs are the ones returned by `ipfs add --cid-version 1`.
+ */
+
+contract("metadata", function ([deployer, user]) {
+  const tmp = () => fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-"));
+
+  function createCollection() {
+    const dir = tmp();
+
+    fs.writeFileSync(path.join(dir, "1.png"), "image 1");
+    fs.writeFileSync(path.join(dir, "2.PNG"), "image 2");
+    fs.writeFileSync(path.join(dir, "010.svg"), "<svg></svg>");
+    fs.writeFileSync(
+      path.join(dir, "2.json"),
+      JSON.stringify({
+        description: "The second one",
+        attributes: [{ trait_type: "Rare", value: "yes" }],
+      }),
+    );
+    fs.writeFileSync(
+      path.join(dir, "attributes.csv"),
+      "tokenId,name,Color,Level\n1,First,red,3\n10,,blue,\n",
+    );
+
+    return dir;
+  }
+
+  describe("ipfs", () => {
+    it("computes CIDv1 for files and directories", () => {
+      assert.equal(
+        "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e",
+        formatCid(addFile(Buffer.from("hello world")).cid),
+      );
+      assert.equal(
+        "bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354",
+        formatCid(addDirectory([]).cid),
+      );
+    });
+
+    it("splits large files in raw leaves", () => {
+      const blocks = [];
+      const { cid, size } = addFile(Buffer.alloc(600000, 1), (cid, block) =>
+        blocks.push({ cid, block }),
+      );
+
+      assert.deepEqual(
+        [262144, 262144, 75712],
+        blocks.slice(0, 3).map(({ block }) => block.length),
+      );
+      assert.equal(4, blocks.length);
+      assert.equal(
+        "bafybeid6jg5rtrk3j2ekz5ydlvo2p672u63i3ofvvq42s6l2zh6ino63ru",
+        formatCid(cid),
+      );
+      assert.equal(
+        blocks.reduce((total, { block }) => total + block.length, 0),
+        size,
+      );
+    });
+
+    it("rejects directories that IPFS would shard", () => {
+      const { cid, size } = addFile(Buffer.from("same"));
+      // 92 bytes names and 36 bytes CIDs, the sharding threshold is 256 KiB.
+      const entries = (count) =>
+        Array.from({ length: count }, (_, i) => ({
+          name: String(i).padStart(92, "0"),
+          cid,
+          size,
+        }));
+
+      addDirectory(entries(2047));
+      assert.throws(
+        () => addDirectory(entries(2048)),
+        "The directory has too many entries (2048), IPFS would shard it.",
+      );
+    });
+
+    it("writes CAR files", () => {
+      const dir = tmp();
+      fs.mkdirSync(path.join(dir, "files"));
+      fs.writeFileSync(path.join(dir, "files", "a"), "same");
+      fs.writeFileSync(path.join(dir, "files", "b"), "same");
+
+      const car = path.join(dir, "files.car");
+      const [root] = writeCar(car, [path.join(dir, "files")]);
+      const content = fs.readFileSync(car);
+
+      // Header length, header with one root, then the file block once and the directory block.
+      assert.equal(content[0], content.indexOf(Buffer.from("version")) + 7);
+      assert.equal(
+        "bafybeiedwy6k3cqac3nvzspqzd43d42kdb5ytmfwmqas7gelyd2wl3axge",
+        root,
+      );
+      assert.equal(1, content.toString().split("same").length - 1);
+    });
+  });
+
+  describe("build", () => {
+    it("reads images and attributes", () => {
+      assert.deepEqual(
+        [
+          {
+            tokenId: "1",
+            image: "1.png",
+            fields: { name: "First" },
+            attributes: [
+              { trait_type: "Color", value: "red" },
+              { trait_type: "Level", value: 3 },
+            ],
+          },
+          {
+            tokenId: "2",
+            image: "2.PNG",
+            fields: { description: "The second one" },
+            attributes: [{ trait_type: "Rare", value: "yes" }],
+          },
+          {
+            tokenId: "10",
+            image: "010.svg",
+            fields: {},
+            attributes: [{ trait_type: "Color", value: "blue" }],
+          },
+        ],
+        readCollection(createCollection()),
+      );
+    });
+
+    it("rejects tokens without images and duplicated images", () => {
+      const dir = createCollection();
+
+      fs.writeFileSync(path.join(dir, "3.json"), "{}");
+      assert.throws(() => readCollection(dir), "Token 3 has no image.");
+
+      fs.writeFileSync(path.join(dir, "1.jpg"), "image 1");
+      assert.throws(() => readCollection(dir), "Token 1 has two images");
+    });
+
+    it("writes metadata files named after the token IDs", () => {
+      const outDir = tmp();
+      const manifest = buildMetadata({
+        inputDir: createCollection(),
+        outDir,
+        name: "Baseline #{id}",
+        description: "A collection",
+        car: true,
+      });
+
+      assert.deepEqual(
+        ["1.png", "10.svg", "2.png"],
+        fs.readdirSync(path.join(outDir, "images")),
+      );
+      assert.deepEqual(
+        ["1", "10", "2"],
+        fs.readdirSync(path.join(outDir, "metadata")),
+      );
+      assert.deepEqual(
+        {
+          name: "Baseline #2",
+          description: "The second one",
+          image: `ipfs://${manifest.images.cid}/2.png`,
+          attributes: [{ trait_type: "Rare", value: "yes" }],
+        },
+        JSON.parse(fs.readFileSync(path.join(outDir, "metadata", "2"))),
+      );
+
+      assert.equal(`ipfs://${manifest.metadata.cid}/`, manifest.baseURI);
+      assert.equal(
+        formatCid(addFile(Buffer.from("image 1")).cid),
+        manifest.tokens[1].imageCid,
+      );
+      assert.match(manifest.tokens[1].metadataHash, /^[0-9a-f]{64}$/);
+      assert.deepEqual(
+        manifest,
+        JSON.parse(fs.readFileSync(path.join(outDir, "manifest.json"))),
+      );
+      assert.isTrue(fs.existsSync(path.join(outDir, "collection.car")));
+    });
+  });
+
+  describe("report", () => {
+    let proxy;
+    let client;
+
+    beforeEach(async () => {
+      const implementation = await ERC721Baseline.new();
+      const extension = await ERC721BaselineExtension.new();
+      proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+      await proxy.onlyProxy_setModule(
+        extension.address,
+        await extension.selectors(),
+      );
+      client = createClient({
+        provider: web3,
+        address: proxy.address,
+        from: deployer,
+        abi: mergeAbis(
+          ERC721Baseline.abi,
+          ERC721BaselineExtension.abi,
+          ERC721BaselineProvenance.abi,
+          ERC721ProxyMock.abi,
+        ),
+      });
+
+      await proxy.onlyProxy_mintBatch([user, user, user], [1, 2, 3]);
+    });
+
+    it("resolves layers like tokenURI", async () => {
+      const layers = { tokenURI: "", sharedURI: "", baseURI: "ipfs://base/" };
+
+      assert.deepEqual(
+        { layer: "base", uri: "ipfs://base/7" },
+        resolveLayer(layers, "7"),
+      );
+      // Revealed collections offset the metadata ID, see lib/provenance.js.
+      assert.deepEqual(
+        { layer: "base", uri: "ipfs://base/3" },
+        resolveLayer(layers, "7", "3"),
+      );
+      assert.deepEqual(
+        { layer: "shared", uri: "ipfs://shared" },
+        resolveLayer({ ...layers, sharedURI: "ipfs://shared" }, "7"),
+      );
+      assert.deepEqual(
+        { layer: "token", uri: "ipfs://7" },
+        resolveLayer({ ...layers, tokenURI: "ipfs://7" }, "7"),
+      );
+      assert.deepEqual(
+        { layer: "rendered", uri: "" },
+        resolveLayer({ ...layers, svgTemplate: "<svg/>" }, "7"),
+      );
+
+      await proxy.onlyProxy_setSharedURI("ipfs://shared");
+      await proxy.onlyProxy_setTokenURI(2, "ipfs://2");
+
+      for (const tokenId of ["1", "2"]) {
+        const resolved = resolveLayer(
+          await client.tokenURILayers(tokenId),
+          tokenId,
+        );
+        assert.equal(await client.tokenURI(tokenId), resolved.uri);
+      }
+    });
+
+    it("reports the layer of each token", async () => {
+      await proxy.onlyProxy_setTokenURI(2, "ipfs://2");
+
+      const { tokens, counts, warnings } = await uriReport({
+        client,
+        tokenIds: [1, 2, 3],
+        baseURI: "ipfs://base/",
+      });
+
+      assert.deepEqual(
+        ["none", "token", "none"],
+        tokens.map(({ layer }) => layer),
+      );
+      assert.deepEqual(
+        { hook: 0, token: 1, rendered: 0, shared: 0, base: 0, none: 2 },
+        counts,
+      );
+      assert.deepEqual(
+        [
+          "The base URI is not set, expected ipfs://base/.",
+          "Tokens resolving to an empty URI: 2.",
+        ],
+        warnings,
+      );
+    });
+
+    it("warns when the shared URI shadows the base URI", async () => {
+      await proxy.onlyProxy_setSharedURI("ipfs://shared");
+
+      const { counts, warnings } = await uriReport({
+        // ERC721ProxyMock shadows __baseURI with its own state variable.
+        client: { ...client, __baseURI: async () => "ipfs://old/" },
+        tokenIds: [1, 2, 3, 4],
+        baseURI: "ipfs://base/",
+      });
+
+      assert.deepEqual(
+        { hook: 0, token: 0, rendered: 0, shared: 4, base: 0, none: 0 },
+        counts,
+      );
+      assert.deepEqual(
+        [
+          "The shared URI ipfs://shared shadows the base URI ipfs://old/ for 4 tokens.",
+          "The base URI is ipfs://old/, expected ipfs://base/.",
+          "Missing tokens: 4.",
+        ],
+        warnings,
+      );
+    });
+
+    it("reads the URI of the tokens altered by the TokenURI hook", async () => {
+      await proxy.onlyProxy_setSharedURI("ipfs://shared");
+      await proxy.onlyProxy_setTokenURI(2, "ipfs://2");
+      // See IERC721Baseline.Hook.
+      await proxy.onlyProxy_setHookEnabled(4, true);
+
+      const { tokens, counts } = await uriReport({
+        client,
+        tokenIds: [1, 2, 4],
+      });
+
+      assert.deepEqual(
+        [
+          {
+            tokenId: "1",
+            exists: true,
+            layer: "hook",
+            uri: "ipfs://shared?transfers=0",
+          },
+          {
+            tokenId: "2",
+            exists: true,
+            layer: "hook",
+            uri: "ipfs://2?transfers=0",
+          },
+          {
+            tokenId: "4",
+            exists: false,
+            layer: "shared",
+            uri: "ipfs://shared",
+          },
+        ],
+        tokens,
+      );
+      assert.deepEqual(
+        { hook: 2, token: 0, rendered: 0, shared: 1, base: 0, none: 0 },
+        counts,
+      );
+    });
+
+    it("reports proxies without modules", async () => {
+      const implementation = await ERC721Baseline.new();
+      const bare = await ERC721ProxyMock.new(
+        implementation.address,
+        "Test",
+        "TEST",
+      );
+      await bare.onlyProxy_mintBatch([user], [1]);
+      await bare.onlyProxy_setSharedURI("ipfs://shared");
+
+      const { contractURI, tokens } = await uriReport({
+        client: createClient({
+          provider: web3,
+          address: bare.address,
+          from: deployer,
+          abi: client.abi,
+        }),
+        tokenIds: [1],
+      });
+
+      assert.equal("", contractURI);
+      assert.deepEqual(
+        [{ tokenId: "1", exists: true, layer: "shared", uri: "ipfs://shared" }],
+        tokens,
+      );
+    });
+  });
+
+  describe("preview", () => {
+    let proxy;
+    let client;
+
+    beforeEach(async () => {
+      const implementation = await ERC721Baseline.new();
+      const extension = await ERC721BaselineExtension.new();
+      proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+      await proxy.onlyProxy_setModule(
+        extension.address,
+        await extension.selectors(),
+      );
+      client = createClient({
+        provider: web3,
+        address: proxy.address,
+        from: deployer,
+        abi: mergeAbis(
+          ERC721Baseline.abi,
+          ERC721BaselineExtension.abi,
+          ERC721BaselineProvenance.abi,
+          ERC721ProxyMock.abi,
+        ),
+      });
+
+      await proxy.onlyProxy_mintBatch([user, user], [1, 2]);
+    });
+
+    it("decodes data URIs", () => {
+      assert.deepEqual(
+        { mimeType: "application/json", content: Buffer.from('{"a":1}') },
+        decodeDataURI(
+          `data:application/json;base64,${Buffer.from('{"a":1}').toString(
+            "base64",
+          )}`,
+        ),
+      );
+      assert.deepEqual(
+        { mimeType: "text/plain", content: Buffer.from("a b") },
+        decodeDataURI("data:,a%20b"),
+      );
+      assert.throws(() => decodeDataURI("ipfs://test"), "Invalid data URI");
+    });
+
+    it("writes the metadata and images of tokens rendered on-chain", async () => {
+      const outDir = tmp();
+
+      await proxy.onlyProxy_setSVGTemplate(
+        "<svg><text>{id} {Color}</text></svg>",
+      );
+      await proxy.onlyProxy_setSharedAttributes(["Color"], ["red"]);
+
+      const tokens = await previewTokens({ client, tokenIds: [1, 2], outDir });
+
+      assert.deepEqual(
+        [
+          { tokenId: "1", name: "Test #1", image: "1.svg" },
+          { tokenId: "2", name: "Test #2", image: "2.svg" },
+        ],
+        tokens.map(({ tokenId, metadata, image }) => ({
+          tokenId,
+          name: metadata.name,
+          image,
+        })),
+      );
+      assert.equal(
+        "<svg><text>2 red</text></svg>",
+        fs.readFileSync(path.join(outDir, "2.svg"), "utf8"),
+      );
+      assert.deepEqual(
+        tokens[0].metadata,
+        JSON.parse(fs.readFileSync(path.join(outDir, "1.json"))),
+      );
+      assert.include(
+        fs.readFileSync(path.join(outDir, "index.html"), "utf8"),
+        '<img src="2.svg"',
+      );
+
+      const { counts } = await uriReport({ client, tokenIds: [1, 2] });
+      assert.equal(2, counts.rendered);
+    });
+
+    it("rejects tokens that are not rendered on-chain", async () => {
+      await proxy.onlyProxy_setSharedURI("ipfs://shared");
+
+      try {
+        await previewTokens({ client, tokenIds: [1], outDir: tmp() });
+        assert.fail("Expected previewTokens to throw");
+      } catch (error) {
+        assert.include(error.message, "is not rendered on-chain");
+      }
+    });
+  });
+
+  describe("contract", () => {
+    let proxy;
+    let client;
+
+    beforeEach(async () => {
+      const implementation = await ERC721Baseline.new();
+      const extension = await ERC721BaselineExtension.new();
+      proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+      await proxy.onlyProxy_setModule(
+        extension.address,
+        await extension.selectors(),
+      );
+      client = createClient({
+        provider: web3,
+        address: proxy.address,
+        from: deployer,
+        abi: mergeAbis(
+          ERC721Baseline.abi,
+          ERC721BaselineExtension.abi,
+          ERC721BaselineProvenance.abi,
+          ERC721ProxyMock.abi,
+        ),
+      });
+    });
+
+    it("builds the collection metadata with the royalties", async () => {
+      const outDir = tmp();
+
+      const { metadata } = await buildContractMetadata({ client, outDir });
+      assert.deepEqual({ name: "Test", symbol: "TEST" }, metadata);
+
+      await client.configureRoyalties(user, 250, { from: deployer });
+
+      const result = await buildContractMetadata({
+        client,
+        outDir,
+        description: "A collection",
+        image: "ipfs://image",
+        externalLink: "https://example.com",
+      });
+      const content = fs.readFileSync(path.join(outDir, "contract.json"));
+
+      assert.deepEqual(
+        {
+          name: "Test",
+          symbol: "TEST",
+          description: "A collection",
+          image: "ipfs://image",
+          external_link: "https://example.com",
+          seller_fee_basis_points: 250,
+          fee_recipient: user,
+        },
+        JSON.parse(content),
+      );
+      assert.equal(formatCid(addFile(content).cid), result.cid);
+      assert.equal(`ipfs://${result.cid}`, result.uri);
+    });
+
+    it("reports the contract URI", async () => {
+      await client.setContractURI("ipfs://contract", { from: deployer });
+
+      const { contractURI } = await uriReport({ client, tokenIds: [] });
+      assert.equal("ipfs://contract", contractURI);
+    });
+  });
+});
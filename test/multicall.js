@@ -0,0 +1,206 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721BaselineAccessControl = artifacts.require(
+  "ERC721BaselineAccessControl",
+);
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const {
+  readPlan,
+  encodePlan,
+  decodeCalls,
+  simulateMulticall,
+} = require("../lib/multicall");
+
+/**
+ * Multicall tests
+ * –––––––––––––––
+ *
+ * Tests for lib/multicall.js which backs the `erc721baseline multicall` command.
+ */
+
+contract("multicall", function ([deployer, admin, receiver, attacker]) {
+  const abi = mergeAbis(
+    ERC721Baseline.abi,
+    ERC721BaselineExtension.abi,
+    ERC721BaselineAccessControl.abi,
+    ERC721ProxyMock.abi,
+  );
+  let proxyDelegate;
+  let client;
+
+  function planFile(name, content) {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+      name,
+    );
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  beforeEach(async () => {
+    const implementation = await ERC721Baseline.new();
+    const extension = await ERC721BaselineExtension.new();
+    const proxy = await ERC721ProxyMock.new(
+      implementation.address,
+      "Test",
+      "TEST",
+    );
+    await proxy.onlyProxy_setModule(
+      extension.address,
+      await extension.selectors(),
+    );
+    proxyDelegate = await ERC721Baseline.at(proxy.address);
+    client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi,
+    });
+  });
+
+  it("reads YAML and JSON plans", () => {
+    // Unquoted YAML addresses and numbers are read as strings.
+    const plan = readPlan(
+      planFile(
+        "plan.yml",
+        [
+          "calls:",
+          "  - method: setAdmin",
+          `    args: [${admin}, true]`,
+          "  - method: renounceOwnership",
+        ].join("\n"),
+      ),
+    );
+
+    assert.deepEqual(
+      {
+        calls: [
+          { method: "setAdmin", args: [admin, "true"] },
+          { method: "renounceOwnership", args: [] },
+        ],
+      },
+      plan,
+    );
+
+    assert.deepEqual(
+      plan,
+      readPlan(
+        planFile(
+          "plan.json",
+          JSON.stringify({
+            calls: [
+              { method: "setAdmin", args: [admin, "true"] },
+              { method: "renounceOwnership" },
+            ],
+          }),
+        ),
+      ),
+    );
+
+    assert.throws(
+      () => readPlan(planFile("plan.yml", "calls: []")),
+      "The plan must have a list of calls",
+    );
+    assert.throws(
+      () => readPlan(planFile("plan.yml", "calls:\n  - args: [1]")),
+      "Call 1 must have a method",
+    );
+  });
+
+  it("encodes and decodes the calls", () => {
+    const calls = encodePlan(
+      {
+        calls: [
+          { method: "setAdmin", args: [admin, true] },
+          {
+            method: "configureRoyalties(address,uint16)",
+            args: [receiver, 500],
+          },
+          { method: "setRoles", args: [admin, "3"] },
+        ],
+      },
+      abi,
+    );
+
+    assert.deepEqual(
+      [
+        "setAdmin(address,bool)",
+        "configureRoyalties(address,uint16)",
+        "setRoles(address,uint256)",
+      ],
+      calls.map(({ signature }) => signature),
+    );
+    assert.equal(
+      proxyDelegate.contract.methods.setAdmin(admin, true).encodeABI(),
+      calls[0].data,
+    );
+
+    const decoded = decodeCalls(
+      calls.map(({ data }) => data),
+      abi,
+    );
+    assert.equal("configureRoyalties(address,uint16)", decoded[1].signature);
+    assert.deepEqual({ receiver, bps: "500" }, decoded[1].args);
+
+    const invalid = [
+      [{ method: "setAdmin", args: [admin, "yes"] }, "must be true or false"],
+      [{ method: "setAdmin", args: [admin] }, "takes 2 arguments, got 1"],
+      [{ method: "mint", args: [] }, "unknown method mint"],
+      [
+        { method: "__setBaseURI", args: ["ipfs://base/"] },
+        "__setBaseURI(string) can only be called by the proxy",
+      ],
+      [{ method: "safeTransferFrom", args: [] }, "is overloaded"],
+    ];
+
+    invalid.forEach(([call, message]) =>
+      assert.throws(() => encodePlan({ calls: [call] }, abi), message),
+    );
+  });
+
+  it("simulates and sends the plan", async () => {
+    const plan = readPlan(
+      planFile(
+        "plan.yml",
+        [
+          "calls:",
+          "  - method: setAdmin",
+          `    args: [${admin}, true]`,
+          "  - method: configureRoyalties",
+          `    args: [${receiver}, 500]`,
+          "  - method: onlyProxy_setSharedURI",
+          "    args: [ipfs://shared]",
+        ].join("\n"),
+      ),
+    );
+    const data = encodePlan(plan, abi).map((call) => call.data);
+
+    const { gas, results } = await simulateMulticall({
+      client,
+      data,
+      from: deployer,
+    });
+    assert.isAbove(gas, 0);
+    assert.equal(3, results.length);
+    assert.equal(false, await proxyDelegate.isAdmin(admin));
+
+    try {
+      await simulateMulticall({ client, data, from: attacker });
+      assert.fail("Expected the simulation to revert");
+    } catch (error) {
+      assert.equal("Unauthorized", error.errorName);
+    }
+
+    await client.multicall(data, { from: deployer });
+    assert.equal(true, await proxyDelegate.isAdmin(admin));
+    assert.equal(receiver, await proxyDelegate.royaltiesReceiver());
+    assert.equal("ipfs://shared", await proxyDelegate.__sharedURI());
+  });
+});
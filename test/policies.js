@@ -0,0 +1,118 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { readPolicies, updatePolicies } = require("../lib/policies");
+
+/**
+ * Transfer policies tests
+ * –––––––––––––––––––––––
+ *
+ * Tests for lib/policies.js which backs the `erc721baseline policy` command.
+ */
+
+contract("policies", function ([deployer, user, operator, attacker]) {
+  let proxy;
+  let proxyExtension;
+  let client;
+
+  beforeEach(async () => {
+    const implementation = await ERC721Baseline.new();
+    const extension = await ERC721BaselineExtension.new();
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    await proxy.onlyProxy_setModule(
+      extension.address,
+      await extension.selectors(),
+    );
+    proxyExtension = await ERC721BaselineExtension.at(proxy.address);
+    client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi: mergeAbis(
+        ERC721Baseline.abi,
+        ERC721BaselineExtension.abi,
+        ERC721ProxyMock.abi,
+      ),
+    });
+
+    await proxy.onlyProxy_mintBatch([user, user], [1, 2]);
+  });
+
+  it("updates and reads the policies", async () => {
+    const until = Math.floor(Date.UTC(2100, 0, 1) / 1000);
+    const descriptions = [];
+
+    const results = await updatePolicies({
+      client,
+      from: deployer,
+      nonTransferable: true,
+      deny: [operator, attacker],
+      allow: [attacker],
+      lock: ["1", "2"],
+      until,
+      onTransaction: ({ description }) => descriptions.push(description),
+    });
+
+    assert.equal(6, results.length);
+    assert.deepEqual(
+      [
+        "Tokens non-transferable",
+        `Denied ${operator}`,
+        `Denied ${attacker}`,
+        `Allowed ${attacker}`,
+        "Locked token 1 until 2100-01-01T00:00:00.000Z",
+        "Locked token 2 until 2100-01-01T00:00:00.000Z",
+      ],
+      descriptions,
+    );
+
+    assert.deepEqual(
+      {
+        nonTransferable: true,
+        operators: [
+          { operator, denied: true },
+          { operator: attacker, denied: false },
+        ],
+        locks: [
+          { tokenId: "1", until },
+          { tokenId: "3", until: 0 },
+        ],
+      },
+      await readPolicies({
+        client,
+        operators: [operator, attacker],
+        tokenIds: ["1", "3"],
+      }),
+    );
+
+    await updatePolicies({
+      client,
+      from: deployer,
+      nonTransferable: false,
+      lock: ["1"],
+      until: 0,
+    });
+
+    assert.equal(false, await proxyExtension.nonTransferable());
+    assert.equal(0, await proxyExtension.transferLockedUntil(1));
+    assert.equal(until, await proxyExtension.transferLockedUntil(2));
+  });
+
+  it("requires an admin sender", async () => {
+    try {
+      await updatePolicies({
+        client,
+        from: attacker,
+        nonTransferable: true,
+      });
+      assert.fail("Expected updatePolicies to throw");
+    } catch (error) {
+      assert.include(error.message, "is not an admin");
+    }
+
+    assert.equal(false, await proxyExtension.nonTransferable());
+  });
+});
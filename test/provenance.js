@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineProvenance = artifacts.require("ERC721BaselineProvenance");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { addPath, formatCid } = require("../lib/ipfs");
+const {
+  REVEAL_GAS,
+  readMetadataFiles,
+  provenanceHash,
+  metadataId,
+  verifyProvenance,
+} = require("../lib/provenance");
+
+/**
+ * Provenance tests
+ * ––––––––––––––––
+ *
+ * Tests for lib/provenance.js which backs the `erc721baseline provenance` command.
+ */
+
+contract("provenance", function ([deployer, user]) {
+  const sha256 = (content) =>
+    crypto.createHash("sha256").update(content).digest();
+
+  function metadataDir(count) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-"));
+
+    for (let id = 1; id <= count; id++) {
+      fs.writeFileSync(path.join(dir, String(id)), `{"name":"#${id}"}\n`);
+    }
+    fs.writeFileSync(path.join(dir, "manifest.json"), "{}");
+
+    return dir;
+  }
+
+  it("hashes the metadata files by ID", () => {
+    const dir = metadataDir(10);
+
+    assert.deepEqual(
+      ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"],
+      readMetadataFiles(dir).map(({ id }) => id),
+    );
+
+    const expected = sha256(
+      Buffer.concat(
+        readMetadataFiles(dir).map(({ file }) => sha256(fs.readFileSync(file))),
+      ),
+    );
+    assert.equal(
+      "0x" + expected.toString("hex"),
+      provenanceHash(dir).provenanceHash,
+    );
+
+    assert.throws(
+      () =>
+        provenanceHash(
+          fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-")),
+        ),
+      "No metadata files",
+    );
+  });
+
+  it("computes the metadata IDs", () => {
+    const sequence = { startTokenId: 1, maxSupply: 10 };
+
+    assert.equal("7", metadataId(7, { ...sequence, startingIndex: 0 }));
+    assert.equal("10", metadataId(7, { ...sequence, startingIndex: 3 }));
+    assert.equal("1", metadataId(7, { ...sequence, startingIndex: 4 }));
+    assert.equal("6", metadataId(10, { ...sequence, startingIndex: 6 }));
+    // Tokens outside of the sequential range keep their ID.
+    assert.equal("0", metadataId(0, { ...sequence, startingIndex: 3 }));
+    assert.equal("11", metadataId(11, { ...sequence, startingIndex: 3 }));
+  });
+
+  it("verifies a revealed collection", async () => {
+    const dir = metadataDir(5);
+    const implementation = await ERC721Baseline.new();
+    const provenanceModule = await ERC721BaselineProvenance.new();
+    const proxy = await ERC721ProxyMock.new(
+      implementation.address,
+      "Test",
+      "TEST",
+    );
+    await proxy.onlyProxy_setModule(
+      provenanceModule.address,
+      await provenanceModule.selectors(),
+    );
+    const baseURI = `ipfs://${formatCid(addPath(dir).cid)}/`;
+    const client = {
+      ...createClient({
+        provider: web3,
+        address: proxy.address,
+        from: deployer,
+        abi: mergeAbis(
+          ERC721Baseline.abi,
+          ERC721BaselineProvenance.abi,
+          ERC721ProxyMock.abi,
+        ),
+      }),
+      // ERC721ProxyMock shadows __baseURI with its own state variable.
+      __baseURI: async () => baseURI,
+    };
+
+    await proxy.onlyProxy_enableSequentialMint(1, 5);
+    await client.setProvenanceHash(provenanceHash(dir).provenanceHash);
+    await proxy.onlyProxy_setSharedURI("ipfs://placeholder");
+    await proxy.onlyProxy_setBaseURI(baseURI);
+    await proxy.onlyProxy_mintNext(user, 4);
+
+    let { errors } = await verifyProvenance({ client, dir });
+    assert.deepEqual(["The collection is not revealed."], errors);
+
+    await client.reveal({ gas: REVEAL_GAS });
+
+    const report = await verifyProvenance({ client, dir });
+    assert.deepEqual([], report.errors);
+    assert.equal(true, report.revealed);
+    assert.deepEqual(
+      ["1", "2", "3", "4"],
+      report.tokens.map(({ tokenId }) => tokenId),
+    );
+    report.tokens.forEach(({ tokenId, metadataId: id }) =>
+      assert.equal(
+        metadataId(tokenId, {
+          startTokenId: 1,
+          maxSupply: 5,
+          startingIndex: report.startingIndex,
+        }),
+        id,
+      ),
+    );
+
+    // Burned tokens are skipped, token-specific URIs are reported.
+    await proxy.onlyProxy_burn(1, { from: user });
+    await proxy.onlyProxy_setTokenURI(2, "ipfs://2");
+    ({ errors } = await verifyProvenance({ client, dir }));
+    assert.equal(1, errors.length);
+    assert.include(errors[0], "Token 2 resolves to ipfs://2");
+
+    // Reshuffled metadata.
+    fs.renameSync(path.join(dir, "1"), path.join(dir, "tmp"));
+    fs.renameSync(path.join(dir, "2"), path.join(dir, "1"));
+    fs.renameSync(path.join(dir, "tmp"), path.join(dir, "2"));
+    await proxy.onlyProxy_setTokenURI(2, "");
+
+    ({ errors } = await verifyProvenance({ client, dir }));
+    assert.equal(2, errors.length);
+    assert.include(errors[0], "The provenance hash is");
+    assert.include(errors[1], "the metadata CID is");
+  });
+});
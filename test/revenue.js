@@ -0,0 +1,122 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineRevenue = artifacts.require("ERC721BaselineRevenue");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+const ERC1271WalletMock = artifacts.require("ERC1271WalletMock");
+const ERC20Mock = artifacts.require("ERC20Mock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { ETH, revenueReport, releaseAll } = require("../lib/revenue");
+
+/**
+ * Revenue tests
+ * –––––––––––––
+ *
+ * Tests for lib/revenue.js which backs the `erc721baseline revenue` command.
+ * ERC721ProxyMock exposes `paidMint` which keeps 0.01 ETH per token.
+ */
+
+contract("revenue", function ([deployer, user, payee1, payee2]) {
+  const price = BigInt(web3.utils.toWei("0.01"));
+  let proxy;
+  let client;
+
+  beforeEach(async () => {
+    const implementation = await ERC721Baseline.new();
+    const revenueModule = await ERC721BaselineRevenue.new();
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    await proxy.onlyProxy_setModule(
+      revenueModule.address,
+      await revenueModule.selectors(),
+    );
+    client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi: mergeAbis(
+        ERC721Baseline.abi,
+        ERC721BaselineRevenue.abi,
+        ERC721ProxyMock.abi,
+      ),
+    });
+
+    await proxy.onlyProxy_enableSequentialMint(1, 100);
+  });
+
+  it("reports the pending amounts of the payees", async () => {
+    const token = await ERC20Mock.new();
+
+    assert.deepEqual([], (await revenueReport({ client })).payees);
+
+    await client.setPayees([payee1, payee2], [3, 1]);
+    await proxy.paidMint(4, { from: user, value: String(price * 4n) });
+    await token.mint(proxy.address, 100);
+    await client.release(payee2);
+
+    assert.deepEqual(
+      {
+        assets: [ETH, token.address],
+        payees: [
+          {
+            payee: payee1,
+            shares: "3",
+            released: { [ETH]: "0", [token.address]: "0" },
+            releasable: {
+              [ETH]: String(price * 3n),
+              [token.address]: "75",
+            },
+          },
+          {
+            payee: payee2,
+            shares: "1",
+            released: { [ETH]: String(price), [token.address]: "0" },
+            releasable: { [ETH]: "0", [token.address]: "25" },
+          },
+        ],
+      },
+      await revenueReport({ client, tokens: [token.address] }),
+    );
+  });
+
+  it("releases the payees that are owed some", async () => {
+    const token = await ERC20Mock.new();
+    // Contracts without a receive function can't be paid in ETH.
+    const wallet = await ERC1271WalletMock.new(deployer);
+
+    await client.setPayees([wallet.address, payee1, payee2], [1, 1, 1]);
+    await proxy.paidMint(3, { from: user, value: String(price * 3n) });
+    await client.release(payee2);
+
+    const released = [];
+    let results = await releaseAll({
+      client,
+      from: user,
+      onRelease: (result) => released.push(result),
+    });
+
+    assert.deepEqual(released, results);
+    assert.equal(2, results.length);
+    assert.equal(wallet.address, results[0].payee);
+    assert.include(results[0].error, "FailedInnerCall");
+    assert.deepEqual(
+      { payee: payee1, amount: String(price) },
+      { payee: results[1].payee, amount: results[1].amount },
+    );
+    assert.match(results[1].transactionHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(0, await client.releasable(payee1));
+
+    await token.mint(proxy.address, 300);
+    results = await releaseAll({
+      client,
+      token: token.address,
+      payees: [wallet.address],
+      from: user,
+    });
+
+    assert.deepEqual(
+      ["100"],
+      results.map(({ amount }) => amount),
+    );
+    assert.equal(100, await token.balanceOf(wallet.address));
+  });
+});
@@ -0,0 +1,207 @@
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { compile } = require("../lib/compile");
+const { analyzeStorage, checkStorage } = require("../lib/storage");
+const {
+  FEATURES,
+  validateOptions,
+  scaffold,
+  writeScaffold,
+} = require("../lib/scaffold");
+
+/**
+ * Scaffold tests
+ * ––––––––––––––
+ *
+ * Tests for lib/scaffold.js which backs the `erc721baseline init` command.
+ * The generated contracts are compiled with solc-js and the generated Truffle tests
+ * are run in a generated project.
+ */
+
+describe("scaffold", function () {
+  this.timeout(900000);
+
+  const tmp = () => fs.mkdtempSync(path.join(os.tmpdir(), "erc721baseline-"));
+  const options = {
+    contractName: "MyCollection",
+    name: "My Collection",
+    symbol: "MY",
+    features: Object.keys(FEATURES),
+    author: "Baseline",
+  };
+
+  it("validates the options", () => {
+    assert.deepEqual([], validateOptions(options));
+    assert.deepEqual(
+      [
+        "Invalid contract name: my-collection, expected a capitalized identifier eg. MyCollection.",
+        "The token symbol is required.",
+        "Unknown feature: airdrop, expected one of: signature-mint, admin-mint, burn, hooks, royalties, access-control.",
+      ],
+      validateOptions({
+        ...options,
+        contractName: "my-collection",
+        symbol: "",
+        features: ["burn", "airdrop"],
+      }),
+    );
+    assert.deepEqual(
+      ["The token name and symbol can't contain quotes or newlines."],
+      validateOptions({ ...options, name: 'My "Collection"' }),
+    );
+
+    assert.throws(
+      () => scaffold({ ...options, name: "" }),
+      /The token name is required/,
+    );
+  });
+
+  it("generates the project files", () => {
+    const files = scaffold(options);
+
+    assert.deepEqual(
+      [
+        "contracts/MyCollection.sol",
+        "contracts/Imports.sol",
+        "test/MyCollection.js",
+        "migrations/1_deploy_my_collection.js",
+        "truffle-config.js",
+      ],
+      Object.keys(files),
+    );
+
+    const contract = files["contracts/MyCollection.sol"];
+    assert.include(contract, "contract MyCollection is ERC721Baseline");
+    assert.include(
+      contract,
+      "@custom:storage-location erc7201:mycollection.storage",
+    );
+    ["setSigner", "adminMint", "burn", "_afterTokenTransfer"].forEach(
+      (method) => assert.include(contract, `function ${method}(`),
+    );
+    assert.include(files["migrations/1_deploy_my_collection.js"], '"MY"');
+  });
+
+  it("generates only the selected features", () => {
+    const files = scaffold({ ...options, features: ["burn"] });
+    const contract = files["contracts/MyCollection.sol"];
+
+    assert.include(contract, "function burn(");
+    assert.notInclude(contract, "function adminMint(");
+    assert.notInclude(contract, "storage-location");
+    assert.notInclude(files["test/MyCollection.js"], "signature mint");
+  });
+
+  it("keeps the existing files", () => {
+    const dir = tmp();
+    const files = scaffold(options);
+
+    fs.writeFileSync(
+      path.join(dir, "truffle-config.js"),
+      "module.exports = {};",
+    );
+
+    assert.deepEqual(
+      {
+        written: [
+          "contracts/MyCollection.sol",
+          "contracts/Imports.sol",
+          "test/MyCollection.js",
+          "migrations/1_deploy_my_collection.js",
+        ],
+        skipped: ["truffle-config.js"],
+      },
+      writeScaffold(dir, files),
+    );
+    assert.equal(
+      "module.exports = {};",
+      fs.readFileSync(path.join(dir, "truffle-config.js"), "utf8"),
+    );
+
+    assert.throws(
+      () => writeScaffold(dir, files),
+      "These files exist, use --force to overwrite them: contracts/MyCollection.sol, test/MyCollection.js, migrations/1_deploy_my_collection.js",
+    );
+
+    assert.deepEqual(
+      ["contracts/Imports.sol", "truffle-config.js"],
+      writeScaffold(dir, files, { force: true }).skipped,
+    );
+  });
+
+  it("generates contracts that compile with namespaced storage", () => {
+    const dir = tmp();
+    writeScaffold(dir, scaffold(options));
+
+    const { input, output } = compile({ root: dir });
+    // The settings come from the generated truffle-config.js.
+    const { outputSelection, ...settings } = input.settings;
+    assert.deepEqual(
+      require(path.join(dir, "truffle-config.js")).compilers.solc.settings,
+      settings,
+    );
+
+    const { errors, warnings } = checkStorage({
+      proxy: analyzeStorage(output, "MyCollection"),
+      implementation: analyzeStorage(output, "ERC721BaselineImplementation"),
+    });
+
+    assert.deepEqual([], errors);
+    assert.deepEqual([], warnings);
+  });
+
+  it("generates tests that pass in the generated project", () => {
+    const dir = tmp();
+    const root = path.resolve(__dirname, "..");
+
+    // The default features of `erc721baseline init` and all the features, in one project.
+    writeScaffold(
+      dir,
+      scaffold({
+        ...options,
+        contractName: "DefaultCollection",
+        features: ["admin-mint", "burn"],
+      }),
+    );
+    writeScaffold(dir, scaffold(options));
+
+    // The generated project imports erc721baseline and OpenZeppelin like an installed package.
+    fs.mkdirSync(path.join(dir, "node_modules"));
+    fs.symlinkSync(root, path.join(dir, "node_modules", "erc721baseline"));
+    fs.symlinkSync(
+      path.join(root, "node_modules", "@openzeppelin"),
+      path.join(dir, "node_modules", "@openzeppelin"),
+    );
+
+    // `truffle test` can't start its own Ganache while these tests run in another `truffle test`,
+    // the generated config is extended with an in-process one.
+    const truffle = require.resolve("truffle/build/cli.bundled.js");
+    const ganache = require.resolve("ganache", { paths: [truffle] });
+    fs.writeFileSync(
+      path.join(dir, "truffle-test-config.js"),
+      `const provider = require(${JSON.stringify(ganache)}).provider({
+  logging: { quiet: true },
+});
+
+module.exports = {
+  ...require("./truffle-config.js"),
+  networks: { development: { provider: () => provider, network_id: "*" } },
+};
+`,
+    );
+
+    const { status, stdout, stderr } = spawnSync(
+      process.execPath,
+      [truffle, "test", "--config", "truffle-test-config.js"],
+      { cwd: dir, encoding: "utf8", timeout: 800000 },
+    );
+
+    assert.equal(0, status, `${stdout}\n${stderr}`);
+    assert.match(stdout, /Contract: DefaultCollection/);
+    assert.match(stdout, /Contract: MyCollection/);
+    assert.notMatch(stdout, /failing/);
+  });
+});
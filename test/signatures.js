@@ -0,0 +1,176 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721BaselineProxy = artifacts.require("ERC721Baseline");
+const ERC721BaselineExtension = artifacts.require("ERC721BaselineExtension");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { createClient } = require("../lib/client");
+const { mergeAbis } = require("../lib/artifacts");
+const { parseCsv } = require("../lib/csv");
+const {
+  mintHash,
+  updateUriHash,
+  createVouchers,
+  verifyVouchers,
+  signPermit,
+} = require("../lib/signatures");
+
+/**
+ * Signatures tests
+ * ––––––––––––––––
+ *
+ * Tests for lib/signatures.js which creates and verifies Example1-style vouchers
+ * and signs ERC-4494 permits.
+ */
+
+contract("signatures", function ([deployer, user, anotherUser]) {
+  const signer = web3.eth.accounts.create();
+
+  let proxy;
+  let client;
+
+  beforeEach(async () => {
+    const implementation = await ERC721Baseline.new();
+    const extension = await ERC721BaselineExtension.new();
+    proxy = await ERC721ProxyMock.new(implementation.address, "Test", "TEST");
+    await proxy.onlyProxy_setModule(
+      extension.address,
+      await extension.selectors(),
+    );
+    client = createClient({
+      provider: web3.currentProvider,
+      address: proxy.address,
+      abi: mergeAbis(
+        ERC721Baseline.abi,
+        ERC721BaselineExtension.abi,
+        ERC721BaselineProxy.abi,
+      ),
+    });
+  });
+
+  it("hashes like abi.encodePacked", () => {
+    assert.equal(
+      web3.utils.keccak256(
+        proxy.address +
+          user.slice(2) +
+          web3.utils.padLeft(web3.utils.toHex(3), 64).slice(2) +
+          web3.utils.utf8ToHex("ipfs://3").slice(2),
+      ),
+      mintHash(proxy.address, user, 3, "ipfs://3"),
+    );
+
+    assert.equal(
+      web3.utils.keccak256(
+        proxy.address +
+          web3.utils.padLeft(web3.utils.toHex(3), 64).slice(2) +
+          web3.utils.utf8ToHex("ipfs://3").slice(2),
+      ),
+      updateUriHash(proxy.address, 3, "ipfs://3"),
+    );
+  });
+
+  it("creates vouchers that recover to the signer on-chain", async () => {
+    const file = createVouchers({
+      type: "mint",
+      proxy: proxy.address,
+      privateKey: signer.privateKey,
+      items: parseCsv(
+        `collector,tokenId,uri\n${user},1,ipfs://1\n${anotherUser},2,"ipfs://2,b"\n`,
+      ),
+    });
+
+    assert.equal(signer.address, file.signer);
+    assert.equal(2, file.vouchers.length);
+    assert.equal("ipfs://2,b", file.vouchers[1].uri);
+
+    for (const voucher of file.vouchers) {
+      assert.equal(
+        signer.address,
+        await client.recoverCalldata(voucher.hash, voucher.signature),
+      );
+    }
+
+    const results = await verifyVouchers({ client, file });
+    assert.deepEqual(
+      [true, true],
+      results.map(({ valid }) => valid),
+    );
+  });
+
+  it("flags tampered vouchers and unexpected signers", async () => {
+    const file = createVouchers({
+      type: "updateUri",
+      proxy: proxy.address,
+      privateKey: signer.privateKey,
+      items: [
+        { tokenId: 1, uri: "ipfs://1" },
+        { tokenId: 2, uri: "ipfs://2" },
+        { tokenId: 3, uri: "ipfs://3" },
+      ],
+    });
+
+    file.vouchers[1].uri = "ipfs://tampered";
+    file.vouchers[2].signature = "0x1234";
+
+    const results = await verifyVouchers({ client, file });
+
+    assert.deepEqual(
+      [[], ["hash does not match the voucher"], ["InvalidSignature"]],
+      results.map(({ errors }) => errors),
+    );
+
+    const [result] = await verifyVouchers({ client, file, signer: user });
+    assert.equal(false, result.valid);
+  });
+
+  it("signs permits with a private key or a node account", async () => {
+    const { timestamp } = await web3.eth.getBlock("latest");
+    const deadline = timestamp + 3600;
+
+    await proxy.onlyProxy_mint(signer.address, 1);
+    await proxy.onlyProxy_mint(user, 2);
+
+    const permit = await signPermit({
+      client,
+      spender: anotherUser,
+      tokenId: 1,
+      deadline,
+      privateKey: signer.privateKey,
+    });
+    const { signature, ...message } = permit;
+    assert.deepEqual(
+      {
+        spender: anotherUser,
+        tokenId: "1",
+        nonce: "0",
+        deadline: String(deadline),
+      },
+      message,
+    );
+
+    // Anyone can submit the permit.
+    await client.permit(
+      permit.spender,
+      permit.tokenId,
+      permit.deadline,
+      signature,
+      { from: deployer },
+    );
+    assert.equal(anotherUser, await client.getApproved(1));
+
+    // Signed by the token owner node account with eth_signTypedData_v4.
+    const nodePermit = await signPermit({
+      client,
+      spender: anotherUser,
+      tokenId: 2,
+      deadline,
+    });
+    await client.permit(
+      nodePermit.spender,
+      nodePermit.tokenId,
+      nodePermit.deadline,
+      nodePermit.signature,
+      { from: deployer },
+    );
+    assert.equal(anotherUser, await client.getApproved(2));
+  });
+});
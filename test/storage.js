@@ -0,0 +1,80 @@
+const { compile } = require("../lib/compile");
+const { erc7201Slot, analyzeStorage, checkStorage } = require("../lib/storage");
+
+/**
+ * Storage tests
+ * –––––––––––––
+ *
+ * Tests for lib/storage.js which backs the `erc721baseline storage` command.
+ * The contracts are compiled with solc-js to get the storage layouts.
+ */
+
+describe("storage", function () {
+  this.timeout(100000);
+
+  let output;
+  let implementation;
+
+  before(() => {
+    ({ output } = compile());
+    implementation = analyzeStorage(output, "ERC721BaselineImplementation");
+  });
+
+  it("computes ERC-7201 slots", () => {
+    assert.equal(
+      "0xd70e9a647412bf72add39fd1ab5a6a89bfb0d778061be5e3d13cfa60d9d90b00",
+      erc7201Slot("erc721baseline.implementation.storage"),
+    );
+  });
+
+  it("finds the implementation namespaces", () => {
+    assert.deepEqual(
+      [
+        "erc721baseline.implementation.storage",
+        "erc721baseline.extension.storage",
+        "openzeppelin.storage.ERC721",
+        "openzeppelin.storage.Initializable",
+      ],
+      implementation.namespaces.map(({ id }) => id),
+    );
+    assert.deepEqual([], implementation.stateVariables);
+
+    const { errors, warnings } = checkStorage({
+      proxy: analyzeStorage(output, "ERC721Baseline"),
+      implementation,
+    });
+    assert.deepEqual([], errors);
+    assert.deepEqual([], warnings);
+  });
+
+  it("flags non-namespaced state variables", () => {
+    const proxy = analyzeStorage(output, "ERC721ProxyMock");
+    const { errors, warnings } = checkStorage({ proxy, implementation });
+
+    assert.deepEqual([], errors);
+    assert.deepEqual(
+      [
+        "_beforeTokenTransferHookEnabledProxy",
+        "__baseURI",
+        "soulbound",
+        "transfersCount",
+        "countedOwner",
+      ],
+      proxy.stateVariables.map(({ label }) => label),
+    );
+    assert.equal(5, warnings.length);
+  });
+
+  it("rejects invalid slots and collisions with the implementation", () => {
+    const { errors } = checkStorage({
+      proxy: analyzeStorage(output, "ERC721StorageCollisionMock"),
+      implementation,
+    });
+
+    assert.equal(3, errors.length);
+    assert.include(errors[0], "MismatchedStorageLocation");
+    assert.include(errors[0], erc7201Slot("erc721baseline.mock.storage"));
+    assert.include(errors[1], "CollidingStorage uses erc7201");
+    assert.include(errors[2], "CollidingStorageLocation");
+  });
+});
@@ -0,0 +1,166 @@
+const ERC721Baseline = artifacts.require("ERC721BaselineImplementation");
+const ERC721ProxyMock = artifacts.require("ERC721ProxyMock");
+
+const { mergeAbis } = require("../lib/artifacts");
+const { createClient } = require("../lib/client");
+const { compile } = require("../lib/compile");
+const { findNamespaces } = require("../lib/storage");
+const {
+  compareVersions,
+  checkUpgrade,
+  upgradeProxy,
+} = require("../lib/upgrade");
+
+/**
+ * Upgrade tests
+ * –––––––––––––
+ *
+ * Tests for lib/upgrade.js which backs the `erc721baseline upgrade` command.
+ * The storage checks use the namespaces of the current implementation
+ * and copies of them with fields removed, changed or appended.
+ */
+
+contract("upgrade", function ([deployer, user]) {
+  let storage;
+
+  before(function () {
+    this.timeout(100000);
+    storage = findNamespaces(compile().output, "ERC721BaselineImplementation");
+  });
+
+  const current = () => ({
+    address: "0x0000000000000000000000000000000000000001",
+    version: "0.1.0",
+    storage,
+  });
+  const next = (members = (namespace) => namespace.members) => ({
+    address: "0x0000000000000000000000000000000000000002",
+    version: "0.2.0",
+    storage: storage.map((namespace) => ({
+      ...namespace,
+      members: members(namespace),
+    })),
+  });
+
+  it("compares versions", () => {
+    assert.isBelow(compareVersions("0.1.0", "0.2.0"), 0);
+    assert.isBelow(compareVersions("0.9.0", "0.10.0"), 0);
+    assert.isAbove(compareVersions("v1.0.0", "0.10.0"), 0);
+    assert.equal(0, compareVersions("1.0.0-beta", "1.0.0"));
+  });
+
+  it("allows appended fields", () => {
+    const { errors, warnings } = checkUpgrade({
+      current: current(),
+      next: next(({ members }) => [
+        ...members,
+        { label: "_newField", type: "uint256" },
+      ]),
+    });
+
+    assert.deepEqual([], errors);
+    assert.deepEqual([], warnings);
+  });
+
+  it("rejects removed and changed fields", () => {
+    const [baseline] = storage;
+    const last = baseline.members[baseline.members.length - 1];
+
+    const { errors, warnings } = checkUpgrade({
+      current: current(),
+      next: next(({ id, members }) =>
+        id === "erc721baseline.implementation.storage"
+          ? [
+              { label: "version", type: "string" },
+              { label: "totalSupply", type: "uint128" },
+              ...members.slice(2, -1),
+            ]
+          : members,
+      ),
+    });
+
+    assert.deepEqual(
+      [
+        "ERC721BaselineStorage.totalSupply (uint256) became ERC721BaselineStorage.totalSupply (uint128) in erc7201:erc721baseline.implementation.storage.",
+        `ERC721BaselineStorage.${last.label} (${last.type}) was removed from erc7201:erc721baseline.implementation.storage.`,
+      ],
+      errors,
+    );
+    assert.deepEqual(
+      [
+        "ERC721BaselineStorage.VERSION was renamed to ERC721BaselineStorage.version in erc7201:erc721baseline.implementation.storage.",
+      ],
+      warnings,
+    );
+  });
+
+  it("rejects removed namespaces, older versions and unknown layouts", () => {
+    let { errors } = checkUpgrade({
+      current: current(),
+      next: { ...next(), version: "0.1.0", storage: storage.slice(1) },
+    });
+
+    assert.equal(2, errors.length);
+    assert.include(errors[0], "must be greater than the current one (0.1.0)");
+    assert.equal(
+      "ERC721BaselineStorage (erc7201:erc721baseline.implementation.storage) was removed.",
+      errors[1],
+    );
+
+    ({ errors } = checkUpgrade({
+      current: { ...current(), storage: null },
+      next: next(),
+    }));
+
+    assert.equal(1, errors.length);
+    assert.include(errors[0], "storage layout of");
+  });
+
+  it("upgrades proxies that enabled upgrades", async () => {
+    const implementation = await ERC721Baseline.new();
+    const newImplementation = await ERC721Baseline.new();
+    const proxy = await ERC721ProxyMock.new(
+      implementation.address,
+      "Test",
+      "TEST",
+    );
+
+    const client = createClient({
+      provider: web3,
+      address: proxy.address,
+      from: deployer,
+      abi: mergeAbis(ERC721Baseline.abi, ERC721ProxyMock.abi),
+    });
+
+    try {
+      await upgradeProxy({ client, implementation: newImplementation.address });
+      expect.fail("Expected upgradeProxy to throw.");
+    } catch (error) {
+      assert.include(error.message, "Upgrades are disabled");
+    }
+
+    await proxy.onlyProxy_setUpgradesEnabled(true);
+
+    try {
+      await upgradeProxy({
+        client,
+        implementation: newImplementation.address,
+        from: user,
+      });
+      expect.fail("Expected upgradeProxy to throw.");
+    } catch (error) {
+      assert.equal("Unauthorized", error.errorName);
+    }
+
+    const upgrade = await upgradeProxy({
+      client,
+      implementation: newImplementation.address,
+    });
+
+    assert.equal(implementation.address, upgrade.previous);
+    assert.equal(newImplementation.address, upgrade.implementation);
+    assert.isString(upgrade.transactionHash);
+    assert.equal(newImplementation.address, await proxy.implementation());
+    assert.equal(deployer, await client.owner());
+  });
+});